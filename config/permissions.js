@@ -0,0 +1,87 @@
+// Staff roles and the back-office permissions each one grants
+
+const PERMISSIONS = [
+  'users:read',
+  'users:suspend',
+  'users:verify',
+  'users:unlock',
+  'users:roles',
+  'services:read',
+  'services:moderate',
+  'reviews:read',
+  'reviews:moderate',
+  'credits:read',
+  'credits:adjust',
+  'pricing:manage',
+  'packages:manage',
+  'disputes:read',
+  'disputes:resolve',
+  'payouts:manage',
+  'audit:read'
+];
+
+const ROLE_PERMISSIONS = {
+  // Everything, including assigning roles
+  admin: PERMISSIONS,
+
+  // Content moderation
+  moderator: [
+    'users:read',
+    'services:read',
+    'services:moderate',
+    'reviews:read',
+    'reviews:moderate'
+  ],
+
+  // Account help: look people up, unlock, suspend and verify
+  support: [
+    'users:read',
+    'users:suspend',
+    'users:verify',
+    'users:unlock',
+    'services:read',
+    'reviews:read',
+    'credits:read',
+    'disputes:read'
+  ],
+
+  // Money: credits, pricing, packages, lead refund disputes and job payouts
+  finance: [
+    'users:read',
+    'credits:read',
+    'credits:adjust',
+    'pricing:manage',
+    'packages:manage',
+    'disputes:read',
+    'disputes:resolve',
+    'payouts:manage',
+    'audit:read'
+  ]
+};
+
+const STAFF_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Roles held by a user. Accounts from before roles existed may only have role: 'admin'.
+const getUserRoles = (user) => {
+  if (!user) return [];
+  const roles = new Set(user.roles || []);
+  if (user.role === 'admin') roles.add('admin');
+  return [...roles].filter(role => ROLE_PERMISSIONS[role]);
+};
+
+const getUserPermissions = (user) => {
+  const permissions = new Set();
+  getUserRoles(user).forEach(role => ROLE_PERMISSIONS[role].forEach(permission => permissions.add(permission)));
+  return [...permissions];
+};
+
+const hasPermission = (user, permission) => getUserPermissions(user).includes(permission);
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  STAFF_ROLES,
+  getUserRoles,
+  getUserPermissions,
+  hasPermission
+};
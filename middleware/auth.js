@@ -1,76 +1,129 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const logger = require('../utils/loggerutility');
+const { getUserRoles, getUserPermissions } = require('../config/permissions');
+
+// Error raised when a token is valid but its user may not sign in
+class AuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthError';
+  }
+}
+
+// Verify an access token and load its user. Shared by HTTP and socket auth.
+// Every access token belongs to a session, which is checked on each request so revoking
+// it (or signing out everywhere) takes effect immediately. The token's session ID is
+// exposed as user.$locals.sessionId.
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Single-purpose tokens (2FA challenge, account restore, OAuth state) are never access tokens
+  if (decoded.purpose || decoded.aud) {
+    throw new AuthError('Not authorized, invalid token');
+  }
+
+  // Tokens from before sessions existed cannot be revoked, so they are no longer accepted
+  if (!decoded.sid) {
+    throw new AuthError('Not authorized, session has expired or been revoked');
+  }
+
+  const [user, session] = await Promise.all([
+    User.findById(decoded.id).select('-password'),
+    Session.findById(decoded.sid).select('user revokedAt expiresAt')
+  ]);
+
+  if (!user) {
+    throw new AuthError('Not authorized, user not found');
+  }
+  if (!user.isActive) {
+    throw new AuthError(user.suspension?.suspendedAt ? 'Account is suspended' : 'Account is deactivated');
+  }
+  if (!session || !session.isActive || session.user.toString() !== user._id.toString()) {
+    throw new AuthError('Not authorized, session has expired or been revoked');
+  }
+
+  user.$locals.sessionId = decoded.sid;
+  return user;
+};
+
+// Map a verification failure to the message returned to the client
+const getAuthErrorMessage = (error) => {
+  if (error.name === 'AuthError') return error.message;
+  if (error.name === 'TokenExpiredError') return 'Not authorized, token expired';
+  if (error.name === 'JsonWebTokenError') return 'Not authorized, invalid token';
+  return 'Not authorized, token failed';
+};
 
 const protect = async (req, res, next) => {
   let token;
 
   if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-    try {
-      token = req.headers.authorization.split(' ')[1];
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      req.user = await User.findById(decoded.id).select('-password');
+    token = req.headers.authorization.split(' ')[1];
+  }
 
-      if (!req.user) {
-        return res.status(401).json({
-          success: false,
-          message: 'Not authorized, user not found'
-        });
-      }
-      if (!req.user.isActive) {
-        return res.status(401).json({
-          success: false,
-          message: 'Account is deactivated'
-        });
-      }
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized, no token provided'
+    });
+  }
 
-      next();
-    } catch (error) {
+  try {
+    req.user = await verifyAccessToken(token);
+    req.sessionId = req.user.$locals.sessionId;
+  } catch (error) {
+    if (error.name !== 'AuthError') {
       logger.error('Auth middleware error:', error);
-      
-      let message = 'Not authorizedss, token failed';
-      if (error.name === 'TokenExpiredError') {
-        message = 'Not authorized, token expired';
-      } else if (error.name === 'JsonWebTokenError') {
-        message = 'Not authorized, invalid token';
-      }
-
-      return res.status(401).json({
-        success: false,
-        message
-      });
     }
-  }
 
-  if (!token) {
     return res.status(401).json({
       success: false,
-      message: 'Not authorized, no token provided'
+      message: getAuthErrorMessage(error)
     });
   }
+
+  next();
 };
 
-// Grant access to specific roles
-const authorize = (...roles) => {
+// Require every listed back-office permission, e.g. authorize('reviews:moderate')
+const authorize = (...permissions) => {
   return (req, res, next) => {
-    if (!roles.includes(req.user.userType)) {
+    const granted = getUserPermissions(req.user);
+    const missing = permissions.filter(permission => !granted.includes(permission));
+
+    if (missing.length) {
       return res.status(403).json({
         success: false,
-        message: `User role ${req.user.userType} is not authorized to access this route`
+        message: `Permission required: ${missing.join(', ')}`
       });
     }
+
+    req.permissions = granted;
     next();
   };
 };
 
+// Any staff role - used to gate the back-office API before per-route permission checks
+const requireStaff = (req, res, next) => {
+  if (!getUserRoles(req.user).length) {
+    return res.status(403).json({
+      success: false,
+      message: 'Staff access required'
+    });
+  }
+  next();
+};
+
 const optionalAuth = async (req, res, next) => {
   let token;
 
   if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
     try {
       token = req.headers.authorization.split(' ')[1];
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      req.user = await User.findById(decoded.id).select('-password');
+      req.user = await verifyAccessToken(token);
+      req.sessionId = req.user.$locals.sessionId;
     } catch (error) {
       req.user = null;
     }
@@ -142,7 +195,7 @@ const requireOwnership = (Model, paramName = 'id', foreignKey = 'user') => {
 };
 
 const requireAdmin = (req, res, next) => {
-  if (req.user.userType !== 'admin') {
+  if (!getUserRoles(req.user).includes('admin')) {
     return res.status(403).json({
       success: false,
       message: 'Admin access required'
@@ -152,6 +205,8 @@ const requireAdmin = (req, res, next) => {
 };
 
 module.exports = {
+  verifyAccessToken,
+  getAuthErrorMessage,
   protect,
   authorize,
   optionalAuth,
@@ -159,5 +214,6 @@ module.exports = {
   requireServiceProvider,
   requireCustomer,
   requireOwnership,
+  requireStaff,
   requireAdmin
 };
\ No newline at end of file
@@ -0,0 +1,79 @@
+// Audit log model - records every back-office action
+const mongoose = require('mongoose');
+const { getUserRoles } = require('../config/permissions');
+
+const auditLogSchema = new mongoose.Schema({
+  // Who did it
+  actor: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Actor is required']
+  },
+  // Staff roles the actor held at the time
+  actorRoles: [String],
+
+  // What they did, e.g. 'user.suspend', 'credits.adjust'
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    trim: true
+  },
+
+  // What it was done to
+  targetType: {
+    type: String,
+    required: [true, 'Target type is required']
+  },
+  targetId: {
+    type: mongoose.Schema.ObjectId
+  },
+
+  reason: {
+    type: String,
+    maxlength: [1000, 'Reason cannot exceed 1000 characters']
+  },
+  changes: {
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // Request context
+  ipAddress: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+// Static method to record a back-office action taken during a request.
+// Failures are logged rather than thrown so they never undo the action itself.
+auditLogSchema.statics.record = async function(req, { action, targetType, targetId, reason, changes, metadata }) {
+  try {
+    return await this.create({
+      actor: req.user._id,
+      actorRoles: getUserRoles(req.user),
+      action,
+      targetType,
+      targetId,
+      reason,
+      changes,
+      metadata,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+  } catch (error) {
+    console.error(`Error writing audit log for ${action}:`, error);
+    return null;
+  }
+};
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,175 @@
+// Business model - a provider team sharing one credit wallet.
+// The owner's credit balance is the team wallet: members spend from it and purchases
+// by the owner or a manager are paid into it, so the ledger stays on one account.
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const TEAM_ROLES = ['owner', 'manager', 'responder'];
+
+// What each team role may do
+const TEAM_ROLE_PERMISSIONS = {
+  owner: ['business:update', 'members:manage', 'members:invite', 'credits:purchase', 'credits:view', 'activity:view', 'leads:contact'],
+  manager: ['members:invite', 'credits:purchase', 'credits:view', 'activity:view', 'leads:contact'],
+  responder: ['leads:contact']
+};
+
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const memberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: TEAM_ROLES,
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ['manager', 'responder'],
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  invitedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedAt: Date,
+  acceptedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: Date
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Virtual for whether an invitation is still usable
+invitationSchema.virtual('isPending').get(function() {
+  return !this.acceptedAt && !this.revokedAt && this.expiresAt > new Date();
+});
+
+const businessSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Business name is required'],
+    trim: true,
+    maxlength: [100, 'Business name cannot exceed 100 characters']
+  },
+  owner: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner is required'],
+    index: true
+  },
+  members: [memberSchema],
+  invitations: [invitationSchema],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  disbandedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+businessSchema.index({ 'members.user': 1, isActive: 1 });
+businessSchema.index({ 'invitations.tokenHash': 1 });
+
+// Static method to find the active business a user belongs to
+businessSchema.statics.findActiveForMember = function(userId) {
+  return this.findOne({ 'members.user': userId, isActive: true });
+};
+
+// Static method to find a business by the raw token of one of its pending invitations
+businessSchema.statics.findByInvitationToken = async function(token) {
+  const business = await this.findOne({
+    isActive: true,
+    invitations: {
+      $elemMatch: {
+        tokenHash: hashToken(token),
+        acceptedAt: { $exists: false },
+        revokedAt: { $exists: false },
+        expiresAt: { $gt: new Date() }
+      }
+    }
+  }).select('+invitations.tokenHash');
+
+  if (!business) return null;
+
+  const invitation = business.invitations.find(entry => entry.tokenHash === hashToken(token));
+  return { business, invitation };
+};
+
+// Static method to check a team role's permission
+businessSchema.statics.roleCan = function(role, permission) {
+  return (TEAM_ROLE_PERMISSIONS[role] || []).includes(permission);
+};
+
+// Instance method to get a user's membership
+businessSchema.methods.getMember = function(userId) {
+  return this.members.find(member => member.user.toString() === userId.toString()) || null;
+};
+
+// Instance method to check what a member may do
+businessSchema.methods.can = function(userId, permission) {
+  const member = this.getMember(userId);
+  return !!member && this.constructor.roleCan(member.role, permission);
+};
+
+// Instance method to add an invitation. Returns the raw token to email; only its hash is stored.
+businessSchema.methods.createInvitation = function({ email, role, invitedBy }) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  // A new invitation replaces any pending one for the same address
+  this.invitations.forEach(entry => {
+    if (entry.email === email.toLowerCase() && entry.isPending) {
+      entry.revokedAt = new Date();
+    }
+  });
+
+  this.invitations.push({
+    email,
+    role,
+    tokenHash: hashToken(token),
+    invitedBy,
+    expiresAt: new Date(Date.now() + INVITATION_TTL_MS)
+  });
+
+  return { token, invitation: this.invitations[this.invitations.length - 1] };
+};
+
+businessSchema.statics.TEAM_ROLES = TEAM_ROLES;
+businessSchema.statics.TEAM_ROLE_PERMISSIONS = TEAM_ROLE_PERMISSIONS;
+
+module.exports = mongoose.model('Business', businessSchema);
@@ -0,0 +1,101 @@
+// Conversation model
+const mongoose = require('mongoose');
+
+const conversationSchema = new mongoose.Schema({
+  // Relationships
+  request: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Request',
+    required: [true, 'Request is required']
+  },
+  customer: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Customer is required']
+  },
+  provider: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Provider is required']
+  },
+  participants: [{
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }],
+
+  // Latest activity, denormalised for the inbox view
+  lastMessage: {
+    text: String,
+    sender: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    hasAttachments: {
+      type: Boolean,
+      default: false
+    },
+    sentAt: Date
+  },
+
+  // Unread message counters keyed by participant id
+  unreadCounts: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'closed'],
+    default: 'active'
+  }
+}, {
+  timestamps: true
+});
+
+// One conversation per provider per request
+conversationSchema.index({ request: 1, provider: 1 }, { unique: true });
+conversationSchema.index({ participants: 1, 'lastMessage.sentAt': -1 });
+
+// Whether the user may take part in conversations about the request:
+// the request owner, or a provider who has contacted the lead
+conversationSchema.statics.canParticipate = function(request, userId) {
+  const id = userId.toString();
+  if (request.customer && (request.customer._id || request.customer).toString() === id) {
+    return true;
+  }
+  const contacted = request.analytics?.contactedProviders || [];
+  return contacted.some(providerId => providerId.toString() === id);
+};
+
+// Static method to open (or reuse) the conversation between a customer and provider
+conversationSchema.statics.findOrCreateForLead = async function(request, providerId) {
+  const customerId = request.customer._id || request.customer;
+
+  return this.findOneAndUpdate(
+    { request: request._id, provider: providerId },
+    {
+      $setOnInsert: {
+        request: request._id,
+        customer: customerId,
+        provider: providerId,
+        participants: [customerId, providerId]
+      }
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Instance method to check membership
+conversationSchema.methods.isParticipant = function(userId) {
+  return this.participants.some(participant =>
+    (participant._id || participant).toString() === userId.toString()
+  );
+};
+
+// Instance method to get the unread count for a participant
+conversationSchema.methods.getUnreadCount = function(userId) {
+  return this.unreadCounts?.get(userId.toString()) || 0;
+};
+
+module.exports = mongoose.model('Conversation', conversationSchema);
@@ -0,0 +1,250 @@
+// Credit package model - the catalog of credit bundles providers can buy
+const mongoose = require('mongoose');
+
+const SUPPORTED_CURRENCIES = ['gbp', 'usd', 'eur'];
+
+// Seeded on first use so an empty database still has a catalog
+const DEFAULT_PACKAGES = [
+  {
+    slug: 'starter',
+    name: 'Starter',
+    description: 'Enough for about 10 leads',
+    credits: 280,
+    prices: [{ currency: 'gbp', amount: 392, originalAmount: 490 }],
+    enoughForLeads: 10,
+    sortOrder: 1
+  },
+  {
+    slug: 'professional',
+    name: 'Professional',
+    description: 'Enough for about 20 leads',
+    credits: 560,
+    prices: [{ currency: 'gbp', amount: 700, originalAmount: 875 }],
+    enoughForLeads: 20,
+    sortOrder: 2
+  },
+  {
+    slug: 'business',
+    name: 'Business',
+    description: 'Enough for about 40 leads',
+    credits: 1120,
+    prices: [{ currency: 'gbp', amount: 1200, originalAmount: 1500 }],
+    enoughForLeads: 40,
+    sortOrder: 3
+  }
+];
+
+const creditPackageSchema = new mongoose.Schema({
+  // Stable identifier used by clients, auto top-up settings and transactions
+  slug: {
+    type: String,
+    required: [true, 'Slug is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9-]+$/, 'Slug can only contain lowercase letters, numbers and hyphens']
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [50, 'Name cannot exceed 50 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  credits: {
+    type: Number,
+    required: [true, 'Credits are required'],
+    min: [1, 'Package must contain at least 1 credit']
+  },
+
+  // One price per supported currency, in major units (e.g. pounds)
+  prices: {
+    type: [{
+      currency: {
+        type: String,
+        enum: SUPPORTED_CURRENCIES,
+        lowercase: true,
+        required: true
+      },
+      amount: {
+        type: Number,
+        required: true,
+        min: [0, 'Price cannot be negative']
+      },
+      // Shown struck through next to the price
+      originalAmount: {
+        type: Number,
+        min: 0
+      }
+    }],
+    validate: {
+      validator: prices => prices.length > 0 &&
+        new Set(prices.map(price => price.currency)).size === prices.length,
+      message: 'Package needs at least one price and one price per currency'
+    }
+  },
+
+  // Time-limited promotion
+  promo: {
+    label: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'Promo label cannot exceed 50 characters']
+    },
+    discountPercent: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 0
+    },
+    bonusCredits: {
+      type: Number,
+      min: 0,
+      default: 0
+    },
+    startsAt: Date,
+    endsAt: Date
+  },
+
+  enoughForLeads: Number,
+  guarantee: {
+    type: Boolean,
+    default: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+creditPackageSchema.index({ isActive: 1, sortOrder: 1 });
+
+creditPackageSchema.pre('validate', function(next) {
+  const { startsAt, endsAt } = this.promo || {};
+  if (startsAt && endsAt && endsAt <= startsAt) {
+    this.invalidate('promo.endsAt', 'Promo end must be after its start');
+  }
+  next();
+});
+
+// Instance method to check whether the promotion applies at a given time
+creditPackageSchema.methods.isPromoActive = function(at = new Date()) {
+  const promo = this.promo;
+  if (!promo || (!promo.discountPercent && !promo.bonusCredits)) return false;
+  if (promo.startsAt && at < promo.startsAt) return false;
+  if (promo.endsAt && at >= promo.endsAt) return false;
+  return true;
+};
+
+// Instance method to price the package in a currency. Returns null if it is not sold in that currency.
+creditPackageSchema.methods.getPrice = function(currency = 'gbp', at = new Date()) {
+  const price = this.prices.find(p => p.currency === currency.toLowerCase());
+  if (!price) return null;
+
+  const promoActive = this.isPromoActive(at);
+  const discount = promoActive ? this.promo.discountPercent || 0 : 0;
+  const bonusCredits = promoActive ? this.promo.bonusCredits || 0 : 0;
+
+  const amount = Math.round(price.amount * (100 - discount)) / 100;
+  const totalCredits = this.credits + bonusCredits;
+  const originalAmount = discount > 0 ? price.originalAmount || price.amount : price.originalAmount;
+
+  return {
+    currency: price.currency,
+    amount,
+    amountInMinorUnits: Math.round(amount * 100),
+    originalAmount,
+    discount: originalAmount ? Math.round((1 - amount / originalAmount) * 100) : 0,
+    credits: this.credits,
+    bonusCredits,
+    totalCredits,
+    perCreditCost: Math.round((amount / totalCredits) * 100) / 100,
+    promo: promoActive ? {
+      label: this.promo.label,
+      discountPercent: discount,
+      bonusCredits,
+      endsAt: this.promo.endsAt
+    } : null
+  };
+};
+
+// Instance method to build the public catalog entry for a currency
+creditPackageSchema.methods.toCatalogEntry = function(currency = 'gbp', at = new Date()) {
+  const price = this.getPrice(currency, at);
+  if (!price) return null;
+
+  return {
+    id: this._id,
+    type: this.slug,
+    name: this.name,
+    description: this.description,
+    enoughForLeads: this.enoughForLeads,
+    guarantee: this.guarantee,
+    ...price
+  };
+};
+
+// Static method to seed the default packages when the catalog is empty
+creditPackageSchema.statics.ensureDefaults = async function() {
+  try {
+    if (await this.estimatedDocumentCount() > 0) return;
+
+    await this.bulkWrite(DEFAULT_PACKAGES.map(pkg => ({
+      updateOne: {
+        filter: { slug: pkg.slug },
+        update: { $setOnInsert: pkg },
+        upsert: true
+      }
+    })));
+  } catch (error) {
+    console.error('Error seeding credit packages:', error);
+  }
+};
+
+// Static method to get active packages in display order
+creditPackageSchema.statics.getActivePackages = async function() {
+  await this.ensureDefaults();
+  return this.find({ isActive: true }).sort({ sortOrder: 1, credits: 1 });
+};
+
+// Static method to get the public catalog for a currency
+creditPackageSchema.statics.getCatalog = async function(currency = 'gbp') {
+  const packages = await this.getActivePackages();
+  const now = new Date();
+  return packages
+    .map(pkg => pkg.toCatalogEntry(currency, now))
+    .filter(Boolean);
+};
+
+// Static method to find an active package by slug or ID
+creditPackageSchema.statics.findPurchasable = async function(identifier) {
+  await this.ensureDefaults();
+  const filter = mongoose.isObjectIdOrHexString(identifier)
+    ? { _id: identifier }
+    : { slug: String(identifier).toLowerCase() };
+  return this.findOne({ ...filter, isActive: true });
+};
+
+creditPackageSchema.statics.SUPPORTED_CURRENCIES = SUPPORTED_CURRENCIES;
+
+module.exports = mongoose.model('CreditPackage', creditPackageSchema);
@@ -65,10 +65,26 @@ const creditTransactionSchema = new mongoose.Schema({
     ref: 'Request'
   },
   
-  // Package information for purchases
+  // Original transaction a refund or reversal relates to
+  relatedTransaction: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'CreditTransaction'
+  },
+  
+  // Guards against recording the same operation twice (e.g. spend:<user>:<lead>)
+  idempotencyKey: {
+    type: String
+  },
+  
+  // Package information for purchases (slug of the CreditPackage at purchase time)
   packageType: {
     type: String,
-    enum: ['starter', 'professional', 'business', 'custom']
+    lowercase: true,
+    trim: true
+  },
+  creditPackage: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'CreditPackage'
   },
   
   status: {
@@ -101,6 +117,16 @@ const creditTransactionSchema = new mongoose.Schema({
     default: {}
   },
   
+  // Team wallet the transaction belongs to, and the member who made it
+  business: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Business'
+  },
+  performedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  
   // Admin who processed manual transactions
   processedBy: {
     type: mongoose.Schema.ObjectId,
@@ -125,6 +151,8 @@ creditTransactionSchema.index({ user: 1, createdAt: -1 });
 creditTransactionSchema.index({ type: 1, status: 1 });
 creditTransactionSchema.index({ stripePaymentIntentId: 1 }, { sparse: true, unique: true });
 creditTransactionSchema.index({ leadId: 1 }, { sparse: true });
+creditTransactionSchema.index({ idempotencyKey: 1 }, { sparse: true, unique: true });
+creditTransactionSchema.index({ business: 1, createdAt: -1 }, { sparse: true });
 
 // Virtual for formatted amount
 creditTransactionSchema.virtual('formattedAmount').get(function() {
@@ -216,9 +244,107 @@ creditTransactionSchema.methods.processTransaction = async function() {
   };
 };
 
+// Method to reverse a completed spend (e.g. when recording the lead contact fails)
+creditTransactionSchema.methods.rollback = async function(reason = 'Lead contact failed') {
+  if (this.type !== 'spend') {
+    throw new Error('Only spend transactions can be rolled back');
+  }
+
+  // Claim the transaction first so the credits are only returned once
+  const claimed = await this.constructor.findOneAndUpdate(
+    { _id: this._id, status: 'completed' },
+    {
+      $set: { status: 'cancelled', failureReason: reason },
+      $unset: { idempotencyKey: 1 }
+    },
+    { new: true }
+  );
+
+  if (!claimed) {
+    return null;
+  }
+
+  const User = mongoose.model('User');
+  const credits = Math.abs(this.amount);
+  await User.updateOne(
+    { _id: this.user },
+    { $inc: { credits, 'stats.creditsSpent': -credits } }
+  );
+
+  this.status = claimed.status;
+  this.failureReason = claimed.failureReason;
+  this.idempotencyKey = undefined;
+
+  return claimed;
+};
+
+// Method to refund a completed spend as a linked refund transaction
+creditTransactionSchema.methods.refundSpend = async function({ processedBy, reason, metadata = {} } = {}) {
+  if (this.type !== 'spend') {
+    throw new Error('Only spend transactions can be refunded');
+  }
+
+  // Claim the spend first so it can only be refunded once. A spend that is already
+  // refunded is picked up again in case an earlier call stopped part-way.
+  const claimed = await this.constructor.findOneAndUpdate(
+    { _id: this._id, status: 'completed' },
+    { $set: { status: 'refunded', refundedAt: new Date() } },
+    { new: true }
+  ) || await this.constructor.findOne({ _id: this._id, status: 'refunded' });
+
+  if (!claimed) {
+    throw new Error('Only completed transactions can be refunded');
+  }
+
+  const User = mongoose.model('User');
+  const credits = Math.abs(this.amount);
+  const idempotencyKey = `refund:${this._id}`;
+
+  let refund;
+  try {
+    refund = await this.constructor.create({
+      user: this.user,
+      type: 'refund',
+      amount: credits,
+      leadId: this.leadId,
+      relatedTransaction: this._id,
+      idempotencyKey,
+      status: 'pending',
+      reason,
+      processedBy,
+      metadata
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+    refund = await this.constructor.findOne({ idempotencyKey });
+  }
+
+  if (refund.status === 'pending') {
+    const user = await User.applyCreditGrant(
+      this.user,
+      refund._id,
+      { $inc: { credits, 'stats.creditsSpent': -credits } },
+      { projection: { credits: 1 } }
+    ) || await User.findById(this.user).select('credits');
+
+    refund = await this.constructor.findOneAndUpdate(
+      { _id: refund._id, status: 'pending' },
+      { $set: { status: 'completed', completedAt: new Date(), balanceAfter: user ? user.credits : credits } },
+      { new: true }
+    ) || await this.constructor.findById(refund._id);
+  }
+
+  this.status = claimed.status;
+  this.refundedAt = claimed.refundedAt;
+
+  return refund;
+};
+
 // Pre-save middleware to set balanceAfter for completed transactions
 creditTransactionSchema.pre('save', async function(next) {
-  if (this.isNew && this.status === 'completed' && !this.balanceAfter) {
+  if (this.isNew && this.status === 'completed' && !this.isModified('balanceAfter')) {
     try {
       const User = mongoose.model('User');
       const user = await User.findById(this.user).select('credits');
@@ -0,0 +1,95 @@
+// DataExport model - a user's request for a copy of their personal data.
+// The archive is built by a background job (see utils/dataPrivacy.js) and can be
+// downloaded until it expires.
+const mongoose = require('mongoose');
+
+const dataExportSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+    index: true
+  },
+
+  format: {
+    type: String,
+    enum: ['json', 'zip'],
+    default: 'zip'
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'ready', 'failed', 'expired'],
+    default: 'pending',
+    index: true
+  },
+
+  // Where the archive is stored, relative to the export directory
+  fileName: {
+    type: String,
+    select: false
+  },
+  fileSize: Number,
+
+  // Number of records included per section
+  counts: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  startedAt: Date,
+  completedAt: Date,
+  expiresAt: Date,
+  downloadCount: {
+    type: Number,
+    default: 0
+  },
+  lastDownloadedAt: Date,
+
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  failureReason: {
+    type: String,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+dataExportSchema.index({ user: 1, createdAt: -1 });
+dataExportSchema.index({ status: 1, expiresAt: 1 });
+
+// Static method to claim the next pending export for processing
+dataExportSchema.statics.claimNext = function() {
+  return this.findOneAndUpdate(
+    { status: 'pending' },
+    { $set: { status: 'processing', startedAt: new Date() }, $inc: { attempts: 1 } },
+    { new: true, sort: { createdAt: 1 } }
+  ).select('+fileName');
+};
+
+// Static method to find an export the user already has in progress
+dataExportSchema.statics.findInProgress = function(userId) {
+  return this.findOne({ user: userId, status: { $in: ['pending', 'processing'] } });
+};
+
+// Instance method to shape the export for API responses
+dataExportSchema.methods.toSummary = function() {
+  return {
+    id: this._id,
+    format: this.format,
+    status: this.status,
+    fileSize: this.fileSize,
+    counts: this.counts,
+    requestedAt: this.createdAt,
+    completedAt: this.completedAt,
+    expiresAt: this.expiresAt,
+    downloadCount: this.downloadCount,
+    ...(this.status === 'failed' && { failureReason: this.failureReason })
+  };
+};
+
+module.exports = mongoose.model('DataExport', dataExportSchema);
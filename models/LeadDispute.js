@@ -0,0 +1,149 @@
+// Lead dispute model
+const mongoose = require('mongoose');
+
+// Providers can only dispute leads they contacted recently
+const DISPUTE_WINDOW_DAYS = parseInt(process.env.LEAD_DISPUTE_WINDOW_DAYS) || 7;
+
+// Refund-rate limit: share of paid contacts in the period that may be refunded
+const REFUND_RATE_PERIOD_DAYS = 30;
+const MAX_REFUND_RATE = parseFloat(process.env.LEAD_MAX_REFUND_RATE) || 0.2;
+
+const leadDisputeSchema = new mongoose.Schema({
+  // Relationships
+  provider: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Provider is required']
+  },
+  request: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Request',
+    required: [true, 'Request is required']
+  },
+  transaction: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'CreditTransaction',
+    required: [true, 'Spend transaction is required']
+  },
+
+  // Claim
+  reason: {
+    type: String,
+    enum: ['fake_contact', 'unreachable', 'wrong_category', 'other'],
+    required: [true, 'Dispute reason is required']
+  },
+  description: {
+    type: String,
+    required: [true, 'Please describe the problem with this lead'],
+    maxlength: [1000, 'Description cannot exceed 1000 characters'],
+    trim: true
+  },
+  creditsDisputed: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  // Review
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'denied'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  adminNotes: {
+    type: String,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters']
+  },
+  refundTransaction: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'CreditTransaction'
+  }
+}, {
+  timestamps: true
+});
+
+// Spends a provider made themselves; team contacts are charged to the owner's wallet
+// but record the member in performedBy (older spends only have user)
+const providerSpendFilter = (providerId) => ({
+  $or: [
+    { performedBy: providerId },
+    { user: providerId, performedBy: { $exists: false } }
+  ]
+});
+
+const getRefundPeriodStart = () => new Date(Date.now() - REFUND_RATE_PERIOD_DAYS * 24 * 60 * 60 * 1000);
+
+// Indexes
+leadDisputeSchema.index({ transaction: 1 }, { unique: true });
+leadDisputeSchema.index({ status: 1, createdAt: 1 });
+leadDisputeSchema.index({ provider: 1, createdAt: -1 });
+
+// Static method to get a provider's recent refund activity against the rate limit
+leadDisputeSchema.statics.getProviderRefundStats = async function(providerId) {
+  const CreditTransaction = mongoose.model('CreditTransaction');
+  const since = getRefundPeriodStart();
+
+  const [paidContacts, disputes] = await Promise.all([
+    CreditTransaction.countDocuments({
+      ...providerSpendFilter(providerId),
+      type: 'spend',
+      leadId: { $exists: true },
+      status: { $in: ['completed', 'refunded'] },
+      createdAt: { $gte: since }
+    }),
+    this.countDocuments({
+      provider: providerId,
+      status: { $in: ['pending', 'approved'] },
+      createdAt: { $gte: since }
+    })
+  ]);
+
+  // Everyone may claim at least one refund per period
+  const allowed = Math.max(1, Math.floor(paidContacts * MAX_REFUND_RATE));
+
+  return {
+    periodDays: REFUND_RATE_PERIOD_DAYS,
+    paidContacts,
+    openOrApproved: disputes,
+    allowed,
+    remaining: Math.max(0, allowed - disputes)
+  };
+};
+
+// Whether a newly created dispute fits in the provider's refund allowance. Disputes
+// submitted at the same time are ranked by _id, so only the first `allowed` fit.
+leadDisputeSchema.statics.isWithinRefundLimit = async function(dispute, allowed) {
+  const rank = await this.countDocuments({
+    provider: dispute.provider,
+    status: { $in: ['pending', 'approved'] },
+    createdAt: { $gte: getRefundPeriodStart() },
+    _id: { $lte: dispute._id }
+  });
+
+  return rank <= allowed;
+};
+
+// The provider's own paid contact for a lead (see providerSpendFilter)
+leadDisputeSchema.statics.findProviderSpend = function(providerId, leadId) {
+  return mongoose.model('CreditTransaction').findOne({
+    ...providerSpendFilter(providerId),
+    type: 'spend',
+    leadId,
+    status: { $in: ['completed', 'refunded'] }
+  }).sort({ createdAt: -1 });
+};
+
+// Whether a spend is still inside the dispute window
+leadDisputeSchema.statics.isWithinWindow = function(transaction) {
+  const deadline = new Date(transaction.createdAt.getTime() + DISPUTE_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  return deadline > new Date();
+};
+
+leadDisputeSchema.statics.DISPUTE_WINDOW_DAYS = DISPUTE_WINDOW_DAYS;
+
+module.exports = mongoose.model('LeadDispute', leadDisputeSchema);
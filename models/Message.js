@@ -0,0 +1,115 @@
+// Message model
+const mongoose = require('mongoose');
+
+const messageSchema = new mongoose.Schema({
+  // Relationships
+  conversation: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Conversation',
+    required: [true, 'Conversation is required']
+  },
+  sender: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Sender is required']
+  },
+
+  // Content
+  text: {
+    type: String,
+    maxlength: [2000, 'Message cannot exceed 2000 characters'],
+    trim: true
+  },
+  attachments: [{
+    type: {
+      type: String,
+      enum: ['image', 'document']
+    },
+    url: String,
+    filename: String,
+    mimetype: String,
+    size: Number
+  }],
+
+  // Read receipts
+  readBy: [{
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    readAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes
+messageSchema.index({ conversation: 1, createdAt: -1, _id: -1 });
+messageSchema.index({ conversation: 1, 'readBy.user': 1 });
+
+// A message needs either text or at least one attachment
+messageSchema.pre('validate', function(next) {
+  if (!this.text && (!this.attachments || this.attachments.length === 0)) {
+    this.invalidate('text', 'Message text or an attachment is required');
+  }
+  next();
+});
+
+// Static method to mark every message in a conversation as read by a user
+messageSchema.statics.markConversationRead = async function(conversationId, userId) {
+  const readAt = new Date();
+
+  const result = await this.updateMany(
+    {
+      conversation: conversationId,
+      sender: { $ne: userId },
+      'readBy.user': { $ne: userId }
+    },
+    {
+      $push: { readBy: { user: userId, readAt } }
+    }
+  );
+
+  return { modifiedCount: result.modifiedCount, readAt };
+};
+
+// Static method to get conversation history (newest first, paged by "before" message id)
+messageSchema.statics.getHistory = async function(conversationId, options = {}) {
+  const { before, limit = 30 } = options;
+
+  const query = { conversation: conversationId };
+
+  if (before) {
+    const anchor = await this.findOne({ _id: before, conversation: conversationId }).select('createdAt');
+    if (!anchor) {
+      throw new Error('Invalid message cursor');
+    }
+    query.$or = [
+      { createdAt: { $lt: anchor.createdAt } },
+      { createdAt: anchor.createdAt, _id: { $lt: anchor._id } }
+    ];
+  }
+
+  const pageSize = parseInt(limit);
+  const results = await this.find(query)
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(pageSize + 1)
+    .populate('sender', 'firstName lastName businessName avatar');
+
+  const hasMore = results.length > pageSize;
+  const messages = hasMore ? results.slice(0, pageSize) : results;
+
+  return {
+    messages,
+    pagination: {
+      limit: pageSize,
+      hasMore,
+      nextBefore: hasMore ? messages[messages.length - 1]._id : null
+    }
+  };
+};
+
+module.exports = mongoose.model('Message', messageSchema);
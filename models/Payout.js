@@ -0,0 +1,111 @@
+// Payout model - money released from a held job payment to the provider's Stripe Connect account
+const mongoose = require('mongoose');
+
+const payoutSchema = new mongoose.Schema({
+  provider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Provider is required'],
+    index: true
+  },
+  request: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Request',
+    required: [true, 'Request is required'],
+    index: true
+  },
+  // Set when the payout is for a single approved milestone
+  milestone: mongoose.Schema.Types.ObjectId,
+
+  // Amounts in the payment currency, before and after the platform commission
+  grossAmount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: 0
+  },
+  commission: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  commissionRate: Number,
+  netAmount: {
+    type: Number,
+    required: [true, 'Net amount is required'],
+    min: 0
+  },
+  currency: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+
+  status: {
+    type: String,
+    // reconciling: the transfer may or may not have been made, see utils/jobPayments.js
+    enum: ['pending', 'paid', 'failed', 'reconciling', 'reversed'],
+    default: 'pending',
+    index: true
+  },
+
+  // Stripe details
+  stripeAccountId: String,
+  stripeTransferId: String,
+  stripeChargeId: String,
+
+  // One payout per release (e.g. release:<requestId>:<milestoneId|final>)
+  idempotencyKey: {
+    type: String,
+    required: true
+  },
+
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Attempts Stripe turned down; each one moves the payout to a fresh idempotency key
+  rejectedAttempts: {
+    type: Number,
+    default: 0
+  },
+  failureReason: {
+    type: String,
+    maxlength: 1000
+  },
+  paidAt: Date,
+  reversedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+payoutSchema.index({ idempotencyKey: 1 }, { unique: true });
+payoutSchema.index({ provider: 1, createdAt: -1 });
+payoutSchema.index({ stripeTransferId: 1 }, { sparse: true });
+
+// Static method to total a provider's payouts by status
+payoutSchema.statics.getProviderSummary = async function(providerId) {
+  const rows = await this.aggregate([
+    { $match: { provider: new mongoose.Types.ObjectId(providerId) } },
+    {
+      $group: {
+        _id: { status: '$status', currency: '$currency' },
+        count: { $sum: 1 },
+        gross: { $sum: '$grossAmount' },
+        commission: { $sum: '$commission' },
+        net: { $sum: '$netAmount' }
+      }
+    }
+  ]);
+
+  return rows.map(row => ({
+    status: row._id.status,
+    currency: row._id.currency,
+    count: row.count,
+    gross: row.gross,
+    commission: row.commission,
+    net: row.net
+  }));
+};
+
+module.exports = mongoose.model('Payout', payoutSchema);
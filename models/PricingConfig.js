@@ -0,0 +1,160 @@
+// Lead pricing configuration model
+const mongoose = require('mongoose');
+
+const pricingConfigSchema = new mongoose.Schema({
+  // Only one active configuration is used; kept under a fixed key
+  key: {
+    type: String,
+    default: 'default',
+    unique: true
+  },
+
+  // Base cost in credits when the category has no override
+  baseCost: {
+    type: Number,
+    default: 5,
+    min: [0, 'Base cost cannot be negative']
+  },
+
+  // Per-category base cost
+  categoryBaseCosts: [{
+    category: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Category',
+      required: true
+    },
+    baseCost: {
+      type: Number,
+      required: true,
+      min: [0, 'Base cost cannot be negative']
+    }
+  }],
+
+  // Budget tiers - the highest tier whose minAmount the budget reaches applies
+  budgetTiers: {
+    type: [{
+      minAmount: {
+        type: Number,
+        required: true,
+        min: 0
+      },
+      multiplier: {
+        type: Number,
+        required: true,
+        min: [0, 'Multiplier cannot be negative']
+      }
+    }],
+    default: [
+      { minAmount: 100, multiplier: 1.2 },
+      { minAmount: 200, multiplier: 1.4 },
+      { minAmount: 500, multiplier: 1.6 },
+      { minAmount: 1000, multiplier: 2 },
+      { minAmount: 2000, multiplier: 2.6 }
+    ]
+  },
+
+  // Multipliers keyed by request timeline urgency
+  urgencyMultipliers: {
+    type: Map,
+    of: Number,
+    default: {
+      low: 1,
+      medium: 1.2,
+      high: 1.4,
+      urgent: 1.8
+    }
+  },
+
+  // Flat credit premium for leads in busy cities
+  cityPremiums: {
+    type: [{
+      city: {
+        type: String,
+        required: true,
+        lowercase: true,
+        trim: true
+      },
+      premium: {
+        type: Number,
+        required: true
+      }
+    }],
+    default: [
+      { city: 'london', premium: 2 },
+      { city: 'manchester', premium: 2 },
+      { city: 'birmingham', premium: 2 },
+      { city: 'leeds', premium: 2 },
+      { city: 'glasgow', premium: 2 }
+    ]
+  },
+
+  // Discount for providers on their first few leads
+  newProviderDiscount: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    maxLeadsContacted: {
+      type: Number,
+      default: 5,
+      min: 0
+    },
+    multiplier: {
+      type: Number,
+      default: 0.7,
+      min: 0,
+      max: 1
+    }
+  },
+
+  promotionalMultiplier: {
+    type: Number,
+    default: 0.5,
+    min: 0,
+    max: 1
+  },
+
+  // Caps
+  minCost: {
+    type: Number,
+    default: 1,
+    min: 0
+  },
+  maxCost: {
+    type: Number,
+    default: 20,
+    min: 0
+  },
+
+  // Leads priced at or below this are free to contact
+  freeThreshold: {
+    type: Number,
+    default: 3,
+    min: 0
+  },
+
+  updatedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+pricingConfigSchema.pre('validate', function(next) {
+  if (this.maxCost < this.minCost) {
+    this.invalidate('maxCost', 'Maximum cost cannot be lower than minimum cost');
+  }
+  next();
+});
+
+// Static method to load the configuration, creating it with defaults on first use
+pricingConfigSchema.statics.getConfig = async function() {
+  return this.findOneAndUpdate(
+    { key: 'default' },
+    { $setOnInsert: { key: 'default' } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+module.exports = mongoose.model('PricingConfig', pricingConfigSchema);
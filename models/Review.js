@@ -1,6 +1,9 @@
 // Review model 
 const mongoose = require('mongoose');
 
+// Open reports needed before a review is pulled for moderation
+const REPORT_FLAG_THRESHOLD = parseInt(process.env.REVIEW_REPORT_FLAG_THRESHOLD) || 3;
+
 const reviewSchema = new mongoose.Schema({
   // Review Details
   rating: {
@@ -126,6 +129,16 @@ const reviewSchema = new mongoose.Schema({
       ref: 'User'
     }]
   },
+  unhelpful: {
+    count: {
+      type: Number,
+      default: 0
+    },
+    users: [{
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    }]
+  },
   
   // Reporting
   reports: [{
@@ -220,7 +233,7 @@ reviewSchema.virtual('reviewAge').get(function() {
 reviewSchema.pre('save', async function(next) {
   // Ensure customer cannot review themselves
   if (this.customer.toString() === this.serviceProvider.toString()) {
-    next(new Error('Cannot review yourself'));
+    return next(new Error('Cannot review yourself'));
   }
   
   // Auto-approve verified purchase reviews
@@ -313,8 +326,13 @@ reviewSchema.statics.updateServiceRating = async function(serviceId) {
 
 // Static method to get review statistics
 reviewSchema.statics.getReviewStats = async function(providerId) {
+  return this.getStatsFor({ serviceProvider: new mongoose.Types.ObjectId(providerId) });
+};
+
+// Static method to get review statistics for any set of approved reviews
+reviewSchema.statics.getStatsFor = async function(match) {
   const stats = await this.aggregate([
-    { $match: { serviceProvider: providerId, status: 'approved' } },
+    { $match: { ...match, status: 'approved' } },
     {
       $group: {
         _id: null,
@@ -384,4 +402,60 @@ reviewSchema.methods.unmarkAsHelpful = function(userId) {
   return Promise.resolve(this);
 };
 
+// Instance method to record a helpful/unhelpful vote ('none' clears it).
+// Resolves with the updated review, or null if it no longer exists.
+reviewSchema.methods.vote = async function(userId, vote) {
+  const Review = this.constructor;
+  const update = { $pull: {} };
+  ['helpful', 'unhelpful'].forEach(kind => {
+    if (kind === vote) {
+      update.$addToSet = { [`${kind}.users`]: userId };
+    } else {
+      update.$pull[`${kind}.users`] = userId;
+    }
+  });
+
+  const review = await Review.findOneAndUpdate({ _id: this._id }, update, { new: true });
+  if (!review) return null;
+
+  // Only write counts that still match the voter lists, so a slower request cannot overwrite newer ones
+  const helpful = review.helpful.users.length;
+  const unhelpful = review.unhelpful.users.length;
+  await Review.updateOne(
+    { _id: this._id, 'helpful.users': { $size: helpful }, 'unhelpful.users': { $size: unhelpful } },
+    { $set: { 'helpful.count': helpful, 'unhelpful.count': unhelpful } }
+  );
+
+  review.helpful.count = helpful;
+  review.unhelpful.count = unhelpful;
+  return review;
+};
+
+// Instance method to report a review. Reviews with enough open reports are flagged for moderation.
+reviewSchema.methods.report = async function(userId, reason, comment) {
+  if (this.reports.some(report => report.user?.toString() === userId.toString())) {
+    throw new Error('You have already reported this review');
+  }
+
+  this.reports.push({ user: userId, reason, comment });
+
+  const openReports = this.reports.filter(report => report.status === 'pending').length;
+  const wasApproved = this.status === 'approved';
+  if (openReports >= REPORT_FLAG_THRESHOLD && this.status !== 'rejected') {
+    this.status = 'flagged';
+  }
+
+  await this.save();
+
+  // Flagged reviews stop counting towards ratings until moderated
+  if (wasApproved && this.status === 'flagged') {
+    await this.constructor.updateProviderRating(this.serviceProvider);
+    if (this.service) {
+      await this.constructor.updateServiceRating(this.service);
+    }
+  }
+
+  return this;
+};
+
 module.exports = mongoose.model('Review', reviewSchema);
\ No newline at end of file
@@ -179,6 +179,21 @@
       type: Boolean,
       default: false
     },
+
+    // Moderation
+    moderation: {
+      status: {
+        type: String,
+        enum: ['pending', 'approved', 'rejected'],
+        default: 'approved'
+      },
+      notes: String,
+      moderatedBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User'
+      },
+      moderatedAt: Date
+    },
     
     // SEO and Marketing
     seo: {
@@ -0,0 +1,184 @@
+// Session model - one per signed-in device, holding its current refresh token
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+
+// Rotated tokens kept per session to detect replay of an old refresh token
+const MAX_PREVIOUS_TOKENS = 20;
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+    index: true
+  },
+
+  // SHA-256 of the current refresh token; the raw token is never stored
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // Hashes of tokens this session has already rotated away from
+  previousTokenHashes: {
+    type: [String],
+    select: false
+  },
+
+  // Device information
+  userAgent: String,
+  ipAddress: String,
+  device: {
+    browser: String,
+    os: String,
+    isMobile: Boolean
+  },
+
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'user_revoked', 'reuse_detected', 'password_changed', 'account_suspended', 'account_deleted', 'admin_revoked']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+sessionSchema.index({ previousTokenHashes: 1 });
+sessionSchema.index({ user: 1, revokedAt: 1, expiresAt: 1 });
+// Expired sessions are removed by MongoDB a week after they lapse
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+// Best-effort device summary from a user agent string
+const parseUserAgent = (userAgent = '') => {
+  const browser = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ].find(([, pattern]) => pattern.test(userAgent));
+
+  const os = [
+    ['Windows', /Windows/],
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/]
+  ].find(([, pattern]) => pattern.test(userAgent));
+
+  return {
+    browser: browser ? browser[0] : 'Unknown',
+    os: os ? os[0] : 'Unknown',
+    isMobile: /Mobile|Android|iPhone|iPad/.test(userAgent)
+  };
+};
+
+// Virtual for whether the session can still be used
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Static method to open a session for a user. Returns the raw refresh token once.
+sessionSchema.statics.start = async function(userId, { userAgent, ipAddress } = {}) {
+  const refreshToken = generateRefreshToken();
+
+  const session = await this.create({
+    user: userId,
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent,
+    ipAddress,
+    device: parseUserAgent(userAgent),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  return { session, refreshToken };
+};
+
+// Static method to exchange a refresh token for a new one.
+// Returns { session, refreshToken } on success or { error } with a reason code.
+sessionSchema.statics.rotate = async function(refreshToken, { userAgent, ipAddress } = {}) {
+  const tokenHash = hashToken(refreshToken);
+  const nextToken = generateRefreshToken();
+  const now = new Date();
+
+  // Swap the token atomically so two concurrent refreshes cannot both succeed
+  const session = await this.findOneAndUpdate(
+    { refreshTokenHash: tokenHash, revokedAt: { $exists: false }, expiresAt: { $gt: now } },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextToken),
+        lastUsedAt: now,
+        ipAddress,
+        userAgent
+      },
+      $push: { previousTokenHashes: { $each: [tokenHash], $slice: -MAX_PREVIOUS_TOKENS } }
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return { session, refreshToken: nextToken };
+  }
+
+  // A token that was already rotated away means it leaked - end the whole session
+  const reused = await this.findOneAndUpdate(
+    { previousTokenHashes: tokenHash, revokedAt: { $exists: false } },
+    { $set: { revokedAt: now, revokedReason: 'reuse_detected' } },
+    { new: true }
+  );
+
+  if (reused) {
+    return { error: 'reuse_detected', session: reused };
+  }
+
+  return { error: 'invalid' };
+};
+
+// Static method to revoke all of a user's sessions, optionally keeping one
+sessionSchema.statics.revokeAllForUser = async function(userId, reason, exceptSessionId = null) {
+  const filter = { user: userId, revokedAt: { $exists: false } };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  const result = await this.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason }
+  });
+  return result.modifiedCount;
+};
+
+// Static method to list a user's usable sessions
+sessionSchema.statics.findActiveForUser = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+};
+
+// Instance method to revoke this session
+sessionSchema.methods.revoke = function(reason = 'logout') {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+sessionSchema.statics.hashToken = hashToken;
+sessionSchema.statics.parseUserAgent = parseUserAgent;
+
+module.exports = mongoose.model('Session', sessionSchema);
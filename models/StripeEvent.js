@@ -0,0 +1,88 @@
+// Stripe event model - records processed webhook events so retries are only handled once
+const mongoose = require('mongoose');
+
+// A 'processing' claim older than this is treated as abandoned (e.g. the process crashed)
+const STALE_CLAIM_MS = 5 * 60 * 1000;
+
+const stripeEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: [true, 'Event ID is required'],
+    unique: true
+  },
+  type: {
+    type: String,
+    required: [true, 'Event type is required'],
+    index: true
+  },
+  // ID of the Stripe object the event is about (payment intent, charge, dispute...)
+  objectId: String,
+  livemode: Boolean,
+
+  status: {
+    type: String,
+    enum: ['processing', 'processed', 'failed'],
+    default: 'processing',
+    index: true
+  },
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  result: mongoose.Schema.Types.Mixed,
+  error: {
+    type: String,
+    maxlength: 1000
+  },
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+stripeEventSchema.index({ createdAt: -1 });
+
+// Static method to claim an event for processing.
+// Returns null when the event has already been processed or is being processed elsewhere.
+stripeEventSchema.statics.claim = async function(event) {
+  try {
+    return await this.create({
+      eventId: event.id,
+      type: event.type,
+      objectId: event.data?.object?.id,
+      livemode: event.livemode
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  // Seen before - only retry if the previous attempt failed or was abandoned
+  return this.findOneAndUpdate(
+    {
+      eventId: event.id,
+      $or: [
+        { status: 'failed' },
+        { status: 'processing', updatedAt: { $lt: new Date(Date.now() - STALE_CLAIM_MS) } }
+      ]
+    },
+    { $set: { status: 'processing' }, $unset: { error: 1 }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+};
+
+// Instance method to mark the event as handled
+stripeEventSchema.methods.markProcessed = function(result) {
+  this.status = 'processed';
+  this.processedAt = new Date();
+  this.result = result;
+  return this.save();
+};
+
+// Instance method to release the claim so Stripe's retry can process it again
+stripeEventSchema.methods.markFailed = function(error) {
+  this.status = 'failed';
+  this.error = String(error?.message || error).substring(0, 1000);
+  return this.save();
+};
+
+module.exports = mongoose.model('StripeEvent', stripeEventSchema);
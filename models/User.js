@@ -373,6 +373,11 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const { STAFF_ROLES, getUserPermissions } = require('../config/permissions');
+
+// How many granted credit transactions each user remembers; a transaction left part-way
+// is retried (or cancelled by the cleanup job) long before this many newer ones come in
+const CREDIT_GRANT_HISTORY = 50;
 
 const userSchema = new mongoose.Schema({
   firstName: {
@@ -394,12 +399,32 @@ const userSchema = new mongoose.Schema({
     lowercase: true,
     match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
   },
+  // Optional for accounts created through social sign-in or passwordless customer sign-up;
+  // the registration routes require it where needed
   password: {
     type: String,
-    required: [true, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters'],
     select: false
   },
+
+  // External identities (Google, Facebook, Apple, OIDC) that can sign in to this account
+  oauthAccounts: [{
+    _id: false,
+    provider: {
+      type: String,
+      required: true
+    },
+    providerId: {
+      type: String,
+      required: true
+    },
+    email: String,
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    },
+    lastUsedAt: Date
+  }],
   phone: {
     type: String,
     match: [/^\+?[\d\s-]{10,}$/, 'Please enter a valid phone number']
@@ -409,6 +434,20 @@ const userSchema = new mongoose.Schema({
     enum: ['customer', 'service_provider', 'both'],
     default: 'service_provider'
   },
+  // Legacy single role, kept in step with roles (admin when roles includes 'admin')
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
+  // Back-office staff roles - see config/permissions.js for what each one grants
+  roles: {
+    type: [{
+      type: String,
+      enum: STAFF_ROLES
+    }],
+    default: []
+  },
 
   // Business Information
   businessName: {
@@ -570,6 +609,12 @@ const userSchema = new mongoose.Schema({
     min: 0,
     index: true
   },
+  // Recent credit transactions (purchases, refunds) whose credits were granted, written
+  // with the credits themselves so a retry can tell it already happened (applyCreditGrant)
+  creditGrants: {
+    type: [mongoose.Schema.Types.ObjectId],
+    select: false
+  },
   
   stripeCustomerId: {
     type: String,
@@ -580,6 +625,24 @@ const userSchema = new mongoose.Schema({
   defaultPaymentMethodId: {
     type: String
   },
+
+  // Stripe Connect account that job payments are paid out to (service providers)
+  stripeConnect: {
+    accountId: String,
+    detailsSubmitted: {
+      type: Boolean,
+      default: false
+    },
+    chargesEnabled: {
+      type: Boolean,
+      default: false
+    },
+    payoutsEnabled: {
+      type: Boolean,
+      default: false
+    },
+    onboardedAt: Date
+  },
   
   // Financial Information
   earnings: {
@@ -640,6 +703,26 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  suspension: {
+    reason: String,
+    suspendedAt: Date,
+    suspendedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    }
+  },
+  deactivatedAt: Date,
+  deactivationReason: {
+    type: String,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  // Right to erasure - personal data is anonymised once scheduledFor passes (see utils/dataPrivacy.js)
+  erasure: {
+    requestedAt: Date,
+    scheduledFor: Date,
+    cancelledAt: Date,
+    completedAt: Date
+  },
   isOnline: {
     type: Boolean,
     default: false
@@ -658,6 +741,7 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  phoneVerifiedAt: Date,
   idVerified: {
     type: Boolean,
     default: false
@@ -672,7 +756,136 @@ const userSchema = new mongoose.Schema({
   emailVerificationExpire: Date,
   resetPasswordToken: String,
   resetPasswordExpire: Date,
-  
+
+  // Two-factor authentication - secrets and codes are never selected by default
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    method: {
+      type: String,
+      enum: ['totp', 'email']
+    },
+    enabledAt: Date,
+    // TOTP secrets are stored encrypted
+    totpSecret: {
+      type: String,
+      select: false
+    },
+    pendingTotpSecret: {
+      type: String,
+      select: false
+    },
+    // Last accepted TOTP time step, so a code cannot be replayed
+    lastTotpStep: {
+      type: Number,
+      select: false
+    },
+    backupCodes: {
+      type: [{
+        codeHash: String,
+        usedAt: Date
+      }],
+      select: false
+    },
+    emailOtp: {
+      codeHash: {
+        type: String,
+        select: false
+      },
+      expiresAt: {
+        type: Date,
+        select: false
+      }
+    },
+    failedAttempts: {
+      type: Number,
+      default: 0,
+      select: false
+    },
+    lockedUntil: {
+      type: Date,
+      select: false
+    }
+  },
+
+  // Pending phone verification code (hashed) and send throttling
+  phoneVerification: {
+    phone: {
+      type: String,
+      select: false
+    },
+    codeHash: {
+      type: String,
+      select: false
+    },
+    expiresAt: {
+      type: Date,
+      select: false
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+      select: false
+    },
+    lastSentAt: {
+      type: Date,
+      select: false
+    },
+    sendCount: {
+      type: Number,
+      default: 0,
+      select: false
+    },
+    sendWindowStart: {
+      type: Date,
+      select: false
+    }
+  },
+
+  // Failed password attempts and lockout state, plus devices that have signed in before
+  loginSecurity: {
+    failedAttempts: {
+      type: Number,
+      default: 0,
+      select: false
+    },
+    lastFailedAt: {
+      type: Date,
+      select: false
+    },
+    lockedUntil: {
+      type: Date,
+      select: false
+    },
+    lockoutCount: {
+      type: Number,
+      default: 0,
+      select: false
+    },
+    lastResetRequestAt: {
+      type: Date,
+      select: false
+    },
+    resetRequestCount: {
+      type: Number,
+      default: 0,
+      select: false
+    },
+    knownDevices: {
+      type: [{
+        fingerprint: String,
+        browser: String,
+        os: String,
+        ipAddress: String,
+        firstSeenAt: Date,
+        lastSeenAt: Date
+      }],
+      select: false
+    }
+  },
+
   // Preferences with Stripe Integration
   preferences: {
     notifications: {
@@ -720,9 +933,11 @@ const userSchema = new mongoose.Schema({
         type: Number,
         default: 10 // Auto top-up when credits fall below this
       },
+      // Slug of a CreditPackage
       packageType: {
         type: String,
-        enum: ['starter', 'professional', 'business'],
+        lowercase: true,
+        trim: true,
         default: 'starter'
       },
       paymentMethodId: String
@@ -774,7 +989,15 @@ userSchema.index({ categories: 1 });
 userSchema.index({ 'rating.average': -1 });
 userSchema.index({ isActive: 1, isVerified: 1 });
 userSchema.index({ credits: 1 });
+userSchema.index({ roles: 1 });
+userSchema.index({ 'erasure.scheduledFor': 1 }, { sparse: true });
 userSchema.index({ stripeCustomerId: 1 }, { sparse: true, unique: true });
+userSchema.index({ 'stripeConnect.accountId': 1 }, { sparse: true });
+userSchema.index({ phone: 1 }, { unique: true, partialFilterExpression: { phoneVerified: true } });
+userSchema.index(
+  { 'oauthAccounts.provider': 1, 'oauthAccounts.providerId': 1 },
+  { unique: true, partialFilterExpression: { 'oauthAccounts.providerId': { $exists: true } } }
+);
 
 // Virtual for full name
 userSchema.virtual('fullName').get(function() {
@@ -803,9 +1026,18 @@ userSchema.virtual('hasLowCredits').get(function() {
   return this.credits < threshold;
 });
 
+// A changed phone number has to be verified again
+userSchema.pre('save', function(next) {
+  if (!this.isNew && this.isModified('phone') && !this.isModified('phoneVerified')) {
+    this.phoneVerified = false;
+    this.phoneVerifiedAt = undefined;
+  }
+  next();
+});
+
 // Encrypt password before saving
 userSchema.pre('save', async function(next) {
-  if (!this.isModified('password')) return next();
+  if (!this.isModified('password') || !this.password) return next();
   
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
@@ -814,18 +1046,29 @@ userSchema.pre('save', async function(next) {
 
 // Compare password
 userSchema.methods.matchPassword = async function(enteredPassword) {
+  // Accounts created without a password cannot sign in with one until they set it
+  if (!this.password || !enteredPassword) return false;
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
 // Generate JWT token
-userSchema.methods.generateToken = function() {
+// Access tokens carry the session ID (sid) so a revoked session stops them working
+userSchema.methods.generateToken = function(sessionId) {
+  if (!sessionId) {
+    throw new Error('An access token needs a session');
+  }
   return jwt.sign(
-    { id: this._id, userType: this.userType },
+    { id: this._id, userType: this.userType, sid: sessionId.toString() },
     process.env.JWT_SECRET,
     { expiresIn: process.env.JWT_EXPIRE }
   );
 };
 
+// Check a back-office permission granted by the user's roles
+userSchema.methods.hasPermission = function(permission) {
+  return getUserPermissions(this).includes(permission);
+};
+
 // Calculate distance to another user
 userSchema.methods.calculateDistance = function(targetLocation) {
   const earthRadius = 6371; // Earth's radius in kilometers
@@ -853,32 +1096,69 @@ userSchema.methods.canAffordLead = function(leadCost) {
   return this.credits >= leadCost;
 };
 
-// Deduct credits for lead contact
-userSchema.methods.spendCredits = async function(amount, leadId, reason = 'Lead contact') {
-  if (this.credits < amount) {
+// Deduct credits for lead contact - atomic, ledger-backed and idempotent per lead
+// Called on the wallet owner; performedBy and business record which team member spent it
+userSchema.methods.spendCredits = async function(amount, leadId, reason = 'Lead contact', { performedBy, business } = {}) {
+  const User = this.constructor;
+  const CreditTransaction = mongoose.model('CreditTransaction');
+
+  // One spend per wallet per lead, so a team pays for a lead once
+  const idempotencyKey = leadId ? `spend:${this._id}:${leadId}` : undefined;
+
+  if (idempotencyKey) {
+    const existing = await CreditTransaction.findOne({ idempotencyKey });
+    if (existing) {
+      return { transaction: existing, balance: this.credits, duplicate: true };
+    }
+  }
+
+  // Conditional debit so concurrent spends can never take the balance below zero
+  const updated = await User.findOneAndUpdate(
+    { _id: this._id, credits: { $gte: amount } },
+    { $inc: { credits: -amount, 'stats.creditsSpent': amount } },
+    { new: true, projection: { credits: 1, 'stats.creditsSpent': 1 } }
+  );
+
+  if (!updated) {
     throw new Error('Insufficient credits');
   }
-  
-  this.credits -= amount;
-  this.stats.creditsSpent = (this.stats.creditsSpent || 0) + amount;
-  
-  // Create transaction record
-  const CreditTransaction = mongoose.model('CreditTransaction');
-  await CreditTransaction.create({
-    user: this._id,
-    type: 'spend',
-    amount: -amount,
-    leadId,
-    status: 'completed',
-    balanceAfter: this.credits,
-    metadata: {
-      reason,
-      purpose: 'lead_contact'
+
+  let transaction;
+  try {
+    transaction = await CreditTransaction.create({
+      user: this._id,
+      type: 'spend',
+      amount: -amount,
+      leadId,
+      idempotencyKey,
+      business: business || undefined,
+      performedBy: performedBy || this._id,
+      status: 'completed',
+      completedAt: new Date(),
+      balanceAfter: updated.credits,
+      metadata: {
+        reason,
+        purpose: 'lead_contact'
+      }
+    });
+  } catch (error) {
+    // Undo the debit; a duplicate key means a concurrent spend for this lead won
+    await User.updateOne(
+      { _id: this._id },
+      { $inc: { credits: amount, 'stats.creditsSpent': -amount } }
+    );
+
+    if (error.code === 11000 && idempotencyKey) {
+      const existing = await CreditTransaction.findOne({ idempotencyKey });
+      return { transaction: existing, balance: this.credits, duplicate: true };
     }
-  });
-  
-  await this.save();
-  return this.credits;
+    throw error;
+  }
+
+  this.credits = updated.credits;
+  this.stats.creditsSpent = updated.stats.creditsSpent;
+
+  return { transaction, balance: updated.credits, duplicate: false };
 };
 
 // Add credits to user account
@@ -897,6 +1177,7 @@ userSchema.methods.addCredits = async function(amount, transactionData = {}) {
     stripePaymentIntentId: transactionData.stripePaymentIntentId,
     stripePaymentMethodId: transactionData.stripePaymentMethodId,
     packageType: transactionData.packageType,
+    creditPackage: transactionData.creditPackage,
     status: 'completed',
     balanceAfter: this.credits,
     metadata: transactionData.metadata || {}
@@ -914,6 +1195,23 @@ userSchema.methods.shouldAutoTopUp = function() {
          this.credits <= (autoTopUp.threshold || 10);
 };
 
+// Static method to apply a credit transaction's balance update at most once. The
+// transaction is recorded in creditGrants in the same write; returns null when it
+// was already applied, options.filter does not match, or there is no such user.
+userSchema.statics.applyCreditGrant = function(userId, transactionId, update, options = {}) {
+  const { filter = {}, ...queryOptions } = options;
+  return this.findOneAndUpdate(
+    { ...filter, _id: userId, creditGrants: { $ne: transactionId } },
+    { ...update, $push: { creditGrants: { $each: [transactionId], $slice: -CREDIT_GRANT_HISTORY } } },
+    { new: true, ...queryOptions }
+  );
+};
+
+// Static method to check whether a credit transaction was applied by applyCreditGrant
+userSchema.statics.hasCreditGrant = async function(userId, transactionId) {
+  return !!(await this.exists({ _id: userId, creditGrants: transactionId }));
+};
+
 // Static method to find users with low credits who have auto top-up enabled
 userSchema.statics.findUsersNeedingAutoTopUp = function() {
   return this.find({
@@ -0,0 +1,165 @@
+// Verification request model - a provider's documents for one requirement
+// (identity, background check, licence, insurance or certification), reviewed by staff
+const mongoose = require('mongoose');
+
+const VERIFICATION_TYPES = ['identity', 'background_check', 'license', 'insurance', 'certification'];
+
+// Public badge shown for each approved, unexpired verification type
+const BADGES = {
+  identity: 'id_verified',
+  background_check: 'background_checked',
+  license: 'licensed',
+  insurance: 'insured',
+  certification: 'certified'
+};
+
+// Days before expiry that reminders are sent, largest first
+const REMINDER_DAYS = [30, 7, 1];
+
+const documentSchema = new mongoose.Schema({
+  // Stored on the server and only served to the provider and reviewers
+  path: {
+    type: String,
+    required: true,
+    select: false
+  },
+  originalName: String,
+  mimeType: String,
+  size: Number,
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const verificationRequestSchema = new mongoose.Schema({
+  // Relationships
+  provider: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Provider is required'],
+    index: true
+  },
+  type: {
+    type: String,
+    enum: VERIFICATION_TYPES,
+    required: [true, 'Verification type is required']
+  },
+  // Licences and insurance can be for one category or service
+  category: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Category'
+  },
+  service: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Service'
+  },
+
+  // What the provider is claiming
+  details: {
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    number: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Number cannot exceed 100 characters']
+    },
+    issuer: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Issuer cannot exceed 100 characters']
+    },
+    issueDate: Date,
+    expiryDate: Date,
+    coverage: {
+      type: Number,
+      min: 0
+    }
+  },
+  documents: {
+    type: [documentSchema],
+    validate: {
+      validator: (documents) => documents.length > 0,
+      message: 'At least one document is required'
+    }
+  },
+  providerNotes: {
+    type: String,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters'],
+    trim: true
+  },
+
+  // Review
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'expired', 'withdrawn'],
+    default: 'pending',
+    index: true
+  },
+  reviewedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  // Shown to the provider
+  reviewNotes: {
+    type: String,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters']
+  },
+  // Set by the reviewer on approval (defaults to the document's expiry date)
+  expiresAt: Date,
+
+  // Expiry reminders already sent, as days before expiry
+  remindersSent: [Number],
+  expiredAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+verificationRequestSchema.index({ provider: 1, type: 1, status: 1 });
+verificationRequestSchema.index({ status: 1, createdAt: 1 });
+verificationRequestSchema.index({ status: 1, expiresAt: 1 });
+
+// Virtual for whether an approval is still in force
+verificationRequestSchema.virtual('isCurrent').get(function() {
+  return this.status === 'approved' && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+// Static method to find a provider's approved, unexpired verifications
+verificationRequestSchema.statics.findCurrent = function(providerId, filter = {}) {
+  return this.find({
+    provider: providerId,
+    status: 'approved',
+    $or: [{ expiresAt: { $exists: false } }, { expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+    ...filter
+  });
+};
+
+// Static method to get the public badges for a provider
+verificationRequestSchema.statics.getBadges = async function(providerId) {
+  const current = await this.findCurrent(providerId).select('type category expiresAt').lean();
+
+  const badges = new Map();
+  current.forEach(verification => {
+    const badge = BADGES[verification.type];
+    const existing = badges.get(badge);
+    if (!existing) {
+      badges.set(badge, { badge, type: verification.type, categories: [], expiresAt: verification.expiresAt || null });
+    }
+    if (verification.category) {
+      badges.get(badge).categories.push(verification.category);
+    }
+  });
+
+  return [...badges.values()];
+};
+
+verificationRequestSchema.statics.VERIFICATION_TYPES = VERIFICATION_TYPES;
+verificationRequestSchema.statics.BADGES = BADGES;
+verificationRequestSchema.statics.REMINDER_DAYS = REMINDER_DAYS;
+
+module.exports = mongoose.model('VerificationRequest', verificationRequestSchema);
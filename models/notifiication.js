@@ -19,16 +19,19 @@ const notificationSchema = new mongoose.Schema({
       'quote_rejected',
       'request_cancelled',
       'project_started',
+      'project_update',
       'project_completed',
       'payment_received',
       'payment_pending',
       'review_received',
       'message_received',
+      'dispute_resolved',
       'profile_verified',
       'service_approved',
       'service_rejected',
       'reminder',
       'system_update',
+      'team_update',
       'promotion',
       'welcome'
     ]
@@ -52,6 +55,11 @@ const notificationSchema = new mongoose.Schema({
     default: false
   },
   readAt: Date,
+  isArchived: {
+    type: Boolean,
+    default: false
+  },
+  archivedAt: Date,
   
   // Priority
   priority: {
@@ -157,6 +165,7 @@ const notificationSchema = new mongoose.Schema({
 // Indexes
 notificationSchema.index({ user: 1, createdAt: -1 });
 notificationSchema.index({ user: 1, isRead: 1 });
+notificationSchema.index({ user: 1, isArchived: 1, createdAt: -1, _id: -1 });
 notificationSchema.index({ type: 1 });
 notificationSchema.index({ scheduledFor: 1 });
 notificationSchema.index({ expiresAt: 1 });
@@ -214,7 +223,7 @@ notificationSchema.statics.createNotification = async function(notificationData)
     await notification.save();
     
     // Emit socket event if user is online
-    const io = require('../server').get('socketio');
+    const io = require('../utils/socketHandlers').getIo();
     if (io) {
       io.to(`user_${notification.user}`).emit('notification', {
         id: notification._id,
@@ -226,6 +235,11 @@ notificationSchema.statics.createNotification = async function(notificationData)
         createdAt: notification.createdAt
       });
     }
+
+    // SMS failures are recorded on the notification rather than thrown
+    if (notification.channels.sms) {
+      await notification.sendSms();
+    }
     
     return notification;
   } catch (error) {
@@ -277,16 +291,61 @@ notificationSchema.statics.markAllAsRead = async function(userId) {
   }
 };
 
+// Static method to mark as unread
+notificationSchema.statics.markAsUnread = async function(userId, notificationIds) {
+  return this.updateMany(
+    {
+      user: userId,
+      _id: { $in: notificationIds },
+      isRead: true
+    },
+    {
+      $set: { isRead: false },
+      $unset: { readAt: 1 }
+    }
+  );
+};
+
+// Static method to archive or unarchive notifications
+notificationSchema.statics.setArchived = async function(userId, notificationIds, archived = true) {
+  return this.updateMany(
+    {
+      user: userId,
+      _id: { $in: notificationIds }
+    },
+    archived
+      ? { $set: { isArchived: true, archivedAt: new Date() } }
+      : { $set: { isArchived: false }, $unset: { archivedAt: 1 } }
+  );
+};
+
+// Static method to build the query for notifications currently visible to a user
+// (already scheduled, not yet expired and, unless requested, not archived)
+notificationSchema.statics.buildVisibleQuery = function(userId, options = {}) {
+  const now = new Date();
+  const query = {
+    user: userId,
+    $and: [
+      { $or: [{ expiresAt: { $gt: now } }, { expiresAt: null }] },
+      { $or: [{ scheduledFor: { $lte: now } }, { scheduledFor: null }] }
+    ]
+  };
+
+  if (options.archived === true) {
+    query.isArchived = true;
+  } else if (options.archived !== 'any') {
+    query.isArchived = { $ne: true };
+  }
+
+  return query;
+};
+
 // Static method to get unread count
 notificationSchema.statics.getUnreadCount = async function(userId) {
   try {
     const count = await this.countDocuments({
-      user: userId,
-      isRead: false,
-      $or: [
-        { expiresAt: { $gt: new Date() } },
-        { expiresAt: null }
-      ]
+      ...this.buildVisibleQuery(userId),
+      isRead: false
     });
     
     return count;
@@ -296,6 +355,31 @@ notificationSchema.statics.getUnreadCount = async function(userId) {
   }
 };
 
+// Static method to get unread counts grouped by type and priority
+notificationSchema.statics.getUnreadSummary = async function(userId) {
+  const query = {
+    ...this.buildVisibleQuery(new mongoose.Types.ObjectId(userId)),
+    isRead: false
+  };
+
+  const [byType, byPriority] = await Promise.all([
+    this.aggregate([
+      { $match: query },
+      { $group: { _id: '$type', count: { $sum: 1 } } }
+    ]),
+    this.aggregate([
+      { $match: query },
+      { $group: { _id: '$priority', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  return {
+    total: byType.reduce((sum, item) => sum + item.count, 0),
+    byType: byType.reduce((acc, item) => ({ ...acc, [item._id]: item.count }), {}),
+    byPriority: byPriority.reduce((acc, item) => ({ ...acc, [item._id]: item.count }), {})
+  };
+};
+
 // Static method to clean expired notifications
 notificationSchema.statics.cleanExpired = async function() {
   try {
@@ -322,13 +406,7 @@ notificationSchema.statics.getNotifications = async function(userId, options = {
       unreadOnly = false
     } = options;
 
-    let query = {
-      user: userId,
-      $or: [
-        { expiresAt: { $gt: new Date() } },
-        { expiresAt: null }
-      ]
-    };
+    let query = this.buildVisibleQuery(userId);
 
     if (type) query.type = type;
     if (priority) query.priority = priority;
@@ -359,6 +437,72 @@ notificationSchema.statics.getNotifications = async function(userId, options = {
   }
 };
 
+// Cursor helpers - a cursor encodes the createdAt/_id of the last item returned
+notificationSchema.statics.encodeCursor = function(notification) {
+  return Buffer
+    .from(`${new Date(notification.createdAt).getTime()}:${notification._id}`)
+    .toString('base64url');
+};
+
+notificationSchema.statics.decodeCursor = function(cursor) {
+  try {
+    const [time, id] = Buffer.from(cursor, 'base64url').toString('utf8').split(':');
+    const createdAt = new Date(Number(time));
+    if (isNaN(createdAt.getTime()) || !mongoose.Types.ObjectId.isValid(id)) return null;
+    return { createdAt, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Static method to get notifications with cursor pagination (newest first)
+notificationSchema.statics.getNotificationFeed = async function(userId, options = {}) {
+  const {
+    cursor,
+    limit = 20,
+    type,
+    priority,
+    unreadOnly = false,
+    archived = false
+  } = options;
+
+  const query = this.buildVisibleQuery(userId, { archived });
+
+  if (type) query.type = type;
+  if (priority) query.priority = priority;
+  if (unreadOnly) query.isRead = false;
+
+  if (cursor) {
+    const position = this.decodeCursor(cursor);
+    if (!position) {
+      throw new Error('Invalid cursor');
+    }
+    query.$and.push({
+      $or: [
+        { createdAt: { $lt: position.createdAt } },
+        { createdAt: position.createdAt, _id: { $lt: position.id } }
+      ]
+    });
+  }
+
+  const pageSize = parseInt(limit);
+  const results = await this.find(query)
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(pageSize + 1);
+
+  const hasMore = results.length > pageSize;
+  const notifications = hasMore ? results.slice(0, pageSize) : results;
+
+  return {
+    notifications,
+    pagination: {
+      limit: pageSize,
+      hasMore,
+      nextCursor: hasMore ? this.encodeCursor(notifications[notifications.length - 1]) : null
+    }
+  };
+};
+
 // Instance method to mark as read
 notificationSchema.methods.markAsRead = function() {
   if (!this.isRead) {
@@ -431,6 +575,41 @@ notificationSchema.methods.sendPush = async function() {
   }
 };
 
+// Instance method to send via SMS (verified phone numbers only)
+notificationSchema.methods.sendSms = async function() {
+  try {
+    const user = await mongoose.model('User').findById(this.user);
+    if (!user || !user.preferences.notifications.sms) {
+      return { success: false, reason: 'SMS notifications disabled' };
+    }
+
+    if (!user.phone || !user.phoneVerified) {
+      return { success: false, reason: 'Phone number not verified' };
+    }
+
+    const { sendSms } = require('../utils/sms');
+
+    // Keep within a single SMS segment where possible
+    const text = `${this.title}: ${this.message}`;
+    await sendSms({
+      to: user.phone,
+      body: text.length > 160 ? `${text.substring(0, 157)}...` : text
+    });
+
+    this.deliveryStatus.sms.status = 'sent';
+    this.deliveryStatus.sms.sentAt = new Date();
+    await this.save();
+
+    return { success: true };
+  } catch (error) {
+    this.deliveryStatus.sms.status = 'failed';
+    this.deliveryStatus.sms.error = error.message;
+    await this.save();
+    
+    return { success: false, error: error.message };
+  }
+};
+
 // Static method for bulk notifications
 notificationSchema.statics.sendBulkNotifications = async function(notifications) {
   try {
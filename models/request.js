@@ -89,6 +89,9 @@
 
 const mongoose = require('mongoose');
 
+// Providers who can contact a lead when the customer has not chosen a number
+const DEFAULT_MAX_PROVIDERS = 5;
+
 const requestSchema = new mongoose.Schema({
   // Customer who made the request
   customer: {
@@ -103,6 +106,124 @@ const requestSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  selectedQuote: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  
+  // Work on the job once a provider is selected
+  project: {
+    startDate: Date,
+    expectedEndDate: Date,
+    actualEndDate: Date,
+    // Overall progress (0-100) from the provider's latest update
+    progress: {
+      type: Number,
+      min: 0,
+      max: 100
+    },
+    // Stages of the job, proposed by the provider and signed off by the customer
+    milestones: [{
+      title: {
+        type: String,
+        required: [true, 'Milestone title is required'],
+        trim: true,
+        maxlength: [200, 'Milestone title cannot exceed 200 characters']
+      },
+      description: {
+        type: String,
+        maxlength: [1000, 'Milestone description cannot exceed 1000 characters']
+      },
+      amount: {
+        type: Number,
+        min: 0
+      },
+      dueDate: Date,
+      status: {
+        type: String,
+        enum: ['pending', 'in_progress', 'submitted', 'changes_requested', 'approved'],
+        default: 'pending'
+      },
+      startedAt: Date,
+      submittedAt: Date,
+      approvedAt: Date,
+      // Customer's reason when asking for changes
+      feedback: {
+        type: String,
+        maxlength: [1000, 'Feedback cannot exceed 1000 characters']
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    // Progress updates posted by the provider
+    updates: [{
+      author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      message: {
+        type: String,
+        required: [true, 'Update message is required'],
+        maxlength: [2000, 'Update message cannot exceed 2000 characters']
+      },
+      progress: {
+        type: Number,
+        min: 0,
+        max: 100
+      },
+      milestone: mongoose.Schema.Types.ObjectId,
+      photos: [{
+        url: {
+          type: String,
+          required: true
+        },
+        filename: String,
+        size: Number,
+        mimeType: String
+      }],
+      createdAt: {
+        type: Date,
+        default: Date.now
+      }
+    }]
+  },
+  
+  // Agreed price, taken from the accepted quote
+  payment: {
+    totalAmount: Number,
+    currency: String,
+    method: {
+      type: String,
+      enum: ['card', 'cash', 'bank_transfer'],
+      default: 'card'
+    },
+    schedule: {
+      type: String,
+      enum: ['upfront', 'on_completion', 'milestones'],
+      default: 'on_completion'
+    },
+    // Card payments are held by the platform and released to the provider's
+    // Stripe Connect account on completion or per milestone (utils/jobPayments.js)
+    status: {
+      type: String,
+      enum: ['unpaid', 'awaiting_payment', 'held', 'partially_released', 'released', 'refunded'],
+      default: 'unpaid'
+    },
+    stripePaymentIntentId: String,
+    stripeChargeId: String,
+    amountHeld: {
+      type: Number,
+      default: 0
+    },
+    amountReleased: {
+      type: Number,
+      default: 0
+    },
+    heldAt: Date,
+    releasedAt: Date
+  },
   
   // Category and service type
   category: {
@@ -201,6 +322,32 @@ const requestSchema = new mongoose.Schema({
     index: true
   },
   
+  // Every status change, recorded by utils/requestStateMachine.js
+  statusHistory: [{
+    from: String,
+    to: {
+      type: String,
+      required: true
+    },
+    event: String,
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    actorRole: {
+      type: String,
+      enum: ['customer', 'provider', 'admin', 'system']
+    },
+    reason: {
+      type: String,
+      maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  
   // Expiration
   expiresAt: {
     type: Date,
@@ -210,6 +357,20 @@ const requestSchema = new mongoose.Schema({
     },
     index: true
   },
+  // Expiry reminders, extensions and the one-off re-publish (see utils/requestExpiry.js)
+  expiry: {
+    remindedAt: Date,
+    extensions: {
+      type: Number,
+      default: 0
+    },
+    lastExtendedAt: Date,
+    republishedAt: Date,
+    republishCount: {
+      type: Number,
+      default: 0
+    }
+  },
   
   // Quotes from providers
   quotes: [{
@@ -218,6 +379,11 @@ const requestSchema = new mongoose.Schema({
       ref: 'User',
       required: true
     },
+    // Team the provider responded for, when they belong to one
+    business: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Business'
+    },
     message: {
       type: String,
       maxlength: [1000, 'Quote message cannot exceed 1000 characters']
@@ -226,15 +392,52 @@ const requestSchema = new mongoose.Schema({
     details: String,
     contactPhone: String,
     contactEmail: String,
+    // Priced quote, submitted through POST /api/requests/:id/quotes
+    pricing: {
+      amount: {
+        type: Number,
+        min: 0
+      },
+      // Defaults to the request's budget currency
+      currency: String,
+      type: {
+        type: String,
+        enum: ['hourly', 'fixed', 'per_project']
+      }
+    },
+    timeline: {
+      startDate: Date,
+      duration: Number, // in days
+      completionDate: Date
+    },
+    revisions: [{
+      message: String,
+      pricing: mongoose.Schema.Types.Mixed,
+      timeline: mongoose.Schema.Types.Mixed,
+      revisedAt: Date
+    }],
     submittedAt: {
       type: Date,
       default: Date.now
     },
     contactedAt: Date,
+    expiresAt: Date,
     status: {
       type: String,
-      enum: ['pending', 'viewed', 'accepted', 'rejected'],
+      enum: ['pending', 'viewed', 'accepted', 'rejected', 'withdrawn', 'expired'],
       default: 'pending'
+    },
+    // Customer's handling of the quote
+    viewedAt: Date,
+    shortlisted: {
+      type: Boolean,
+      default: false
+    },
+    shortlistedAt: Date,
+    rejectedAt: Date,
+    rejectionReason: {
+      type: String,
+      maxlength: [500, 'Reason cannot exceed 500 characters']
     }
   }],
   
@@ -293,7 +496,7 @@ const requestSchema = new mongoose.Schema({
   leadSettings: {
     maxProviders: {
       type: Number,
-      default: 5,
+      default: DEFAULT_MAX_PROVIDERS,
       min: 1,
       max: 10
     },
@@ -304,12 +507,23 @@ const requestSchema = new mongoose.Schema({
     allowDirectContact: {
       type: Boolean,
       default: true
-    },
-    creditCost: {
-      type: Number,
-      default: 5
     }
-  }
+  },
+  
+  // Providers waiting for a contact slot once maxProviders is reached
+  waitlist: [{
+    provider: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    },
+    // Set when a slot opens and the provider is told about it
+    notifiedAt: Date
+  }]
 });
 
 // Middleware to set location from customer
@@ -345,10 +559,24 @@ requestSchema.pre('save', async function(next) {
   next();
 });
 
+// Record the status a request is created in
+requestSchema.pre('save', function(next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      to: this.status,
+      event: 'create',
+      actor: this.customer,
+      actorRole: 'customer'
+    });
+  }
+  next();
+});
+
 // Add indexes for efficient lead matching
 requestSchema.index({ 'location.coordinates': '2dsphere' });
 requestSchema.index({ category: 1, status: 1, 'location.coordinates': '2dsphere' });
 requestSchema.index({ customer: 1, status: 1, createdAt: -1 });
+requestSchema.index({ 'quotes.business': 1 }, { sparse: true });
 
 // Add method to check if request can receive quotes
 requestSchema.methods.isActive = function() {
@@ -358,6 +586,32 @@ requestSchema.methods.isActive = function() {
          this.expiresAt > new Date();
 };
 
+// Contact slots in use and left under leadSettings.maxProviders (works on lean documents)
+requestSchema.statics.getContactSlots = function(request) {
+  const max = request.leadSettings?.maxProviders || DEFAULT_MAX_PROVIDERS;
+  const used = request.analytics?.contactedProviders?.length || 0;
+  return { max, used, remaining: Math.max(max - used, 0) };
+};
+
+requestSchema.methods.getContactSlots = function() {
+  return this.constructor.getContactSlots(this);
+};
+
+// Query condition matching requests with a contact slot left
+requestSchema.statics.hasOpenSlotCondition = function() {
+  return {
+    $lt: [
+      { $size: { $ifNull: ['$analytics.contactedProviders', []] } },
+      { $ifNull: ['$leadSettings.maxProviders', DEFAULT_MAX_PROVIDERS] }
+    ]
+  };
+};
+
+// Quotes the customer can still accept
+requestSchema.methods.isQuoteOpen = function(quote) {
+  return ['pending', 'viewed'].includes(quote.status);
+};
+
 // Add virtual for lead generation count
 requestSchema.virtual('totalLeads').get(function() {
   return this.analytics?.leadsGenerated || 0;
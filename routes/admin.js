@@ -0,0 +1,925 @@
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+
+const User = require('../models/User');
+const Service = require('../models/Service');
+const Review = require('../models/Review');
+const CreditTransaction = require('../models/CreditTransaction');
+const AuditLog = require('../models/AuditLog');
+const Session = require('../models/Session');
+const Notification = require('../models/notifiication');
+const { protect, requireStaff, authorize } = require('../middleware/auth');
+const { unlockAccount } = require('../utils/loginProtection');
+const { ROLE_PERMISSIONS, STAFF_ROLES, getUserRoles } = require('../config/permissions');
+const logger = require('../utils/loggerutility');
+
+const router = express.Router();
+
+// Every route in this router is staff-only; each route then checks its own permission
+router.use(protect, requireStaff);
+
+const VERIFICATION_FIELDS = ['isVerified', 'idVerified', 'backgroundCheckVerified'];
+
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const notify = async (data) => {
+  try {
+    await Notification.createNotification(data);
+  } catch (error) {
+    logger.error('Admin notification error:', error);
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Users
+// ---------------------------------------------------------------------------
+
+// @desc    List and search users
+// @route   GET /api/admin/users
+// @access  Private (users:read)
+router.get('/users', authorize('users:read'), [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('search').optional().trim().isLength({ max: 100 }),
+  query('userType').optional().isIn(['customer', 'service_provider', 'both']),
+  query('role').optional().isIn(['user', ...STAFF_ROLES]),
+  query('status').optional().isIn(['active', 'suspended', 'inactive']),
+  query('verified').optional().isBoolean()
+], handleValidation, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, search, userType, role, status, verified } = req.query;
+
+    const filter = {};
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      filter.$or = [
+        { firstName: pattern },
+        { lastName: pattern },
+        { email: pattern },
+        { businessName: pattern },
+        { phone: pattern }
+      ];
+    }
+    if (userType) filter.userType = userType;
+    if (role === 'user') {
+      filter.roles = { $in: [[], null] };
+      filter.role = { $ne: 'admin' };
+    } else if (role === 'admin') {
+      filter.$and = [{ $or: [{ roles: 'admin' }, { role: 'admin' }] }];
+    } else if (role) {
+      filter.roles = role;
+    }
+    if (verified !== undefined) filter.isVerified = verified === 'true';
+    if (status === 'active') filter.isActive = true;
+    if (status === 'suspended') filter['suspension.suspendedAt'] = { $exists: true };
+    if (status === 'inactive') filter.isActive = false;
+
+    const skip = (page - 1) * limit;
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .select('firstName lastName email phone businessName userType role roles isActive isVerified idVerified backgroundCheckVerified emailVerified credits suspension createdAt lastSeen')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      User.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        users,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Admin list users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get users',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Get a user with their credit summary
+// @route   GET /api/admin/users/:id
+// @access  Private (users:read)
+router.get('/users/:id', authorize('users:read'), [
+  param('id').isMongoId().withMessage('Invalid user ID')
+], handleValidation, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id)
+      .select('-password -emailVerificationToken -resetPasswordToken +loginSecurity.failedAttempts +loginSecurity.lastFailedAt +loginSecurity.lockedUntil +loginSecurity.lockoutCount')
+      .populate('suspension.suspendedBy', 'firstName lastName email');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const [recentTransactions, recentAudit] = await Promise.all([
+      CreditTransaction.find({ user: user._id }).sort({ createdAt: -1 }).limit(20),
+      AuditLog.find({ targetType: 'User', targetId: user._id })
+        .populate('actor', 'firstName lastName email')
+        .sort({ createdAt: -1 })
+        .limit(20)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        user,
+        recentTransactions,
+        recentAudit
+      }
+    });
+
+  } catch (error) {
+    logger.error('Admin get user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get user',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Suspend a user
+// @route   PATCH /api/admin/users/:id/suspend
+// @access  Private (users:suspend)
+router.patch('/users/:id/suspend', authorize('users:suspend'), [
+  param('id').isMongoId().withMessage('Invalid user ID'),
+  body('reason').trim().isLength({ min: 3, max: 500 }).withMessage('A suspension reason of 3 to 500 characters is required')
+], handleValidation, async (req, res) => {
+  try {
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot suspend your own account'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.suspension?.suspendedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is already suspended'
+      });
+    }
+
+    const wasActive = user.isActive;
+    user.isActive = false;
+    user.isOnline = false;
+    user.suspension = {
+      reason: req.body.reason,
+      suspendedAt: new Date(),
+      suspendedBy: req.user._id
+    };
+    await user.save({ validateBeforeSave: false });
+
+    // End every session and drop any live socket connections
+    await Session.revokeAllForUser(user._id, 'account_suspended');
+    const io = req.app.get('socketio');
+    if (io) io.in(`user_${user._id}`).disconnectSockets(true);
+
+    await AuditLog.record(req, {
+      action: 'user.suspend',
+      targetType: 'User',
+      targetId: user._id,
+      reason: req.body.reason,
+      changes: { before: { isActive: wasActive }, after: { isActive: false } }
+    });
+
+    res.json({
+      success: true,
+      message: 'User suspended',
+      data: { user: { _id: user._id, isActive: user.isActive, suspension: user.suspension } }
+    });
+
+  } catch (error) {
+    logger.error('Admin suspend user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to suspend user',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Reactivate a suspended or deactivated user
+// @route   PATCH /api/admin/users/:id/reactivate
+// @access  Private (users:suspend)
+router.patch('/users/:id/reactivate', authorize('users:suspend'), [
+  param('id').isMongoId().withMessage('Invalid user ID'),
+  body('reason').optional().trim().isLength({ max: 500 })
+], handleValidation, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is already active'
+      });
+    }
+
+    const previousSuspension = user.suspension?.toObject ? user.suspension.toObject() : user.suspension;
+    user.isActive = true;
+    user.suspension = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    await AuditLog.record(req, {
+      action: 'user.reactivate',
+      targetType: 'User',
+      targetId: user._id,
+      reason: req.body.reason,
+      changes: { before: { isActive: false, suspension: previousSuspension }, after: { isActive: true } }
+    });
+
+    res.json({
+      success: true,
+      message: 'User reactivated',
+      data: { user: { _id: user._id, isActive: user.isActive } }
+    });
+
+  } catch (error) {
+    logger.error('Admin reactivate user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reactivate user',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Lift a login lockout (failed passwords or two-factor codes)
+// @route   PATCH /api/admin/users/:id/unlock
+// @access  Private (users:unlock)
+router.patch('/users/:id/unlock', authorize('users:unlock'), [
+  param('id').isMongoId().withMessage('Invalid user ID'),
+  body('reason').optional().trim().isLength({ max: 500 })
+], handleValidation, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id)
+      .select('+loginSecurity.failedAttempts +loginSecurity.lockedUntil +twoFactor.lockedUntil');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const before = {
+      failedAttempts: user.loginSecurity?.failedAttempts || 0,
+      lockedUntil: user.loginSecurity?.lockedUntil || null,
+      twoFactorLockedUntil: user.twoFactor?.lockedUntil || null
+    };
+
+    await unlockAccount(user._id);
+
+    await AuditLog.record(req, {
+      action: 'user.unlock',
+      targetType: 'User',
+      targetId: user._id,
+      reason: req.body.reason,
+      changes: { before, after: { failedAttempts: 0, lockedUntil: null, twoFactorLockedUntil: null } }
+    });
+
+    res.json({
+      success: true,
+      message: 'User unlocked',
+      data: { user: { _id: user._id } }
+    });
+
+  } catch (error) {
+    logger.error('Admin unlock user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlock user',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    List staff roles and the permissions each grants
+// @route   GET /api/admin/roles
+// @access  Private (users:read)
+router.get('/roles', authorize('users:read'), (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      roles: STAFF_ROLES.map(role => ({ role, permissions: ROLE_PERMISSIONS[role] })),
+      myPermissions: req.permissions
+    }
+  });
+});
+
+// @desc    Set a user's staff roles
+// @route   PUT /api/admin/users/:id/roles
+// @access  Private (users:roles)
+router.put('/users/:id/roles', authorize('users:roles'), [
+  param('id').isMongoId().withMessage('Invalid user ID'),
+  body('roles').isArray().withMessage('Roles must be an array'),
+  body('roles.*').isIn(STAFF_ROLES).withMessage(`Role must be one of: ${STAFF_ROLES.join(', ')}`),
+  body('reason').optional().trim().isLength({ max: 500 })
+], handleValidation, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const roles = [...new Set(req.body.roles)];
+    const previousRoles = getUserRoles(user);
+
+    // An admin removing their own admin role could leave nobody able to assign roles
+    if (user._id.equals(req.user._id) && previousRoles.includes('admin') && !roles.includes('admin')) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot remove your own admin role'
+      });
+    }
+
+    user.roles = roles;
+    user.role = roles.includes('admin') ? 'admin' : 'user';
+    await user.save({ validateBeforeSave: false });
+
+    await AuditLog.record(req, {
+      action: 'user.roles.update',
+      targetType: 'User',
+      targetId: user._id,
+      reason: req.body.reason,
+      changes: { before: { roles: previousRoles }, after: { roles } }
+    });
+
+    const added = roles.filter(role => !previousRoles.includes(role));
+    if (added.length) {
+      await notify({
+        user: user._id,
+        type: 'system_update',
+        title: 'Staff access granted',
+        message: `You have been given the ${added.join(', ')} role${added.length > 1 ? 's' : ''}.`,
+        priority: 'normal'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Roles updated',
+      data: { user: { _id: user._id, roles: user.roles } }
+    });
+
+  } catch (error) {
+    logger.error('Admin update roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update roles',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Update a provider's verification flags
+// @route   PATCH /api/admin/users/:id/verification
+// @access  Private (users:verify)
+router.patch('/users/:id/verification', authorize('users:verify'), [
+  param('id').isMongoId().withMessage('Invalid user ID'),
+  ...VERIFICATION_FIELDS.map(field => body(field).optional().isBoolean().withMessage(`${field} must be a boolean`)),
+  body('notes').optional().trim().isLength({ max: 500 })
+], handleValidation, async (req, res) => {
+  try {
+    const updates = VERIFICATION_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .reduce((acc, field) => ({ ...acc, [field]: req.body[field] === true || req.body[field] === 'true' }), {});
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Provide at least one of: ${VERIFICATION_FIELDS.join(', ')}`
+      });
+    }
+
+    const user = await User.findById(req.params.id).select(`${VERIFICATION_FIELDS.join(' ')} userType firstName`);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const before = VERIFICATION_FIELDS.reduce((acc, field) => ({ ...acc, [field]: user[field] }), {});
+
+    await User.updateOne({ _id: user._id }, { $set: updates });
+
+    await AuditLog.record(req, {
+      action: 'user.verification',
+      targetType: 'User',
+      targetId: user._id,
+      reason: req.body.notes,
+      changes: { before, after: { ...before, ...updates } }
+    });
+
+    if (updates.isVerified && !before.isVerified) {
+      await notify({
+        user: user._id,
+        type: 'profile_verified',
+        title: 'Your profile is verified',
+        message: 'Your profile has been verified. A verified badge now shows on your profile.'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Verification updated',
+      data: { verification: { ...before, ...updates } }
+    });
+
+  } catch (error) {
+    logger.error('Admin update verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update verification',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Manually adjust a user's credits
+// @route   POST /api/admin/users/:id/credits
+// @access  Private (credits:adjust)
+router.post('/users/:id/credits', authorize('credits:adjust'), [
+  param('id').isMongoId().withMessage('Invalid user ID'),
+  body('amount').isInt({ min: -100000, max: 100000 }).withMessage('Amount must be a whole number')
+    .custom(value => parseInt(value) !== 0).withMessage('Amount cannot be zero'),
+  body('reason').trim().isLength({ min: 3, max: 500 }).withMessage('A reason of 3 to 500 characters is required')
+], handleValidation, async (req, res) => {
+  try {
+    const amount = parseInt(req.body.amount);
+
+    // Debits never take the balance below zero
+    const filter = { _id: req.params.id };
+    if (amount < 0) filter.credits = { $gte: -amount };
+
+    const user = await User.findOneAndUpdate(
+      filter,
+      { $inc: { credits: amount } },
+      { new: true, projection: { credits: 1 } }
+    );
+
+    if (!user) {
+      const exists = await User.exists({ _id: req.params.id });
+      return res.status(exists ? 400 : 404).json({
+        success: false,
+        message: exists ? 'Adjustment would make the credit balance negative' : 'User not found'
+      });
+    }
+
+    const transaction = await CreditTransaction.create({
+      user: user._id,
+      type: 'adjustment',
+      amount,
+      status: 'completed',
+      completedAt: new Date(),
+      reason: req.body.reason,
+      processedBy: req.user._id,
+      balanceAfter: user.credits
+    });
+
+    await AuditLog.record(req, {
+      action: 'credits.adjust',
+      targetType: 'User',
+      targetId: user._id,
+      reason: req.body.reason,
+      changes: { before: { credits: user.credits - amount }, after: { credits: user.credits } },
+      metadata: { transactionId: transaction._id, amount }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Credits adjusted',
+      data: {
+        transaction,
+        balance: user.credits
+      }
+    });
+
+  } catch (error) {
+    logger.error('Admin adjust credits error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to adjust credits',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Services
+// ---------------------------------------------------------------------------
+
+// @desc    List services for moderation
+// @route   GET /api/admin/services
+// @access  Private (services:read)
+router.get('/services', authorize('services:read'), [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('status').optional().isIn(['pending', 'approved', 'rejected']),
+  query('provider').optional().isMongoId(),
+  query('search').optional().trim().isLength({ max: 100 })
+], handleValidation, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, provider, search } = req.query;
+
+    const filter = {};
+    if (status) filter['moderation.status'] = status;
+    if (provider) filter.provider = provider;
+    if (search) filter.title = new RegExp(escapeRegex(search), 'i');
+
+    const skip = (page - 1) * limit;
+
+    const [services, total] = await Promise.all([
+      Service.find(filter)
+        .populate('provider', 'firstName lastName businessName email')
+        .populate('category', 'name slug')
+        .select('title category provider isActive isPaused moderation createdAt')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Service.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        services,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Admin list services error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get services',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Approve or reject a service
+// @route   PATCH /api/admin/services/:id/moderate
+// @access  Private (services:moderate)
+router.patch('/services/:id/moderate', authorize('services:moderate'), [
+  param('id').isMongoId().withMessage('Invalid service ID'),
+  body('status').isIn(['approved', 'rejected']).withMessage('Status must be approved or rejected'),
+  body('notes').optional().trim().isLength({ max: 1000 })
+], handleValidation, async (req, res) => {
+  try {
+    const service = await Service.findById(req.params.id);
+
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service not found'
+      });
+    }
+
+    const before = { moderationStatus: service.moderation?.status, isActive: service.isActive };
+    const { status, notes } = req.body;
+
+    service.moderation = {
+      status,
+      notes,
+      moderatedBy: req.user._id,
+      moderatedAt: new Date()
+    };
+    // Rejected services are taken off the marketplace
+    service.isActive = status === 'approved';
+    await service.save({ validateBeforeSave: false });
+
+    await AuditLog.record(req, {
+      action: `service.${status === 'approved' ? 'approve' : 'reject'}`,
+      targetType: 'Service',
+      targetId: service._id,
+      reason: notes,
+      changes: { before, after: { moderationStatus: status, isActive: service.isActive } }
+    });
+
+    await notify({
+      user: service.provider,
+      type: status === 'approved' ? 'service_approved' : 'service_rejected',
+      title: status === 'approved' ? 'Service approved' : 'Service rejected',
+      message: (status === 'approved'
+        ? `Your service "${service.title}" is now live.`
+        : `Your service "${service.title}" was rejected.${notes ? ` ${notes}` : ''}`).substring(0, 500),
+      data: { serviceId: service._id }
+    });
+
+    res.json({
+      success: true,
+      message: `Service ${status}`,
+      data: { service }
+    });
+
+  } catch (error) {
+    logger.error('Admin moderate service error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to moderate service',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Reviews
+// ---------------------------------------------------------------------------
+
+// @desc    Get the review moderation queue (flagged and pending, most reported first)
+// @route   GET /api/admin/reviews/queue
+// @access  Private (reviews:read)
+router.get('/reviews/queue', authorize('reviews:read'), [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('status').optional().isIn(['pending', 'flagged'])
+], handleValidation, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+
+    const filter = { status: status || { $in: ['pending', 'flagged'] } };
+
+    const skip = (page - 1) * limit;
+
+    const [reviews, total] = await Promise.all([
+      Review.aggregate([
+        { $match: filter },
+        {
+          $addFields: {
+            openReports: {
+              $size: {
+                $filter: { input: '$reports', as: 'report', cond: { $eq: ['$$report.status', 'pending'] } }
+              }
+            }
+          }
+        },
+        { $sort: { openReports: -1, createdAt: 1 } },
+        { $skip: skip },
+        { $limit: parseInt(limit) }
+      ]),
+      Review.countDocuments(filter)
+    ]);
+
+    await Review.populate(reviews, [
+      { path: 'customer', select: 'firstName lastName email' },
+      { path: 'serviceProvider', select: 'firstName lastName businessName' },
+      { path: 'service', select: 'title' },
+      { path: 'reports.user', select: 'firstName lastName email' }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        reviews,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Admin review queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get review queue',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    List reviews for moderation
+// @route   GET /api/admin/reviews
+// @access  Private (reviews:read)
+router.get('/reviews', authorize('reviews:read'), [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('status').optional().isIn(['pending', 'approved', 'rejected', 'flagged'])
+], handleValidation, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+
+    const skip = (page - 1) * limit;
+
+    const [reviews, total] = await Promise.all([
+      Review.find(filter)
+        .populate('customer', 'firstName lastName email')
+        .populate('serviceProvider', 'firstName lastName businessName')
+        .populate('service', 'title')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Review.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        reviews,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Admin list reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get reviews',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Approve, reject or flag a review
+// @route   PATCH /api/admin/reviews/:id/moderate
+// @access  Private (reviews:moderate)
+router.patch('/reviews/:id/moderate', authorize('reviews:moderate'), [
+  param('id').isMongoId().withMessage('Invalid review ID'),
+  body('status').isIn(['approved', 'rejected', 'flagged']).withMessage('Status must be approved, rejected or flagged'),
+  body('notes').optional().trim().isLength({ max: 1000 })
+], handleValidation, async (req, res) => {
+  try {
+    const review = await Review.findById(req.params.id);
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    const before = { status: review.status };
+
+    review.status = req.body.status;
+    review.moderationNotes = req.body.notes;
+    review.moderatedBy = req.user._id;
+    review.moderatedAt = new Date();
+    review.reports.forEach(report => {
+      if (report.status === 'pending') report.status = 'resolved';
+    });
+    await review.save();
+
+    // Ratings only count approved reviews, so recalculate when one leaves that state
+    if (before.status === 'approved' && review.status !== 'approved') {
+      await Review.updateProviderRating(review.serviceProvider);
+      if (review.service) {
+        await Review.updateServiceRating(review.service);
+      }
+    }
+
+    await AuditLog.record(req, {
+      action: `review.${review.status === 'approved' ? 'approve' : review.status === 'rejected' ? 'reject' : 'flag'}`,
+      targetType: 'Review',
+      targetId: review._id,
+      reason: req.body.notes,
+      changes: { before, after: { status: review.status } }
+    });
+
+    res.json({
+      success: true,
+      message: `Review ${review.status}`,
+      data: { review }
+    });
+
+  } catch (error) {
+    logger.error('Admin moderate review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to moderate review',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Audit trail
+// ---------------------------------------------------------------------------
+
+// @desc    Get the admin audit trail
+// @route   GET /api/admin/audit-logs
+// @access  Private (audit:read)
+router.get('/audit-logs', authorize('audit:read'), [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('actor').optional().isMongoId(),
+  query('action').optional().trim().isLength({ max: 100 }),
+  query('targetType').optional().trim().isLength({ max: 50 }),
+  query('targetId').optional().isMongoId(),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601()
+], handleValidation, async (req, res) => {
+  try {
+    const { page = 1, limit = 50, actor, action, targetType, targetId, from, to } = req.query;
+
+    const filter = {};
+    if (actor) filter.actor = actor;
+    if (action) filter.action = action;
+    if (targetType) filter.targetType = targetType;
+    if (targetId) filter.targetId = targetId;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [logs, total] = await Promise.all([
+      AuditLog.find(filter)
+        .populate('actor', 'firstName lastName email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        logs,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Admin audit log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get audit logs',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -2,15 +2,28 @@ const express = require('express');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const rateLimit = require('express-rate-limit');
 const Category= require('../models/Category');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const { sendEmail } = require('../utils/email');
 
 
 const logger = require('../utils/loggerutility');
 const { protect } = require('../middleware/auth'); // Your middleware file
+const { issueAuthTokens, getClientInfo } = require('../utils/authTokens');
+const { TWO_FACTOR_SECRET_FIELDS, sendEmailOtp, createChallengeToken } = require('../utils/twoFactor');
+const {
+  formatDuration,
+  getLockRemaining,
+  recordFailedLogin,
+  clearFailedLogins,
+  registerLoginDevice,
+  allowResetRequest
+} = require('../utils/loginProtection');
+const { notCommonPassword } = require('../utils/passwordPolicy');
+const { getUserPermissions } = require('../config/permissions');
 const router = express.Router();
 const axios=require('axios');
 // Rate limiting for auth routes
@@ -51,7 +64,8 @@ const registerValidation = [
     .isLength({ min: 6 })
     .withMessage('Password must be at least 6 characters long')
     .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number'),
+    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number')
+    .custom(notCommonPassword),
   body('phone')
     .optional()
     .isMobilePhone()
@@ -211,14 +225,14 @@ router.post('/register', authLimiter, registerValidation, async (req, res) => {
       logger.error('Email verification send failed:', error);
     }
 
-    // Generate JWT token
-    const token = user.generateToken();
+    // Open a session and issue access/refresh tokens
+    const tokens = await issueAuthTokens(user, req);
     user.password = undefined;
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully. Please check your email for verification.',
-      data: { user, token }
+      data: { user, ...tokens }
     });
 
   } catch (error) {
@@ -232,7 +246,8 @@ router.post('/register', authLimiter, registerValidation, async (req, res) => {
 });
 // Add this endpoint to your auth routes file
 
-// @desc    Register customer (simplified registration for request flow)
+// @desc    Register customer (simplified registration for request flow).
+//          The password is optional - passwordless customers can set one later via forgot-password.
 // @route   POST /api/auth/register-customer
 // @access  Public
 router.post('/register-customer', authLimiter, [
@@ -246,8 +261,10 @@ router.post('/register-customer', authLimiter, [
     .isMobilePhone()
     .withMessage('Please provide a valid phone number'),
   body('password')
+    .optional({ values: 'falsy' })
     .isLength({ min: 6 })
     .withMessage('Password must be at least 6 characters long')
+    .custom(notCommonPassword)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -312,7 +329,7 @@ router.post('/register-customer', authLimiter, [
       lastName: email.split('@')[0], // Temporary - can be updated later
       email,
       phone,
-      password,
+      ...(password && { password }),
      
       location,
       userType: 'customer',
@@ -344,14 +361,14 @@ router.post('/register-customer', authLimiter, [
       // Don't fail registration if email fails
     }
 
-    // Generate JWT token
-    const token = user.generateToken();
+    // Open a session and issue access/refresh tokens
+    const tokens = await issueAuthTokens(user, req);
     user.password = undefined;
 
     res.status(201).json({
       success: true,
       message: 'Customer registered successfully',
-      data: { user, token }
+      data: { user, ...tokens, hasPassword: !!password }
     });
 
   } catch (error) {
@@ -392,21 +409,66 @@ router.post('/login', authLimiter, loginValidation, async (req, res) => {
       });
     }
 
+    // Refuse attempts while the account is backing off, before the password is even checked
+    const lockRemaining = await getLockRemaining(user._id);
+    if (lockRemaining > 0) {
+      res.set('Retry-After', String(Math.ceil(lockRemaining / 1000)));
+      return res.status(429).json({
+        success: false,
+        message: `Too many failed login attempts. Please try again in ${formatDuration(lockRemaining)} or reset your password.`,
+        retryAfter: Math.ceil(lockRemaining / 1000)
+      });
+    }
+
     // Check if password matches
     const isPasswordMatch = await user.matchPassword(password);
 
     if (!isPasswordMatch) {
+      const { lockedOut, lockedUntil } = await recordFailedLogin(user, req);
+
+      if (lockedOut) {
+        const retryAfter = Math.ceil((lockedUntil.getTime() - Date.now()) / 1000);
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          success: false,
+          message: 'Too many failed login attempts. Your account has been temporarily locked and we have emailed you.',
+          retryAfter
+        });
+      }
+
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
+    await clearFailedLogins(user._id);
+
     // Check if account is active
     if (!user.isActive) {
       return res.status(401).json({
         success: false,
-        message: 'Account is deactivated. Please contact support.'
+        message: user.suspension?.suspendedAt
+          ? 'Account is suspended. Please contact support.'
+          : 'Account is deactivated. Please contact support.'
+      });
+    }
+
+    // With 2FA on, the password only earns a challenge token to exchange at /api/auth/2fa/login/verify
+    if (user.twoFactor?.enabled) {
+      if (user.twoFactor.method === 'email') {
+        await sendEmailOtp(await User.findById(user._id).select(TWO_FACTOR_SECRET_FIELDS));
+      }
+
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          twoFactorRequired: true,
+          method: user.twoFactor.method,
+          challengeToken: createChallengeToken(user),
+          expiresIn: 300
+        }
       });
     }
 
@@ -415,8 +477,9 @@ router.post('/login', authLimiter, loginValidation, async (req, res) => {
     user.isOnline = true;
     await user.save();
 
-    // Generate JWT token
-    const token = user.generateToken();
+    // Open a session and issue access/refresh tokens
+    const tokens = await issueAuthTokens(user, req);
+    await registerLoginDevice(user, req);
 
     // Remove password from response
     user.password = undefined;
@@ -426,7 +489,7 @@ router.post('/login', authLimiter, loginValidation, async (req, res) => {
       message: 'Login successful',
       data: {
         user,
-        token
+        ...tokens
       }
     });
 
@@ -445,6 +508,14 @@ router.post('/login', authLimiter, loginValidation, async (req, res) => {
 // @access  Private
 router.post('/logout',protect, async (req, res) => {
   try {
+    // End this device's session so its refresh token stops working
+    if (req.sessionId) {
+      await Session.updateOne(
+        { _id: req.sessionId, user: req.user._id, revokedAt: { $exists: false } },
+        { $set: { revokedAt: new Date(), revokedReason: 'logout' } }
+      );
+    }
+
     // Update user's online status
     await User.findByIdAndUpdate(req.user.id, {
       isOnline: false,
@@ -477,7 +548,7 @@ router.get('/me',protect, async (req, res) => {
 
     res.json({
       success: true,
-      data: { user }
+      data: { user, permissions: getUserPermissions(user) }
     });
 
   } catch (error) {
@@ -610,6 +681,14 @@ router.post('/forgot-password', [
       });
     }
 
+    // Cap reset emails per account so the endpoint cannot be used to flood an inbox
+    if (!(await allowResetRequest(user._id))) {
+      return res.status(429).json({
+        success: false,
+        message: 'Too many password reset requests for this account. Please try again later.'
+      });
+    }
+
     // Generate reset token
     const resetToken = crypto.randomBytes(20).toString('hex');
     user.resetPasswordToken = crypto
@@ -671,6 +750,7 @@ router.put('/reset-password/:token', [
     .withMessage('Password must be at least 6 characters long')
     .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
     .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number')
+    .custom(notCommonPassword)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -705,13 +785,17 @@ router.put('/reset-password/:token', [
     user.resetPasswordExpire = undefined;
     await user.save();
 
-    // Generate new JWT token
-    const token = user.generateToken();
+    // Proving control of the inbox also lifts any login lockout
+    await clearFailedLogins(user._id);
+
+    // Sign out everywhere else, then start a fresh session
+    await Session.revokeAllForUser(user._id, 'password_changed');
+    const tokens = await issueAuthTokens(user, req);
 
     res.json({
       success: true,
       message: 'Password reset successful',
-      data: { token }
+      data: tokens
     });
 
   } catch (error) {
@@ -728,12 +812,13 @@ router.put('/reset-password/:token', [
 // @route   PUT /api/auth/update-password
 // @access  Private
 router.put('/update-password', protect, [
-  body('currentPassword').notEmpty().withMessage('Current password is required'),
+  body('currentPassword').optional().isString(),
   body('newPassword')
     .isLength({ min: 6 })
     .withMessage('New password must be at least 6 characters long')
     .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
     .withMessage('New password must contain at least one uppercase letter, one lowercase letter, and one number')
+    .custom(notCommonPassword)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -747,8 +832,8 @@ router.put('/update-password', protect, [
 
     const user = await User.findById(req.user.id).select('+password');
 
-    // Check current password
-    const isCurrentPasswordMatch = await user.matchPassword(req.body.currentPassword);
+    // Accounts created without a password can set their first one without it
+    const isCurrentPasswordMatch = !user.password || await user.matchPassword(req.body.currentPassword);
     
     if (!isCurrentPasswordMatch) {
       return res.status(400).json({
@@ -761,13 +846,14 @@ router.put('/update-password', protect, [
     user.password = req.body.newPassword;
     await user.save();
 
-    // Generate new JWT token
-    const token = user.generateToken();
+    // Keep this device signed in but end every other session
+    const revokedSessions = await Session.revokeAllForUser(user._id, 'password_changed', req.sessionId);
+    const token = user.generateToken(req.sessionId);
 
     res.json({
       success: true,
       message: 'Password updated successfully',
-      data: { token }
+      data: { token, revokedSessions }
     });
 
   } catch (error) {
@@ -780,27 +866,59 @@ router.put('/update-password', protect, [
   }
 });
 
-// @desc    Refresh token
+// @desc    Exchange a refresh token for a new access/refresh token pair
 // @route   POST /api/auth/refresh-token
-// @access  Private
-router.post('/refresh-token', protect, async (req, res) => {
+// @access  Public (refresh token)
+router.post('/refresh-token', authLimiter, [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
   try {
-    const user = await User.findById(req.user.id);
-    
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await Session.rotate(req.body.refreshToken, getClientInfo(req));
+
+    if (result.error === 'reuse_detected') {
+      logger.warn(`Refresh token reuse detected for user ${result.session.user}, session ${result.session._id} revoked`);
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token has already been used. Please log in again.'
+      });
+    }
+
+    if (result.error) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    const { session, refreshToken } = result;
+    const user = await User.findById(session.user);
+
     if (!user || !user.isActive) {
+      await session.revoke(user?.suspension?.suspendedAt ? 'account_suspended' : 'logout');
       return res.status(401).json({
         success: false,
         message: 'User not found or inactive'
       });
     }
 
-    // Generate new token
-    const token = user.generateToken();
-
     res.json({
       success: true,
       message: 'Token refreshed successfully',
-      data: { token }
+      data: {
+        token: user.generateToken(session._id),
+        refreshToken,
+        refreshTokenExpiresAt: session.expiresAt,
+        sessionId: session._id
+      }
     });
 
   } catch (error) {
@@ -813,6 +931,114 @@ router.post('/refresh-token', protect, async (req, res) => {
   }
 });
 
+// @desc    List active sessions (signed-in devices)
+// @route   GET /api/auth/sessions
+// @access  Private
+router.get('/sessions', protect, async (req, res) => {
+  try {
+    const sessions = await Session.findActiveForUser(req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          id: session._id,
+          device: session.device,
+          userAgent: session.userAgent,
+          ipAddress: session.ipAddress,
+          createdAt: session.createdAt,
+          lastUsedAt: session.lastUsedAt,
+          expiresAt: session.expiresAt,
+          isCurrent: session._id.toString() === req.sessionId
+        }))
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Revoke all sessions except the current one (or including it with ?includeCurrent=true)
+// @route   DELETE /api/auth/sessions
+// @access  Private
+router.delete('/sessions', protect, async (req, res) => {
+  try {
+    const includeCurrent = req.query.includeCurrent === 'true';
+    const revoked = await Session.revokeAllForUser(
+      req.user._id,
+      'user_revoked',
+      includeCurrent ? null : req.sessionId
+    );
+
+    res.json({
+      success: true,
+      message: includeCurrent ? 'Signed out of all devices' : 'Signed out of all other devices',
+      data: { revoked }
+    });
+
+  } catch (error) {
+    logger.error('Revoke sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Revoke one session
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+router.delete('/sessions/:id', protect, [
+  param('id').isMongoId().withMessage('Invalid session ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+      revokedAt: { $exists: false }
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await session.revoke('user_revoked');
+
+    res.json({
+      success: true,
+      message: 'Session revoked',
+      data: { isCurrent: session._id.toString() === req.sessionId }
+    });
+
+  } catch (error) {
+    logger.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke session',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 // @desc    Check if email exists
 // @route   POST /api/auth/check-email
 // @access  Public
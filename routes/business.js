@@ -0,0 +1,592 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+
+const Business = require('../models/Business');
+const User = require('../models/User');
+const Notification = require('../models/notifiication');
+const { protect, requireServiceProvider } = require('../middleware/auth');
+const { sendEmail } = require('../utils/email');
+const logger = require('../utils/loggerutility');
+
+const router = express.Router();
+
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Load the signed-in provider's team or respond 404
+const loadBusiness = async (req, res, next) => {
+  try {
+    const business = await Business.findActiveForMember(req.user.id);
+    if (!business) {
+      return res.status(404).json({
+        success: false,
+        message: 'You are not a member of a team'
+      });
+    }
+
+    req.business = business;
+    req.teamRole = business.getMember(req.user.id).role;
+    next();
+  } catch (error) {
+    logger.error('Load business error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load team',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+const requireTeamPermission = (permission) => (req, res, next) => {
+  if (!Business.roleCan(req.teamRole, permission)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Your team role does not allow this'
+    });
+  }
+  next();
+};
+
+// Notifications are best effort
+const notify = async (data) => {
+  try {
+    await Notification.createNotification(data);
+  } catch (error) {
+    logger.error('Team notification error:', error);
+  }
+};
+
+const toInvitationSummary = (invitation) => ({
+  id: invitation._id,
+  email: invitation.email,
+  role: invitation.role,
+  invitedBy: invitation.invitedBy,
+  expiresAt: invitation.expiresAt,
+  createdAt: invitation.createdAt
+});
+
+// The team as seen by one of its members
+const formatBusiness = async (business, userId) => {
+  const role = business.getMember(userId).role;
+
+  await business.populate([
+    { path: 'members.user', select: 'firstName lastName email avatar' },
+    { path: 'invitations.invitedBy', select: 'firstName lastName' }
+  ]);
+  const data = {
+    id: business._id,
+    name: business.name,
+    owner: business.owner,
+    createdAt: business.createdAt,
+    myRole: role,
+    myPermissions: Business.TEAM_ROLE_PERMISSIONS[role],
+    members: business.members.map(member => ({
+      user: member.user,
+      role: member.role,
+      joinedAt: member.joinedAt
+    }))
+  };
+
+  if (Business.roleCan(role, 'members:invite')) {
+    data.invitations = business.invitations
+      .filter(invitation => invitation.isPending)
+      .map(toInvitationSummary);
+  }
+
+  if (Business.roleCan(role, 'credits:view')) {
+    const wallet = await User.findById(business.owner).select('credits').lean();
+    data.credits = wallet ? wallet.credits : 0;
+  }
+
+  return data;
+};
+
+// @desc    Create a team with the current provider as owner
+// @route   POST /api/business
+// @access  Private (Service Providers)
+router.post('/', protect, requireServiceProvider, [
+  body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Team name must be 1-100 characters')
+], handleValidation, async (req, res) => {
+  try {
+    const existing = await Business.findActiveForMember(req.user.id);
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'You are already a member of a team'
+      });
+    }
+
+    const name = req.body.name || req.user.businessName;
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Team name is required'
+      });
+    }
+
+    const business = await Business.create({
+      name,
+      owner: req.user.id,
+      members: [{ user: req.user.id, role: 'owner' }]
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Team created',
+      data: await formatBusiness(business, req.user.id)
+    });
+
+  } catch (error) {
+    logger.error('Create business error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create team',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Get the current provider's team
+// @route   GET /api/business/mine
+// @access  Private (Team members)
+router.get('/mine', protect, loadBusiness, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await formatBusiness(req.business, req.user.id)
+    });
+
+  } catch (error) {
+    logger.error('Get business error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get team',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Update the team's details
+// @route   PUT /api/business/mine
+// @access  Private (Team owner)
+router.put('/mine', protect, loadBusiness, requireTeamPermission('business:update'), [
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Team name must be 1-100 characters')
+], handleValidation, async (req, res) => {
+  try {
+    req.business.name = req.body.name;
+    await req.business.save();
+
+    res.json({
+      success: true,
+      message: 'Team updated',
+      data: await formatBusiness(req.business, req.user.id)
+    });
+
+  } catch (error) {
+    logger.error('Update business error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update team',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Disband the team. Members go back to their own credit balances.
+// @route   DELETE /api/business/mine
+// @access  Private (Team owner)
+router.delete('/mine', protect, loadBusiness, requireTeamPermission('business:update'), async (req, res) => {
+  try {
+    const business = req.business;
+    business.isActive = false;
+    business.disbandedAt = new Date();
+    business.invitations.forEach(invitation => {
+      if (invitation.isPending) invitation.revokedAt = new Date();
+    });
+    await business.save();
+
+    await Promise.all(business.members
+      .filter(member => !member.user.equals(req.user.id))
+      .map(member => notify({
+        user: member.user,
+        type: 'team_update',
+        title: 'Team disbanded',
+        message: `${business.name} has been disbanded. You are back on your own credit balance.`,
+        data: { businessId: business._id }
+      })));
+
+    res.json({
+      success: true,
+      message: 'Team disbanded'
+    });
+
+  } catch (error) {
+    logger.error('Disband business error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disband team',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Invite someone to the team by email
+// @route   POST /api/business/mine/invitations
+// @access  Private (Team owner or manager)
+router.post('/mine/invitations', protect, loadBusiness, requireTeamPermission('members:invite'), [
+  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
+  body('role').isIn(['manager', 'responder']).withMessage('Role must be manager or responder')
+], handleValidation, async (req, res) => {
+  try {
+    const { email, role } = req.body;
+    const business = req.business;
+
+    // Managers can grow the team but not appoint other managers
+    if (role === 'manager' && !Business.roleCan(req.teamRole, 'members:manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the team owner can invite managers'
+      });
+    }
+
+    const invitee = await User.findOne({ email }).select('_id').lean();
+    if (invitee && business.getMember(invitee._id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'This person is already a member of your team'
+      });
+    }
+
+    const { token, invitation } = business.createInvitation({ email, role, invitedBy: req.user.id });
+    await business.save();
+
+    try {
+      await sendEmail({
+        email,
+        template: 'teamInvitation',
+        data: {
+          businessName: business.name,
+          inviterName: `${req.user.firstName} ${req.user.lastName}`,
+          role,
+          inviteUrl: `${process.env.CLIENT_URL}/team/invitations/${token}`,
+          expiresInDays: Math.round((invitation.expiresAt - Date.now()) / (24 * 60 * 60 * 1000))
+        }
+      });
+    } catch (emailError) {
+      logger.error('Team invitation email failed:', emailError);
+    }
+
+    if (invitee) {
+      await notify({
+        user: invitee._id,
+        type: 'team_update',
+        title: 'Team invitation',
+        message: `${req.user.firstName} ${req.user.lastName} invited you to join ${business.name}`,
+        data: { businessId: business._id, role },
+        actionUrl: `/team/invitations/${token}`,
+        actionLabel: 'View invitation'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Invitation sent to ${email}`,
+      data: { invitation: toInvitationSummary(invitation) }
+    });
+
+  } catch (error) {
+    logger.error('Invite team member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send invitation',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Revoke a pending invitation
+// @route   DELETE /api/business/mine/invitations/:invitationId
+// @access  Private (Team owner or manager)
+router.delete('/mine/invitations/:invitationId', protect, loadBusiness, requireTeamPermission('members:invite'), [
+  param('invitationId').isMongoId().withMessage('Invalid invitation ID')
+], handleValidation, async (req, res) => {
+  try {
+    const invitation = req.business.invitations.id(req.params.invitationId);
+    if (!invitation || !invitation.isPending) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending invitation not found'
+      });
+    }
+
+    invitation.revokedAt = new Date();
+    await req.business.save();
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked'
+    });
+
+  } catch (error) {
+    logger.error('Revoke invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke invitation',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Look up an invitation before accepting it
+// @route   GET /api/business/invitations/:token
+// @access  Public (invitation token)
+router.get('/invitations/:token', [
+  param('token').isHexadecimal().isLength({ min: 64, max: 64 }).withMessage('Invalid invitation')
+], handleValidation, async (req, res) => {
+  try {
+    const found = await Business.findByInvitationToken(req.params.token);
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation is invalid or has expired'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        businessName: found.business.name,
+        email: found.invitation.email,
+        role: found.invitation.role,
+        expiresAt: found.invitation.expiresAt
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get invitation',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Accept an invitation and join the team
+// @route   POST /api/business/invitations/:token/accept
+// @access  Private (Service Providers, invited email)
+router.post('/invitations/:token/accept', protect, requireServiceProvider, [
+  param('token').isHexadecimal().isLength({ min: 64, max: 64 }).withMessage('Invalid invitation')
+], handleValidation, async (req, res) => {
+  try {
+    const found = await Business.findByInvitationToken(req.params.token);
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation is invalid or has expired'
+      });
+    }
+
+    const { business, invitation } = found;
+
+    if (invitation.email !== req.user.email.toLowerCase()) {
+      return res.status(403).json({
+        success: false,
+        message: 'This invitation was sent to a different email address'
+      });
+    }
+
+    if (await Business.findActiveForMember(req.user.id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Leave your current team before joining another'
+      });
+    }
+
+    // Conditional update so the invitation can only be used once
+    const joined = await Business.findOneAndUpdate(
+      {
+        _id: business._id,
+        isActive: true,
+        'members.user': { $ne: req.user._id },
+        invitations: { $elemMatch: { _id: invitation._id, acceptedAt: null, revokedAt: null } }
+      },
+      {
+        $push: {
+          members: {
+            user: req.user._id,
+            role: invitation.role,
+            invitedBy: invitation.invitedBy,
+            joinedAt: new Date()
+          }
+        },
+        $set: {
+          'invitations.$[invite].acceptedAt': new Date(),
+          'invitations.$[invite].acceptedBy': req.user._id
+        }
+      },
+      { new: true, arrayFilters: [{ 'invite._id': invitation._id }] }
+    );
+
+    if (!joined) {
+      return res.status(409).json({
+        success: false,
+        message: 'Invitation has already been used'
+      });
+    }
+
+    await notify({
+      user: joined.owner,
+      type: 'team_update',
+      title: 'New team member',
+      message: `${req.user.firstName} ${req.user.lastName} joined ${joined.name} as a ${invitation.role}`,
+      data: { businessId: joined._id, memberId: req.user._id }
+    });
+
+    res.json({
+      success: true,
+      message: `You have joined ${joined.name}`,
+      data: await formatBusiness(joined, req.user.id)
+    });
+
+  } catch (error) {
+    logger.error('Accept invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to accept invitation',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Change a member's role
+// @route   PATCH /api/business/mine/members/:userId
+// @access  Private (Team owner)
+router.patch('/mine/members/:userId', protect, loadBusiness, requireTeamPermission('members:manage'), [
+  param('userId').isMongoId().withMessage('Invalid user ID'),
+  body('role').isIn(['manager', 'responder']).withMessage('Role must be manager or responder')
+], handleValidation, async (req, res) => {
+  try {
+    const business = req.business;
+    const member = business.getMember(req.params.userId);
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    if (member.role === 'owner') {
+      return res.status(400).json({
+        success: false,
+        message: 'The owner\'s role cannot be changed'
+      });
+    }
+
+    const previousRole = member.role;
+    member.role = req.body.role;
+    await business.save();
+
+    if (previousRole !== member.role) {
+      await notify({
+        user: member.user,
+        type: 'team_update',
+        title: 'Team role changed',
+        message: `Your role in ${business.name} is now ${member.role}`,
+        data: { businessId: business._id, role: member.role, previousRole }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Member role updated',
+      data: {
+        member: {
+          user: member.user,
+          role: member.role,
+          joinedAt: member.joinedAt
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Update team member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update member',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Remove a member, or leave the team when :userId is yourself
+// @route   DELETE /api/business/mine/members/:userId
+// @access  Private (Team owner, or the member themselves)
+router.delete('/mine/members/:userId', protect, loadBusiness, [
+  param('userId').isMongoId().withMessage('Invalid user ID')
+], handleValidation, async (req, res) => {
+  try {
+    const business = req.business;
+    const member = business.getMember(req.params.userId);
+    const isSelf = req.params.userId === req.user.id;
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    if (!isSelf && !Business.roleCan(req.teamRole, 'members:manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your team role does not allow this'
+      });
+    }
+
+    if (member.role === 'owner') {
+      return res.status(400).json({
+        success: false,
+        message: 'The owner cannot leave the team. Disband it instead.'
+      });
+    }
+
+    business.members.pull(member._id);
+    await business.save();
+
+    await notify({
+      user: isSelf ? business.owner : member.user,
+      type: 'team_update',
+      title: isSelf ? 'Member left your team' : 'Removed from team',
+      message: isSelf
+        ? `${req.user.firstName} ${req.user.lastName} left ${business.name}`
+        : `You have been removed from ${business.name}`,
+      data: { businessId: business._id, memberId: member.user }
+    });
+
+    res.json({
+      success: true,
+      message: isSelf ? 'You have left the team' : 'Member removed'
+    });
+
+  } catch (error) {
+    logger.error('Remove team member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove member',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
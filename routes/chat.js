@@ -0,0 +1,334 @@
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Request = require('../models/request');
+const { protect } = require('../middleware/auth');
+const { upload: multerUpload, handleMulterError } = require('../middleware/uploadmiddleware');
+const { sendMessage, markConversationRead } = require('../utils/chatService');
+const logger = require('../utils/loggerutility');
+
+const router = express.Router();
+
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Load the conversation in :id and make sure the user takes part in it
+const loadConversation = async (req, res, next) => {
+  try {
+    const conversation = await Conversation.findById(req.params.id);
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    if (!conversation.isParticipant(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this conversation'
+      });
+    }
+
+    req.conversation = conversation;
+    next();
+  } catch (error) {
+    logger.error('Load conversation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load conversation',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+const conversationIdValidation = [
+  param('id').isMongoId().withMessage('Invalid conversation ID')
+];
+
+// @desc    Get my conversations
+// @route   GET /api/chat/conversations
+// @access  Private
+router.get('/conversations', protect, [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 50 }),
+  query('requestId').optional().isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, requestId } = req.query;
+
+    const filter = { participants: req.user._id };
+    if (requestId) filter.request = requestId;
+
+    const skip = (page - 1) * limit;
+
+    const [conversations, total] = await Promise.all([
+      Conversation.find(filter)
+        .populate('request', 'title status')
+        .populate('customer', 'firstName lastName avatar')
+        .populate('provider', 'firstName lastName businessName avatar')
+        .sort({ 'lastMessage.sentAt': -1, updatedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Conversation.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        conversations: conversations.map(conversation => ({
+          ...conversation.toObject(),
+          unreadCount: conversation.getUnreadCount(req.user.id)
+        })),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get conversations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get conversations',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Open the conversation for a request (customer picks the provider)
+// @route   POST /api/chat/conversations
+// @access  Private (Request owner or provider who contacted the lead)
+router.post('/conversations', protect, [
+  body('requestId').isMongoId().withMessage('Invalid request ID'),
+  body('providerId').optional().isMongoId().withMessage('Invalid provider ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const request = await Request.findById(req.body.requestId);
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Request not found'
+      });
+    }
+
+    const isCustomer = request.customer.toString() === req.user.id;
+    const providerId = isCustomer ? req.body.providerId : req.user.id;
+
+    if (!providerId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provider ID is required'
+      });
+    }
+
+    if (!Conversation.canParticipate(request, req.user.id) ||
+        !Conversation.canParticipate(request, providerId) ||
+        providerId.toString() === request.customer.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the customer and providers who have contacted this lead can message about it'
+      });
+    }
+
+    const conversation = await Conversation.findOrCreateForLead(request, providerId);
+
+    res.status(201).json({
+      success: true,
+      data: { conversation }
+    });
+
+  } catch (error) {
+    logger.error('Open conversation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to open conversation',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Get a conversation
+// @route   GET /api/chat/conversations/:id
+// @access  Private (Participants only)
+router.get('/conversations/:id', protect, conversationIdValidation, handleValidation, loadConversation, async (req, res) => {
+  try {
+    await req.conversation.populate([
+      { path: 'request', select: 'title status category' },
+      { path: 'customer', select: 'firstName lastName avatar' },
+      { path: 'provider', select: 'firstName lastName businessName avatar' }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        conversation: req.conversation,
+        unreadCount: req.conversation.getUnreadCount(req.user.id)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get conversation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get conversation',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Get message history (newest first)
+// @route   GET /api/chat/conversations/:id/messages
+// @access  Private (Participants only)
+router.get('/conversations/:id/messages', protect, [
+  ...conversationIdValidation,
+  query('before').optional().isMongoId().withMessage('Invalid message ID'),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], handleValidation, loadConversation, async (req, res) => {
+  try {
+    const { before, limit = 30 } = req.query;
+
+    const { messages, pagination } = await Message.getHistory(req.conversation._id, { before, limit });
+
+    res.json({
+      success: true,
+      data: {
+        messages,
+        pagination
+      }
+    });
+
+  } catch (error) {
+    if (error.message === 'Invalid message cursor') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Get messages error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get messages',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Send a message (optionally with attachments)
+// @route   POST /api/chat/conversations/:id/messages
+// @access  Private (Participants only)
+// Access is checked before the upload so nothing is stored for a rejected request
+router.post('/conversations/:id/messages', protect, conversationIdValidation, handleValidation, loadConversation, (req, res, next) => {
+  if (req.conversation.status !== 'active') {
+    return res.status(400).json({
+      success: false,
+      message: 'This conversation is closed'
+    });
+  }
+  next();
+}, multerUpload.array('attachments', 5), handleMulterError, [
+  body('text').optional().trim().isLength({ max: 2000 }).withMessage('Message cannot exceed 2000 characters')
+], handleValidation, async (req, res) => {
+  try {
+    const attachments = req.files ? req.files.map(file => ({
+      type: file.mimetype.startsWith('image/') ? 'image' : 'document',
+      url: file.path,
+      filename: file.originalname,
+      mimetype: file.mimetype,
+      size: file.size
+    })) : [];
+
+    if (!req.body.text && attachments.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Message text or an attachment is required'
+      });
+    }
+
+    const message = await sendMessage({
+      io: req.app.get('socketio'),
+      conversation: req.conversation,
+      senderId: req.user._id,
+      text: req.body.text,
+      attachments
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Message sent',
+      data: { message }
+    });
+
+  } catch (error) {
+    logger.error('Send message error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send message',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Mark a conversation as read
+// @route   PATCH /api/chat/conversations/:id/read
+// @access  Private (Participants only)
+router.patch('/conversations/:id/read', protect, conversationIdValidation, handleValidation, loadConversation, async (req, res) => {
+  try {
+    const { modifiedCount, readAt } = await markConversationRead({
+      io: req.app.get('socketio'),
+      conversation: req.conversation,
+      userId: req.user._id
+    });
+
+    res.json({
+      success: true,
+      message: 'Conversation marked as read',
+      data: { updated: modifiedCount, readAt }
+    });
+
+  } catch (error) {
+    logger.error('Mark conversation read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark conversation as read',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
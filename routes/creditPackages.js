@@ -0,0 +1,250 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+
+const CreditPackage = require('../models/CreditPackage');
+const AuditLog = require('../models/AuditLog');
+const { protect, authorize } = require('../middleware/auth');
+const logger = require('../utils/loggerutility');
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = [
+  'slug',
+  'name',
+  'description',
+  'credits',
+  'prices',
+  'promo',
+  'enoughForLeads',
+  'guarantee',
+  'isActive',
+  'sortOrder'
+];
+
+const packageValidation = (optional = false) => {
+  const field = (name) => optional ? body(name).optional() : body(name);
+  return [
+    field('slug').isString().trim().matches(/^[a-z0-9-]+$/i).withMessage('Slug can only contain letters, numbers and hyphens'),
+    field('name').isString().trim().isLength({ min: 1, max: 50 }).withMessage('Name must be between 1 and 50 characters'),
+    body('description').optional().trim().isLength({ max: 200 }).withMessage('Description cannot exceed 200 characters'),
+    field('credits').isInt({ min: 1 }).withMessage('Credits must be a positive integer'),
+    field('prices').isArray({ min: 1 }).withMessage('At least one price is required'),
+    body('prices.*.currency').toLowerCase().isIn(CreditPackage.SUPPORTED_CURRENCIES).withMessage('Invalid currency'),
+    body('prices.*.amount').isFloat({ min: 0 }).withMessage('Price must be a positive number'),
+    body('prices.*.originalAmount').optional().isFloat({ min: 0 }).withMessage('Original price must be a positive number'),
+    body('promo').optional({ nullable: true }).isObject(),
+    body('promo.label').optional().trim().isLength({ max: 50 }),
+    body('promo.discountPercent').optional().isFloat({ min: 0, max: 100 }).withMessage('Discount must be between 0 and 100'),
+    body('promo.bonusCredits').optional().isInt({ min: 0 }).withMessage('Bonus credits must be a positive integer'),
+    body('promo.startsAt').optional({ nullable: true }).isISO8601().withMessage('Invalid promo start date'),
+    body('promo.endsAt').optional({ nullable: true }).isISO8601().withMessage('Invalid promo end date'),
+    body('enoughForLeads').optional().isInt({ min: 0 }),
+    body('guarantee').optional().isBoolean(),
+    body('isActive').optional().isBoolean(),
+    body('sortOrder').optional().isInt()
+  ];
+};
+
+const pickFields = (source = {}) => EDITABLE_FIELDS.reduce((fields, field) => {
+  if (source[field] !== undefined) fields[field] = source[field];
+  return fields;
+}, {});
+
+const handleSaveError = (res, error, fallbackMessage) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: Object.values(error.errors).map(err => ({ path: err.path, msg: err.message }))
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: 'A package with this slug already exists'
+    });
+  }
+
+  logger.error(`${fallbackMessage}:`, error);
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+  });
+};
+
+// @desc    List all credit packages, including inactive ones
+// @route   GET /api/admin/credit-packages
+// @access  Private (packages:manage)
+router.get('/', protect, authorize('packages:manage'), [
+  query('active').optional().isBoolean()
+], async (req, res) => {
+  try {
+    await CreditPackage.ensureDefaults();
+
+    const filter = {};
+    if (req.query.active !== undefined) filter.isActive = req.query.active === 'true';
+
+    const packages = await CreditPackage.find(filter)
+      .populate('updatedBy', 'firstName lastName email')
+      .sort({ sortOrder: 1, credits: 1 });
+
+    res.json({
+      success: true,
+      data: { packages }
+    });
+
+  } catch (error) {
+    logger.error('Get credit packages error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get credit packages',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Create a credit package
+// @route   POST /api/admin/credit-packages
+// @access  Private (packages:manage)
+router.post('/', protect, authorize('packages:manage'), packageValidation(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const creditPackage = await CreditPackage.create({
+      ...pickFields(req.body),
+      createdBy: req.user._id,
+      updatedBy: req.user._id
+    });
+
+    await AuditLog.record(req, {
+      action: 'credit_package.create',
+      targetType: 'CreditPackage',
+      targetId: creditPackage._id,
+      changes: { before: null, after: pickFields(creditPackage.toObject()) }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Credit package created',
+      data: { package: creditPackage }
+    });
+
+  } catch (error) {
+    handleSaveError(res, error, 'Failed to create credit package');
+  }
+});
+
+// @desc    Update a credit package
+// @route   PUT /api/admin/credit-packages/:id
+// @access  Private (packages:manage)
+router.put('/:id', protect, authorize('packages:manage'), [
+  param('id').isMongoId().withMessage('Invalid package ID'),
+  ...packageValidation(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const creditPackage = await CreditPackage.findById(req.params.id);
+    if (!creditPackage) {
+      return res.status(404).json({
+        success: false,
+        message: 'Credit package not found'
+      });
+    }
+
+    const updates = pickFields(req.body);
+    const current = pickFields(creditPackage.toObject());
+
+    creditPackage.set({ ...updates, updatedBy: req.user._id });
+    await creditPackage.save();
+
+    await AuditLog.record(req, {
+      action: 'credit_package.update',
+      targetType: 'CreditPackage',
+      targetId: creditPackage._id,
+      changes: {
+        before: Object.keys(updates).reduce((acc, field) => ({ ...acc, [field]: current[field] }), {}),
+        after: updates
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Credit package updated',
+      data: { package: creditPackage }
+    });
+
+  } catch (error) {
+    handleSaveError(res, error, 'Failed to update credit package');
+  }
+});
+
+// @desc    Retire a credit package. Packages are deactivated rather than deleted so past purchases keep their reference.
+// @route   DELETE /api/admin/credit-packages/:id
+// @access  Private (packages:manage)
+router.delete('/:id', protect, authorize('packages:manage'), [
+  param('id').isMongoId().withMessage('Invalid package ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const creditPackage = await CreditPackage.findByIdAndUpdate(
+      req.params.id,
+      { $set: { isActive: false, updatedBy: req.user._id } },
+      { new: true }
+    );
+
+    if (!creditPackage) {
+      return res.status(404).json({
+        success: false,
+        message: 'Credit package not found'
+      });
+    }
+
+    await AuditLog.record(req, {
+      action: 'credit_package.deactivate',
+      targetType: 'CreditPackage',
+      targetId: creditPackage._id,
+      changes: { before: { isActive: true }, after: { isActive: false } }
+    });
+
+    res.json({
+      success: true,
+      message: 'Credit package deactivated',
+      data: { package: creditPackage }
+    });
+
+  } catch (error) {
+    logger.error('Deactivate credit package error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to deactivate credit package',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,366 @@
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+
+const LeadDispute = require('../models/LeadDispute');
+const CreditTransaction = require('../models/CreditTransaction');
+const Request = require('../models/request');
+const Notification = require('../models/notifiication');
+const AuditLog = require('../models/AuditLog');
+const { protect, requireServiceProvider, authorize } = require('../middleware/auth');
+const logger = require('../utils/loggerutility');
+
+const router = express.Router();
+
+const DISPUTE_REASONS = LeadDispute.schema.path('reason').enumValues;
+
+// @desc    Dispute a purchased lead and claim a credit refund
+// @route   POST /api/disputes
+// @access  Private (Service providers)
+router.post('/', protect, requireServiceProvider, [
+  body('leadId').isMongoId().withMessage('Invalid lead ID'),
+  body('reason').isIn(DISPUTE_REASONS).withMessage(`Reason must be one of: ${DISPUTE_REASONS.join(', ')}`),
+  body('description').trim().isLength({ min: 10, max: 1000 }).withMessage('Description must be between 10 and 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { leadId, reason, description } = req.body;
+
+    const spend = await LeadDispute.findProviderSpend(req.user._id, leadId);
+
+    if (!spend) {
+      return res.status(404).json({
+        success: false,
+        message: 'No paid contact found for this lead'
+      });
+    }
+
+    if (spend.status === 'refunded') {
+      return res.status(400).json({
+        success: false,
+        message: 'This lead has already been refunded'
+      });
+    }
+
+    const existing = await LeadDispute.findOne({ transaction: spend._id });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already disputed this lead',
+        data: { dispute: existing }
+      });
+    }
+
+    if (!LeadDispute.isWithinWindow(spend)) {
+      return res.status(400).json({
+        success: false,
+        message: `Leads can only be disputed within ${LeadDispute.DISPUTE_WINDOW_DAYS} days of contact`
+      });
+    }
+
+    const refundStats = await LeadDispute.getProviderRefundStats(req.user._id);
+    if (refundStats.remaining <= 0) {
+      return res.status(429).json({
+        success: false,
+        message: `Refund limit reached. You can claim up to ${refundStats.allowed} refund(s) every ${refundStats.periodDays} days.`,
+        data: { refundStats }
+      });
+    }
+
+    const dispute = await LeadDispute.create({
+      provider: req.user._id,
+      request: leadId,
+      transaction: spend._id,
+      reason,
+      description,
+      creditsDisputed: Math.abs(spend.amount)
+    });
+
+    // Disputes sent at the same time can all pass the check above; keep only those that fit
+    if (!(await LeadDispute.isWithinRefundLimit(dispute, refundStats.allowed))) {
+      await LeadDispute.deleteOne({ _id: dispute._id });
+      return res.status(429).json({
+        success: false,
+        message: `Refund limit reached. You can claim up to ${refundStats.allowed} refund(s) every ${refundStats.periodDays} days.`,
+        data: { refundStats: { ...refundStats, remaining: 0 } }
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Dispute submitted. Our team will review it shortly.',
+      data: { dispute }
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already disputed this lead'
+      });
+    }
+
+    logger.error('Create dispute error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit dispute',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Get my lead disputes
+// @route   GET /api/disputes/mine
+// @access  Private (Service providers)
+router.get('/mine', protect, requireServiceProvider, [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 50 }),
+  query('status').optional().isIn(['pending', 'approved', 'denied'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, status } = req.query;
+
+    const filter = { provider: req.user._id };
+    if (status) filter.status = status;
+
+    const skip = (page - 1) * limit;
+
+    const [disputes, total, refundStats] = await Promise.all([
+      LeadDispute.find(filter)
+        .populate('request', 'title category status')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      LeadDispute.countDocuments(filter),
+      LeadDispute.getProviderRefundStats(req.user._id)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        disputes,
+        refundStats,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get my disputes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get disputes',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Get the dispute review queue
+// @route   GET /api/disputes/admin/queue
+// @access  Private (disputes:read)
+router.get('/admin/queue', protect, authorize('disputes:read'), [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('status').optional().isIn(['pending', 'approved', 'denied']),
+  query('reason').optional().isIn(DISPUTE_REASONS)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, status = 'pending', reason } = req.query;
+
+    const filter = { status };
+    if (reason) filter.reason = reason;
+
+    const skip = (page - 1) * limit;
+
+    const [disputes, total] = await Promise.all([
+      LeadDispute.find(filter)
+        .populate('provider', 'firstName lastName businessName email')
+        .populate('request', 'title category status customer')
+        .populate('transaction', 'amount status createdAt')
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      LeadDispute.countDocuments(filter)
+    ]);
+
+    // Attach each provider's refund history so reviewers can spot abuse
+    const providerIds = [...new Set(disputes.map(dispute => dispute.provider?._id?.toString()).filter(Boolean))];
+    const statsEntries = await Promise.all(providerIds.map(async providerId =>
+      [providerId, await LeadDispute.getProviderRefundStats(providerId)]
+    ));
+    const statsByProvider = Object.fromEntries(statsEntries);
+
+    res.json({
+      success: true,
+      data: {
+        disputes: disputes.map(dispute => ({
+          ...dispute.toObject(),
+          providerRefundStats: statsByProvider[dispute.provider?._id?.toString()] || null
+        })),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get dispute queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get dispute queue',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Approve or deny a dispute
+// @route   PATCH /api/disputes/:id/approve, PATCH /api/disputes/:id/deny
+// @access  Private (disputes:resolve)
+const resolveDispute = (decision) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Claim the pending dispute so it is only resolved once
+    const dispute = await LeadDispute.findOneAndUpdate(
+      { _id: req.params.id, status: 'pending' },
+      {
+        $set: {
+          status: decision,
+          reviewedBy: req.user._id,
+          reviewedAt: new Date(),
+          adminNotes: req.body.notes
+        }
+      },
+      { new: true }
+    );
+
+    if (!dispute) {
+      const exists = await LeadDispute.exists({ _id: req.params.id });
+      return res.status(exists ? 400 : 404).json({
+        success: false,
+        message: exists ? 'Dispute has already been resolved' : 'Dispute not found'
+      });
+    }
+
+    let refund = null;
+    if (decision === 'approved') {
+      try {
+        const spend = await CreditTransaction.findById(dispute.transaction);
+        refund = await spend.refundSpend({
+          processedBy: req.user._id,
+          reason: `Lead dispute approved: ${dispute.reason}`,
+          metadata: { disputeId: dispute._id }
+        });
+      } catch (refundError) {
+        // Put the dispute back in the queue if the refund could not be made
+        await LeadDispute.updateOne(
+          { _id: dispute._id },
+          { $set: { status: 'pending' }, $unset: { reviewedBy: 1, reviewedAt: 1, adminNotes: 1 } }
+        );
+        throw refundError;
+      }
+
+      dispute.refundTransaction = refund._id;
+      await dispute.save();
+    }
+
+    await AuditLog.record(req, {
+      action: `dispute.${decision === 'approved' ? 'approve' : 'deny'}`,
+      targetType: 'LeadDispute',
+      targetId: dispute._id,
+      reason: req.body.notes,
+      changes: { before: { status: 'pending' }, after: { status: decision } },
+      metadata: {
+        providerId: dispute.provider,
+        refundTransactionId: refund?._id,
+        credits: decision === 'approved' ? dispute.creditsDisputed : 0
+      }
+    });
+
+    const request = await Request.findById(dispute.request).select('title');
+
+    try {
+      await Notification.createNotification({
+        user: dispute.provider,
+        type: 'dispute_resolved',
+        title: decision === 'approved' ? 'Lead refund approved' : 'Lead dispute declined',
+        message: decision === 'approved'
+          ? `${dispute.creditsDisputed} credits have been refunded for "${request?.title || 'your lead'}".`
+          : `Your dispute for "${request?.title || 'your lead'}" was not approved.${req.body.notes ? ` ${req.body.notes}` : ''}`.substring(0, 500),
+        data: {
+          disputeId: dispute._id,
+          requestId: dispute.request,
+          refundTransactionId: refund?._id
+        }
+      });
+    } catch (notificationError) {
+      logger.error('Dispute notification error:', notificationError);
+    }
+
+    res.json({
+      success: true,
+      message: decision === 'approved' ? 'Dispute approved and credits refunded' : 'Dispute denied',
+      data: {
+        dispute,
+        refund
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Resolve dispute (${decision}) error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resolve dispute',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+const resolveValidation = [
+  param('id').isMongoId().withMessage('Invalid dispute ID'),
+  body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters')
+];
+
+router.patch('/:id/approve', protect, authorize('disputes:resolve'), resolveValidation, resolveDispute('approved'));
+router.patch('/:id/deny', protect, authorize('disputes:resolve'), resolveValidation, resolveDispute('denied'));
+
+module.exports = router;
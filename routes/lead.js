@@ -1,10 +1,12 @@
 const express = require('express');
-const { query, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Service = require('../models/Service');
 const Request = require('../models/request');
+const Conversation = require('../models/Conversation');
 const { protect, requireCustomer } = require('../middleware/auth');
 const logger = require('../utils/loggerutility');
+const { sendMessage } = require('../utils/chatService');
 
 const router = express.Router();
 
@@ -250,8 +252,21 @@ function calculateDistance(coords1, coords2) {
 // @desc    Contact a provider from leads
 // @route   POST /api/leads/:requestId/contact/:providerId
 // @access  Private (Request owner only)
-router.post('/:requestId/contact/:providerId', protect, requireCustomer, async (req, res) => {
+router.post('/:requestId/contact/:providerId', protect, requireCustomer, [
+  param('requestId').isMongoId().withMessage('Invalid request ID'),
+  param('providerId').isMongoId().withMessage('Invalid provider ID'),
+  body('message').optional().trim().isLength({ min: 1, max: 2000 }).withMessage('Message must be between 1 and 2000 characters')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const request = await Request.findById(req.params.requestId);
     
     if (!request) {
@@ -278,21 +293,30 @@ router.post('/:requestId/contact/:providerId', protect, requireCustomer, async (
       });
     }
 
-    // Create a conversation or send notification to provider
-    // You can implement your messaging system here
-    
-    // For now, we'll just track the interaction
+    // Track the interaction and open a conversation with the provider
     await Request.findByIdAndUpdate(req.params.requestId, {
       $inc: { 'analytics.contactsInitiated': 1 },
       $addToSet: { 'analytics.contactedProviders': req.params.providerId }
     });
 
+    const conversation = await Conversation.findOrCreateForLead(request, provider._id);
+
+    if (req.body.message) {
+      await sendMessage({
+        io: req.app.get('socketio'),
+        conversation,
+        senderId: req.user._id,
+        text: req.body.message
+      });
+    }
+
     res.json({
       success: true,
       message: 'Provider contacted successfully',
       data: {
         providerId: provider._id,
-        providerName: provider.businessName || `${provider.firstName} ${provider.lastName}`
+        providerName: provider.businessName || `${provider.firstName} ${provider.lastName}`,
+        conversationId: conversation._id
       }
     });
 
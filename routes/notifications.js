@@ -0,0 +1,463 @@
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+
+const Notification = require('../models/notifiication');
+const { protect } = require('../middleware/auth');
+const logger = require('../utils/loggerutility');
+
+const router = express.Router();
+
+const NOTIFICATION_TYPES = Notification.schema.path('type').enumValues;
+const NOTIFICATION_PRIORITIES = Notification.schema.path('priority').enumValues;
+
+const bulkIdsValidation = [
+  body('ids').isArray({ min: 1, max: 100 }).withMessage('ids must be an array of 1 to 100 notification IDs'),
+  body('ids.*').isMongoId().withMessage('Invalid notification ID')
+];
+
+// Push the latest unread counters to the user's socket room
+const emitUnreadCount = async (req) => {
+  try {
+    const io = req.app.get('socketio');
+    if (!io) return;
+
+    const unreadCount = await Notification.getUnreadCount(req.user._id);
+    io.to(`user_${req.user._id}`).emit('notifications:unread-count', { unreadCount });
+  } catch (error) {
+    logger.error('Emit unread count error:', error);
+  }
+};
+
+// @desc    Get my notifications (cursor paginated, newest first)
+// @route   GET /api/notifications
+// @access  Private
+router.get('/', protect, [
+  query('cursor').optional().custom(value => {
+    if (!Notification.decodeCursor(value)) {
+      throw new Error('Invalid cursor');
+    }
+    return true;
+  }),
+  query('limit').optional().isInt({ min: 1, max: 50 }),
+  query('type').optional().isIn(NOTIFICATION_TYPES),
+  query('priority').optional().isIn(NOTIFICATION_PRIORITIES),
+  query('unreadOnly').optional().isBoolean(),
+  query('archived').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { cursor, limit = 20, type, priority } = req.query;
+
+    const { notifications, pagination } = await Notification.getNotificationFeed(req.user._id, {
+      cursor,
+      limit,
+      type,
+      priority,
+      unreadOnly: req.query.unreadOnly === 'true',
+      archived: req.query.archived === 'true'
+    });
+
+    const unreadCount = await Notification.getUnreadCount(req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        notifications,
+        unreadCount,
+        pagination
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get notifications',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Get unread notification counts
+// @route   GET /api/notifications/unread-count
+// @access  Private
+router.get('/unread-count', protect, async (req, res) => {
+  try {
+    const summary = await Notification.getUnreadSummary(req.user._id);
+
+    res.json({
+      success: true,
+      data: summary
+    });
+
+  } catch (error) {
+    logger.error('Get unread count error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get unread count',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Mark notifications as read (or all of them)
+// @route   PATCH /api/notifications/read
+// @access  Private
+router.patch('/read', protect, [
+  body('all').optional().isBoolean(),
+  body('ids').optional().isArray({ min: 1, max: 100 }).withMessage('ids must be an array of 1 to 100 notification IDs'),
+  body('ids.*').isMongoId().withMessage('Invalid notification ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const markAll = req.body.all === true || req.body.all === 'true';
+    if (!markAll && !req.body.ids) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide notification ids or set all to true'
+      });
+    }
+
+    const result = markAll
+      ? await Notification.markAllAsRead(req.user._id)
+      : await Notification.markAsRead(req.user._id, req.body.ids);
+
+    await emitUnreadCount(req);
+
+    res.json({
+      success: true,
+      message: 'Notifications marked as read',
+      data: { updated: result.modifiedCount }
+    });
+
+  } catch (error) {
+    logger.error('Mark notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark notifications as read',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Mark notifications as unread
+// @route   PATCH /api/notifications/unread
+// @access  Private
+router.patch('/unread', protect, bulkIdsValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await Notification.markAsUnread(req.user._id, req.body.ids);
+
+    await emitUnreadCount(req);
+
+    res.json({
+      success: true,
+      message: 'Notifications marked as unread',
+      data: { updated: result.modifiedCount }
+    });
+
+  } catch (error) {
+    logger.error('Mark notifications unread error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark notifications as unread',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Archive notifications
+// @route   PATCH /api/notifications/archive
+// @access  Private
+router.patch('/archive', protect, bulkIdsValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await Notification.setArchived(req.user._id, req.body.ids, true);
+
+    await emitUnreadCount(req);
+
+    res.json({
+      success: true,
+      message: 'Notifications archived',
+      data: { updated: result.modifiedCount }
+    });
+
+  } catch (error) {
+    logger.error('Archive notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to archive notifications',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Restore archived notifications
+// @route   PATCH /api/notifications/unarchive
+// @access  Private
+router.patch('/unarchive', protect, bulkIdsValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await Notification.setArchived(req.user._id, req.body.ids, false);
+
+    await emitUnreadCount(req);
+
+    res.json({
+      success: true,
+      message: 'Notifications restored',
+      data: { updated: result.modifiedCount }
+    });
+
+  } catch (error) {
+    logger.error('Unarchive notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to restore notifications',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Delete several notifications
+// @route   DELETE /api/notifications
+// @access  Private
+router.delete('/', protect, bulkIdsValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await Notification.deleteMany({
+      user: req.user._id,
+      _id: { $in: req.body.ids }
+    });
+
+    await emitUnreadCount(req);
+
+    res.json({
+      success: true,
+      message: 'Notifications deleted',
+      data: { deleted: result.deletedCount }
+    });
+
+  } catch (error) {
+    logger.error('Bulk delete notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete notifications',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Get a single notification
+// @route   GET /api/notifications/:id
+// @access  Private
+router.get('/:id', protect, [
+  param('id').isMongoId().withMessage('Invalid notification ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const notification = await Notification.findOne({
+      ...Notification.buildVisibleQuery(req.user._id, { archived: 'any' }),
+      _id: req.params.id
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { notification }
+    });
+
+  } catch (error) {
+    logger.error('Get notification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get notification',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Single-notification state changes share the same shape
+const updateOne = (action, successMessage, failureMessage) => [
+  protect,
+  param('id').isMongoId().withMessage('Invalid notification ID'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const notification = await Notification.findOne({ _id: req.params.id, user: req.user._id });
+
+      if (!notification) {
+        return res.status(404).json({
+          success: false,
+          message: 'Notification not found'
+        });
+      }
+
+      await action(req.user._id, [notification._id]);
+      await emitUnreadCount(req);
+
+      res.json({
+        success: true,
+        message: successMessage,
+        data: { notification: await Notification.findById(notification._id) }
+      });
+
+    } catch (error) {
+      logger.error(`${failureMessage}:`, error);
+      res.status(500).json({
+        success: false,
+        message: failureMessage,
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+];
+
+// @desc    Mark a notification as read
+// @route   PATCH /api/notifications/:id/read
+// @access  Private
+router.patch('/:id/read', ...updateOne(
+  (userId, ids) => Notification.markAsRead(userId, ids),
+  'Notification marked as read',
+  'Failed to mark notification as read'
+));
+
+// @desc    Mark a notification as unread
+// @route   PATCH /api/notifications/:id/unread
+// @access  Private
+router.patch('/:id/unread', ...updateOne(
+  (userId, ids) => Notification.markAsUnread(userId, ids),
+  'Notification marked as unread',
+  'Failed to mark notification as unread'
+));
+
+// @desc    Archive a notification
+// @route   PATCH /api/notifications/:id/archive
+// @access  Private
+router.patch('/:id/archive', ...updateOne(
+  (userId, ids) => Notification.setArchived(userId, ids, true),
+  'Notification archived',
+  'Failed to archive notification'
+));
+
+// @desc    Restore an archived notification
+// @route   PATCH /api/notifications/:id/unarchive
+// @access  Private
+router.patch('/:id/unarchive', ...updateOne(
+  (userId, ids) => Notification.setArchived(userId, ids, false),
+  'Notification restored',
+  'Failed to restore notification'
+));
+
+// @desc    Delete a notification
+// @route   DELETE /api/notifications/:id
+// @access  Private
+router.delete('/:id', protect, [
+  param('id').isMongoId().withMessage('Invalid notification ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const notification = await Notification.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    await emitUnreadCount(req);
+
+    res.json({
+      success: true,
+      message: 'Notification deleted'
+    });
+
+  } catch (error) {
+    logger.error('Delete notification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete notification',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
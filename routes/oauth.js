@@ -0,0 +1,406 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const rateLimit = require('express-rate-limit');
+const validator = require('validator');
+
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { protect, getAuthErrorMessage } = require('../middleware/auth');
+const { issueAuthTokens } = require('../utils/authTokens');
+const { registerLoginDevice } = require('../utils/loginProtection');
+const { TWO_FACTOR_SECRET_FIELDS, sendEmailOtp, createChallengeToken } = require('../utils/twoFactor');
+const {
+  getRedirectUri,
+  getProvider,
+  getEnabledProviders,
+  createAuthorizationRequest,
+  verifyState
+} = require('../utils/oauth');
+const logger = require('../utils/loggerutility');
+
+const router = express.Router();
+
+const oauthLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 100,
+  message: 'Too many sign-in attempts, please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Resolve :provider to an enabled provider or respond 404
+const loadProvider = (req, res, next) => {
+  const provider = getProvider(req.params.provider);
+  if (!provider) {
+    return res.status(404).json({
+      success: false,
+      message: 'Sign-in provider not available'
+    });
+  }
+  req.oauthProvider = provider;
+  next();
+};
+
+const findByIdentity = (provider, providerId) => User.findOne({
+  oauthAccounts: { $elemMatch: { provider, providerId } }
+});
+
+const toAccountSummary = (account) => ({
+  provider: account.provider,
+  email: account.email,
+  linkedAt: account.linkedAt,
+  lastUsedAt: account.lastUsedAt
+});
+
+// @desc    List the sign-in providers that are configured
+// @route   GET /api/auth/oauth/providers
+// @access  Public
+router.get('/providers', (req, res) => {
+  res.json({
+    success: true,
+    data: { providers: getEnabledProviders() }
+  });
+});
+
+// @desc    List the providers linked to the current account
+// @route   GET /api/auth/oauth/accounts
+// @access  Private
+router.get('/accounts', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+password oauthAccounts');
+
+    res.json({
+      success: true,
+      data: {
+        hasPassword: !!user.password,
+        accounts: (user.oauthAccounts || []).map(toAccountSummary),
+        availableProviders: getEnabledProviders()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get linked accounts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get linked accounts',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Start signing in with a provider - returns the URL to send the user to, and a
+//          binding the client keeps (e.g. in sessionStorage) and sends back with the callback
+// @route   GET /api/auth/oauth/:provider/start
+// @access  Public
+router.get('/:provider/start', oauthLimiter, loadProvider, async (req, res) => {
+  try {
+    const { authorizationUrl, state, binding } = await createAuthorizationRequest(req.oauthProvider, { mode: 'login' });
+
+    res.json({
+      success: true,
+      data: { authorizationUrl, state, binding }
+    });
+
+  } catch (error) {
+    logger.error('OAuth start error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start sign-in',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Start linking a provider to the current account
+// @route   POST /api/auth/oauth/:provider/link
+// @access  Private
+router.post('/:provider/link', protect, oauthLimiter, loadProvider, async (req, res) => {
+  try {
+    const { authorizationUrl, state, binding } = await createAuthorizationRequest(req.oauthProvider, {
+      mode: 'link',
+      userId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      data: { authorizationUrl, state, binding }
+    });
+
+  } catch (error) {
+    logger.error('OAuth link start error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start linking',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Receive Apple's form_post response and hand it to the client app's callback page
+// @route   POST /api/auth/oauth/apple/form-post
+// @access  Public
+router.post('/apple/form-post', oauthLimiter, (req, res) => {
+  const params = new URLSearchParams();
+  ['code', 'state', 'user', 'error'].forEach(field => {
+    if (typeof req.body[field] === 'string') params.set(field, req.body[field]);
+  });
+  res.redirect(303, `${getRedirectUri('apple')}?${params.toString()}`);
+});
+
+// @desc    Complete sign-in or linking with the code returned by the provider and the
+//          binding handed out when the flow was started
+// @route   POST /api/auth/oauth/:provider/callback
+// @access  Public (state token)
+router.post('/:provider/callback', oauthLimiter, loadProvider, [
+  body('code').isString().notEmpty().withMessage('Authorization code is required'),
+  body('state').isString().notEmpty().withMessage('State is required'),
+  body('binding').isString().notEmpty().withMessage('Binding from the start of sign-in is required')
+], handleValidation, async (req, res) => {
+  try {
+    const provider = req.oauthProvider;
+
+    let state;
+    try {
+      state = verifyState(req.body.state, provider.name, req.body.binding);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: `Sign-in attempt is invalid or has expired: ${getAuthErrorMessage(error)}`
+      });
+    }
+
+    let profile;
+    try {
+      profile = await provider.getProfile({
+        code: req.body.code,
+        codeVerifier: state.codeVerifier,
+        extra: { user: req.body.user }
+      });
+    } catch (error) {
+      logger.error(`OAuth ${provider.name} code exchange failed:`, error.response?.data || error);
+      return res.status(401).json({
+        success: false,
+        message: `Could not sign in with ${provider.displayName}`
+      });
+    }
+
+    const identity = {
+      provider: provider.name,
+      providerId: profile.providerId,
+      email: profile.email,
+      linkedAt: new Date(),
+      lastUsedAt: new Date()
+    };
+    const linkedUser = await findByIdentity(provider.name, profile.providerId);
+
+    // Linking to an account that is already signed in
+    if (state.mode === 'link') {
+      const user = await User.findById(state.userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      if (linkedUser && !linkedUser._id.equals(user._id)) {
+        return res.status(409).json({
+          success: false,
+          message: `This ${provider.displayName} account is already linked to another user`
+        });
+      }
+
+      const existing = user.oauthAccounts.find(account => account.provider === provider.name);
+      if (existing && existing.providerId !== profile.providerId) {
+        return res.status(409).json({
+          success: false,
+          message: `A different ${provider.displayName} account is already linked. Unlink it first.`
+        });
+      }
+
+      if (!existing) {
+        user.oauthAccounts.push(identity);
+        await user.save({ validateBeforeSave: false });
+      }
+
+      return res.json({
+        success: true,
+        message: `${provider.displayName} account linked`,
+        data: { accounts: user.oauthAccounts.map(toAccountSummary) }
+      });
+    }
+
+    let user = linkedUser;
+    let isNewUser = false;
+
+    if (!user) {
+      if (!profile.email) {
+        return res.status(400).json({
+          success: false,
+          message: `Your ${provider.displayName} account did not share an email address`
+        });
+      }
+
+      // Password registrations store normalizeEmail() output (Gmail dots and +tags removed);
+      // accounts created here before that was applied hold the address as the provider sent it
+      const email = validator.normalizeEmail(profile.email) || profile.email;
+      const emailUser = await User.findOne({ email: { $in: [...new Set([email, profile.email])] } }).select('+password');
+
+      if (emailUser) {
+        // Only an address the provider has verified proves the person owns this account
+        if (!profile.emailVerified) {
+          return res.status(409).json({
+            success: false,
+            message: `An account with this email already exists. Sign in with your password and link ${provider.displayName} from your account settings.`
+          });
+        }
+
+        // Whoever set a password on an unverified address may not own it, so drop that password
+        // and its sessions now that the real owner has proved it
+        if (!emailUser.emailVerified && emailUser.password) {
+          emailUser.password = undefined;
+          await Session.revokeAllForUser(emailUser._id, 'password_changed');
+          logger.warn(`Cleared unverified password on ${emailUser._id} when linking ${provider.name}`);
+        }
+
+        emailUser.emailVerified = true;
+        emailUser.oauthAccounts.push(identity);
+        await emailUser.save({ validateBeforeSave: false });
+        user = emailUser;
+      } else {
+        user = await User.create({
+          firstName: profile.firstName || 'Customer',
+          lastName: profile.lastName || profile.email.split('@')[0],
+          email,
+          ...(profile.avatar && { avatar: profile.avatar }),
+          userType: 'customer',
+          emailVerified: !!profile.emailVerified,
+          isActive: true,
+          oauthAccounts: [identity]
+        });
+        isNewUser = true;
+      }
+    }
+
+    if (!user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: user.suspension?.suspendedAt
+          ? 'Account is suspended. Please contact support.'
+          : 'Account is deactivated. Please contact support.'
+      });
+    }
+
+    await User.updateOne(
+      { _id: user._id, 'oauthAccounts.provider': provider.name, 'oauthAccounts.providerId': profile.providerId },
+      { $set: { 'oauthAccounts.$.lastUsedAt': new Date() } }
+    );
+
+    // Social sign-in replaces the password step only; two-factor still applies
+    if (user.twoFactor?.enabled) {
+      if (user.twoFactor.method === 'email') {
+        await sendEmailOtp(await User.findById(user._id).select(TWO_FACTOR_SECRET_FIELDS));
+      }
+
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          twoFactorRequired: true,
+          method: user.twoFactor.method,
+          challengeToken: createChallengeToken(user),
+          expiresIn: 300
+        }
+      });
+    }
+
+    user.lastSeen = new Date();
+    user.isOnline = true;
+    await user.save({ validateBeforeSave: false });
+
+    const tokens = await issueAuthTokens(user, req);
+    await registerLoginDevice(user, req);
+
+    res.status(isNewUser ? 201 : 200).json({
+      success: true,
+      message: isNewUser ? 'Account created successfully' : 'Login successful',
+      data: {
+        user: await User.findById(user._id),
+        ...tokens,
+        isNewUser
+      }
+    });
+
+  } catch (error) {
+    logger.error('OAuth callback error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Sign-in failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Unlink a provider from the current account
+// @route   DELETE /api/auth/oauth/:provider
+// @access  Private
+router.delete('/:provider', protect, [
+  param('provider').isString().trim().notEmpty()
+], handleValidation, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+password oauthAccounts');
+    const account = user.oauthAccounts.find(entry => entry.provider === req.params.provider);
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'This provider is not linked to your account'
+      });
+    }
+
+    // Never leave an account with no way to sign in
+    if (!user.password && user.oauthAccounts.length === 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Set a password before unlinking your only sign-in method'
+      });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      { $pull: { oauthAccounts: { provider: req.params.provider } } }
+    );
+
+    res.json({
+      success: true,
+      message: 'Provider unlinked',
+      data: {
+        accounts: user.oauthAccounts
+          .filter(entry => entry.provider !== req.params.provider)
+          .map(toAccountSummary)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Unlink provider error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlink provider',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,259 @@
+const express = require('express');
+const crypto = require('crypto');
+const { body, validationResult } = require('express-validator');
+const rateLimit = require('express-rate-limit');
+
+const User = require('../models/User');
+const { protect } = require('../middleware/auth');
+const { sendSms, normalizePhoneNumber } = require('../utils/sms');
+const logger = require('../utils/loggerutility');
+
+const router = express.Router();
+
+const CODE_TTL_MS = 10 * 60 * 1000;
+const RESEND_COOLDOWN_MS = 60 * 1000;
+const MAX_SENDS_PER_WINDOW = 5;
+const SEND_WINDOW_MS = 60 * 60 * 1000;
+const MAX_VERIFY_ATTEMPTS = 5;
+
+const PHONE_VERIFICATION_FIELDS = [
+  '+phoneVerification.phone',
+  '+phoneVerification.codeHash',
+  '+phoneVerification.expiresAt',
+  '+phoneVerification.attempts',
+  '+phoneVerification.lastSentAt',
+  '+phoneVerification.sendCount',
+  '+phoneVerification.sendWindowStart'
+].join(' ');
+
+// Limits per account rather than per IP, since the user is already signed in
+const phoneLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  keyGenerator: (req) => (req.user ? req.user.id : req.ip),
+  message: 'Too many phone verification requests, please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Six-digit codes are keyed to the user and a server secret so a leaked hash cannot be brute forced offline
+const hashCode = (userId, code) => crypto
+  .createHmac('sha256', process.env.JWT_SECRET || '')
+  .update(`${userId}:${code}`)
+  .digest('hex');
+
+const maskPhone = (phone) => `${phone.slice(0, -4).replace(/\d/g, '*')}${phone.slice(-4)}`;
+
+// @desc    Send a verification code to the user's phone (or a new number)
+// @route   POST /api/auth/phone/send-code
+// @access  Private
+router.post('/send-code', protect, phoneLimiter, [
+  body('phone').optional().isMobilePhone().withMessage('Please provide a valid phone number')
+], handleValidation, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(PHONE_VERIFICATION_FIELDS);
+
+    const phone = normalizePhoneNumber(req.body.phone || user.phone);
+    if (!phone) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid phone number'
+      });
+    }
+
+    if (user.phoneVerified && normalizePhoneNumber(user.phone) === phone) {
+      return res.status(400).json({
+        success: false,
+        message: 'This phone number is already verified'
+      });
+    }
+
+    const now = new Date();
+    const verification = user.phoneVerification || {};
+
+    if (verification.lastSentAt && now - verification.lastSentAt < RESEND_COOLDOWN_MS) {
+      const retryAfter = Math.ceil((RESEND_COOLDOWN_MS - (now - verification.lastSentAt)) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: `Please wait ${retryAfter} seconds before requesting another code`,
+        retryAfter
+      });
+    }
+
+    const windowActive = verification.sendWindowStart && now - verification.sendWindowStart < SEND_WINDOW_MS;
+    const sendCount = windowActive ? (verification.sendCount || 0) : 0;
+    if (sendCount >= MAX_SENDS_PER_WINDOW) {
+      return res.status(429).json({
+        success: false,
+        message: 'Too many codes requested. Please try again later.'
+      });
+    }
+
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+
+    user.set('phoneVerification', {
+      phone,
+      codeHash: hashCode(user._id, code),
+      expiresAt: new Date(now.getTime() + CODE_TTL_MS),
+      attempts: 0,
+      lastSentAt: now,
+      sendCount: sendCount + 1,
+      sendWindowStart: windowActive ? verification.sendWindowStart : now
+    });
+    await user.save({ validateBeforeSave: false });
+
+    try {
+      await sendSms({
+        to: phone,
+        body: `Your ${process.env.SMS_SENDER_NAME || 'Bark Clone'} verification code is ${code}. It expires in ${CODE_TTL_MS / 60000} minutes.`
+      });
+    } catch (error) {
+      // Let the user retry straight away if the provider rejected the message
+      user.set('phoneVerification.codeHash', undefined);
+      user.set('phoneVerification.expiresAt', undefined);
+      user.set('phoneVerification.lastSentAt', undefined);
+      await user.save({ validateBeforeSave: false });
+
+      logger.error('Phone verification SMS failed:', error);
+      return res.status(502).json({
+        success: false,
+        message: 'Verification code could not be sent. Please check the number and try again.'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Verification code sent',
+      data: {
+        phone: maskPhone(phone),
+        expiresIn: CODE_TTL_MS / 1000,
+        resendAfter: RESEND_COOLDOWN_MS / 1000
+      }
+    });
+
+  } catch (error) {
+    logger.error('Send phone code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send verification code',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Verify the phone number with the code sent by SMS
+// @route   POST /api/auth/phone/verify-code
+// @access  Private
+router.post('/verify-code', protect, phoneLimiter, [
+  body('code').matches(/^\d{6}$/).withMessage('Code must be 6 digits')
+], handleValidation, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(PHONE_VERIFICATION_FIELDS);
+    const verification = user.phoneVerification || {};
+
+    if (!verification.codeHash || !verification.expiresAt || verification.expiresAt < new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification code has expired. Please request a new one.'
+      });
+    }
+
+    // Count the attempt before checking the code so parallel guesses cannot all see the same count
+    const reserved = await User.findOneAndUpdate(
+      {
+        _id: user._id,
+        'phoneVerification.codeHash': verification.codeHash,
+        $or: [
+          { 'phoneVerification.attempts': { $exists: false } },
+          { 'phoneVerification.attempts': { $lt: MAX_VERIFY_ATTEMPTS } }
+        ]
+      },
+      { $inc: { 'phoneVerification.attempts': 1 } },
+      { new: true, projection: { 'phoneVerification.attempts': 1 } }
+    );
+
+    if (!reserved) {
+      return res.status(429).json({
+        success: false,
+        message: 'Too many incorrect attempts. Please request a new code.'
+      });
+    }
+
+    const isMatch = crypto.timingSafeEqual(
+      Buffer.from(hashCode(user._id, req.body.code)),
+      Buffer.from(verification.codeHash)
+    );
+
+    if (!isMatch) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code',
+        attemptsRemaining: Math.max(0, MAX_VERIFY_ATTEMPTS - reserved.phoneVerification.attempts)
+      });
+    }
+
+    const takenBy = await User.exists({
+      _id: { $ne: user._id },
+      phone: verification.phone,
+      phoneVerified: true
+    });
+    if (takenBy) {
+      return res.status(400).json({
+        success: false,
+        message: 'This phone number is already verified on another account'
+      });
+    }
+
+    user.phone = verification.phone;
+    user.phoneVerified = true;
+    user.phoneVerifiedAt = new Date();
+    user.set('phoneVerification.codeHash', undefined);
+    user.set('phoneVerification.expiresAt', undefined);
+    user.set('phoneVerification.attempts', 0);
+    try {
+      await user.save({ validateBeforeSave: false });
+    } catch (error) {
+      // The unique index catches another account verifying the same number at the same time
+      if (error.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: 'This phone number is already verified on another account'
+        });
+      }
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      message: 'Phone number verified',
+      data: {
+        phone: user.phone,
+        phoneVerified: true,
+        phoneVerifiedAt: user.phoneVerifiedAt
+      }
+    });
+
+  } catch (error) {
+    logger.error('Verify phone code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Phone verification failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
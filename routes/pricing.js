@@ -0,0 +1,215 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+
+const PricingConfig = require('../models/PricingConfig');
+const AuditLog = require('../models/AuditLog');
+const Request = require('../models/request');
+const { protect, authorize } = require('../middleware/auth');
+const { getPricingConfig, clearPricingCache, priceLead } = require('../utils/leadPricing');
+const logger = require('../utils/loggerutility');
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = [
+  'baseCost',
+  'categoryBaseCosts',
+  'budgetTiers',
+  'urgencyMultipliers',
+  'cityPremiums',
+  'newProviderDiscount',
+  'promotionalMultiplier',
+  'minCost',
+  'maxCost',
+  'freeThreshold'
+];
+
+const rulesValidation = (prefix = '') => [
+  body(`${prefix}baseCost`).optional().isFloat({ min: 0 }).withMessage('Base cost must be a positive number'),
+  body(`${prefix}categoryBaseCosts`).optional().isArray(),
+  body(`${prefix}categoryBaseCosts.*.category`).isMongoId().withMessage('Invalid category ID'),
+  body(`${prefix}categoryBaseCosts.*.baseCost`).isFloat({ min: 0 }).withMessage('Category base cost must be a positive number'),
+  body(`${prefix}budgetTiers`).optional().isArray(),
+  body(`${prefix}budgetTiers.*.minAmount`).isFloat({ min: 0 }).withMessage('Budget tier minimum must be a positive number'),
+  body(`${prefix}budgetTiers.*.multiplier`).isFloat({ min: 0 }).withMessage('Budget tier multiplier must be a positive number'),
+  body(`${prefix}urgencyMultipliers`).optional().isObject(),
+  body(`${prefix}urgencyMultipliers.*`).optional().isFloat({ min: 0 }).withMessage('Urgency multipliers must be positive numbers'),
+  body(`${prefix}cityPremiums`).optional().isArray(),
+  body(`${prefix}cityPremiums.*.city`).isString().trim().notEmpty().withMessage('City is required'),
+  body(`${prefix}cityPremiums.*.premium`).isFloat().withMessage('City premium must be a number'),
+  body(`${prefix}newProviderDiscount.enabled`).optional().isBoolean(),
+  body(`${prefix}newProviderDiscount.maxLeadsContacted`).optional().isInt({ min: 0 }),
+  body(`${prefix}newProviderDiscount.multiplier`).optional().isFloat({ min: 0, max: 1 }),
+  body(`${prefix}promotionalMultiplier`).optional().isFloat({ min: 0, max: 1 }),
+  body(`${prefix}minCost`).optional().isFloat({ min: 0 }),
+  body(`${prefix}maxCost`).optional().isFloat({ min: 0 }),
+  body(`${prefix}freeThreshold`).optional().isFloat({ min: 0 })
+];
+
+const pickRules = (source = {}) => EDITABLE_FIELDS.reduce((rules, field) => {
+  if (source[field] !== undefined) rules[field] = source[field];
+  return rules;
+}, {});
+
+// @desc    Get lead pricing rules
+// @route   GET /api/admin/pricing
+// @access  Private (pricing:manage)
+router.get('/', protect, authorize('pricing:manage'), async (req, res) => {
+  try {
+    const config = await PricingConfig.getConfig();
+    await config.populate('categoryBaseCosts.category', 'name slug');
+
+    res.json({
+      success: true,
+      data: { config }
+    });
+
+  } catch (error) {
+    logger.error('Get pricing config error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get pricing configuration',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Update lead pricing rules
+// @route   PUT /api/admin/pricing
+// @access  Private (pricing:manage)
+router.put('/', protect, authorize('pricing:manage'), rulesValidation(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const config = await PricingConfig.getConfig();
+    const rules = pickRules(req.body);
+    const before = pickRules(config.toObject());
+
+    if (rules.newProviderDiscount) {
+      rules.newProviderDiscount = {
+        ...config.newProviderDiscount.toObject(),
+        ...rules.newProviderDiscount
+      };
+    }
+
+    config.set({ ...rules, updatedBy: req.user._id });
+    await config.save();
+
+    clearPricingCache();
+
+    await AuditLog.record(req, {
+      action: 'pricing.update',
+      targetType: 'PricingConfig',
+      targetId: config._id,
+      changes: {
+        before: Object.keys(rules).reduce((acc, field) => ({ ...acc, [field]: before[field] }), {}),
+        after: rules
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Pricing configuration updated',
+      data: { config }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => ({ path: err.path, msg: err.message }))
+      });
+    }
+
+    logger.error('Update pricing config error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update pricing configuration',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Preview the price of a lead under the current or draft rules
+// @route   POST /api/admin/pricing/preview
+// @access  Private (pricing:manage)
+router.post('/preview', protect, authorize('pricing:manage'), [
+  body('requestId').optional().isMongoId().withMessage('Invalid request ID'),
+  body('request').optional().isObject(),
+  body('request.category').optional().isMongoId().withMessage('Invalid category ID'),
+  body('request.budget.amount').optional().isFloat({ min: 0 }),
+  body('request.timeline.urgency').optional().isString(),
+  body('request.location.city').optional().isString(),
+  body('request.promotionalLead').optional().isBoolean(),
+  body('providerLeadsContacted').optional().isInt({ min: 0 }),
+  body('rules').optional().isObject(),
+  ...rulesValidation('rules.')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    let lead = req.body.request;
+    if (req.body.requestId) {
+      lead = await Request.findById(req.body.requestId).lean();
+      if (!lead) {
+        return res.status(404).json({
+          success: false,
+          message: 'Request not found'
+        });
+      }
+    }
+
+    if (!lead) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide a requestId or a sample request'
+      });
+    }
+
+    const current = await getPricingConfig();
+    const draft = pickRules(req.body.rules);
+    const config = {
+      ...current,
+      ...draft,
+      newProviderDiscount: { ...current.newProviderDiscount, ...draft.newProviderDiscount }
+    };
+
+    const provider = req.body.providerLeadsContacted !== undefined
+      ? { stats: { leadsContacted: parseInt(req.body.providerLeadsContacted) } }
+      : null;
+
+    const price = priceLead(lead, provider, config);
+
+    res.json({
+      success: true,
+      data: {
+        ...price,
+        usingDraftRules: Object.keys(draft).length > 0
+      }
+    });
+
+  } catch (error) {
+    logger.error('Preview lead price error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview lead price',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,23 +1,84 @@
 const express = require('express');
 const { body, query, validationResult } = require('express-validator');
 const mongoose = require('mongoose');
+const fs = require('fs');
 
 const Request = require('../models/request');
 const User = require('../models/User');
 const Category = require('../models/Category');
 const Notification = require('../models/notifiication');
+const Conversation = require('../models/Conversation');
+const CreditPackage = require('../models/CreditPackage');
+const Business = require('../models/Business');
 const { 
   protect, 
   requireCustomer,
   requireServiceProvider,
   requireOwnership 
 } = require('../middleware/auth');
-const { upload: multerUpload } = require('../middleware/uploadmiddleware'); // Rename for clarity
+const { upload: multerUpload, handleMulterError } = require('../middleware/uploadmiddleware'); // Rename for clarity
 const sendEmail = require('../utils/email');
 const logger = require('../utils/loggerutility');
+const { sendMessage } = require('../utils/chatService');
+const { contactLead, notifyWaitlist } = require('../utils/leadContact');
+const { resolveWallet } = require('../utils/teamWallet');
+const { getMissingLeadRequirements } = require('../utils/verification');
+const { isSupportedCurrency } = require('../utils/currency');
+const { COMPARE_SORTS, compareQuotes } = require('../utils/quoteComparison');
+const {
+  OPEN_STATUSES,
+  TRANSITIONS,
+  RequestTransitionError,
+  canTransition,
+  transitionRequest,
+  getTransitionErrorStatus
+} = require('../utils/requestStateMachine');
+const { MAX_EXTENSION_DAYS, RequestExpiryError, extendRequest } = require('../utils/requestExpiry');
+const { getPricingConfig, priceLead, quoteLead } = require('../utils/leadPricing');
+const {
+  ProjectError,
+  getProjectRole,
+  addMilestone,
+  updateMilestone,
+  removeMilestone,
+  submitMilestone,
+  reviewMilestone,
+  addProgressUpdate,
+  getProjectSummary,
+  getProjectErrorStatus
+} = require('../utils/projectProgress');
 
 const router = express.Router();
 
+// Respond to a lifecycle change that is not allowed (see utils/requestStateMachine.js)
+const sendTransitionError = (res, error) => res.status(getTransitionErrorStatus(error)).json({
+  success: false,
+  message: error.message,
+  ...error.details
+});
+
+const sendProjectError = (res, error) => res.status(getProjectErrorStatus(error)).json({
+  success: false,
+  message: error.message
+});
+
+// Load a request for its customer or selected provider, or respond with 404
+const findProjectRequest = async (req, res) => {
+  const request = await Request.findById(req.params.id);
+  if (!request || !getProjectRole(request, req.user._id)) {
+    res.status(404).json({
+      success: false,
+      message: 'Request not found'
+    });
+    return null;
+  }
+  return request;
+};
+
+const removeUploads = (files = []) => {
+  files.forEach(file => fs.unlink(file.path, () => {}));
+};
+
 
 
 
@@ -27,30 +88,24 @@ const router = express.Router();
 // @desc    Cancel request
 // @route   PATCH /api/requests/:id/cancel
 // @access  Private (Request owner only)
-router.patch('/:id/cancel', protect, requireOwnership(Request, 'id', 'customer'), async (req, res) => {
+router.patch('/:id/cancel', protect, requireOwnership(Request, 'id', 'customer'), [
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+], async (req, res) => {
   try {
-    const request = await Request.findById(req.params.id);
-
-    if (!['published', 'receiving_quotes', 'quotes_received'].includes(request.status)) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: 'Cannot cancel request in current status'
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
-    request.status = 'cancelled';
-    await request.save();
-
-    // Notify providers who submitted quotes
-    for (const quote of request.quotes) {
-      await Notification.create({
-        user: quote.provider,
-        type: 'request_cancelled',
-        title: 'Request Cancelled',
-        message: `The request "${request.title}" has been cancelled by the customer`,
-        data: { requestId: request._id }
-      });
-    }
+    // Providers who responded are notified by the state machine
+    await transitionRequest(req.resource, 'cancel', {
+      actor: req.user._id,
+      reason: req.body.reason
+    });
 
     res.json({
       success: true,
@@ -58,6 +113,9 @@ router.patch('/:id/cancel', protect, requireOwnership(Request, 'id', 'customer')
     });
 
   } catch (error) {
+    if (error instanceof RequestTransitionError) {
+      return sendTransitionError(res, error);
+    }
     logger.error('Cancel request error:', error);
     res.status(500).json({
       success: false,
@@ -74,6 +132,7 @@ router.post('/:id/quotes', protect, requireServiceProvider, [
   body('message').optional().isLength({ max: 1000 }),
   body('pricing.amount').isFloat({ min: 0 }).withMessage('Valid price is required'),
   body('pricing.type').isIn(['hourly', 'fixed', 'per_project']).withMessage('Valid pricing type required'),
+  body('pricing.currency').optional().custom(isSupportedCurrency).withMessage('Unsupported currency'),
   body('timeline.startDate').optional().isISO8601(),
   body('timeline.duration').isInt({ min: 1 }).withMessage('Duration is required'),
   body('timeline.completionDate').optional().isISO8601()
@@ -118,11 +177,26 @@ router.post('/:id/quotes', protect, requireServiceProvider, [
       });
     }
 
+    // Categories that require a licence only accept quotes from verified providers
+    const missingRequirements = await getMissingLeadRequirements(req.user.id, request.category);
+    if (missingRequirements.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'You must complete verification before quoting on requests in this category',
+        missingRequirements: missingRequirements.map(entry => entry.requirement)
+      });
+    }
+
     // Add quote to request
+    const business = await Business.findActiveForMember(req.user.id);
     const quoteData = {
       provider: req.user.id,
+      ...(business && { business: business._id }),
       message: req.body.message,
-      pricing: req.body.pricing,
+      pricing: {
+        ...req.body.pricing,
+        currency: (req.body.pricing.currency || request.budget?.currency || 'PKR').toUpperCase()
+      },
       timeline: req.body.timeline,
       submittedAt: new Date(),
       expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) // 7 days
@@ -131,13 +205,13 @@ router.post('/:id/quotes', protect, requireServiceProvider, [
     request.quotes.push(quoteData);
     request.analytics.quotesReceived = request.quotes.length;
 
-    // Update status if this is the first quote
-    if (request.quotes.length === 1) {
-      request.status = 'quotes_received';
+    // The first quote moves the request on; later ones are saved as they are
+    if (canTransition(request, 'receive_quote')) {
+      await transitionRequest(request, 'receive_quote', { actor: req.user._id, actorRole: 'provider' });
+    } else {
+      await request.save();
     }
 
-    await request.save();
-
     // Notify customer
     await Notification.create({
       user: request.customer._id,
@@ -179,6 +253,9 @@ router.post('/:id/quotes', protect, requireServiceProvider, [
     });
 
   } catch (error) {
+    if (error instanceof RequestTransitionError) {
+      return sendTransitionError(res, error);
+    }
     logger.error('Submit quote error:', error);
     res.status(500).json({
       success: false,
@@ -194,6 +271,7 @@ router.post('/:id/quotes', protect, requireServiceProvider, [
 router.put('/:id/quotes/:quoteId', protect, requireServiceProvider, [
   body('message').optional().isLength({ max: 1000 }),
   body('pricing.amount').optional().isFloat({ min: 0 }),
+  body('pricing.currency').optional().custom(isSupportedCurrency).withMessage('Unsupported currency'),
   body('timeline.duration').optional().isInt({ min: 1 })
 ], async (req, res) => {
   try {
@@ -223,26 +301,35 @@ router.put('/:id/quotes/:quoteId', protect, requireServiceProvider, [
       });
     }
 
-    // Check if quote is still pending
-    if (quote.status !== 'pending') {
+    // Check if quote is still open
+    if (!request.isQuoteOpen(quote)) {
       return res.status(400).json({
         success: false,
         message: 'Cannot update accepted or rejected quote'
       });
     }
 
+    // Only the terms of the quote can be revised
+    const { message, pricing, timeline } = req.body || {};
+
     // Create revision
     const revision = {
-      message: req.body.message || quote.message,
-      pricing: req.body.pricing || quote.pricing,
-      timeline: req.body.timeline || quote.timeline,
+      message: message || quote.message,
+      pricing: pricing || quote.pricing,
+      timeline: timeline || quote.timeline,
       revisedAt: new Date()
     };
 
     quote.revisions.push(revision);
 
-    // Update current quote
-    Object.assign(quote, req.body);
+    // Update current quote, keeping its currency unless a new one is given
+    const previousCurrency = quote.pricing?.currency;
+    if (message !== undefined) quote.message = message;
+    if (timeline !== undefined) quote.timeline = timeline;
+    if (pricing !== undefined) {
+      quote.pricing = pricing;
+      quote.pricing.currency = (pricing.currency || previousCurrency || request.budget?.currency || 'PKR').toUpperCase();
+    }
     quote.submittedAt = new Date(); // Update submission time
 
     await request.save();
@@ -335,87 +422,253 @@ router.post('/:id/quotes/:quoteId/accept', protect, requireOwnership(Request, 'i
       });
     }
 
-    if (quote.status !== 'pending') {
+    // Selecting the provider declines the other quotes and sets up the project and
+    // payment; see utils/requestStateMachine.js
+    await transitionRequest(request, 'select_provider', {
+      actor: req.user._id,
+      context: { quote }
+    });
+
+    res.json({
+      success: true,
+      message: 'Quote accepted successfully',
+      data: { request }
+    });
+
+  } catch (error) {
+    if (error instanceof RequestTransitionError) {
+      return sendTransitionError(res, error);
+    }
+    logger.error('Accept quote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to accept quote',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Compare the quotes on a request side by side
+// @route   GET /api/requests/:id/quotes/compare
+// @access  Private (Request owner only)
+router.get('/:id/quotes/compare', protect, requireOwnership(Request, 'id', 'customer'), [
+  query('sort').optional().isIn(COMPARE_SORTS).withMessage(`Sort must be one of: ${COMPARE_SORTS.join(', ')}`),
+  query('status').optional().isIn(['pending', 'viewed', 'accepted', 'rejected', 'expired']),
+  query('shortlisted').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: 'Quote is not available for acceptance'
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
-    // Select provider and accept quote
-    request.selectedProvider = quote.provider;
-    request.selectedQuote = quote._id;
-    request.status = 'provider_selected';
+    const { sort = 'best_value', status, shortlisted } = req.query;
 
-    // Set quote as accepted
-    quote.status = 'accepted';
+    const comparison = await compareQuotes(req.resource, { sort, status });
+    const quotes = shortlisted === undefined
+      ? comparison.quotes
+      : comparison.quotes.filter(quote => quote.shortlisted === (shortlisted === 'true'));
 
-    // Reject all other quotes
-    request.quotes.forEach(q => {
-      if (q._id.toString() !== quote._id.toString() && q.status === 'pending') {
-        q.status = 'rejected';
+    res.json({
+      success: true,
+      data: {
+        requestId: req.resource._id,
+        currency: comparison.currency,
+        sort,
+        quotes,
+        summary: {
+          total: quotes.length,
+          shortlisted: quotes.filter(quote => quote.shortlisted).length,
+          unviewed: quotes.filter(quote => quote.status === 'pending').length
+        }
       }
     });
 
-    // Set up project details
-    request.project = {
-      startDate: quote.timeline.startDate || new Date(),
-      expectedEndDate: quote.timeline.completionDate,
-      milestones: []
-    };
+  } catch (error) {
+    logger.error('Compare quotes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to compare quotes',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
 
-    // Set payment information
-    request.payment = {
-      totalAmount: quote.pricing.amount,
-      currency: quote.pricing.currency || 'USD',
-      method: 'card',
-      schedule: 'on_completion'
-    };
+// @desc    Mark a quote as viewed
+// @route   PATCH /api/requests/:id/quotes/:quoteId/viewed
+// @access  Private (Request owner only)
+router.patch('/:id/quotes/:quoteId/viewed', protect, requireOwnership(Request, 'id', 'customer'), async (req, res) => {
+  try {
+    const request = req.resource;
+    const quote = request.quotes.id(req.params.quoteId);
+
+    if (!quote) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quote not found'
+      });
+    }
+
+    // Only the first view changes anything
+    if (quote.status === 'pending') {
+      quote.status = 'viewed';
+      quote.viewedAt = new Date();
+      await request.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Quote marked as viewed',
+      data: { quote }
+    });
+
+  } catch (error) {
+    logger.error('Mark quote viewed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark quote as viewed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Add a quote to, or remove it from, the shortlist
+// @route   PATCH /api/requests/:id/quotes/:quoteId/shortlist
+// @access  Private (Request owner only)
+router.patch('/:id/quotes/:quoteId/shortlist', protect, requireOwnership(Request, 'id', 'customer'), [
+  body('shortlisted').optional().isBoolean().withMessage('shortlisted must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const request = req.resource;
+    const quote = request.quotes.id(req.params.quoteId);
+
+    if (!quote) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quote not found'
+      });
+    }
+
+    if (!request.isQuoteOpen(quote)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only open quotes can be shortlisted'
+      });
+    }
+
+    const shortlisted = req.body.shortlisted === undefined ? true : req.body.shortlisted === true || req.body.shortlisted === 'true';
+
+    quote.shortlisted = shortlisted;
+    quote.shortlistedAt = shortlisted ? new Date() : undefined;
+    // Shortlisting a quote means the customer has seen it
+    if (quote.status === 'pending') {
+      quote.status = 'viewed';
+      quote.viewedAt = new Date();
+    }
 
     await request.save();
 
-    // Notify selected provider
-    await Notification.create({
-      user: quote.provider,
-      type: 'quote_accepted',
-      title: 'Quote Accepted!',
-      message: `Your quote for "${request.title}" has been accepted`,
-      data: {
-        requestId: request._id,
-        quoteAmount: quote.pricing.amount
-      }
+    res.json({
+      success: true,
+      message: shortlisted ? 'Quote shortlisted' : 'Quote removed from shortlist',
+      data: { quote }
     });
 
-    // Notify rejected providers
-    const rejectedProviders = request.quotes
-      .filter(q => q.status === 'rejected')
-      .map(q => q.provider);
+  } catch (error) {
+    logger.error('Shortlist quote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update shortlist',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
 
-    for (const providerId of rejectedProviders) {
-      await Notification.create({
-        user: providerId,
+// @desc    Reject a quote
+// @route   PATCH /api/requests/:id/quotes/:quoteId/reject
+// @access  Private (Request owner only)
+router.patch('/:id/quotes/:quoteId/reject', protect, requireOwnership(Request, 'id', 'customer'), [
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const request = req.resource;
+    const quote = request.quotes.id(req.params.quoteId);
+
+    if (!quote) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quote not found'
+      });
+    }
+
+    if (!request.isQuoteOpen(quote)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Quote is not available for rejection'
+      });
+    }
+
+    quote.status = 'rejected';
+    quote.rejectedAt = new Date();
+    quote.rejectionReason = req.body.reason;
+    quote.shortlisted = false;
+    quote.shortlistedAt = undefined;
+
+    await request.save();
+
+    try {
+      await Notification.createNotification({
+        user: quote.provider,
         type: 'quote_rejected',
         title: 'Quote Not Selected',
-        message: `Your quote for "${request.title}" was not selected`,
-        data: { requestId: request._id }
+        message: `Your quote for "${request.title}" was declined${req.body.reason ? `: ${req.body.reason}` : ''}`.substring(0, 500),
+        data: {
+          requestId: request._id,
+          quoteId: quote._id
+        }
       });
+    } catch (notificationError) {
+      logger.error('Quote rejection notification error:', notificationError);
     }
 
     res.json({
       success: true,
-      message: 'Quote accepted successfully',
-      data: { request }
+      message: 'Quote rejected',
+      data: { quote }
     });
 
   } catch (error) {
-    logger.error('Accept quote error:', error);
+    logger.error('Reject quote error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to accept quote',
+      message: 'Failed to reject quote',
       error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
 });
+
 // @desc    Get leads for service provider
 // @route   GET /api/provider-leads
 // @access  Private (Service Providers)
@@ -644,54 +897,6 @@ const calculateDistance = (coords1, coords2) => {
   return R * c;
 };
 
-// Helper function to determine lead cost (Bark-style pricing)
-const calculateLeadCost = (request, provider) => {
-  let baseCost = 5; // Base cost in credits
-  
-  // Category-based pricing
-  const premiumCategories = [
-    'home-improvement', 'legal-services', 'financial-services',
-    'wedding-services', 'business-services'
-  ];
-  
-  if (premiumCategories.includes(request.category.slug)) {
-    baseCost = 8;
-  }
-  
-  // Location-based pricing (major cities cost more)
-const majorCities = [
-  // UK
-  'London', 'Manchester', 'Birmingham', 'Glasgow', 'Liverpool', 'Leeds', 'Edinburgh', 'Bristol',
-
-  // USA
-  'New York', 'Los Angeles', 'Chicago', 'Houston', 'Phoenix', 
-  'Philadelphia', 'San Antonio', 'San Diego', 'Dallas', 'San Jose',
-
-  // Pakistan
-  'Karachi', 'Lahore', 'Islamabad', 'Rawalpindi', 'Faisalabad', 
-  'Multan', 'Peshawar', 'Quetta', 'Hyderabad'
-];
-  if (majorCities.some(city => 
-    request.location?.city?.toLowerCase().includes(city)
-  )) {
-    baseCost += 2;
-  }
-  
-  // Urgency pricing
-  if (request.timeline?.urgency === 'urgent') {
-    baseCost += 1;
-  }
-  
-  // Competition factor (more competition = higher price)
-  const quotesCount = request.quotes?.length || 0;
-  if (quotesCount < 2) {
-    baseCost -= 1; // Less competition
-  } else if (quotesCount >= 5) {
-    baseCost += 2; // High competition
-  }
-  
-  return Math.max(baseCost, 3); // Minimum 3 credits
-};
 const parseCoordinates = (locationStr) => {
   if (!locationStr) return null;
   const [lat, lng] = locationStr.split(',').map(Number);
@@ -740,7 +945,7 @@ router.get('/getleads', protect, requireServiceProvider, [
 
     // Get provider details with categories and service areas
     const provider = await User.findById(req.user.id)
-      .select('categories serviceAreas location rating responseTime profile credits')
+      .select('categories serviceAreas location rating responseTime profile credits stats')
       .populate('categories', 'name slug');
 
 
@@ -823,6 +1028,9 @@ router.get('/getleads', protect, requireServiceProvider, [
     // Exclude requests where provider already quoted
     query['quotes.provider'] = { $ne: req.user.id };
 
+    // Full leads are hidden until a slot opens
+    query.$expr = Request.hasOpenSlotCondition();
+
     // Exclude requests from blocked customers
     if (provider.blockedCustomers?.length > 0) {
       query.customer = { $nin: provider.blockedCustomers };
@@ -849,13 +1057,14 @@ console.log("Custom Field:", JSON.stringify(requests, null, 2));
     const total = await Request.countDocuments(query);
 
     // Transform requests into Bark-style leads
+    const pricingConfig = await getPricingConfig();
     const leads = requests.map(request => {
 
       const customer = request.customer;
       const matchScore = calculateMatchScore(request, provider);
-      const leadCost = calculateLeadCost(request, provider);
+      const { cost: leadCost, isFree, isPremium } = priceLead(request, provider, pricingConfig);
       const isUrgent = request.timeline?.urgency === 'urgent';
-      const isFree = leadCost <= 3 || request.promotionalLead;
+      const slots = Request.getContactSlots(request);
 
       if (leadType === 'free' && !isFree) return null;
       if (leadType === 'paid' && isFree) return null;
@@ -918,11 +1127,12 @@ console.log("Custom Field:", JSON.stringify(requests, null, 2));
         lead: {
           cost: leadCost,
           isFree,
-          isPremium: leadCost >= 8,
+          isPremium,
           matchScore,
           quotesCount: request.analytics?.quotesReceived || 0,
-          maxQuotes: 5,
-          responseRate: `${request.analytics?.quotesReceived || 0}/5`,
+          maxQuotes: slots.max,
+          slotsRemaining: slots.remaining,
+          responseRate: `${request.analytics?.quotesReceived || 0}/${slots.max}`,
           viewsCount: request.analytics?.views || 0
         },
         flags: {
@@ -1039,7 +1249,8 @@ console.log("Custom Field:", JSON.stringify(requests, null, 2));
 });
 
 
-// @desc    Get my responses (quotes submitted by provider)
+// @desc    Get my responses (quotes submitted by provider). Team owners and managers
+//          see every member's responses and can filter by member.
 // @route   GET /api/requests/my-responses
 // @access  Private (Service Providers)
 router.get('/my-responses', protect, requireServiceProvider, [
@@ -1047,7 +1258,8 @@ router.get('/my-responses', protect, requireServiceProvider, [
   query('page').optional().isInt({ min: 1 }),
   query('limit').optional().isInt({ min: 1, max: 50 }),
   query('category').optional().isMongoId(),
-  query('sortBy').optional().isIn(['newest', 'status', 'responseTime'])
+  query('sortBy').optional().isIn(['newest', 'status', 'responseTime']),
+  query('member').optional().isMongoId()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -1059,14 +1271,43 @@ router.get('/my-responses', protect, requireServiceProvider, [
       });
     }
 
-    const { status, page = 1, limit = 20, category, sortBy = 'newest' } = req.query;
-    const providerId = req.user.id;
+    const { status, page = 1, limit = 20, category, sortBy = 'newest', member } = req.query;
+    const providerId = new mongoose.Types.ObjectId(req.user.id);
+
+    // Team view: responses made for the business, plus the viewer's own from before they joined
+    const business = await Business.findActiveForMember(req.user.id);
+    const teamView = !!business && business.can(req.user.id, 'activity:view');
+
+    if (member && (!teamView || !business.getMember(member))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only view the responses of members of your team'
+      });
+    }
+
+    let quoteMatch = { 'quotes.provider': providerId };
+    if (member) {
+      quoteMatch = {
+        'quotes.business': business._id,
+        'quotes.provider': new mongoose.Types.ObjectId(member)
+      };
+    } else if (teamView) {
+      quoteMatch = { $or: [{ 'quotes.business': business._id }, { 'quotes.provider': providerId }] };
+    }
 
     // Build aggregation pipeline
     let pipeline = [
-      { $match: { 'quotes.provider': new mongoose.Types.ObjectId(providerId) } },
+      { $match: quoteMatch },
       { $unwind: '$quotes' },
-      { $match: { 'quotes.provider': new mongoose.Types.ObjectId(providerId) } },
+      { $match: quoteMatch },
+      {
+        $lookup: {
+          from: 'users',
+          localField: 'quotes.provider',
+          foreignField: '_id',
+          as: 'respondedBy'
+        }
+      },
       {
         $lookup: {
           from: 'users',
@@ -1094,6 +1335,15 @@ router.get('/my-responses', protect, requireServiceProvider, [
           createdAt: 1,
           updatedAt: 1,
           quote: '$quotes',
+          respondedBy: {
+            $let: {
+              vars: { member: { $arrayElemAt: ['$respondedBy', 0] } },
+              in: {
+                _id: '$$member._id',
+                name: { $concat: ['$$member.firstName', ' ', '$$member.lastName'] }
+              }
+            }
+          },
           customer: {
             _id: '$customer._id',
             name: { $concat: ['$customer.firstName', ' ', '$customer.lastName'] },
@@ -1158,9 +1408,9 @@ router.get('/my-responses', protect, requireServiceProvider, [
 
     // Get total count
     const totalPipeline = [
-      { $match: { 'quotes.provider': new mongoose.Types.ObjectId(providerId) } },
+      { $match: quoteMatch },
       { $unwind: '$quotes' },
-      { $match: { 'quotes.provider': new mongoose.Types.ObjectId(providerId) } }
+      { $match: quoteMatch }
     ];
     if (status) {
       totalPipeline.push({ $match: { 'quotes.status': status } });
@@ -1192,7 +1442,12 @@ router.get('/my-responses', protect, requireServiceProvider, [
       contactedAt: response.quote.contactedAt,
       responseTime: response.quote.contactedAt ? Math.round((new Date(response.quote.contactedAt) - new Date(response.quote.submittedAt)) / 3600000) : null, // Hours
       amount: response.quote.pricing?.amount || 'Not specified',
-      message: response.quote.message || 'No message provided'
+      message: response.quote.message || 'No message provided',
+      respondedBy: {
+        id: response.respondedBy._id,
+        name: response.respondedBy.name,
+        isMe: providerId.equals(response.respondedBy._id)
+      }
     }));
 
     res.json({
@@ -1205,6 +1460,11 @@ router.get('/my-responses', protect, requireServiceProvider, [
           accepted: responses.filter(r => r.quote.status === 'accepted').length,
           rejected: responses.filter(r => r.quote.status === 'rejected').length
         },
+        team: business ? {
+          id: business._id,
+          name: business.name,
+          view: member ? 'member' : (teamView ? 'team' : 'mine')
+        } : null,
         pagination: {
           currentPage: parseInt(page),
           totalPages: Math.ceil(total / limit),
@@ -1229,6 +1489,7 @@ router.get('/contact/:leadId/check', protect, requireServiceProvider, async (req
     const { leadId } = req.params;
 
     const provider = await User.findById(req.user.id).select('credits stats');
+    const { wallet, business, role } = await resolveWallet(provider);
     const request = await Request.findById(leadId)
       .populate('customer', 'firstName lastName email phone isVerified')
       .populate('category', 'name slug pricingInfo');
@@ -1258,12 +1519,45 @@ router.get('/contact/:leadId/check', protect, requireServiceProvider, async (req
       });
     }
 
+    // A team responds to a lead once, whichever member does it
+    if (business && request.quotes.some(quote => quote.business?.equals(business._id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your team has already contacted this lead',
+        alreadyContacted: true
+      });
+    }
+
+    const missingRequirements = await getMissingLeadRequirements(provider._id, request.category);
+    if (missingRequirements.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'You must complete verification before contacting leads in this category',
+        verificationRequired: true,
+        missingRequirements: missingRequirements.map(entry => entry.requirement)
+      });
+    }
+
+    const slots = request.getContactSlots();
+    if (slots.remaining === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'This lead has reached its maximum number of providers',
+        leadFull: true,
+        maxProviders: slots.max,
+        onWaitlist: request.waitlist.some(entry => entry.provider.equals(provider._id)),
+        canJoinWaitlist: true
+      });
+    }
+
     // Calculate lead cost
-    const leadCost = calculateLeadCost(request, provider);
-    const isFree = leadCost <= 3 || request.promotionalLead;
+    const { cost: leadCost, isFree } = await quoteLead(request, provider);
 
-    // Check if provider has enough credits
-    const hasEnoughCredits = isFree || provider.credits >= leadCost;
+    // Check if the wallet (the team's, for members) has enough credits
+    const hasEnoughCredits = isFree || wallet.credits >= leadCost;
+
+    // Suggest the entry-level package from the catalog
+    const [starterPack] = await CreditPackage.getCatalog('gbp');
 
     res.json({
       success: true,
@@ -1276,22 +1570,25 @@ router.get('/contact/:leadId/check', protect, requireServiceProvider, async (req
         lead: {
           cost: leadCost,
           isFree,
-          title: request.title
+          title: request.title,
+          maxProviders: slots.max,
+          slotsRemaining: slots.remaining
         },
         provider: {
-          currentCredits: provider.credits || 0,
+          currentCredits: wallet.credits || 0,
           hasEnoughCredits,
-          creditsNeeded: leadCost - (provider.credits || 0)
+          creditsNeeded: leadCost - (wallet.credits || 0)
         },
+        team: business ? {
+          id: business._id,
+          name: business.name,
+          role
+        } : null,
         pricing: {
-          starterPack: {
-            credits: 280,
-            price: 392.00,
-            pricePerCredit: 1.40,
-            originalPrice: 490.00,
-            discount: 20,
-            enoughForLeads: Math.floor(280 / leadCost)
-          }
+          starterPack: starterPack ? {
+            ...starterPack,
+            enoughForLeads: leadCost > 0 ? Math.floor(starterPack.totalCredits / leadCost) : null
+          } : null
         }
       }
     });
@@ -1326,6 +1623,7 @@ router.post('/contact/:leadId', protect, requireServiceProvider, [
     const { message, phoneNumber, useCredits = true } = req.body;
 
     const provider = await User.findById(req.user.id).select('credits stats profile');
+    const { wallet, business } = await resolveWallet(provider);
     const request = await Request.findById(leadId)
       .populate('customer', 'firstName lastName email phone')
       .populate('category', 'name pricingInfo');
@@ -1354,59 +1652,71 @@ router.post('/contact/:leadId', protect, requireServiceProvider, [
       });
     }
 
+    if (business && request.quotes.some(quote => quote.business?.equals(business._id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your team has already contacted this lead'
+      });
+    }
+
     // Calculate lead cost
-    const leadCost = calculateLeadCost(request, provider);
-    const isFree = leadCost <= 3 || request.promotionalLead;
+    const { cost: leadCost, isFree } = await quoteLead(request, provider);
+    const chargeCredits = !isFree && useCredits;
+
+    const quote = {
+      message: message || `Hi ${request.customer.firstName}, I'm interested in your ${request.category.name} project. I'd love to discuss how I can help you.`,
+      contactPhone: phoneNumber || provider.profile?.phone,
+      amount: null // Will be filled later in quote process
+    };
 
-    // Check provider credits for paid leads
-    if (!isFree && useCredits) {
-      if (provider.credits < leadCost) {
+    // Debit credits and record the contact; the debit is rolled back on failure
+    let contact;
+    try {
+      contact = await contactLead({ provider, request, leadCost, chargeCredits, quote, wallet, business });
+    } catch (error) {
+      if (error.code === 'INSUFFICIENT_CREDITS') {
         return res.status(400).json({
           success: false,
           message: `Insufficient credits. You need ${leadCost} credits to contact this lead.`,
           creditsRequired: leadCost,
-          currentCredits: provider.credits || 0,
+          currentCredits: wallet.credits || 0,
           needToPurchase: true
         });
       }
-
-      // Deduct credits for paid leads
-      provider.credits -= leadCost;
-    }
-
-    // Record the contact
-    request.analytics = request.analytics || {};
-    request.analytics.contactedProviders = request.analytics.contactedProviders || [];
-    request.analytics.contactedProviders.push(req.user.id);
-    request.analytics.contactsInitiated = (request.analytics.contactsInitiated || 0) + 1;
-
-    // Add quote/response to request
-    request.quotes = request.quotes || [];
-    request.quotes.push({
-      provider: req.user.id,
-      message: message || `Hi ${request.customer.firstName}, I'm interested in your ${request.category.name} project. I'd love to discuss how I can help you.`,
-      contactPhone: phoneNumber || provider.profile?.phone,
-      contactedAt: new Date(),
-      amount: null // Will be filled later in quote process
-    });
-
-    // Update request analytics
-    request.analytics.quotesReceived = (request.analytics.quotesReceived || 0) + 1;
-    if (!request.analytics.firstResponseTime) {
-      request.analytics.firstResponseTime = new Date();
+      if (error.code === 'ALREADY_CONTACTED') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      if (error.code === 'VERIFICATION_REQUIRED') {
+        return res.status(403).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+      if (error.code === 'LEAD_FULL') {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+          leadFull: true,
+          canJoinWaitlist: true,
+          ...error.details
+        });
+      }
+      throw error;
     }
 
-    await request.save();
-
-    // Update provider stats
-    provider.stats = provider.stats || {};
-    provider.stats.leadsContacted = (provider.stats.leadsContacted || 0) + 1;
-    if (!isFree && useCredits) {
-      provider.stats.creditsSpent = (provider.stats.creditsSpent || 0) + leadCost;
-    }
-    await provider.save();
+    // Open the conversation with the customer, seeded with the provider's message
+    const conversation = await Conversation.findOrCreateForLead(request, provider._id);
+    await sendMessage({
+      io: req.app.get('socketio'),
+      conversation,
+      senderId: provider._id,
+      text: quote.message
+    });
 
-    // TODO: Send notification to customer
     // TODO: Send confirmation email to provider
     // TODO: Log lead purchase for analytics
 
@@ -1415,8 +1725,11 @@ router.post('/contact/:leadId', protect, requireServiceProvider, [
       message: 'Successfully contacted lead',
       data: {
         leadId: request._id,
-        creditsUsed: !isFree && useCredits ? leadCost : 0,
-        remainingCredits: provider.credits,
+        conversationId: conversation._id,
+        creditsUsed: contact.creditsUsed,
+        remainingCredits: contact.remainingCredits,
+        transactionId: contact.transaction ? contact.transaction._id : null,
+        slotsRemaining: contact.request.getContactSlots().remaining,
         customerContact: {
           name: `${request.customer.firstName} ${request.customer.lastName}`,
           email: request.customer.email,
@@ -1441,6 +1754,97 @@ router.post('/contact/:leadId', protect, requireServiceProvider, [
   }
 });
 
+// @desc    Join the waitlist for a lead that has reached its provider cap
+// @route   POST /api/requests/contact/:leadId/waitlist
+// @access  Private (Service providers)
+router.post('/contact/:leadId/waitlist', protect, requireServiceProvider, async (req, res) => {
+  try {
+    const request = await Request.findById(req.params.leadId).select('title status expiresAt analytics leadSettings waitlist');
+
+    if (!request || !request.isActive()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lead not found or no longer active'
+      });
+    }
+
+    if (request.analytics?.contactedProviders?.some(id => id.equals(req.user._id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already contacted this lead'
+      });
+    }
+
+    if (request.getContactSlots().remaining > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'This lead still has free slots, contact the customer instead',
+        slotsRemaining: request.getContactSlots().remaining
+      });
+    }
+
+    // Conditional push so a provider is only queued once
+    const updated = await Request.findOneAndUpdate(
+      { _id: request._id, 'waitlist.provider': { $ne: req.user._id } },
+      { $push: { waitlist: { provider: req.user._id } } },
+      { new: true, projection: { waitlist: 1 } }
+    );
+
+    const waitlist = (updated || request).waitlist;
+    const position = waitlist.findIndex(entry => entry.provider.equals(req.user._id)) + 1;
+
+    res.status(updated ? 201 : 200).json({
+      success: true,
+      message: updated ? 'Added to the waitlist' : 'You are already on the waitlist',
+      data: {
+        leadId: request._id,
+        position
+      }
+    });
+
+  } catch (error) {
+    logger.error('Join lead waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to join waitlist',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Leave a lead's waitlist
+// @route   DELETE /api/requests/contact/:leadId/waitlist
+// @access  Private (Service providers)
+router.delete('/contact/:leadId/waitlist', protect, requireServiceProvider, async (req, res) => {
+  try {
+    const result = await Request.updateOne(
+      { _id: req.params.leadId, 'waitlist.provider': req.user._id },
+      { $pull: { waitlist: { provider: req.user._id } } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'You are not on the waitlist for this lead'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Removed from the waitlist'
+    });
+
+  } catch (error) {
+    logger.error('Leave lead waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to leave waitlist',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+
 // Bookmark/save a lead
 router.post('/bookmark/:leadId', async (req, res) => {
   try {
@@ -1474,9 +1878,7 @@ router.post('/bookmark/:leadId', async (req, res) => {
   }
 });
 router.post('/credits/purchase', protect, requireServiceProvider, [
-  body('package').isIn(['starter', 'professional', 'business']).withMessage('Invalid credit package'),
-  body('credits').isInt({ min: 1 }).withMessage('Credits must be a positive integer'),
-  body('amount').isFloat({ min: 0 }).withMessage('Amount must be a positive number'),
+  body('package').isString().trim().notEmpty().withMessage('Invalid credit package'),
   body('paymentMethod').optional().isString()
 ], async (req, res) => {
   try {
@@ -1489,7 +1891,21 @@ router.post('/credits/purchase', protect, requireServiceProvider, [
       });
     }
 
-    const { package: packageType, credits, amount, paymentMethod } = req.body;
+    const { package: packageIdentifier, paymentMethod } = req.body;
+
+    // Credits and amount come from the package, never the client
+    const creditPackage = await CreditPackage.findPurchasable(packageIdentifier);
+    const price = creditPackage?.getPrice('gbp');
+    if (!price) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid credit package'
+      });
+    }
+
+    const packageType = creditPackage.slug;
+    const credits = price.totalCredits;
+    const amount = price.amount;
     
     const provider = await User.findById(req.user.id);
     if (!provider) {
@@ -2122,6 +2538,7 @@ router.post('/', protect, requireCustomer, multerUpload.array('attachments', 5),
       customer: req.user.id,
       attachments,
       status: 'published',
+      statusHistory: [],
       analytics: {
         quotesReceived: 0,
         views: 0,
@@ -2232,9 +2649,32 @@ router.put('/:id', protect, requireOwnership(Request, 'id', 'customer'), [
       });
     }
 
+    // Status and the fields it controls only change through the lifecycle routes
+    const {
+      status,
+      statusHistory,
+      selectedProvider,
+      selectedQuote,
+      quotes,
+      project,
+      payment,
+      customer,
+      ...updates
+    } = req.body;
+
+    if (status !== undefined && status !== req.resource.status) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot change status from ${req.resource.status} to ${status} here`,
+        from: req.resource.status,
+        to: status,
+        allowed: TRANSITIONS[req.resource.status] || []
+      });
+    }
+
     const request = await Request.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      updates,
       { new: true, runValidators: true }
     )
     .populate('customer', 'firstName lastName avatar')
@@ -2272,33 +2712,9 @@ router.post('/:id/start', protect, async (req, res) => {
       });
     }
 
-    // Check if user is the selected provider
-    if (!request.selectedProvider || request.selectedProvider.toString() !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to start this project'
-      });
-    }
-
-    if (request.status !== 'provider_selected') {
-      return res.status(400).json({
-        success: false,
-        message: 'Project cannot be started in current status'
-      });
-    }
-
-    request.status = 'in_progress';
-    request.project.startDate = new Date();
-    
-    await request.save();
-
-    // Notify customer
-    await Notification.create({
-      user: request.customer,
-      type: 'project_started',
-      title: 'Project Started',
-      message: `${req.user.fullName} has started working on "${request.title}"`,
-      data: { requestId: request._id }
+    await transitionRequest(request, 'start', {
+      actor: req.user._id,
+      actorName: req.user.fullName
     });
 
     res.json({
@@ -2308,6 +2724,9 @@ router.post('/:id/start', protect, async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof RequestTransitionError) {
+      return sendTransitionError(res, error);
+    }
     logger.error('Start project error:', error);
     res.status(500).json({
       success: false,
@@ -2331,46 +2750,545 @@ router.post('/:id/complete', protect, async (req, res) => {
       });
     }
 
-    // Check if user is the selected provider
-    if (!request.selectedProvider || request.selectedProvider.toString() !== req.user.id) {
-      return res.status(403).json({
+    await transitionRequest(request, 'complete', {
+      actor: req.user._id,
+      actorName: req.user.fullName
+    });
+
+    res.json({
+      success: true,
+      message: 'Project completed successfully',
+      data: { request }
+    });
+
+  } catch (error) {
+    if (error instanceof RequestTransitionError) {
+      return sendTransitionError(res, error);
+    }
+    logger.error('Complete project error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to complete project',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Get the project for an accepted job: milestones, updates and totals
+// @route   GET /api/requests/:id/project
+// @access  Private (Request owner or selected provider)
+router.get('/:id/project', protect, async (req, res) => {
+  try {
+    const request = await Request.findById(req.params.id)
+      .select('title customer selectedProvider status project payment')
+      .populate('project.updates.author', 'firstName lastName businessName profilePicture');
+
+    if (!request || !getProjectRole(request, req.user._id)) {
+      return res.status(404).json({
         success: false,
-        message: 'Not authorized to complete this project'
+        message: 'Request not found'
       });
     }
 
-    if (request.status !== 'in_progress') {
+    res.json({
+      success: true,
+      data: {
+        status: request.status,
+        project: request.project,
+        payment: request.payment,
+        summary: getProjectSummary(request)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get project error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get project',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Add a milestone to the project
+// @route   POST /api/requests/:id/milestones
+// @access  Private (Selected provider only)
+router.post('/:id/milestones', protect, [
+  body('title').trim().notEmpty().withMessage('Milestone title is required').isLength({ max: 200 }),
+  body('description').optional().trim().isLength({ max: 1000 }),
+  body('amount').optional().isFloat({ min: 0 }).withMessage('Amount must be a positive number').toFloat(),
+  body('dueDate').optional().isISO8601().withMessage('Invalid due date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: 'Project cannot be completed in current status'
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
-    request.status = 'completed';
-    request.project.actualEndDate = new Date();
-    
-    await request.save();
+    const request = await findProjectRequest(req, res);
+    if (!request) return;
 
-    // Notify customer
-    await Notification.create({
-      user: request.customer,
-      type: 'project_completed',
-      title: 'Project Completed',
-      message: `${req.user.fullName} has completed "${request.title}"`,
-      data: { requestId: request._id }
+    const milestone = await addMilestone(request, req.user, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Milestone added',
+      data: { milestone, summary: getProjectSummary(request) }
+    });
+
+  } catch (error) {
+    if (error instanceof ProjectError) {
+      return sendProjectError(res, error);
+    }
+    logger.error('Add milestone error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add milestone',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
+  }
+});
+
+// @desc    Update a milestone that has not been submitted
+// @route   PUT /api/requests/:id/milestones/:milestoneId
+// @access  Private (Selected provider only)
+router.put('/:id/milestones/:milestoneId', protect, [
+  body('title').optional().trim().notEmpty().withMessage('Milestone title cannot be empty').isLength({ max: 200 }),
+  body('description').optional().trim().isLength({ max: 1000 }),
+  body('amount').optional().isFloat({ min: 0 }).withMessage('Amount must be a positive number').toFloat(),
+  body('dueDate').optional().isISO8601().withMessage('Invalid due date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const request = await findProjectRequest(req, res);
+    if (!request) return;
+
+    const milestone = await updateMilestone(request, req.user, req.params.milestoneId, req.body);
 
     res.json({
       success: true,
-      message: 'Project completed successfully',
+      message: 'Milestone updated',
+      data: { milestone, summary: getProjectSummary(request) }
+    });
+
+  } catch (error) {
+    if (error instanceof ProjectError) {
+      return sendProjectError(res, error);
+    }
+    logger.error('Update milestone error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update milestone',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Remove a milestone that has not been started
+// @route   DELETE /api/requests/:id/milestones/:milestoneId
+// @access  Private (Selected provider only)
+router.delete('/:id/milestones/:milestoneId', protect, async (req, res) => {
+  try {
+    const request = await findProjectRequest(req, res);
+    if (!request) return;
+
+    await removeMilestone(request, req.user, req.params.milestoneId);
+
+    res.json({
+      success: true,
+      message: 'Milestone removed',
+      data: { summary: getProjectSummary(request) }
+    });
+
+  } catch (error) {
+    if (error instanceof ProjectError) {
+      return sendProjectError(res, error);
+    }
+    logger.error('Remove milestone error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove milestone',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Submit a finished milestone for the customer's approval
+// @route   POST /api/requests/:id/milestones/:milestoneId/submit
+// @access  Private (Selected provider only)
+router.post('/:id/milestones/:milestoneId/submit', protect, [
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const request = await findProjectRequest(req, res);
+    if (!request) return;
+
+    const milestone = await submitMilestone(request, req.user, req.params.milestoneId, req.body?.note);
+
+    res.json({
+      success: true,
+      message: 'Milestone submitted for approval',
+      data: { milestone, summary: getProjectSummary(request) }
+    });
+
+  } catch (error) {
+    if (error instanceof ProjectError) {
+      return sendProjectError(res, error);
+    }
+    logger.error('Submit milestone error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit milestone',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Approve a submitted milestone
+// @route   POST /api/requests/:id/milestones/:milestoneId/approve
+// @access  Private (Request owner only)
+router.post('/:id/milestones/:milestoneId/approve', protect, [
+  body('feedback').optional().trim().isLength({ max: 1000 }).withMessage('Feedback cannot exceed 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const request = await findProjectRequest(req, res);
+    if (!request) return;
+
+    const milestone = await reviewMilestone(request, req.user, req.params.milestoneId, {
+      approve: true,
+      feedback: req.body?.feedback
+    });
+
+    res.json({
+      success: true,
+      message: 'Milestone approved',
+      data: { milestone, summary: getProjectSummary(request) }
+    });
+
+  } catch (error) {
+    if (error instanceof ProjectError) {
+      return sendProjectError(res, error);
+    }
+    logger.error('Approve milestone error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to approve milestone',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Send a submitted milestone back to the provider
+// @route   POST /api/requests/:id/milestones/:milestoneId/request-changes
+// @access  Private (Request owner only)
+router.post('/:id/milestones/:milestoneId/request-changes', protect, [
+  body('feedback').trim().notEmpty().withMessage('Tell the provider what needs to change').isLength({ max: 1000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const request = await findProjectRequest(req, res);
+    if (!request) return;
+
+    const milestone = await reviewMilestone(request, req.user, req.params.milestoneId, {
+      approve: false,
+      feedback: req.body.feedback
+    });
+
+    res.json({
+      success: true,
+      message: 'Changes requested',
+      data: { milestone, summary: getProjectSummary(request) }
+    });
+
+  } catch (error) {
+    if (error instanceof ProjectError) {
+      return sendProjectError(res, error);
+    }
+    logger.error('Request milestone changes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to request changes',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Post a progress update, with up to 5 photos
+// @route   POST /api/requests/:id/updates
+// @access  Private (Selected provider only)
+router.post('/:id/updates', protect, multerUpload.array('photos', 5), handleMulterError, [
+  body('message').trim().notEmpty().withMessage('Update message is required').isLength({ max: 2000 }),
+  body('progress').optional().isInt({ min: 0, max: 100 }).withMessage('Progress must be between 0 and 100').toInt(),
+  body('milestone').optional().isMongoId().withMessage('Invalid milestone ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      removeUploads(req.files);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const files = req.files || [];
+    if (files.some(file => !file.mimetype.startsWith('image/'))) {
+      removeUploads(files);
+      return res.status(400).json({
+        success: false,
+        message: 'Progress updates only accept photos'
+      });
+    }
+
+    const request = await findProjectRequest(req, res);
+    if (!request) {
+      removeUploads(files);
+      return;
+    }
+
+    const update = await addProgressUpdate(request, req.user, {
+      message: req.body.message,
+      progress: req.body.progress,
+      milestoneId: req.body.milestone,
+      photos: files.map(file => ({
+        url: file.path,
+        filename: file.originalname,
+        size: file.size,
+        mimeType: file.mimetype
+      }))
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Progress update posted',
+      data: { update, summary: getProjectSummary(request) }
+    });
+
+  } catch (error) {
+    removeUploads(req.files);
+    if (error instanceof ProjectError) {
+      return sendProjectError(res, error);
+    }
+    logger.error('Post progress update error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to post progress update',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Change how many providers can contact a request
+// @route   PATCH /api/requests/:id/lead-settings
+// @access  Private (Request owner only)
+router.patch('/:id/lead-settings', protect, requireOwnership(Request, 'id', 'customer'), [
+  body('maxProviders').isInt({ min: 1, max: 10 }).withMessage('maxProviders must be between 1 and 10')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const maxProviders = parseInt(req.body.maxProviders);
+
+    if (!OPEN_STATUSES.includes(req.resource.status)) {
+      return res.status(409).json({
+        success: false,
+        message: 'The provider limit can only be changed while the request is open'
+      });
+    }
+
+    // Providers who have already paid keep their slot
+    const request = await Request.findOneAndUpdate(
+      {
+        _id: req.resource._id,
+        status: { $in: OPEN_STATUSES },
+        $expr: { $lte: [{ $size: { $ifNull: ['$analytics.contactedProviders', []] } }, maxProviders] }
+      },
+      { $set: { 'leadSettings.maxProviders': maxProviders } },
+      { new: true, runValidators: true }
+    );
+
+    if (!request) {
+      const { used } = req.resource.getContactSlots();
+      return res.status(409).json({
+        success: false,
+        message: `${used} providers have already contacted you, so the limit cannot be lower than ${used}`,
+        contactedProviders: used
+      });
+    }
+
+    // A raised limit frees slots for providers on the waitlist
+    const waitlistNotified = await notifyWaitlist(request);
+
+    res.json({
+      success: true,
+      message: 'Provider limit updated',
+      data: {
+        ...request.getContactSlots(),
+        waitlistNotified
+      }
+    });
+
+  } catch (error) {
+    logger.error('Update lead settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update provider limit',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Push back the expiry date of an open request
+// @route   POST /api/requests/:id/extend
+// @access  Private (Request owner only)
+router.post('/:id/extend', protect, requireOwnership(Request, 'id', 'customer'), [
+  body('days').optional().isInt({ min: 1, max: MAX_EXTENSION_DAYS }).withMessage(`Days must be between 1 and ${MAX_EXTENSION_DAYS}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const request = await extendRequest(req.resource, parseInt(req.body.days || 14));
+
+    res.json({
+      success: true,
+      message: 'Request extended successfully',
+      data: {
+        expiresAt: request.expiresAt,
+        extensions: request.expiry.extensions
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof RequestExpiryError) {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+    logger.error('Extend request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to extend request',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Re-publish an expired request (once)
+// @route   POST /api/requests/:id/republish
+// @access  Private (Request owner only)
+router.post('/:id/republish', protect, requireOwnership(Request, 'id', 'customer'), async (req, res) => {
+  try {
+    const request = req.resource;
+
+    await transitionRequest(request, 'republish', {
+      actor: req.user._id,
+      reason: 'Re-published by the customer'
+    });
+
+    res.json({
+      success: true,
+      message: 'Request re-published successfully',
       data: { request }
     });
 
   } catch (error) {
-    logger.error('Complete project error:', error);
+    if (error instanceof RequestTransitionError) {
+      return sendTransitionError(res, error);
+    }
+    logger.error('Republish request error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to complete project',
+      message: 'Failed to re-publish request',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Get a request's status history and the statuses it can move to next
+// @route   GET /api/requests/:id/history
+// @access  Private (Request owner or selected provider)
+router.get('/:id/history', protect, async (req, res) => {
+  try {
+    const request = await Request.findById(req.params.id)
+      .select('customer selectedProvider status statusHistory')
+      .populate('statusHistory.actor', 'firstName lastName businessName');
+
+    const userId = req.user._id.toString();
+    if (!request || (request.customer.toString() !== userId && request.selectedProvider?.toString() !== userId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Request not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        status: request.status,
+        allowedTransitions: TRANSITIONS[request.status] || [],
+        history: request.statusHistory
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get request history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get request history',
       error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
@@ -1,9 +1,14 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const { body, query, param, validationResult } = require('express-validator');
 const logger = require('../utils/loggerutility');
-const { protect } = require('../middleware/auth');
+const { protect, requireCustomer } = require('../middleware/auth');
+const { upload: multerUpload, handleMulterError } = require('../middleware/uploadmiddleware');
 const Review = require('../models/Review');
 const User = require('../models/User');
+const Service = require('../models/Service');
+const Request = require('../models/request');
+const Notification = require('../models/notifiication');
 
 const router = express.Router();
 
@@ -86,4 +91,378 @@ router.put(
   }
 );
 
+const ASPECTS = ['quality', 'punctuality', 'professionalism', 'communication', 'value', 'cleanliness'];
+const REPORT_REASONS = Review.schema.path('reports').schema.path('reason').enumValues;
+
+const SORT_OPTIONS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  highest: { rating: -1, createdAt: -1 },
+  lowest: { rating: 1, createdAt: -1 },
+  helpful: { 'helpful.count': -1, createdAt: -1 },
+};
+
+const listValidation = [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 50 }),
+  query('sort').optional().isIn(Object.keys(SORT_OPTIONS)),
+  query('rating').optional().isInt({ min: 1, max: 5 }),
+];
+
+// Shared by the public provider and service listings
+const listPublicReviews = async (req, res, match) => {
+  const { page = 1, limit = 10, sort = 'newest', rating } = req.query;
+
+  const filter = { ...match, status: 'approved' };
+  if (rating) filter.rating = parseInt(rating);
+
+  const skip = (page - 1) * limit;
+
+  const [reviews, total, stats] = await Promise.all([
+    Review.find(filter)
+      .select('-reports -helpful.users -unhelpful.users -moderationNotes -moderatedBy')
+      .populate('customer', 'firstName lastName avatar')
+      .populate('service', 'title')
+      .sort(SORT_OPTIONS[sort])
+      .skip(skip)
+      .limit(parseInt(limit)),
+    Review.countDocuments(filter),
+    Review.getStatsFor(match),
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      reviews: reviews.map(review => {
+        const data = review.toJSON();
+        if (review.isAnonymous) {
+          data.customer = { firstName: 'Anonymous' };
+        }
+        if (review.response && review.response.isPublic === false) {
+          delete data.response;
+        }
+        return data;
+      }),
+      stats,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: parseInt(limit),
+      },
+    },
+  });
+};
+
+// @desc    Review a completed request
+// @route   POST /api/reviews
+// @access  Private (Customer)
+router.post(
+  '/',
+  protect,
+  requireCustomer,
+  multerUpload.array('images', 5),
+  handleMulterError,
+  [
+    body('requestId').isMongoId().withMessage('Invalid request ID'),
+    body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
+    body('comment').trim().isLength({ min: 10, max: 1000 }).withMessage('Review must be between 10 and 1000 characters'),
+    body('title').optional().trim().isLength({ max: 100 }).withMessage('Title cannot exceed 100 characters'),
+    ...ASPECTS.map(aspect => body(`aspects.${aspect}`).optional().isInt({ min: 1, max: 5 }).withMessage(`${aspect} rating must be between 1 and 5`)),
+    body('wouldRecommend').optional().isBoolean(),
+    body('isAnonymous').optional().isBoolean(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { requestId, rating, comment, title, aspects, wouldRecommend, isAnonymous } = req.body;
+
+      const request = await Request.findById(requestId).select('customer selectedProvider status category title budget');
+
+      if (!request) {
+        return res.status(404).json({
+          success: false,
+          message: 'Request not found',
+        });
+      }
+
+      if (request.customer.toString() !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only review your own requests',
+        });
+      }
+
+      if (request.status !== 'completed' || !request.selectedProvider) {
+        return res.status(400).json({
+          success: false,
+          message: 'Only completed requests with a selected provider can be reviewed',
+        });
+      }
+
+      const existing = await Review.exists({ customer: req.user._id, request: request._id });
+      if (existing) {
+        return res.status(400).json({
+          success: false,
+          message: 'You have already reviewed this request',
+        });
+      }
+
+      // Attribute the review to the provider's service in this category, if any
+      const service = await Service.findOne({
+        provider: request.selectedProvider,
+        category: request.category,
+      }).select('_id');
+
+      const images = req.files ? req.files.map(file => ({ url: file.path })) : [];
+
+      const review = await Review.create({
+        rating: parseInt(rating),
+        comment,
+        title,
+        customer: req.user._id,
+        serviceProvider: request.selectedProvider,
+        service: service?._id,
+        request: request._id,
+        aspects: ASPECTS.reduce((acc, aspect) => {
+          if (aspects?.[aspect] !== undefined) acc[aspect] = parseInt(aspects[aspect]);
+          return acc;
+        }, {}),
+        images,
+        wouldRecommend: wouldRecommend === undefined ? true : wouldRecommend === true || wouldRecommend === 'true',
+        isAnonymous: isAnonymous === true || isAnonymous === 'true',
+        projectValue: request.budget?.amount,
+        isVerifiedPurchase: true,
+      });
+
+      try {
+        await Notification.createNotification({
+          user: request.selectedProvider,
+          type: 'review_received',
+          title: 'New review',
+          message: `You received a ${review.rating}-star review for "${request.title}"`,
+          actionUrl: `/reviews/${review._id}`,
+          data: { reviewId: review._id, requestId: request._id },
+        });
+      } catch (notificationError) {
+        logger.error('Review notification error:', notificationError);
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Review submitted successfully',
+        data: { review },
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: 'You have already reviewed this request',
+        });
+      }
+
+      logger.error('Create review error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to submit review',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+      });
+    }
+  }
+);
+
+// @desc    Get public reviews for a provider
+// @route   GET /api/reviews/provider/:providerId
+// @access  Public
+router.get(
+  '/provider/:providerId',
+  [param('providerId').isMongoId().withMessage('Invalid provider ID'), ...listValidation],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      await listPublicReviews(req, res, {
+        serviceProvider: new mongoose.Types.ObjectId(req.params.providerId),
+      });
+    } catch (error) {
+      logger.error('Get provider reviews error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch reviews',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+      });
+    }
+  }
+);
+
+// @desc    Get public reviews for a service
+// @route   GET /api/reviews/service/:serviceId
+// @access  Public
+router.get(
+  '/service/:serviceId',
+  [param('serviceId').isMongoId().withMessage('Invalid service ID'), ...listValidation],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      await listPublicReviews(req, res, {
+        service: new mongoose.Types.ObjectId(req.params.serviceId),
+      });
+    } catch (error) {
+      logger.error('Get service reviews error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch reviews',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+      });
+    }
+  }
+);
+
+// @desc    Vote a review helpful or unhelpful ('none' removes the vote)
+// @route   POST /api/reviews/:id/vote
+// @access  Private
+router.post(
+  '/:id/vote',
+  protect,
+  [
+    param('id').isMongoId().withMessage('Invalid review ID'),
+    body('vote').isIn(['helpful', 'unhelpful', 'none']).withMessage('Vote must be helpful, unhelpful or none'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const review = await Review.findOne({ _id: req.params.id, status: 'approved' });
+
+      if (!review) {
+        return res.status(404).json({
+          success: false,
+          message: 'Review not found',
+        });
+      }
+
+      if ([review.customer, review.serviceProvider].some(id => id.toString() === req.user.id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'You cannot vote on a review you are part of',
+        });
+      }
+
+      const updated = await review.vote(req.user._id, req.body.vote);
+
+      if (!updated) {
+        return res.status(404).json({
+          success: false,
+          message: 'Review not found',
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Vote recorded',
+        data: {
+          helpful: updated.helpful.count,
+          unhelpful: updated.unhelpful.count,
+          vote: req.body.vote,
+        },
+      });
+    } catch (error) {
+      logger.error('Vote review error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to record vote',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+      });
+    }
+  }
+);
+
+// @desc    Report a review
+// @route   POST /api/reviews/:id/report
+// @access  Private
+router.post(
+  '/:id/report',
+  protect,
+  [
+    param('id').isMongoId().withMessage('Invalid review ID'),
+    body('reason').isIn(REPORT_REASONS).withMessage(`Reason must be one of: ${REPORT_REASONS.join(', ')}`),
+    body('comment').optional().trim().isLength({ max: 500 }).withMessage('Comment cannot exceed 500 characters'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const review = await Review.findOne({ _id: req.params.id, status: { $in: ['approved', 'flagged'] } });
+
+      if (!review) {
+        return res.status(404).json({
+          success: false,
+          message: 'Review not found',
+        });
+      }
+
+      try {
+        await review.report(req.user._id, req.body.reason, req.body.comment);
+      } catch (reportError) {
+        if (reportError.message === 'You have already reported this review') {
+          return res.status(400).json({
+            success: false,
+            message: reportError.message,
+          });
+        }
+        throw reportError;
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Thanks, our team will review this report',
+      });
+    } catch (error) {
+      logger.error('Report review error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to report review',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+      });
+    }
+  }
+);
+
 module.exports = router;
\ No newline at end of file
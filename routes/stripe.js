@@ -1,13 +1,30 @@
 const express = require('express');
 require('dotenv').config();
 
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
-const { body, validationResult } = require('express-validator');
+const stripe = require('../utils/stripeClient');
+const { body, query, param, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Request = require('../models/request');
 const CreditTransaction = require('../models/CreditTransaction');
-const { protect, requireServiceProvider } = require('../middleware/auth');
+const CreditPackage = require('../models/CreditPackage');
+const Payout = require('../models/Payout');
+const AuditLog = require('../models/AuditLog');
+const { protect, requireServiceProvider, requireOwnership, authorize } = require('../middleware/auth');
 const logger = require('../utils/loggerutility');
+const { contactLead } = require('../utils/leadContact');
+const { quoteLead } = require('../utils/leadPricing');
+const { fulfilCreditPurchase, processWebhookEvent } = require('../utils/stripeUtils');
+const { resolveWallet, getLedgerFilter } = require('../utils/teamWallet');
+const {
+  JobPaymentError,
+  createOnboardingLink,
+  syncConnectAccount,
+  createJobPayment,
+  handleJobPaymentSucceeded,
+  retryPayout,
+  getJobPaymentErrorStatus
+} = require('../utils/jobPayments');
+const Business = require('../models/Business');
 const router = express.Router();
 
 // Create Stripe customer if not exists
@@ -42,12 +59,47 @@ const getOrCreateStripeCustomer = async (user) => {
   return customer;
 };
 
-// Create Payment Intent for credit purchase
+// @desc    Get the credit package catalog
+// @route   GET /api/payments/packages
+// @access  Public
+router.get('/packages', [
+  query('currency').optional().toLowerCase().isIn(CreditPackage.SUPPORTED_CURRENCIES).withMessage('Invalid currency')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const currency = req.query.currency || 'gbp';
+    const packages = await CreditPackage.getCatalog(currency);
+
+    res.json({
+      success: true,
+      data: {
+        currency,
+        packages
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get credit packages error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get credit packages',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Create Payment Intent for credit purchase. Credits and amount come from the package, never the client.
 router.post('/create-payment-intent', protect, requireServiceProvider, [
-  body('package').isIn(['starter', 'professional', 'business']).withMessage('Invalid credit package'),
-  body('credits').isInt({ min: 1 }).withMessage('Credits must be a positive integer'),
-  body('amount').isFloat({ min: 0 }).withMessage('Amount must be a positive number'),
-  body('currency').isIn(['gbp', 'usd', 'eur']).withMessage('Invalid currency'),
+  body('package').isString().trim().notEmpty().withMessage('Credit package is required'),
+  body('currency').optional().toLowerCase().isIn(CreditPackage.SUPPORTED_CURRENCIES).withMessage('Invalid currency'),
   body('autoTopUp').isBoolean().withMessage('autoTopUp must be a boolean'),
   body('leadId').optional().isMongoId()
 ], async (req, res) => {
@@ -61,8 +113,20 @@ router.post('/create-payment-intent', protect, requireServiceProvider, [
       });
     }
 
-    const { package: packageType, credits, amount, currency, autoTopUp, leadId } = req.body;
-    
+    const { package: packageIdentifier, currency = 'gbp', autoTopUp, leadId } = req.body;
+
+    const creditPackage = await CreditPackage.findPurchasable(packageIdentifier);
+    const price = creditPackage?.getPrice(currency);
+    if (!price) {
+      return res.status(400).json({
+        success: false,
+        message: creditPackage ? `This package is not available in ${currency.toUpperCase()}` : 'Invalid credit package'
+      });
+    }
+
+    const packageType = creditPackage.slug;
+    const credits = price.totalCredits;
+
     const user = await User.findById(req.user.id);
     if (!user) {
       return res.status(404).json({
@@ -71,20 +135,40 @@ router.post('/create-payment-intent', protect, requireServiceProvider, [
       });
     }
 
+    // Team members buy into the team wallet with their own card
+    const { wallet, business, role } = await resolveWallet(user);
+    if (business && !Business.roleCan(role, 'credits:purchase')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the team owner or a manager can buy credits for your team'
+      });
+    }
+
+    // Auto top-up charges the wallet owner's saved card, so only they can turn it on
+    if (autoTopUp && !wallet._id.equals(user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only the team owner can set up auto top-up'
+      });
+    }
+
     // Get or create Stripe customer
     const stripeCustomer = await getOrCreateStripeCustomer(user);
 
-    // Calculate amount in smallest currency unit (pence for GBP)
-    const amountInCents = Math.round(amount * 100);
+    // Amount in smallest currency unit (pence for GBP)
+    const amountInCents = price.amountInMinorUnits;
 
     // Create payment intent
     const paymentIntent = await stripe.paymentIntents.create({
       amount: amountInCents,
-      currency: currency.toLowerCase(),
+      currency: price.currency,
       customer: stripeCustomer.id,
       metadata: {
-        userId: user._id.toString(),
+        userId: wallet._id.toString(),
+        purchasedBy: user._id.toString(),
+        businessId: business ? business._id.toString() : '',
         packageType,
+        packageId: creditPackage._id.toString(),
         credits: credits.toString(),
         autoTopUp: autoTopUp.toString(),
         leadId: leadId || '',
@@ -118,7 +202,8 @@ router.post('/create-payment-intent', protect, requireServiceProvider, [
         setupClientSecret: setupIntent?.client_secret,
         stripeCustomerId: stripeCustomer.id,
         amount: amountInCents,
-        currency: currency.toLowerCase()
+        currency: price.currency,
+        package: creditPackage.toCatalogEntry(price.currency)
       }
     });
 
@@ -177,50 +262,28 @@ router.post('/confirm-payment', protect, requireServiceProvider, [
       });
     }
 
-    // Payment successful - add credits to user account
-    const credits = parseInt(paymentIntent.metadata.credits);
-    const packageType = paymentIntent.metadata.packageType;
+    // Payment successful - add credits to user account (a no-op if the webhook got there first)
     const autoTopUp = paymentIntent.metadata.autoTopUp === 'true';
-
-    // Update user credits
-    user.credits = (user.credits || 0) + credits;
-    
-    // Update user stats
-    user.stats = user.stats || {};
-    user.stats.totalCreditsPurchased = (user.stats.totalCreditsPurchased || 0) + credits;
-    user.stats.totalSpent = (user.stats.totalSpent || 0) + (paymentIntent.amount / 100);
-    
-    // Save auto top-up preference if enabled
-    if (autoTopUp && paymentIntent.payment_method) {
-      user.preferences = user.preferences || {};
-      user.preferences.autoTopUp = {
-        enabled: true,
-        paymentMethodId: paymentIntent.payment_method,
-        threshold: 10, // Auto top-up when credits fall below 10
-        packageType: packageType
-      };
-    }
-
-    await user.save();
-
-    // Create credit transaction record
-    const creditTransaction = new CreditTransaction({
-      user: user._id,
-      type: 'purchase',
-      amount: credits,
-      cost: paymentIntent.amount / 100,
-      currency: paymentIntent.currency,
-      stripePaymentIntentId: paymentIntent.id,
-      stripePaymentMethodId: paymentIntent.payment_method,
-      packageType,
-      status: 'completed',
-      metadata: {
-        autoTopUp,
-        leadId: leadId || null
-      }
+    const { transaction: creditTransaction, user: fulfilledUser } = await fulfilCreditPurchase(paymentIntent, {
+      source: 'confirm_payment',
+      leadId
     });
 
-    await creditTransaction.save();
+    if (!creditTransaction) {
+      return res.status(400).json({
+        success: false,
+        message: 'This payment is not a credit purchase'
+      });
+    }
+
+    const credits = creditTransaction.amount;
+    const packageType = creditTransaction.packageType;
+
+    // Credits went to the team wallet when the buyer is in a team
+    const { wallet, business } = await resolveWallet(user);
+    wallet.credits = fulfilledUser && fulfilledUser._id.equals(wallet._id)
+      ? fulfilledUser.credits
+      : (await User.findById(wallet._id).select('credits').lean()).credits;
 
     // If leadId is provided, automatically contact the lead
     let contactResult = null;
@@ -230,71 +293,46 @@ router.post('/confirm-payment', protect, requireServiceProvider, [
           .populate('customer', 'firstName lastName email phone');
 
         if (request && request.isActive()) {
-          const leadCost = calculateLeadCost(request, user);
+          const { cost: leadCost } = await quoteLead(request, user);
           
-          // Check if user has enough credits and hasn't already contacted
+          // Check the user hasn't already contacted (the debit itself is atomic)
           const alreadyContacted = request.analytics?.contactedProviders?.includes(user._id);
           
-          if (!alreadyContacted && user.credits >= leadCost) {
-            // Deduct credits
-            user.credits -= leadCost;
-            
-            // Record the contact
-            request.analytics = request.analytics || {};
-            request.analytics.contactedProviders = request.analytics.contactedProviders || [];
-            request.analytics.contactedProviders.push(user._id);
-            request.analytics.contactsInitiated = (request.analytics.contactsInitiated || 0) + 1;
-
-            // Add quote/response to request
-            request.quotes = request.quotes || [];
-            request.quotes.push({
-              provider: user._id,
-              message: `Hi ${request.customer.firstName}, I'm interested in your ${request.category?.name || 'project'} project. I'd love to discuss how I can help you.`,
-              contactedAt: new Date(),
-              amount: null
-            });
-
-            request.analytics.quotesReceived = (request.analytics.quotesReceived || 0) + 1;
-            if (!request.analytics.firstResponseTime) {
-              request.analytics.firstResponseTime = new Date();
-            }
-
-            await request.save();
-            await user.save();
-
-            // Create credit transaction for lead contact
-            const leadTransaction = new CreditTransaction({
-              user: user._id,
-              type: 'spend',
-              amount: -leadCost,
-              leadId: request._id,
-              status: 'completed',
-              metadata: {
-                purpose: 'lead_contact',
-                customerName: `${request.customer.firstName} ${request.customer.lastName}`
+          if (!alreadyContacted) {
+            const contact = await contactLead({
+              provider: user,
+              wallet,
+              business,
+              request,
+              leadCost,
+              chargeCredits: true,
+              quote: {
+                message: `Hi ${request.customer.firstName}, I'm interested in your ${request.category?.name || 'project'} project. I'd love to discuss how I can help you.`,
+                amount: null
               }
             });
 
-            await leadTransaction.save();
-
             contactResult = {
               success: true,
-              creditsUsed: leadCost,
+              creditsUsed: contact.creditsUsed,
               customerContact: {
                 name: `${request.customer.firstName} ${request.customer.lastName}`,
                 email: request.customer.email,
                 phone: request.customer.phone
               }
             };
-
-            // Update user stats
-            user.stats.leadsContacted = (user.stats.leadsContacted || 0) + 1;
-            user.stats.creditsSpent = (user.stats.creditsSpent || 0) + leadCost;
-            await user.save();
           }
         }
       } catch (contactError) {
-        logger.error('Auto contact lead after payment error:', contactError);
+        if (['VERIFICATION_REQUIRED', 'LEAD_FULL'].includes(contactError.code)) {
+          contactResult = {
+            success: false,
+            message: contactError.message,
+            ...contactError.details
+          };
+        } else {
+          logger.error('Auto contact lead after payment error:', contactError);
+        }
         // Don't fail the payment if lead contact fails
       }
     }
@@ -304,7 +342,7 @@ router.post('/confirm-payment', protect, requireServiceProvider, [
       message: 'Payment processed successfully and credits added',
       data: {
         creditsPurchased: credits,
-        newCreditBalance: user.credits,
+        newCreditBalance: wallet.credits,
         amountPaid: paymentIntent.amount / 100,
         currency: paymentIntent.currency,
         packageType,
@@ -346,6 +384,15 @@ router.post('/auto-topup', protect, requireServiceProvider, async (req, res) =>
       });
     }
 
+    // The team wallet is topped up from the owner's account
+    const { business } = await resolveWallet(user);
+    if (business && !business.owner.equals(user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Auto top-up for your team is managed by the team owner'
+      });
+    }
+
     // Check if auto top-up is enabled and user has low credits
     const autoTopUpSettings = user.preferences?.autoTopUp;
     if (!autoTopUpSettings?.enabled || user.credits > autoTopUpSettings.threshold) {
@@ -355,14 +402,9 @@ router.post('/auto-topup', protect, requireServiceProvider, async (req, res) =>
       });
     }
 
-    // Get pricing for the package
-    const packagePricing = {
-      starter: { credits: 280, price: 392.00 },
-      professional: { credits: 560, price: 700.00 },
-      business: { credits: 1120, price: 1200.00 }
-    };
-
-    const packageData = packagePricing[autoTopUpSettings.packageType];
+    // Price the package from the catalog
+    const creditPackage = await CreditPackage.findPurchasable(autoTopUpSettings.packageType);
+    const packageData = creditPackage?.getPrice('gbp');
     if (!packageData) {
       return res.status(400).json({
         success: false,
@@ -372,8 +414,8 @@ router.post('/auto-topup', protect, requireServiceProvider, async (req, res) =>
 
     // Create payment intent for auto top-up
     const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(packageData.price * 100),
-      currency: 'gbp',
+      amount: packageData.amountInMinorUnits,
+      currency: packageData.currency,
       customer: user.stripeCustomerId,
       payment_method: autoTopUpSettings.paymentMethodId,
       confirmation_method: 'automatic',
@@ -381,46 +423,27 @@ router.post('/auto-topup', protect, requireServiceProvider, async (req, res) =>
       off_session: true, // This payment is happening off-session
       metadata: {
         userId: user._id.toString(),
-        packageType: autoTopUpSettings.packageType,
-        credits: packageData.credits.toString(),
+        businessId: business ? business._id.toString() : '',
+        packageType: creditPackage.slug,
+        packageId: creditPackage._id.toString(),
+        credits: packageData.totalCredits.toString(),
         purpose: 'auto_topup'
       },
-      description: `Auto top-up: ${packageData.credits} credits`
+      description: `Auto top-up: ${packageData.totalCredits} credits`
     });
 
     if (paymentIntent.status === 'succeeded') {
-      // Add credits to user account
-      user.credits += packageData.credits;
-      user.stats.totalCreditsPurchased = (user.stats.totalCreditsPurchased || 0) + packageData.credits;
-      user.stats.totalSpent = (user.stats.totalSpent || 0) + packageData.price;
-      await user.save();
-
-      // Create transaction record
-      const creditTransaction = new CreditTransaction({
-        user: user._id,
-        type: 'purchase',
-        amount: packageData.credits,
-        cost: packageData.price,
-        currency: 'gbp',
-        stripePaymentIntentId: paymentIntent.id,
-        stripePaymentMethodId: autoTopUpSettings.paymentMethodId,
-        packageType: autoTopUpSettings.packageType,
-        status: 'completed',
-        metadata: {
-          autoTopUp: true,
-          triggered: true
-        }
-      });
-
-      await creditTransaction.save();
+      // Shared with the webhook so the credits are only granted once
+      const { user: updatedUser } = await fulfilCreditPurchase(paymentIntent, { source: 'auto_topup' });
+      if (updatedUser) user.credits = updatedUser.credits;
 
       res.json({
         success: true,
         message: 'Auto top-up completed successfully',
         data: {
-          creditsPurchased: packageData.credits,
+          creditsPurchased: packageData.totalCredits,
           newCreditBalance: user.credits,
-          amountCharged: packageData.price
+          amountCharged: packageData.amount
         }
       });
     } else {
@@ -453,7 +476,7 @@ router.post('/auto-topup', protect, requireServiceProvider, async (req, res) =>
   }
 });
 
-// Webhook handler for Stripe events
+// Webhook handler for Stripe events. server.js keeps the raw body for this path so the signature can be verified.
 router.post('/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
   const sig = req.headers['stripe-signature'];
   let event;
@@ -466,46 +489,12 @@ router.post('/webhook', express.raw({ type: 'application/json' }), async (req, r
   }
 
   try {
-    switch (event.type) {
-      case 'payment_intent.succeeded':
-        const paymentIntent = event.data.object;
-        logger.info(`Payment succeeded: ${paymentIntent.id}`);
-        
-        // Update transaction status if exists
-        await CreditTransaction.findOneAndUpdate(
-          { stripePaymentIntentId: paymentIntent.id },
-          { 
-            status: 'completed',
-            completedAt: new Date()
-          }
-        );
-        break;
-
-      case 'payment_intent.payment_failed':
-        const failedPayment = event.data.object;
-        logger.error(`Payment failed: ${failedPayment.id}`);
-        
-        // Update transaction status
-        await CreditTransaction.findOneAndUpdate(
-          { stripePaymentIntentId: failedPayment.id },
-          { 
-            status: 'failed',
-            failureReason: failedPayment.last_payment_error?.message
-          }
-        );
-        break;
+    // Each event is claimed in the database first so Stripe retries are only applied once
+    const result = await processWebhookEvent(event);
 
-      case 'customer.subscription.deleted':
-        // Handle subscription cancellation if you add subscriptions later
-        break;
-
-      default:
-        logger.info(`Unhandled event type: ${event.type}`);
-    }
-
-    res.json({ received: true });
+    res.json({ received: true, duplicate: !!result.duplicate });
   } catch (error) {
-    logger.error('Webhook handler error:', error);
+    logger.error(`Webhook handler error for ${event.type} (${event.id}):`, error);
     res.status(500).json({ error: 'Webhook handler failed' });
   }
 });
@@ -554,25 +543,51 @@ router.get('/payment-methods', protect, async (req, res) => {
 
 
 
-// Get credit transaction history
-router.get('/transactions', protect, async (req, res) => {
+// Get credit transaction history. Team owners and managers see the shared wallet's
+// ledger (optionally one member's activity); responders see their own.
+router.get('/transactions', protect, [
+  query('member').optional().isMongoId()
+], async (req, res) => {
   try {
-    const { page = 1, limit = 20 } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, member } = req.query;
     const skip = (page - 1) * limit;
 
-    const transactions = await CreditTransaction.find({ user: req.user.id })
+    const business = await Business.findActiveForMember(req.user.id);
+    const role = business ? business.getMember(req.user.id).role : null;
+
+    if (member && (!business || !Business.roleCan(role, 'activity:view') || !business.getMember(member))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only view the activity of members of your team'
+      });
+    }
+
+    const filter = getLedgerFilter({ user: req.user, business, role, member });
+
+    const transactions = await CreditTransaction.find(filter)
       .populate('leadId', 'title category')
+      .populate('performedBy', 'firstName lastName')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(parseInt(limit))
       .lean();
 
-    const total = await CreditTransaction.countDocuments({ user: req.user.id });
+    const total = await CreditTransaction.countDocuments(filter);
 
     res.json({
       success: true,
       data: {
         transactions,
+        team: business ? { id: business._id, name: business.name, role } : null,
         pagination: {
           currentPage: parseInt(page),
           totalPages: Math.ceil(total / limit),
@@ -592,26 +607,332 @@ router.get('/transactions', protect, async (req, res) => {
   }
 });
 
-// Helper function to calculate lead cost
-const calculateLeadCost = (request, provider) => {
-  const baseCost = 5;
-  let cost = baseCost;
+// Respond to a job payment that cannot go ahead (see utils/jobPayments.js)
+const sendJobPaymentError = (res, error) => res.status(getJobPaymentErrorStatus(error)).json({
+  success: false,
+  message: error.message,
+  code: error.code
+});
 
-  // Adjust based on budget
-  if (request.budget?.amount) {
-    if (request.budget.amount > 1000) cost += 5;
-    else if (request.budget.amount > 500) cost += 3;
-    else if (request.budget.amount > 100) cost += 1;
+// @desc    Start or continue Stripe Connect onboarding so job payments can be paid out
+// @route   POST /api/payments/connect/onboard
+// @access  Private (Service providers)
+router.post('/connect/onboard', protect, requireServiceProvider, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const link = await createOnboardingLink(user);
+
+    res.json({
+      success: true,
+      data: link
+    });
+
+  } catch (error) {
+    logger.error('Connect onboarding error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start payout setup',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
   }
+});
 
-  // Adjust based on urgency
-  if (request.timeline?.urgency === 'urgent') cost += 3;
-  else if (request.timeline?.urgency === 'high') cost += 1;
+// @desc    Get the provider's payout account status
+// @route   GET /api/payments/connect/status
+// @access  Private (Service providers)
+router.get('/connect/status', protect, requireServiceProvider, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('stripeConnect');
+    const accountId = user.stripeConnect?.accountId;
 
-  // Promotional leads are cheaper
-  if (request.promotionalLead) cost = Math.max(1, Math.floor(cost * 0.5));
+    if (!accountId) {
+      return res.json({
+        success: true,
+        data: { connected: false, payoutsEnabled: false }
+      });
+    }
 
-  return Math.max(1, cost);
-};
+    // Refresh from Stripe in case a webhook was missed
+    const account = await stripe.accounts.retrieve(accountId);
+    await syncConnectAccount(account);
+
+    res.json({
+      success: true,
+      data: {
+        connected: true,
+        accountId,
+        detailsSubmitted: !!account.details_submitted,
+        chargesEnabled: !!account.charges_enabled,
+        payoutsEnabled: !!account.payouts_enabled,
+        requirements: account.requirements?.currently_due || []
+      }
+    });
+
+  } catch (error) {
+    logger.error('Connect status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get payout account status',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Pay for an accepted quote. The money is held until the work is signed off.
+// @route   POST /api/payments/jobs/:requestId/pay
+// @access  Private (Request owner only)
+router.post('/jobs/:requestId/pay', protect, requireOwnership(Request, 'requestId', 'customer'), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const stripeCustomer = await getOrCreateStripeCustomer(user);
+
+    const paymentIntent = await createJobPayment(req.resource, stripeCustomer.id);
+
+    res.json({
+      success: true,
+      data: {
+        paymentIntentId: paymentIntent.id,
+        clientSecret: paymentIntent.client_secret,
+        amount: paymentIntent.amount,
+        currency: paymentIntent.currency
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof JobPaymentError) {
+      return sendJobPaymentError(res, error);
+    }
+    logger.error('Create job payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start payment',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Confirm a job payment after Stripe has handled the card (the webhook does the same)
+// @route   POST /api/payments/jobs/:requestId/confirm
+// @access  Private (Request owner only)
+router.post('/jobs/:requestId/confirm', protect, requireOwnership(Request, 'requestId', 'customer'), [
+  body('paymentIntentId').isString().withMessage('Payment intent ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const request = req.resource;
+    if (request.payment?.stripePaymentIntentId !== req.body.paymentIntentId) {
+      return res.status(400).json({
+        success: false,
+        message: 'This payment does not belong to this job'
+      });
+    }
+
+    const paymentIntent = await stripe.paymentIntents.retrieve(req.body.paymentIntentId);
+    if (paymentIntent.status !== 'succeeded') {
+      return res.status(400).json({
+        success: false,
+        message: `Payment not completed. Status: ${paymentIntent.status}`
+      });
+    }
+
+    // A no-op if the webhook got there first
+    await handleJobPaymentSucceeded(paymentIntent);
+    const updated = await Request.findById(request._id).select('payment');
+
+    res.json({
+      success: true,
+      message: 'Payment received and held until the work is signed off',
+      data: { payment: updated.payment }
+    });
+
+  } catch (error) {
+    logger.error('Confirm job payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to confirm payment',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Get the payment and payouts for a job
+// @route   GET /api/payments/jobs/:requestId
+// @access  Private (Request owner or selected provider)
+router.get('/jobs/:requestId', protect, async (req, res) => {
+  try {
+    const request = await Request.findById(req.params.requestId).select('title customer selectedProvider status payment');
+
+    const userId = req.user._id.toString();
+    if (!request || (request.customer.toString() !== userId && request.selectedProvider?.toString() !== userId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Request not found'
+      });
+    }
+
+    const payouts = await Payout.find({ request: request._id })
+      .select('-stripeAccountId -idempotencyKey')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const { stripePaymentIntentId, stripeChargeId, ...payment } = request.payment.toObject();
+
+    res.json({
+      success: true,
+      data: {
+        status: request.status,
+        payment: {
+          ...payment,
+          amountOutstanding: Math.max(payment.amountHeld - payment.amountReleased, 0)
+        },
+        payouts
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get job payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get job payment',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Get the provider's payout history and earnings
+// @route   GET /api/payments/payouts
+// @access  Private (Service providers)
+router.get('/payouts', protect, requireServiceProvider, [
+  query('status').optional().isIn(['pending', 'paid', 'failed', 'reconciling', 'reversed']),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const filter = { provider: req.user._id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const [payouts, total, summary, user] = await Promise.all([
+      Payout.find(filter)
+        .populate('request', 'title')
+        .select('-stripeAccountId -idempotencyKey')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Payout.countDocuments(filter),
+      Payout.getProviderSummary(req.user._id),
+      User.findById(req.user.id).select('earnings stripeConnect.payoutsEnabled').lean()
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        payouts,
+        earnings: user.earnings,
+        summary,
+        payoutsEnabled: !!user.stripeConnect?.payoutsEnabled,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: limit
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get payouts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get payouts',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Retry a failed payout or settle one whose transfer outcome is unknown
+// @route   POST /api/payments/payouts/:id/retry
+// @access  Private (payouts:manage)
+router.post('/payouts/:id/retry', protect, authorize('payouts:manage'), [
+  param('id').isMongoId().withMessage('Invalid payout ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const payout = await Payout.findById(req.params.id);
+    if (!payout) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payout not found'
+      });
+    }
+
+    const previousStatus = payout.status;
+    const result = await retryPayout(payout);
+
+    await AuditLog.record(req, {
+      action: 'payout.retry',
+      targetType: 'Payout',
+      targetId: payout._id,
+      changes: { before: { status: previousStatus }, after: { status: result.payout?.status || payout.status } }
+    });
+
+    if (!result.payout || result.failed || result.reconciling) {
+      let message = 'Nothing is left to pay out for this payout';
+      if (result.failed) message = `Payout failed again: ${result.payout.failureReason}`;
+      if (result.reconciling) message = 'Could not confirm the transfer with Stripe yet; it will be checked again automatically';
+
+      return res.status(409).json({
+        success: false,
+        message,
+        data: { payout: result.payout || payout }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Payout sent',
+      data: { payout: result.payout }
+    });
+
+  } catch (error) {
+    if (error instanceof JobPaymentError) {
+      return sendJobPaymentError(res, error);
+    }
+    logger.error('Retry payout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retry payout',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,487 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const rateLimit = require('express-rate-limit');
+
+const User = require('../models/User');
+const { protect, getAuthErrorMessage } = require('../middleware/auth');
+const { issueAuthTokens } = require('../utils/authTokens');
+const { registerLoginDevice } = require('../utils/loginProtection');
+const {
+  TWO_FACTOR_SECRET_FIELDS,
+  encryptSecret,
+  generateTotpSecret,
+  buildOtpauthUrl,
+  generateBackupCodes,
+  sendEmailOtp,
+  isLocked,
+  verifySecondFactor,
+  verifyChallengeToken,
+  getRemainingBackupCodes
+} = require('../utils/twoFactor');
+const logger = require('../utils/loggerutility');
+
+const router = express.Router();
+
+// Codes are short, so guessing is limited per IP as well as per account
+const codeLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 30,
+  message: 'Too many verification attempts, please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+const lockedResponse = (res) => res.status(429).json({
+  success: false,
+  message: 'Too many incorrect codes. Please try again in 15 minutes.'
+});
+
+const loadUserWithSecrets = (userId, extraFields = '') =>
+  User.findById(userId).select(`${TWO_FACTOR_SECRET_FIELDS} ${extraFields}`.trim());
+
+// Accounts without a password (social sign-in) confirm with the second factor alone
+const confirmPassword = async (user, password) => {
+  if (!user.password) return true;
+  return !!password && user.matchPassword(password);
+};
+
+// @desc    Get two-factor authentication status
+// @route   GET /api/auth/2fa/status
+// @access  Private
+router.get('/status', protect, async (req, res) => {
+  try {
+    const user = await loadUserWithSecrets(req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        enabled: !!user.twoFactor?.enabled,
+        method: user.twoFactor?.method || null,
+        enabledAt: user.twoFactor?.enabledAt || null,
+        backupCodesRemaining: getRemainingBackupCodes(user)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get 2FA status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get two-factor status',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Start TOTP enrolment - returns the secret and otpauth URI for the authenticator app's QR code
+// @route   POST /api/auth/2fa/totp/setup
+// @access  Private
+router.post('/totp/setup', protect, async (req, res) => {
+  try {
+    const user = await loadUserWithSecrets(req.user._id);
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled. Disable it first to change method.'
+      });
+    }
+
+    const secret = generateTotpSecret();
+    user.set('twoFactor.pendingTotpSecret', encryptSecret(secret));
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUrl: buildOtpauthUrl(secret, user.email)
+      }
+    });
+
+  } catch (error) {
+    logger.error('2FA TOTP setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start two-factor setup',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Confirm TOTP enrolment with a code from the app
+// @route   POST /api/auth/2fa/totp/enable
+// @access  Private
+router.post('/totp/enable', protect, codeLimiter, [
+  body('code').matches(/^\d{6}$/).withMessage('Code must be 6 digits')
+], handleValidation, async (req, res) => {
+  try {
+    const user = await loadUserWithSecrets(req.user._id);
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactor?.pendingTotpSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start setup before confirming a code'
+      });
+    }
+
+    if (isLocked(user)) return lockedResponse(res);
+
+    const method = await verifySecondFactor(user, req.body.code, { allowPending: true });
+    if (method !== 'totp') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid code'
+      });
+    }
+
+    const backupCodes = generateBackupCodes();
+    user.set({
+      'twoFactor.enabled': true,
+      'twoFactor.method': 'totp',
+      'twoFactor.enabledAt': new Date(),
+      'twoFactor.totpSecret': user.twoFactor.pendingTotpSecret,
+      'twoFactor.pendingTotpSecret': undefined,
+      'twoFactor.backupCodes': backupCodes.hashed
+    });
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your backup codes somewhere safe - they will not be shown again.',
+      data: { backupCodes: backupCodes.codes }
+    });
+
+  } catch (error) {
+    logger.error('2FA TOTP enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to enable two-factor authentication',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Start email code enrolment - sends a code to the account email
+// @route   POST /api/auth/2fa/email/setup
+// @access  Private
+router.post('/email/setup', protect, codeLimiter, async (req, res) => {
+  try {
+    const user = await loadUserWithSecrets(req.user._id);
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled. Disable it first to change method.'
+      });
+    }
+
+    if (!user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please verify your email address first'
+      });
+    }
+
+    await sendEmailOtp(user);
+
+    res.json({
+      success: true,
+      message: 'A code has been sent to your email address'
+    });
+
+  } catch (error) {
+    logger.error('2FA email setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send verification code',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Confirm email code enrolment
+// @route   POST /api/auth/2fa/email/enable
+// @access  Private
+router.post('/email/enable', protect, codeLimiter, [
+  body('code').matches(/^\d{6}$/).withMessage('Code must be 6 digits')
+], handleValidation, async (req, res) => {
+  try {
+    const user = await loadUserWithSecrets(req.user._id);
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (isLocked(user)) return lockedResponse(res);
+
+    const method = await verifySecondFactor(user, req.body.code);
+    if (method !== 'email') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired code'
+      });
+    }
+
+    const backupCodes = generateBackupCodes();
+    user.set({
+      'twoFactor.enabled': true,
+      'twoFactor.method': 'email',
+      'twoFactor.enabledAt': new Date(),
+      'twoFactor.backupCodes': backupCodes.hashed
+    });
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your backup codes somewhere safe - they will not be shown again.',
+      data: { backupCodes: backupCodes.codes }
+    });
+
+  } catch (error) {
+    logger.error('2FA email enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to enable two-factor authentication',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Replace backup codes (requires password, if the account has one, and a current code)
+// @route   POST /api/auth/2fa/backup-codes
+// @access  Private
+router.post('/backup-codes', protect, codeLimiter, [
+  body('password').optional().isString(),
+  body('code').notEmpty().withMessage('Code is required')
+], handleValidation, async (req, res) => {
+  try {
+    const user = await loadUserWithSecrets(req.user._id, '+password');
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (isLocked(user)) return lockedResponse(res);
+
+    if (!(await confirmPassword(user, req.body.password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    if (!(await verifySecondFactor(user, req.body.code))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid code'
+      });
+    }
+
+    const backupCodes = generateBackupCodes();
+    user.set('twoFactor.backupCodes', backupCodes.hashed);
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: 'New backup codes generated. Your old codes no longer work.',
+      data: { backupCodes: backupCodes.codes }
+    });
+
+  } catch (error) {
+    logger.error('2FA backup codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate backup codes',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Disable two-factor authentication (requires password, if the account has one, and a current code)
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+router.post('/disable', protect, codeLimiter, [
+  body('password').optional().isString(),
+  body('code').notEmpty().withMessage('Code is required')
+], handleValidation, async (req, res) => {
+  try {
+    const user = await loadUserWithSecrets(req.user._id, '+password');
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (isLocked(user)) return lockedResponse(res);
+
+    if (!(await confirmPassword(user, req.body.password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    if (!(await verifySecondFactor(user, req.body.code))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid code'
+      });
+    }
+
+    user.set('twoFactor', { enabled: false, failedAttempts: 0 });
+    await user.save({ validateBeforeSave: false });
+
+    logger.info(`Two-factor authentication disabled for user ${user._id}`);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    logger.error('2FA disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disable two-factor authentication',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Email a sign-in code for a pending login challenge (fallback for TOTP users)
+// @route   POST /api/auth/2fa/login/email-code
+// @access  Public (challenge token)
+router.post('/login/email-code', codeLimiter, [
+  body('challengeToken').isString().notEmpty().withMessage('Challenge token is required')
+], handleValidation, async (req, res) => {
+  try {
+    let challenge;
+    try {
+      challenge = verifyChallengeToken(req.body.challengeToken);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: getAuthErrorMessage(error)
+      });
+    }
+
+    const user = await loadUserWithSecrets(challenge.id);
+    if (!user || !user.isActive || !user.twoFactor?.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid challenge'
+      });
+    }
+
+    if (isLocked(user)) return lockedResponse(res);
+
+    await sendEmailOtp(user);
+
+    res.json({
+      success: true,
+      message: 'A sign-in code has been sent to your email address'
+    });
+
+  } catch (error) {
+    logger.error('2FA login email code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send sign-in code',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Complete a login by answering its two-factor challenge
+// @route   POST /api/auth/2fa/login/verify
+// @access  Public (challenge token)
+router.post('/login/verify', codeLimiter, [
+  body('challengeToken').isString().notEmpty().withMessage('Challenge token is required'),
+  body('code').isString().trim().notEmpty().withMessage('Code is required')
+], handleValidation, async (req, res) => {
+  try {
+    let challenge;
+    try {
+      challenge = verifyChallengeToken(req.body.challengeToken);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: getAuthErrorMessage(error)
+      });
+    }
+
+    const user = await loadUserWithSecrets(challenge.id);
+    if (!user || !user.isActive || !user.twoFactor?.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid challenge'
+      });
+    }
+
+    if (isLocked(user)) return lockedResponse(res);
+
+    const method = await verifySecondFactor(user, req.body.code);
+    if (!method) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid code'
+      });
+    }
+
+    user.lastSeen = new Date();
+    user.isOnline = true;
+    await user.save({ validateBeforeSave: false });
+
+    const tokens = await issueAuthTokens(user, req);
+    await registerLoginDevice(user, req);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user: await User.findById(user._id),
+        ...tokens,
+        verifiedWith: method,
+        backupCodesRemaining: method === 'backup' ? getRemainingBackupCodes(user) : undefined
+      }
+    });
+
+  } catch (error) {
+    logger.error('2FA login verify error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -3,13 +3,31 @@ const { body, validationResult, query } = require('express-validator');
 const multer = require('multer');
 const path = require('path');
 const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const validator = require('validator');
 
 const User = require('../models/User');
 const Service = require('../models/Service');
 const Request = require('../models/request');
 const Review = require('../models/Review');
+const CreditPackage = require('../models/CreditPackage');
+const Business = require('../models/Business');
+const DataExport = require('../models/DataExport');
+const VerificationRequest = require('../models/VerificationRequest');
+const Session = require('../models/Session');
 const { protect, requireVerification, requireOwnership } = require('../middleware/auth');
 const logger = require('../utils/loggerutility');
+const { notCommonPassword } = require('../utils/passwordPolicy');
+const { resolveWallet, getLedgerFilter } = require('../utils/teamWallet');
+const { sendEmail } = require('../utils/email');
+const {
+  getErasureGraceDays,
+  getExportFilePath,
+  processPendingExports,
+  scheduleErasure,
+  cancelErasure,
+  eraseUser
+} = require('../utils/dataPrivacy');
 const { upload: multerUpload } = require('../middleware/uploadmiddleware'); // Rename for clarity
 
 
@@ -18,6 +36,17 @@ const { upload: multerUpload } = require('../middleware/uploadmiddleware'); // R
 
 const router = express.Router();
 
+// Whether a typed email address is the account's. Accepted as typed or in the
+// normalizeEmail() form password registration stores (Gmail dots and +tags removed).
+const confirmsEmail = (input, email) => {
+  const typed = String(input || '').toLowerCase();
+  if (!typed || !email) return false;
+  return [typed, validator.normalizeEmail(typed)].includes(email.toLowerCase());
+};
+
+// Restore links are only good for POST /account/restore, never as an access token
+const RESTORE_TOKEN_AUDIENCE = 'erasure_cancel';
+
 // @desc    Get all users (with filters and search)
 // @route   GET /api/users
 // @access  Public
@@ -386,7 +415,10 @@ router.put(
       const updateFields = {};
       if (companyName) updateFields.businessName = companyName;
       if (companyEmail) updateFields.email = companyEmail;
-      if (companyPhone) updateFields.phone = companyPhone;
+      if (companyPhone && companyPhone !== req.user.phone) {
+        updateFields.phone = companyPhone;
+        updateFields.phoneVerified = false; // Reset verification when phone changes
+      }
       if (website) updateFields.website = website;
       if (companySize) updateFields.companySize = companySize;
       if (yearsInBusiness !== undefined) updateFields.experience = yearsInBusiness;
@@ -871,12 +903,14 @@ router.put('/preferences', protect, async (req, res) => {
 });
 
 
-// @desc    Deactivate user account
+// @desc    Delete user account. The account is deactivated now and its personal data
+//          anonymised after the erasure grace period (ERASURE_GRACE_DAYS).
 // @route   DELETE /api/users/account
 // @access  Private
 router.delete('/account', protect, [
-  body('password').notEmpty().withMessage('Password is required for account deletion'),
-  body('reason').optional().isString()
+  body('password').optional().isString(),
+  body('confirmEmail').optional().trim().isEmail(),
+  body('reason').optional().isString().isLength({ max: 500 })
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -890,37 +924,244 @@ router.delete('/account', protect, [
 
     const user = await User.findById(req.user.id).select('+password');
 
-    // Verify password
-    const isPasswordMatch = await user.matchPassword(req.body.password);
-    if (!isPasswordMatch) {
+    // Accounts without a password (social sign-in) confirm with their email address instead
+    if (user.password) {
+      const isPasswordMatch = req.body.password && await user.matchPassword(req.body.password);
+      if (!isPasswordMatch) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid password'
+        });
+      }
+    } else if (!confirmsEmail(req.body.confirmEmail, user.email)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid password'
+        message: 'Please confirm your email address to delete your account'
       });
     }
 
-    // Deactivate account instead of deleting
-    user.isActive = false;
-    user.deactivatedAt = new Date();
-    user.deactivationReason = req.body.reason;
-    await user.save();
+    const scheduledFor = await scheduleErasure(user, { reason: req.body.reason });
+    const graceDays = getErasureGraceDays();
 
-    // Deactivate all user's services
-    await Service.updateMany(
-      { provider: req.user.id },
-      { isActive: false, isPaused: true }
-    );
+    if (graceDays === 0) {
+      await eraseUser(user._id);
+
+      return res.json({
+        success: true,
+        message: 'Account deleted and personal data erased'
+      });
+    }
+
+    try {
+      const restoreToken = jwt.sign(
+        { id: user._id },
+        process.env.JWT_SECRET,
+        { expiresIn: Math.floor((scheduledFor - Date.now()) / 1000), audience: RESTORE_TOKEN_AUDIENCE }
+      );
+
+      await sendEmail({
+        email: user.email,
+        template: 'accountErasureScheduled',
+        data: {
+          name: user.firstName,
+          graceDays,
+          scheduledFor: scheduledFor.toDateString(),
+          restoreUrl: `${process.env.CLIENT_URL}/account/restore?token=${restoreToken}`
+        }
+      });
+    } catch (emailError) {
+      logger.error('Account erasure email failed:', emailError);
+    }
+
+    res.json({
+      success: true,
+      message: `Account deactivated. Your personal data will be erased on ${scheduledFor.toDateString()} unless you restore your account before then.`,
+      data: {
+        erasureScheduledFor: scheduledFor,
+        gracePeriodDays: graceDays
+      }
+    });
+
+  } catch (error) {
+    logger.error('Delete account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete account',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Restore an account during the erasure grace period
+// @route   POST /api/users/account/restore
+// @access  Public (restore token from the deletion email)
+router.post('/account/restore', [
+  body('token').isString().notEmpty().withMessage('Restore token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(req.body.token, process.env.JWT_SECRET, { audience: RESTORE_TOKEN_AUDIENCE });
+    } catch (error) {
+      decoded = null;
+    }
+
+    if (!decoded) {
+      return res.status(400).json({
+        success: false,
+        message: 'Restore link is invalid or has expired'
+      });
+    }
+
+    const user = await cancelErasure(decoded.id);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'This account is not scheduled for deletion'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Account restored. You can sign in again; your services stay paused until you resume them.'
+    });
+
+  } catch (error) {
+    logger.error('Restore account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to restore account',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Request an export of all personal data. The archive is built in the background.
+// @route   POST /api/users/me/export
+// @access  Private
+router.post('/me/export', protect, [
+  body('format').optional().isIn(['json', 'zip']).withMessage('Format must be json or zip')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const inProgress = await DataExport.findInProgress(req.user.id);
+    if (inProgress) {
+      return res.status(409).json({
+        success: false,
+        message: 'An export is already being prepared',
+        data: { export: inProgress.toSummary() }
+      });
+    }
+
+    const dataExport = await DataExport.create({
+      user: req.user.id,
+      format: req.body.format || 'zip'
+    });
+
+    // Start straight away; the cron job picks up anything left behind
+    setImmediate(() => {
+      processPendingExports().catch(error => logger.error('Data export processing error:', error));
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Your data export is being prepared. We will notify you when it is ready.',
+      data: { export: dataExport.toSummary() }
+    });
+
+  } catch (error) {
+    logger.error('Request data export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to request data export',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    List the user's data exports
+// @route   GET /api/users/me/exports
+// @access  Private
+router.get('/me/exports', protect, async (req, res) => {
+  try {
+    const exports = await DataExport.find({ user: req.user.id })
+      .sort({ createdAt: -1 })
+      .limit(10);
 
     res.json({
       success: true,
-      message: 'Account deactivated successfully'
+      data: { exports: exports.map(dataExport => dataExport.toSummary()) }
+    });
+
+  } catch (error) {
+    logger.error('Get data exports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get data exports',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Download a finished data export
+// @route   GET /api/users/me/exports/:id/download
+// @access  Private
+router.get('/me/exports/:id/download', protect, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid export ID'
+      });
+    }
+
+    const dataExport = await DataExport.findOne({ _id: req.params.id, user: req.user.id }).select('+fileName');
+
+    if (!dataExport || dataExport.status !== 'ready' || dataExport.expiresAt <= new Date()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Export not found or no longer available'
+      });
+    }
+
+    await DataExport.updateOne(
+      { _id: dataExport._id },
+      { $inc: { downloadCount: 1 }, $set: { lastDownloadedAt: new Date() } }
+    );
+
+    const downloadName = `data-export-${dataExport.completedAt.toISOString().split('T')[0]}.${dataExport.format}`;
+    res.download(getExportFilePath(dataExport), downloadName, (error) => {
+      if (error && !res.headersSent) {
+        logger.error('Data export download error:', error);
+        res.status(404).json({
+          success: false,
+          message: 'Export file is no longer available'
+        });
+      }
     });
 
   } catch (error) {
-    logger.error('Deactivate account error:', error);
+    logger.error('Download data export error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to deactivate account',
+      message: 'Failed to download data export',
       error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
@@ -1067,8 +1308,7 @@ router.put('/settings', protect, [
 router.get('/credits', protect, async (req, res) => {
   try {
     const user = await User.findById(req.user.id)
-      .select('credits stats preferences')
-      .lean();
+      .select('credits stats preferences');
 
     if (!user) {
       return res.status(404).json({
@@ -1077,58 +1317,34 @@ router.get('/credits', protect, async (req, res) => {
       });
     }
 
+    // Team members see the shared wallet
+    const { wallet, business, role } = await resolveWallet(user);
+
     // Get credit transactions for history
     const CreditTransaction = require('../models/CreditTransaction'); // You'll need to create this model
-    const transactions = await CreditTransaction.find({ user: req.user.id })
+    const transactions = await CreditTransaction.find(getLedgerFilter({ user, business, role }))
+      .populate('performedBy', 'firstName lastName')
       .sort({ createdAt: -1 })
       .limit(10)
       .lean();
 
     const creditsData = {
-      currentBalance: user.credits || 0,
-      totalPurchased: user.stats?.totalCreditsPurchased || 0,
-      totalSpent: user.stats?.creditsSpent || 0,
-      autoTopUp: user.preferences?.autoTopUp || {
+      currentBalance: wallet.credits || 0,
+      totalPurchased: wallet.stats?.totalCreditsPurchased || 0,
+      totalSpent: wallet.stats?.creditsSpent || 0,
+      autoTopUp: wallet.preferences?.autoTopUp || {
         enabled: false,
         threshold: 10,
         packageType: 'starter'
       },
       transactions,
-      packages: [
-        {
-          type: 'starter',
-          credits: 280,
-          price: 392.00,
-          originalPrice: 490.00,
-          currency: 'GBP',
-          perCreditCost: 1.40,
-          description: 'Enough for about 10 leads',
-          guarantee: true,
-          discount: 20
-        },
-        {
-          type: 'professional',
-          credits: 500,
-          price: 650.00,
-          originalPrice: 812.50,
-          currency: 'GBP',
-          perCreditCost: 1.30,
-          description: 'Enough for about 18 leads',
-          guarantee: true,
-          discount: 20
-        },
-        {
-          type: 'business',
-          credits: 1000,
-          price: 1200.00,
-          originalPrice: 1500.00,
-          currency: 'GBP',
-          perCreditCost: 1.20,
-          description: 'Enough for about 35 leads',
-          guarantee: true,
-          discount: 20
-        }
-      ]
+      team: business ? {
+        id: business._id,
+        name: business.name,
+        role,
+        canPurchase: Business.roleCan(role, 'credits:purchase')
+      } : null,
+      packages: await CreditPackage.getCatalog('gbp')
     };
 
     res.json({
@@ -1149,7 +1365,8 @@ router.get('/credits', protect, async (req, res) => {
 // @route   POST /api/users/buy-credits
 // @access  Private
 router.post('/buy-credits', protect, [
-  body('packageType').isIn(['starter', 'professional', 'business']).withMessage('Invalid package type'),
+  body('packageType').isString().trim().notEmpty().withMessage('Invalid package type'),
+  body('currency').optional().toLowerCase().isIn(CreditPackage.SUPPORTED_CURRENCIES).withMessage('Invalid currency'),
   body('couponCode').optional().isString()
 ], async (req, res) => {
   try {
@@ -1162,16 +1379,19 @@ router.post('/buy-credits', protect, [
       });
     }
 
-    const { packageType, couponCode } = req.body;
-    
-    // Define packages
-    const packages = {
-      starter: { credits: 280, price: 39200, originalPrice: 49000 }, // Prices in pence
-      professional: { credits: 500, price: 65000, originalPrice: 81250 },
-      business: { credits: 1000, price: 120000, originalPrice: 150000 }
-    };
+    const { packageType, currency = 'gbp', couponCode } = req.body;
+
+    // Team members buy into the team wallet
+    const { wallet, business, role } = await resolveWallet(req.user);
+    if (business && !Business.roleCan(role, 'credits:purchase')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the team owner or a manager can buy credits for your team'
+      });
+    }
 
-    const selectedPackage = packages[packageType];
+    const creditPackage = await CreditPackage.findPurchasable(packageType);
+    const selectedPackage = creditPackage?.getPrice(currency);
     if (!selectedPackage) {
       return res.status(400).json({
         success: false,
@@ -1180,7 +1400,7 @@ router.post('/buy-credits', protect, [
     }
 
     // Create Stripe checkout session
-    const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+    const stripe = require('../utils/stripeClient');
     
     const session = await stripe.checkout.sessions.create({
       customer: req.user.stripeCustomerId,
@@ -1188,12 +1408,12 @@ router.post('/buy-credits', protect, [
       line_items: [
         {
           price_data: {
-            currency: 'gbp',
+            currency: selectedPackage.currency,
             product_data: {
-              name: `${selectedPackage.credits} Bark Credits`,
-              description: `${packageType.charAt(0).toUpperCase() + packageType.slice(1)} Package`,
+              name: `${selectedPackage.totalCredits} Bark Credits`,
+              description: `${creditPackage.name} Package`,
             },
-            unit_amount: selectedPackage.price,
+            unit_amount: selectedPackage.amountInMinorUnits,
           },
           quantity: 1,
         },
@@ -1203,8 +1423,21 @@ router.post('/buy-credits', protect, [
       cancel_url: `${process.env.CLIENT_URL}/settings/credits`,
       metadata: {
         userId: req.user.id,
-        packageType,
-        credits: selectedPackage.credits.toString()
+        packageType: creditPackage.slug,
+        packageId: creditPackage._id.toString(),
+        credits: selectedPackage.totalCredits.toString()
+      },
+      // Credits are granted by the payment_intent.succeeded webhook
+      payment_intent_data: {
+        metadata: {
+          userId: wallet._id.toString(),
+          purchasedBy: req.user.id,
+          businessId: business ? business._id.toString() : '',
+          packageType: creditPackage.slug,
+          packageId: creditPackage._id.toString(),
+          credits: selectedPackage.totalCredits.toString(),
+          purpose: 'credit_purchase'
+        }
       },
       discounts: couponCode ? [{ coupon: couponCode }] : [],
     });
@@ -1344,7 +1577,7 @@ router.put('/lead-settings', protect, [
 router.get('/account-details', protect, async (req, res) => {
   try {
     const user = await User.findById(req.user.id)
-      .select('email phone preferences')
+      .select('email phone emailVerified phoneVerified preferences twoFactor.enabled')
       .lean();
 
     if (!user) {
@@ -1360,7 +1593,7 @@ router.get('/account-details', protect, async (req, res) => {
       smsPhone: user.preferences?.notifications?.smsPhone || '',
       emailVerified: user.emailVerified || false,
       phoneVerified: user.phoneVerified || false,
-      twoFactorEnabled: user.preferences?.security?.twoFactorEnabled || false
+      twoFactorEnabled: user.twoFactor?.enabled || false
     };
 
     res.json({
@@ -1458,7 +1691,12 @@ router.put('/account-details', protect, [
 // @access  Private
 router.put('/change-password', protect, [
   body('currentPassword').notEmpty().withMessage('Current password is required'),
-  body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters'),
+  body('newPassword')
+    .isLength({ min: 6 })
+    .withMessage('New password must be at least 6 characters long')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('New password must contain at least one uppercase letter, one lowercase letter, and one number')
+    .custom(notCommonPassword),
   body('confirmPassword').custom((value, { req }) => {
     if (value !== req.body.newPassword) {
       throw new Error('Password confirmation does not match');
@@ -1493,9 +1731,13 @@ router.put('/change-password', protect, [
     user.password = newPassword;
     await user.save();
 
+    // Keep this device signed in but end every other session (as PUT /api/auth/update-password)
+    const revokedSessions = await Session.revokeAllForUser(user._id, 'password_changed', req.sessionId);
+
     res.json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password changed successfully',
+      data: { revokedSessions }
     });
 
   } catch (error) {
@@ -1527,7 +1769,7 @@ router.post('/apply-coupon', protect, [
     const { couponCode } = req.body;
 
     // Validate coupon with Stripe
-    const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+    const stripe = require('../utils/stripeClient');
     
     try {
       const coupon = await stripe.coupons.retrieve(couponCode);
@@ -1598,6 +1840,7 @@ router.get('/:id', async (req, res) => {
     }
 
     let services = [];
+    let badges = [];
     if (user.userType === 'service_provider' || user.userType === 'both') {
       services = await Service.find({ 
         provider: user._id, 
@@ -1606,6 +1849,8 @@ router.get('/:id', async (req, res) => {
       .populate('category', 'name slug')
       .sort({ createdAt: -1 })
       .limit(6);
+
+      badges = await VerificationRequest.getBadges(user._id);
     }
 
     const recentWork = await Request.find({
@@ -1624,6 +1869,7 @@ router.get('/:id', async (req, res) => {
       data: {
         user,
         services,
+        badges,
         recentWork
       }
     });
@@ -0,0 +1,498 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const { body, query, param, validationResult } = require('express-validator');
+
+const VerificationRequest = require('../models/VerificationRequest');
+const Category = require('../models/Category');
+const Service = require('../models/Service');
+const Notification = require('../models/notifiication');
+const AuditLog = require('../models/AuditLog');
+const { protect, requireServiceProvider, authorize } = require('../middleware/auth');
+const { upload: multerUpload, handleMulterError } = require('../middleware/uploadmiddleware');
+const logger = require('../utils/loggerutility');
+const {
+  getRequirementStatus,
+  applyVerificationOutcome,
+  describeVerification
+} = require('../utils/verification');
+
+const router = express.Router();
+
+const VERIFICATION_TYPES = VerificationRequest.VERIFICATION_TYPES;
+const STATUSES = VerificationRequest.schema.path('status').enumValues;
+
+// Types that are held per category or service rather than per provider
+const SCOPED_TYPES = ['license', 'insurance', 'certification'];
+
+// Uploaded documents are kept only once the request has been saved
+const removeUploads = (files = []) => {
+  files.forEach(file => fs.unlink(file.path, () => {}));
+};
+
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    removeUploads(req.files);
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// @desc    Get the verification requirements for a category and my progress on them
+// @route   GET /api/verification/requirements
+// @access  Private (Service providers)
+router.get('/requirements', protect, requireServiceProvider, [
+  query('category').isMongoId().withMessage('Invalid category ID')
+], handleValidation, async (req, res) => {
+  try {
+    const category = await Category.findById(req.query.category).select('name slug requirements').lean();
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    const requirements = await getRequirementStatus(req.user._id, category);
+
+    res.json({
+      success: true,
+      data: {
+        category: { _id: category._id, name: category.name, slug: category.slug },
+        requirements,
+        canContactLeads: requirements.every(entry => !entry.blocksLeadContact || entry.verified)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get verification requirements error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get verification requirements',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Get my verification requests and badges
+// @route   GET /api/verification/mine
+// @access  Private (Service providers)
+router.get('/mine', protect, requireServiceProvider, [
+  query('status').optional().isIn(STATUSES),
+  query('type').optional().isIn(VERIFICATION_TYPES)
+], handleValidation, async (req, res) => {
+  try {
+    const filter = { provider: req.user._id };
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.type) filter.type = req.query.type;
+
+    const [verifications, badges] = await Promise.all([
+      VerificationRequest.find(filter)
+        .populate('category', 'name slug')
+        .populate('service', 'title')
+        .sort({ createdAt: -1 }),
+      VerificationRequest.getBadges(req.user._id)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        verifications,
+        badges
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get my verifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get verifications',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Submit documents for verification
+// @route   POST /api/verification
+// @access  Private (Service providers)
+router.post('/', protect, requireServiceProvider, multerUpload.array('documents', 5), handleMulterError, [
+  body('type').isIn(VERIFICATION_TYPES).withMessage(`Type must be one of: ${VERIFICATION_TYPES.join(', ')}`),
+  body('category').optional().isMongoId().withMessage('Invalid category ID'),
+  body('service').optional().isMongoId().withMessage('Invalid service ID'),
+  body('details.name').optional().trim().isLength({ max: 100 }).withMessage('Name cannot exceed 100 characters'),
+  body('details.number').optional().trim().isLength({ max: 100 }).withMessage('Number cannot exceed 100 characters'),
+  body('details.issuer').optional().trim().isLength({ max: 100 }).withMessage('Issuer cannot exceed 100 characters'),
+  body('details.issueDate').optional().isISO8601().withMessage('Invalid issue date'),
+  body('details.expiryDate').optional().isISO8601().withMessage('Invalid expiry date'),
+  body('details.coverage').optional().isFloat({ min: 0 }).withMessage('Coverage must be a positive number'),
+  body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters')
+], handleValidation, async (req, res) => {
+  try {
+    const { type, category, service, details = {}, notes } = req.body;
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one document is required'
+      });
+    }
+
+    if ((category || service) && !SCOPED_TYPES.includes(type)) {
+      removeUploads(req.files);
+      return res.status(400).json({
+        success: false,
+        message: 'Only licences, insurance and certifications can be tied to a category or service'
+      });
+    }
+
+    if (details.expiryDate && new Date(details.expiryDate) <= new Date()) {
+      removeUploads(req.files);
+      return res.status(400).json({
+        success: false,
+        message: 'This document has already expired'
+      });
+    }
+
+    let categoryId = category;
+    if (service) {
+      const ownService = await Service.findOne({ _id: service, provider: req.user._id }).select('category');
+      if (!ownService) {
+        removeUploads(req.files);
+        return res.status(404).json({
+          success: false,
+          message: 'Service not found'
+        });
+      }
+      categoryId = categoryId || ownService.category;
+    }
+
+    // One request under review per requirement
+    const pending = await VerificationRequest.exists({
+      provider: req.user._id,
+      type,
+      category: categoryId || null,
+      service: service || null,
+      status: 'pending'
+    });
+
+    if (pending) {
+      removeUploads(req.files);
+      return res.status(409).json({
+        success: false,
+        message: 'You already have a request under review for this requirement'
+      });
+    }
+
+    const verification = await VerificationRequest.create({
+      provider: req.user._id,
+      type,
+      category: categoryId,
+      service,
+      details,
+      providerNotes: notes,
+      documents: req.files.map(file => ({
+        path: file.path,
+        originalName: file.originalname,
+        mimeType: file.mimetype,
+        size: file.size
+      }))
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Documents submitted for review',
+      data: { verification }
+    });
+
+  } catch (error) {
+    removeUploads(req.files);
+    logger.error('Submit verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit verification',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Get a provider's public verification badges
+// @route   GET /api/verification/badges/:providerId
+// @access  Public
+router.get('/badges/:providerId', [
+  param('providerId').isMongoId().withMessage('Invalid provider ID')
+], handleValidation, async (req, res) => {
+  try {
+    const badges = await VerificationRequest.getBadges(req.params.providerId);
+
+    res.json({
+      success: true,
+      data: { badges }
+    });
+
+  } catch (error) {
+    logger.error('Get verification badges error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get badges',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Get the verification review queue
+// @route   GET /api/verification/admin/queue
+// @access  Private (users:verify)
+router.get('/admin/queue', protect, authorize('users:verify'), [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('status').optional().isIn(STATUSES),
+  query('type').optional().isIn(VERIFICATION_TYPES)
+], handleValidation, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = 'pending', type } = req.query;
+
+    const filter = { status };
+    if (type) filter.type = type;
+
+    const skip = (page - 1) * limit;
+
+    const [verifications, total] = await Promise.all([
+      VerificationRequest.find(filter)
+        .populate('provider', 'firstName lastName businessName email idVerified backgroundCheckVerified')
+        .populate('category', 'name slug requirements')
+        .populate('service', 'title')
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      VerificationRequest.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        verifications,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get verification queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get verification queue',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Download a verification document
+// @route   GET /api/verification/:id/documents/:documentId
+// @access  Private (Owner or users:verify)
+router.get('/:id/documents/:documentId', protect, [
+  param('id').isMongoId().withMessage('Invalid verification ID'),
+  param('documentId').isMongoId().withMessage('Invalid document ID')
+], handleValidation, async (req, res) => {
+  try {
+    const verification = await VerificationRequest.findById(req.params.id).select('+documents.path');
+
+    const isOwner = verification && verification.provider.equals(req.user._id);
+    if (!verification || (!isOwner && !req.user.hasPermission('users:verify'))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    const document = verification.documents.id(req.params.documentId);
+    if (!document || !fs.existsSync(document.path)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    res.setHeader('Content-Type', document.mimeType || 'application/octet-stream');
+    res.setHeader('Content-Disposition', `attachment; filename="${path.basename(document.originalName || document.path).replace(/"/g, '')}"`);
+    res.sendFile(path.resolve(document.path));
+
+  } catch (error) {
+    logger.error('Download verification document error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download document',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Withdraw a verification request that is still under review
+// @route   DELETE /api/verification/:id
+// @access  Private (Owner)
+router.delete('/:id', protect, requireServiceProvider, [
+  param('id').isMongoId().withMessage('Invalid verification ID')
+], handleValidation, async (req, res) => {
+  try {
+    const verification = await VerificationRequest.findOneAndUpdate(
+      { _id: req.params.id, provider: req.user._id, status: 'pending' },
+      { $set: { status: 'withdrawn' } },
+      { new: true }
+    );
+
+    if (!verification) {
+      const exists = await VerificationRequest.exists({ _id: req.params.id, provider: req.user._id });
+      return res.status(exists ? 400 : 404).json({
+        success: false,
+        message: exists ? 'Only requests under review can be withdrawn' : 'Verification request not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Verification request withdrawn',
+      data: { verification }
+    });
+
+  } catch (error) {
+    logger.error('Withdraw verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to withdraw verification request',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @desc    Approve or reject a verification request
+// @route   PATCH /api/verification/:id/approve, PATCH /api/verification/:id/reject
+// @access  Private (users:verify)
+const reviewVerification = (decision) => async (req, res) => {
+  try {
+    const current = await VerificationRequest.findById(req.params.id).select('status details');
+
+    if (!current) {
+      return res.status(404).json({
+        success: false,
+        message: 'Verification request not found'
+      });
+    }
+
+    const update = {
+      status: decision,
+      reviewedBy: req.user._id,
+      reviewedAt: new Date(),
+      reviewNotes: req.body.notes
+    };
+
+    if (decision === 'approved') {
+      const expiresAt = req.body.expiresAt ? new Date(req.body.expiresAt) : current.details?.expiryDate;
+      if (expiresAt && expiresAt <= new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Expiry date must be in the future'
+        });
+      }
+      if (expiresAt) update.expiresAt = expiresAt;
+    }
+
+    // Claim the pending request so it is only reviewed once
+    const verification = await VerificationRequest.findOneAndUpdate(
+      { _id: req.params.id, status: 'pending' },
+      { $set: update },
+      { new: true }
+    );
+
+    if (!verification) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification request has already been reviewed'
+      });
+    }
+
+    if (decision === 'approved') {
+      // A new approval replaces the provider's earlier one for the same requirement
+      await VerificationRequest.updateMany(
+        {
+          _id: { $ne: verification._id },
+          provider: verification.provider,
+          type: verification.type,
+          category: verification.category || null,
+          service: verification.service || null,
+          status: 'approved'
+        },
+        { $set: { status: 'expired', expiredAt: new Date() } }
+      );
+    }
+
+    await applyVerificationOutcome(verification);
+
+    await AuditLog.record(req, {
+      action: `verification.${decision === 'approved' ? 'approve' : 'reject'}`,
+      targetType: 'VerificationRequest',
+      targetId: verification._id,
+      reason: req.body.notes,
+      changes: { before: { status: 'pending' }, after: { status: decision, expiresAt: verification.expiresAt } },
+      metadata: {
+        providerId: verification.provider,
+        type: verification.type,
+        categoryId: verification.category
+      }
+    });
+
+    const description = describeVerification(verification);
+
+    try {
+      await Notification.createNotification({
+        user: verification.provider,
+        type: 'profile_verified',
+        title: decision === 'approved' ? 'Verification approved' : 'Verification not approved',
+        message: (decision === 'approved'
+          ? `Your ${description} has been verified.`
+          : `Your ${description} could not be verified.${req.body.notes ? ` ${req.body.notes}` : ''}`).substring(0, 500),
+        priority: decision === 'approved' ? 'normal' : 'high',
+        data: { verificationId: verification._id },
+        actionUrl: '/settings/verification'
+      });
+    } catch (notificationError) {
+      logger.error('Verification notification error:', notificationError);
+    }
+
+    res.json({
+      success: true,
+      message: decision === 'approved' ? 'Verification approved' : 'Verification rejected',
+      data: { verification }
+    });
+
+  } catch (error) {
+    logger.error(`Review verification (${decision}) error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to review verification',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+const reviewValidation = [
+  param('id').isMongoId().withMessage('Invalid verification ID'),
+  body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters'),
+  body('expiresAt').optional().isISO8601().withMessage('Invalid expiry date')
+];
+
+router.patch('/:id/approve', protect, authorize('users:verify'), reviewValidation, handleValidation, reviewVerification('approved'));
+router.patch('/:id/reject', protect, authorize('users:verify'), [
+  ...reviewValidation,
+  body('notes').trim().notEmpty().withMessage('Tell the provider why the documents were rejected')
+], handleValidation, reviewVerification('rejected'));
+
+module.exports = router;
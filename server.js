@@ -11,6 +11,9 @@ require('dotenv').config();
 
 
 const authRoutes = require('./routes/auth');
+const twoFactorRoutes = require('./routes/twoFactor');
+const phoneRoutes = require('./routes/phone');
+const oauthRoutes = require('./routes/oauth');
 const userRoutes = require('./routes/user');
 const serviceRoutes = require('./routes/services');
 const categoryRoutes = require('./routes/categories');
@@ -18,16 +21,23 @@ const requestRoutes = require('./routes/request');
 const leadsRouter = require('./routes/lead');
 
 const payments=require('./routes/stripe');
+const businessRoutes = require('./routes/business');
+const verificationRoutes = require('./routes/verification');
 
 // Use the leads routes
 const reviewRoutes = require('./routes/reviews');
 // const paymentRoutes = require('./routes/');
-// const notificationRoutes = require('./routes/notifications');
-// const chatRoutes = require('./routes/');
-const adminRoutes = require('./routes/auth');
+const notificationRoutes = require('./routes/notifications');
+const chatRoutes = require('./routes/chat');
+const disputeRoutes = require('./routes/disputes');
+const pricingRoutes = require('./routes/pricing');
+const creditPackageRoutes = require('./routes/creditPackages');
+const adminRoutes = require('./routes/admin');
 
 const errorHandler = require('./middleware/handler');
 const logger = require('./utils/loggerutility');
+const { registerSocketHandlers } = require('./utils/socketHandlers');
+const { initializeCronJobs } = require('./utils/cronService');
 
 const app = express();
 const server = createServer(app);
@@ -44,6 +54,8 @@ app.use(cors({
   origin: process.env.CLIENT_URL || "http://localhost:3000"||"https://clonesite-frontend.vercel.app",
   credentials: true
 }));
+// Stripe signs the raw payload, so the webhook must skip JSON parsing
+app.use('/api/payments/webhook', express.raw({ type: 'application/json' }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
@@ -68,31 +80,14 @@ mongoose.connection.on('error', (err) => {
   logger.error('MongoDB connection error:', err);
 });
 
-io.on('connection', (socket) => {
-  logger.info('User connected:', socket.id);
-  
-  socket.on('join-room', (roomId) => {
-    socket.join(roomId);
-    logger.info(`User ${socket.id} joined room ${roomId}`);
-  });
-
-  socket.on('leave-room', (roomId) => {
-    socket.leave(roomId);
-    logger.info(`User ${socket.id} left room ${roomId}`);
-  });
-
-  socket.on('send-message', (data) => {
-    io.to(data.roomId).emit('receive-message', data);
-  });
-
-  socket.on('disconnect', () => {
-    logger.info('User disconnected:', socket.id);
-  });
-});
+registerSocketHandlers(io);
 
 app.set('socketio', io);
 
 // Routes
+app.use('/api/auth/2fa', twoFactorRoutes);
+app.use('/api/auth/phone', phoneRoutes);
+app.use('/api/auth/oauth', oauthRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/services', serviceRoutes);
@@ -100,12 +95,17 @@ app.use('/api/categories', categoryRoutes);
 app.use('/api/requests', requestRoutes);
 app.use('/api/leads', leadsRouter);
 app.use('/api/payments', payments);
+app.use('/api/business', businessRoutes);
+app.use('/api/verification', verificationRoutes);
 
 
 app.use('/api/reviews', reviewRoutes);
 // app.use('/api/payments', paymentRoutes);
-// app.use('/api/notifications', notificationRoutes);
-// app.use('/api/chat', chatRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/chat', chatRoutes);
+app.use('/api/disputes', disputeRoutes);
+app.use('/api/admin/pricing', pricingRoutes);
+app.use('/api/admin/credit-packages', creditPackageRoutes);
 app.use('/api/admin', adminRoutes);
 
 app.get('/api/health', (req, res) => {
@@ -129,6 +129,12 @@ const PORT = process.env.PORT || 5000;
 
 server.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`)
+
+  // Scheduled jobs (auto top-up, cleanup, data exports, account erasure and
+  // verification expiry) run on one instance only - set ENABLE_CRON_JOBS=true there
+  if (process.env.ENABLE_CRON_JOBS === 'true') {
+    initializeCronJobs();
+  }
 });
 } catch (err) {
   console.error('❌ Server crashed:', err.stack);
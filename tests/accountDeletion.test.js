@@ -0,0 +1,52 @@
+const express = require('express');
+const request = require('supertest');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Service = require('../models/Service');
+const memoryModel = require('./helpers/memoryModel');
+const userRoutes = require('../routes/user');
+
+const app = express();
+app.use(express.json());
+app.use('/api/users', userRoutes);
+
+describe('account deletion without a password', () => {
+  let users;
+
+  beforeEach(() => {
+    users = memoryModel(User);
+    memoryModel(Session, { unique: ['refreshTokenHash'] });
+    memoryModel(Service);
+  });
+
+  // Social sign-in accounts have no password and confirm with their email address
+  const deleteAccount = async (storedEmail, confirmEmail) => {
+    const user = await users.insert({ firstName: 'John', lastName: 'Doe', email: storedEmail, isActive: true });
+    const { session } = await Session.start(user._id);
+
+    const res = await request(app)
+      .delete('/api/users/account')
+      .set('Authorization', `Bearer ${user.generateToken(session._id)}`)
+      .send({ confirmEmail });
+
+    return { res, user };
+  };
+
+  it.each([
+    ['exactly', 'john.doe@gmail.com', 'john.doe@gmail.com'],
+    ['in a different case', 'john.doe@gmail.com', ' John.Doe@Gmail.com '],
+    ['for an account stored in normalised form', 'johndoe@gmail.com', 'john.doe@gmail.com']
+  ])('accepts the email address typed %s', async (_label, storedEmail, confirmEmail) => {
+    const { res, user } = await deleteAccount(storedEmail, confirmEmail);
+
+    expect(res.status).toBe(200);
+    expect(users.get(user._id).isActive).toBe(false);
+  });
+
+  it('rejects a different email address', async () => {
+    const { res, user } = await deleteAccount('john.doe@gmail.com', 'jane.doe@gmail.com');
+
+    expect(res.status).toBe(400);
+    expect(users.get(user._id).isActive).toBe(true);
+  });
+});
@@ -0,0 +1,143 @@
+const express = require('express');
+const request = require('supertest');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const CreditTransaction = require('../models/CreditTransaction');
+const AuditLog = require('../models/AuditLog');
+const Notification = require('../models/notifiication');
+const memoryModel = require('./helpers/memoryModel');
+const adminRoutes = require('../routes/admin');
+
+const app = express();
+app.use(express.json());
+app.use('/api/admin', adminRoutes);
+
+describe('admin API', () => {
+  let users;
+  let sessions;
+  let transactions;
+  let auditLogs;
+
+  beforeEach(() => {
+    users = memoryModel(User);
+    sessions = memoryModel(Session, { unique: ['refreshTokenHash'] });
+    transactions = memoryModel(CreditTransaction, { unique: ['idempotencyKey'] });
+    auditLogs = memoryModel(AuditLog);
+    jest.spyOn(Notification, 'createNotification').mockResolvedValue({});
+  });
+
+  let count = 0;
+  const createUser = (fields = {}) => {
+    count += 1;
+    return users.insert({ firstName: 'User', lastName: String(count), email: `user${count}@example.com`, isActive: true, ...fields });
+  };
+
+  const signIn = async (user) => {
+    const { session } = await Session.start(user._id);
+    return user.generateToken(session._id);
+  };
+
+  // Sign in a new account and return a request builder for it
+  const actingAs = async (fields) => {
+    const token = await signIn(await createUser(fields));
+    return (method, url) => request(app)[method](url).set('Authorization', `Bearer ${token}`);
+  };
+
+  it('turns away accounts without a staff role', async () => {
+    const target = await createUser();
+
+    const res = await (await actingAs({}))('get', `/api/admin/users/${target._id}`);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('accepts the legacy admin role field', async () => {
+    const res = await (await actingAs({ role: 'admin' }))('get', '/api/admin/roles');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.myPermissions).toContain('users:roles');
+  });
+
+  it('suspends a user, ends their sessions and records who did it', async () => {
+    const target = await createUser();
+    await Session.start(target._id);
+
+    const support = await actingAs({ roles: ['support'] });
+
+    const res = await support('patch', `/api/admin/users/${target._id}/suspend`).send({ reason: 'Chargeback fraud' });
+
+    expect(res.status).toBe(200);
+    expect(users.get(target._id)).toEqual(expect.objectContaining({ isActive: false }));
+    expect(sessions.all().filter(session => session.user.equals(target._id)).every(session => session.revokedAt)).toBe(true);
+    expect(auditLogs.all()).toEqual([
+      expect.objectContaining({ action: 'user.suspend', targetId: target._id, reason: 'Chargeback fraud', actorRoles: ['support'] })
+    ]);
+  });
+
+  it('adjusts credits with a ledger entry but never below zero', async () => {
+    const target = await createUser({ credits: 3 });
+    const finance = await actingAs({ roles: ['finance'] });
+
+    const debit = await finance('post', `/api/admin/users/${target._id}/credits`).send({ amount: -5, reason: 'Refund reversal' });
+    expect(debit.status).toBe(400);
+    expect(users.get(target._id).credits).toBe(3);
+
+    const credit = await finance('post', `/api/admin/users/${target._id}/credits`).send({ amount: 10, reason: 'Goodwill' });
+    expect(credit.status).toBe(201);
+    expect(credit.body.data.balance).toBe(13);
+    expect(transactions.all()).toEqual([expect.objectContaining({ type: 'adjustment', amount: 10, balanceAfter: 13 })]);
+    expect(auditLogs.all()).toEqual([expect.objectContaining({ action: 'credits.adjust' })]);
+  });
+
+  describe('staff roles', () => {
+    it('limits each role to its own permissions', async () => {
+      const target = await createUser({ credits: 3 });
+      const moderator = await actingAs({ roles: ['moderator'] });
+
+      const res = await moderator('post', `/api/admin/users/${target._id}/credits`).send({ amount: 5, reason: 'Goodwill' });
+
+      expect(res.status).toBe(403);
+      expect(res.body.message).toMatch(/credits:adjust/);
+      expect(users.get(target._id).credits).toBe(3);
+    });
+
+    it('lets an admin assign roles and tells the user', async () => {
+      const target = await createUser();
+      const admin = await actingAs({ roles: ['admin'] });
+
+      const res = await admin('put', `/api/admin/users/${target._id}/roles`).send({ roles: ['support', 'support'] });
+
+      expect(res.status).toBe(200);
+      expect(users.get(target._id).roles).toEqual(['support']);
+      expect(Notification.createNotification).toHaveBeenCalledWith(expect.objectContaining({ user: target._id, title: 'Staff access granted' }));
+      expect(auditLogs.all()).toEqual([
+        expect.objectContaining({ action: 'user.roles.update', changes: { before: { roles: [] }, after: { roles: ['support'] } } })
+      ]);
+    });
+
+    it('does not let anyone but an admin assign roles, or an admin drop their own', async () => {
+      const target = await createUser();
+      const finance = await actingAs({ roles: ['finance'] });
+      expect((await finance('put', `/api/admin/users/${target._id}/roles`).send({ roles: ['admin'] })).status).toBe(403);
+
+      const self = await createUser({ roles: ['admin'] });
+      const token = await signIn(self);
+      const res = await request(app)
+        .put(`/api/admin/users/${self._id}/roles`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ roles: ['finance'] });
+
+      expect(res.status).toBe(400);
+      expect(users.get(self._id).roles).toEqual(['admin']);
+    });
+
+    it('rejects unknown roles', async () => {
+      const target = await createUser();
+      const admin = await actingAs({ roles: ['admin'] });
+
+      const res = await admin('put', `/api/admin/users/${target._id}/roles`).send({ roles: ['owner'] });
+
+      expect(res.status).toBe(400);
+    });
+  });
+});
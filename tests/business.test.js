@@ -0,0 +1,100 @@
+const express = require('express');
+const request = require('supertest');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Business = require('../models/Business');
+const Notification = require('../models/notifiication');
+const memoryModel = require('./helpers/memoryModel');
+const { sendEmail } = require('../utils/email');
+const { resolveWallet } = require('../utils/teamWallet');
+const businessRoutes = require('../routes/business');
+
+const app = express();
+app.use(express.json());
+app.use('/api/business', businessRoutes);
+
+describe('team accounts', () => {
+  let users;
+  let businesses;
+  let owner;
+  let manager;
+  let responder;
+  let business;
+
+  beforeEach(async () => {
+    users = memoryModel(User);
+    businesses = memoryModel(Business);
+    memoryModel(Session, { unique: ['refreshTokenHash'] });
+    jest.spyOn(Notification, 'createNotification').mockResolvedValue({});
+
+    const provider = (name, fields = {}) => users.insert({
+      firstName: name,
+      lastName: 'Roe',
+      email: `${name.toLowerCase()}@example.com`,
+      userType: 'service_provider',
+      isActive: true,
+      ...fields
+    });
+    owner = await provider('Owner', { credits: 50 });
+    manager = await provider('Manager');
+    responder = await provider('Responder');
+
+    business = await businesses.insert({
+      name: 'Roe Plumbing',
+      owner: owner._id,
+      members: [
+        { user: owner._id, role: 'owner' },
+        { user: manager._id, role: 'manager' },
+        { user: responder._id, role: 'responder' }
+      ]
+    });
+  });
+
+  const actingAs = async (user) => {
+    const { session } = await Session.start(user._id);
+    const token = user.generateToken(session._id);
+    return (method, url) => request(app)[method](url).set('Authorization', `Bearer ${token}`);
+  };
+
+  it("spends from the owner's wallet for every member", async () => {
+    const wallet = await resolveWallet(responder);
+
+    expect(wallet.wallet._id).toEqual(owner._id);
+    expect(wallet.role).toBe('responder');
+    expect(Business.roleCan(wallet.role, 'leads:contact')).toBe(true);
+    expect(Business.roleCan(wallet.role, 'credits:purchase')).toBe(false);
+  });
+
+  it('emails an invitation that can be looked up by its token', async () => {
+    const invite = await (await actingAs(manager))('post', '/api/business/mine/invitations')
+      .send({ email: 'new@example.com', role: 'responder' });
+    expect(invite.status).toBe(201);
+
+    const { inviteUrl } = sendEmail.mock.calls.at(-1)[0].data;
+    const token = inviteUrl.split('/').pop();
+    const lookup = await request(app).get(`/api/business/invitations/${token}`);
+
+    expect(lookup.status).toBe(200);
+    expect(lookup.body.data).toEqual(expect.objectContaining({ businessName: 'Roe Plumbing', email: 'new@example.com', role: 'responder' }));
+    // Only the hash is stored
+    expect(JSON.stringify(businesses.get(business._id).invitations)).not.toContain(token);
+  });
+
+  it('lets only the owner invite managers, and responders invite no one', async () => {
+    const asManager = await actingAs(manager);
+    const asResponder = await actingAs(responder);
+
+    expect((await asManager('post', '/api/business/mine/invitations').send({ email: 'new@example.com', role: 'manager' })).status).toBe(403);
+    expect((await asResponder('post', '/api/business/mine/invitations').send({ email: 'new@example.com', role: 'responder' })).status).toBe(403);
+    expect(businesses.get(business._id).invitations).toHaveLength(0);
+  });
+
+  it('replaces a pending invitation sent to the same address', async () => {
+    const first = business.createInvitation({ email: 'New@example.com', role: 'responder', invitedBy: owner._id });
+    const second = business.createInvitation({ email: 'new@example.com', role: 'manager', invitedBy: owner._id });
+    await business.save();
+
+    expect(await Business.findByInvitationToken(first.token)).toBeNull();
+    expect((await Business.findByInvitationToken(second.token)).invitation.role).toBe('manager');
+  });
+});
@@ -0,0 +1,73 @@
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Conversation = require('../models/Conversation');
+const memoryModel = require('./helpers/memoryModel');
+const chatRoutes = require('../routes/chat');
+
+const app = express();
+app.use(express.json());
+app.use('/api/chat', chatRoutes);
+
+const UPLOAD_DIR = path.join(__dirname, '../Uploads');
+
+const listUploads = () => (fs.existsSync(UPLOAD_DIR) ? fs.readdirSync(UPLOAD_DIR) : []);
+
+describe('chat attachments', () => {
+  let users;
+  let conversations;
+
+  beforeEach(() => {
+    users = memoryModel(User);
+    memoryModel(Session, { unique: ['refreshTokenHash'] });
+    conversations = memoryModel(Conversation);
+  });
+
+  const signIn = async (email) => {
+    const user = await users.insert({ firstName: 'Pat', lastName: 'Lee', email, isActive: true });
+    const { session } = await Session.start(user._id);
+    return { user, token: user.generateToken(session._id) };
+  };
+
+  const createConversation = (customer, provider, overrides = {}) => conversations.insert({
+    request: new mongoose.Types.ObjectId(),
+    customer: customer._id,
+    provider: provider._id,
+    participants: [customer._id, provider._id],
+    ...overrides
+  });
+
+  const sendAttachment = (conversationId, token) => request(app)
+    .post(`/api/chat/conversations/${conversationId}/messages`)
+    .set('Authorization', `Bearer ${token}`)
+    .attach('attachments', Buffer.from('%PDF-1.4'), { filename: 'quote.pdf', contentType: 'application/pdf' });
+
+  it('rejects an outsider before storing their files', async () => {
+    const customer = await signIn('customer@example.com');
+    const provider = await signIn('provider@example.com');
+    const outsider = await signIn('outsider@example.com');
+    const conversation = await createConversation(customer.user, provider.user);
+    const before = listUploads();
+
+    const res = await sendAttachment(conversation._id, outsider.token);
+
+    expect(res.status).toBe(403);
+    expect(listUploads()).toEqual(before);
+  });
+
+  it('does not store files sent to a closed conversation', async () => {
+    const customer = await signIn('customer@example.com');
+    const provider = await signIn('provider@example.com');
+    const conversation = await createConversation(customer.user, provider.user, { status: 'closed' });
+    const before = listUploads();
+
+    const res = await sendAttachment(conversation._id, customer.token);
+
+    expect(res.status).toBe(400);
+    expect(listUploads()).toEqual(before);
+  });
+});
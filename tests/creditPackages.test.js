@@ -0,0 +1,111 @@
+const express = require('express');
+const request = require('supertest');
+const stripe = require('../utils/stripeClient');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Business = require('../models/Business');
+const CreditPackage = require('../models/CreditPackage');
+const memoryModel = require('./helpers/memoryModel');
+const paymentRoutes = require('../routes/stripe');
+
+const app = express();
+app.use(express.json());
+app.use('/api/payments', paymentRoutes);
+
+describe('credit package catalog', () => {
+  let users;
+  let packages;
+
+  beforeEach(async () => {
+    users = memoryModel(User);
+    packages = memoryModel(CreditPackage, { unique: ['slug'] });
+    memoryModel(Session, { unique: ['refreshTokenHash'] });
+    memoryModel(Business);
+
+    await packages.insert({
+      slug: 'business',
+      name: 'Business',
+      credits: 1000,
+      prices: [{ currency: 'gbp', amount: 1200 }],
+      sortOrder: 2
+    });
+    await packages.insert({
+      slug: 'starter',
+      name: 'Starter',
+      credits: 100,
+      prices: [{ currency: 'gbp', amount: 50 }, { currency: 'usd', amount: 60 }],
+      promo: { label: 'Spring', discountPercent: 20, bonusCredits: 10, endsAt: new Date(Date.now() + 24 * 60 * 60 * 1000) },
+      sortOrder: 1
+    });
+    await packages.insert({ slug: 'retired', name: 'Retired', credits: 5, prices: [{ currency: 'gbp', amount: 1 }], isActive: false });
+  });
+
+  it('lists active packages in order, with promotions applied', async () => {
+    const res = await request(app).get('/api/payments/packages');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.packages.map(pkg => pkg.type)).toEqual(['starter', 'business']);
+    expect(res.body.data.packages[0]).toEqual(expect.objectContaining({
+      amount: 40,
+      originalAmount: 50,
+      discount: 20,
+      totalCredits: 110,
+      promo: expect.objectContaining({ label: 'Spring' })
+    }));
+  });
+
+  it('only lists packages sold in the requested currency', async () => {
+    const res = await request(app).get('/api/payments/packages?currency=USD');
+
+    expect(res.body.data.packages).toEqual([expect.objectContaining({ type: 'starter', currency: 'usd', amount: 48 })]);
+  });
+
+  it('leaves a finished promotion out of the price', async () => {
+    const starter = await CreditPackage.findPurchasable('starter');
+    const afterPromo = new Date(starter.promo.endsAt.getTime() + 1000);
+
+    expect(starter.getPrice('gbp', afterPromo)).toEqual(expect.objectContaining({ amount: 50, totalCredits: 100, promo: null }));
+  });
+
+  describe('buying a package', () => {
+    let token;
+
+    beforeEach(async () => {
+      const provider = await users.insert({
+        firstName: 'Sam',
+        lastName: 'Roe',
+        email: 'sam@example.com',
+        userType: 'service_provider',
+        isActive: true,
+        stripeCustomerId: 'cus_123'
+      });
+      const { session } = await Session.start(provider._id);
+      token = provider.generateToken(session._id);
+
+      jest.spyOn(stripe.customers, 'retrieve').mockResolvedValue({ id: 'cus_123' });
+      jest.spyOn(stripe.paymentIntents, 'create').mockResolvedValue({ id: 'pi_123', client_secret: 'secret' });
+    });
+
+    const buy = (body) => request(app)
+      .post('/api/payments/create-payment-intent')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ autoTopUp: false, ...body });
+
+    it('charges the catalog price whatever the client sends', async () => {
+      const res = await buy({ package: 'starter', amount: 1, credits: 5000 });
+
+      expect(res.status).toBe(200);
+      expect(stripe.paymentIntents.create).toHaveBeenCalledWith(expect.objectContaining({
+        amount: 4000,
+        currency: 'gbp',
+        metadata: expect.objectContaining({ packageType: 'starter', credits: '110', purpose: 'credit_purchase' })
+      }));
+    });
+
+    it('refuses retired packages and currencies a package is not sold in', async () => {
+      expect((await buy({ package: 'retired' })).status).toBe(400);
+      expect((await buy({ package: 'business', currency: 'usd' })).body.message).toMatch(/not available in USD/);
+      expect(stripe.paymentIntents.create).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,199 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const CreditTransaction = require('../models/CreditTransaction');
+const Notification = require('../models/notifiication');
+const memoryModel = require('./helpers/memoryModel');
+const { fulfilCreditPurchase, clawbackPurchase } = require('../utils/stripeUtils');
+
+describe('fulfilCreditPurchase', () => {
+  let users;
+  let transactions;
+  let buyer;
+
+  beforeEach(async () => {
+    users = memoryModel(User, { latency: 1 });
+    transactions = memoryModel(CreditTransaction, { unique: ['idempotencyKey', 'stripePaymentIntentId'], latency: 1 });
+    buyer = await users.insert({ firstName: 'Pat', lastName: 'Lee', email: 'pat@example.com', credits: 2 });
+  });
+
+  const paymentIntent = (overrides = {}) => ({
+    id: 'pi_123',
+    status: 'succeeded',
+    amount: 2500,
+    currency: 'gbp',
+    payment_method: 'pm_123',
+    metadata: { purpose: 'credit_purchase', userId: buyer._id.toString(), credits: '20', packageType: 'starter' },
+    ...overrides
+  });
+
+  it('grants the credits and completes the purchase', async () => {
+    const result = await fulfilCreditPurchase(paymentIntent());
+
+    expect(result.duplicate).toBe(false);
+    expect(users.get(buyer._id).credits).toBe(22);
+    expect(transactions.all()).toEqual([
+      expect.objectContaining({ type: 'purchase', amount: 20, status: 'completed', balanceAfter: 22 })
+    ]);
+  });
+
+  it('grants the credits once when the webhook and confirm-payment arrive in parallel', async () => {
+    const [first, second] = await Promise.all([
+      fulfilCreditPurchase(paymentIntent(), { source: 'webhook' }),
+      fulfilCreditPurchase(paymentIntent(), { source: 'confirm_payment' })
+    ]);
+    const replay = await fulfilCreditPurchase(paymentIntent());
+
+    expect([first.duplicate, second.duplicate].sort()).toEqual([false, true]);
+    expect(replay.duplicate).toBe(true);
+    expect(users.get(buyer._id).credits).toBe(22);
+    expect(transactions.all()).toHaveLength(1);
+  });
+
+  it('finishes a purchase that was recorded but never credited', async () => {
+    await transactions.insert({
+      user: buyer._id,
+      type: 'purchase',
+      amount: 20,
+      stripePaymentIntentId: 'pi_123',
+      idempotencyKey: 'purchase:pi_123',
+      status: 'pending'
+    });
+
+    const result = await fulfilCreditPurchase(paymentIntent());
+
+    expect(result.duplicate).toBe(false);
+    expect(users.get(buyer._id).credits).toBe(22);
+    expect(transactions.all()[0].status).toBe('completed');
+  });
+
+  it('does not credit twice when the first call failed after the grant', async () => {
+    CreditTransaction.findOneAndUpdate.mockRejectedValueOnce(new Error('connection lost'));
+
+    await expect(fulfilCreditPurchase(paymentIntent())).rejects.toThrow('connection lost');
+    expect(users.get(buyer._id).credits).toBe(22);
+    expect(transactions.all()[0].status).toBe('pending');
+
+    const result = await fulfilCreditPurchase(paymentIntent());
+
+    expect(result.transaction.status).toBe('completed');
+    expect(users.get(buyer._id).credits).toBe(22);
+  });
+
+  it('leaves payments for other purposes alone', async () => {
+    const result = await fulfilCreditPurchase(paymentIntent({ metadata: { purpose: 'job_payment' } }));
+
+    expect(result).toEqual({ skipped: true });
+    expect(users.get(buyer._id).credits).toBe(2);
+  });
+
+  it('refuses a payment that has not succeeded', async () => {
+    await expect(fulfilCreditPurchase(paymentIntent({ status: 'processing' }))).rejects.toThrow('has not succeeded');
+    expect(transactions.all()).toHaveLength(0);
+  });
+
+  it('fails without recording anything for an unknown user', async () => {
+    const metadata = { purpose: 'credit_purchase', userId: new mongoose.Types.ObjectId().toString(), credits: '20' };
+
+    await expect(fulfilCreditPurchase(paymentIntent({ metadata }))).rejects.toThrow('not found');
+    expect(transactions.all()).toHaveLength(0);
+  });
+});
+
+describe('clawbackPurchase', () => {
+  let users;
+  let transactions;
+  let buyer;
+
+  beforeEach(async () => {
+    users = memoryModel(User);
+    transactions = memoryModel(CreditTransaction, { unique: ['idempotencyKey', 'stripePaymentIntentId'] });
+    jest.spyOn(Notification, 'createNotification').mockResolvedValue({});
+    buyer = await users.insert({ firstName: 'Pat', lastName: 'Lee', email: 'pat@example.com', credits: 25 });
+    await transactions.insert({
+      user: buyer._id,
+      type: 'purchase',
+      amount: 20,
+      stripePaymentIntentId: 'pi_123',
+      idempotencyKey: 'purchase:pi_123',
+      status: 'completed'
+    });
+  });
+
+  const clawback = (overrides = {}) => clawbackPurchase({
+    paymentIntentId: 'pi_123',
+    targetCredits: 20,
+    idempotencyKey: 'clawback:refund:ch_123:2500',
+    reason: 'Your credit purchase was refunded.',
+    chargeId: 'ch_123',
+    ...overrides
+  });
+
+  const adjustments = () => transactions.all().filter(transaction => transaction.type === 'adjustment');
+
+  it('takes back the purchased credits once', async () => {
+    const result = await clawback();
+    const again = await clawback();
+
+    expect(result).toEqual(expect.objectContaining({ requested: 20, reclaimed: 20 }));
+    expect(again).toBeNull();
+    expect(users.get(buyer._id).credits).toBe(5);
+    expect(adjustments()).toEqual([
+      expect.objectContaining({ amount: -20, balanceAfter: 5, status: 'completed' })
+    ]);
+    expect(Notification.createNotification).toHaveBeenCalledTimes(1);
+  });
+
+  it('stops at a zero balance and records the shortfall', async () => {
+    await User.updateOne({ _id: buyer._id }, { $set: { credits: 8 } });
+
+    const result = await clawback();
+
+    expect(result).toEqual(expect.objectContaining({ requested: 20, reclaimed: 8 }));
+    expect(users.get(buyer._id).credits).toBe(0);
+    expect(adjustments()[0]).toEqual(expect.objectContaining({
+      amount: -8,
+      balanceAfter: 0,
+      metadata: expect.objectContaining({ shortfall: 12 })
+    }));
+  });
+
+  it('finishes a clawback that stopped before the debit', async () => {
+    User.exists.mockRejectedValueOnce(new Error('connection lost'));
+
+    await expect(clawback()).rejects.toThrow('connection lost');
+    expect(adjustments()[0].status).toBe('pending');
+    expect(users.get(buyer._id).credits).toBe(25);
+
+    const result = await clawback();
+
+    expect(result.reclaimed).toBe(20);
+    expect(users.get(buyer._id).credits).toBe(5);
+    expect(adjustments()).toHaveLength(1);
+  });
+
+  it('finishes a clawback that stopped after the debit without debiting again', async () => {
+    // The amount is recorded, the credits are taken, then completing the adjustment fails
+    const record = CreditTransaction.findOneAndUpdate.getMockImplementation();
+    CreditTransaction.findOneAndUpdate
+      .mockImplementationOnce(record)
+      .mockRejectedValueOnce(new Error('connection lost'));
+
+    await expect(clawback()).rejects.toThrow('connection lost');
+    expect(users.get(buyer._id).credits).toBe(5);
+
+    const result = await clawback();
+
+    expect(result).toEqual(expect.objectContaining({ reclaimed: 20 }));
+    expect(users.get(buyer._id).credits).toBe(5);
+    expect(adjustments()).toEqual([expect.objectContaining({ amount: -20, status: 'completed' })]);
+    expect(Notification.createNotification).toHaveBeenCalledTimes(1);
+  });
+
+  it('reclaims only the part of a later refund not taken back yet', async () => {
+    await clawback({ targetCredits: 8, idempotencyKey: 'clawback:refund:ch_123:1000' });
+    const result = await clawback({ targetCredits: 20 });
+
+    expect(result.reclaimed).toBe(12);
+    expect(users.get(buyer._id).credits).toBe(5);
+  });
+});
@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const CreditTransaction = require('../models/CreditTransaction');
+const Request = require('../models/request');
+const Notification = require('../models/notifiication');
+const memoryModel = require('./helpers/memoryModel');
+
+jest.mock('../utils/verification', () => ({
+  getMissingLeadRequirements: jest.fn()
+}));
+const { getMissingLeadRequirements } = require('../utils/verification');
+const { contactLead, notifyWaitlist } = require('../utils/leadContact');
+
+describe('User.spendCredits', () => {
+  let users;
+  let transactions;
+
+  // Latency lets parallel spends interleave between their reads and writes
+  beforeEach(() => {
+    users = memoryModel(User, { latency: 1 });
+    transactions = memoryModel(CreditTransaction, { unique: ['idempotencyKey'], latency: 1 });
+  });
+
+  const createUser = (credits) => users.insert({ firstName: 'Pat', lastName: 'Lee', email: 'pat@example.com', credits });
+
+  it('debits the balance and records a completed spend', async () => {
+    const user = await createUser(10);
+    const leadId = new mongoose.Types.ObjectId();
+
+    const result = await user.spendCredits(4, leadId);
+
+    expect(result.duplicate).toBe(false);
+    expect(result.balance).toBe(6);
+    expect(users.get(user._id).credits).toBe(6);
+    expect(transactions.all()).toEqual([
+      expect.objectContaining({ type: 'spend', amount: -4, status: 'completed', balanceAfter: 6 })
+    ]);
+  });
+
+  it('refuses to go below zero and records nothing', async () => {
+    const user = await createUser(3);
+
+    await expect(user.spendCredits(5, new mongoose.Types.ObjectId())).rejects.toThrow('Insufficient credits');
+
+    expect(users.get(user._id).credits).toBe(3);
+    expect(transactions.all()).toHaveLength(0);
+  });
+
+  it('does not overspend when spends for different leads interleave', async () => {
+    const user = await createUser(10);
+
+    const results = await Promise.allSettled([1, 2, 3].map(() => user.spendCredits(5, new mongoose.Types.ObjectId())));
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(2);
+    expect(results.filter(result => result.status === 'rejected')).toHaveLength(1);
+    expect(users.get(user._id).credits).toBe(0);
+    expect(transactions.all()).toHaveLength(2);
+  });
+
+  it('charges a lead once when the same spend is sent twice in parallel', async () => {
+    const user = await createUser(10);
+    const leadId = new mongoose.Types.ObjectId();
+
+    const [first, second] = await Promise.all([user.spendCredits(4, leadId), user.spendCredits(4, leadId)]);
+
+    expect([first.duplicate, second.duplicate].sort()).toEqual([false, true]);
+    expect(users.get(user._id).credits).toBe(6);
+    expect(transactions.all()).toHaveLength(1);
+  });
+});
+
+describe('contactLead', () => {
+  let users;
+  let transactions;
+  let requests;
+
+  beforeEach(() => {
+    users = memoryModel(User);
+    transactions = memoryModel(CreditTransaction, { unique: ['idempotencyKey'] });
+    requests = memoryModel(Request);
+    getMissingLeadRequirements.mockResolvedValue([]);
+  });
+
+  const createLead = (overrides = {}) => requests.insert({
+    title: 'Fix the boiler',
+    customer: new mongoose.Types.ObjectId(),
+    status: 'published',
+    leadSettings: { maxProviders: 1 },
+    analytics: { contactedProviders: [] },
+    ...overrides
+  });
+
+  it('charges the provider and records the contact', async () => {
+    const provider = await users.insert({ firstName: 'Sam', lastName: 'Roe', email: 'sam@example.com', credits: 10 });
+    const lead = await createLead();
+
+    const result = await contactLead({ provider, request: lead, leadCost: 4, chargeCredits: true, quote: { message: 'Hi' } });
+
+    expect(result.creditsUsed).toBe(4);
+    expect(result.remainingCredits).toBe(6);
+    expect(requests.get(lead._id).analytics.contactedProviders.map(String)).toEqual([String(provider._id)]);
+  });
+
+  it('returns the credits when the last slot is taken first', async () => {
+    const first = await users.insert({ firstName: 'Sam', lastName: 'Roe', email: 'sam@example.com', credits: 10 });
+    const second = await users.insert({ firstName: 'Alex', lastName: 'Kim', email: 'alex@example.com', credits: 10 });
+    const lead = await createLead();
+
+    const results = await Promise.allSettled([first, second].map(provider =>
+      contactLead({ provider, request: lead, leadCost: 4, chargeCredits: true, quote: { message: 'Hi' } })
+    ));
+
+    const rejected = results.filter(result => result.status === 'rejected');
+    expect(rejected).toHaveLength(1);
+    expect(rejected[0].reason.code).toBe('LEAD_FULL');
+    expect(requests.get(lead._id).analytics.contactedProviders).toHaveLength(1);
+    expect([users.get(first._id).credits, users.get(second._id).credits].sort()).toEqual([10, 6]);
+    expect(transactions.all().map(tx => tx.status).sort()).toEqual(['cancelled', 'completed']);
+  });
+
+  it('refuses a full lead before charging anything', async () => {
+    const provider = await users.insert({ firstName: 'Sam', lastName: 'Roe', email: 'sam@example.com', credits: 10 });
+    const lead = await createLead({ analytics: { contactedProviders: [new mongoose.Types.ObjectId()] } });
+
+    await expect(contactLead({ provider, request: lead, leadCost: 4, chargeCredits: true, quote: { message: 'Hi' } }))
+      .rejects.toMatchObject({ code: 'LEAD_FULL', details: { maxProviders: 1 } });
+    expect(users.get(provider._id).credits).toBe(10);
+    expect(transactions.all()).toHaveLength(0);
+  });
+
+  it('tells waitlisted providers about freed slots in the order they joined, once', async () => {
+    jest.spyOn(Notification, 'createNotification').mockResolvedValue({});
+    const [early, late, last] = [1, 2, 3].map(() => new mongoose.Types.ObjectId());
+    const lead = await createLead({
+      leadSettings: { maxProviders: 3 },
+      analytics: { contactedProviders: [new mongoose.Types.ObjectId()] },
+      waitlist: [
+        { provider: last, joinedAt: new Date(Date.now() - 1000) },
+        { provider: early, joinedAt: new Date(Date.now() - 3000) },
+        { provider: late, joinedAt: new Date(Date.now() - 2000) }
+      ]
+    });
+
+    expect(await notifyWaitlist(lead)).toBe(2);
+    expect(Notification.createNotification.mock.calls.map(([notification]) => notification.user)).toEqual([early, late]);
+    expect(requests.get(lead._id).waitlist.map(entry => Boolean(entry.notifiedAt))).toEqual([false, true, true]);
+
+    expect(await notifyWaitlist(await Request.findById(lead._id))).toBe(1);
+  });
+});
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const CreditTransaction = require('../models/CreditTransaction');
+const LeadDispute = require('../models/LeadDispute');
+const memoryModel = require('./helpers/memoryModel');
+
+describe('lead disputes and refunds', () => {
+  let users;
+  let transactions;
+  let disputes;
+  let owner;
+
+  beforeEach(async () => {
+    users = memoryModel(User, { latency: 1 });
+    transactions = memoryModel(CreditTransaction, { unique: ['idempotencyKey'], latency: 1 });
+    disputes = memoryModel(LeadDispute, { unique: ['transaction'], latency: 1 });
+    owner = await users.insert({
+      firstName: 'Sam',
+      lastName: 'Roe',
+      email: 'sam@example.com',
+      userType: 'service_provider',
+      credits: 10,
+      stats: { creditsSpent: 5 }
+    });
+  });
+
+  const createSpend = (overrides = {}) => transactions.insert({
+    user: owner._id,
+    type: 'spend',
+    amount: -5,
+    leadId: new mongoose.Types.ObjectId(),
+    status: 'completed',
+    ...overrides
+  });
+
+  const createDispute = (spend) => LeadDispute.create({
+    provider: spend.performedBy || spend.user,
+    request: spend.leadId,
+    transaction: spend._id,
+    reason: 'unreachable',
+    description: 'Number does not connect',
+    creditsDisputed: 5
+  });
+
+  it("finds a team member's spend on the owner's wallet", async () => {
+    const member = new mongoose.Types.ObjectId();
+    const memberSpend = await createSpend({ performedBy: member });
+    const ownSpend = await createSpend();
+
+    expect((await LeadDispute.findProviderSpend(member, memberSpend.leadId))._id).toEqual(memberSpend._id);
+    expect((await LeadDispute.findProviderSpend(owner._id, ownSpend.leadId))._id).toEqual(ownSpend._id);
+    // The owner cannot dispute the member's contact, nor the member the owner's
+    expect(await LeadDispute.findProviderSpend(owner._id, memberSpend.leadId)).toBeNull();
+    expect(await LeadDispute.findProviderSpend(member, ownSpend.leadId)).toBeNull();
+  });
+
+  it('ranks disputes opened together and lets only those within the allowance through', async () => {
+    const created = await Promise.all([createSpend(), createSpend()].map(async spend => createDispute(await spend)));
+
+    const fits = await Promise.all(created.map(dispute => LeadDispute.isWithinRefundLimit(dispute, 1)));
+
+    expect(fits.sort()).toEqual([false, true]);
+    expect(disputes.all()).toHaveLength(2);
+  });
+
+  it('refunds a spend once', async () => {
+    const spend = CreditTransaction.hydrate(await createSpend());
+
+    const refund = await spend.refundSpend({ reason: 'Lead dispute approved' });
+
+    expect(refund).toEqual(expect.objectContaining({ type: 'refund', amount: 5, status: 'completed', balanceAfter: 15 }));
+    expect(transactions.get(spend._id).status).toBe('refunded');
+    expect(users.get(owner._id)).toEqual(expect.objectContaining({ credits: 15, stats: expect.objectContaining({ creditsSpent: 0 }) }));
+
+    // Picking the refund up again finds the finished one and credits nothing more
+    const again = await CreditTransaction.hydrate(transactions.get(spend._id)).refundSpend();
+    expect(again._id).toEqual(refund._id);
+    expect(users.get(owner._id).credits).toBe(15);
+  });
+
+  it('finishes a refund that stopped after the credits were returned', async () => {
+    const spend = CreditTransaction.hydrate(await createSpend());
+    // Completing the refund row fails after the credits were granted
+    const claim = CreditTransaction.findOneAndUpdate.getMockImplementation();
+    CreditTransaction.findOneAndUpdate
+      .mockImplementationOnce(claim)
+      .mockRejectedValueOnce(new Error('connection lost'));
+
+    await expect(spend.refundSpend()).rejects.toThrow('connection lost');
+    expect(users.get(owner._id).credits).toBe(15);
+
+    const refund = await CreditTransaction.hydrate(transactions.get(spend._id)).refundSpend();
+
+    expect(refund.status).toBe('completed');
+    expect(users.get(owner._id).credits).toBe(15);
+    expect(transactions.all().filter(transaction => transaction.type === 'refund')).toHaveLength(1);
+  });
+
+  it('refuses to refund a spend that was never completed', async () => {
+    const spend = CreditTransaction.hydrate(await createSpend({ status: 'failed' }));
+
+    await expect(spend.refundSpend()).rejects.toThrow('Only completed transactions can be refunded');
+    expect(users.get(owner._id).credits).toBe(10);
+  });
+});
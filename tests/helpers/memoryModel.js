@@ -0,0 +1,395 @@
+// In-memory stand-in for a Mongoose model's queries, so routes and utils can be tested
+// without MongoDB. Supports the filters, update operators and pipeline updates the app
+// relies on ($inc, $push with $slice, conditional findOneAndUpdate, $expr, unique keys).
+//
+// It is an emulator, not a database. Each write is applied whole in this single process,
+// so race tests show that the app's filters and conditional updates keep concurrent
+// calls apart when they interleave (see the latency option). They do not exercise
+// MongoDB's own guarantees: write conflicts, index builds, transactions or replication.
+// Positional ($) updates are not supported; filtered ones ($[name] with arrayFilters)
+// are, for $set.
+const mongoose = require('mongoose');
+
+const isObjectId = (value) => value instanceof mongoose.Types.ObjectId;
+const isPlainObject = (value) => value !== null && typeof value === 'object' &&
+  !Array.isArray(value) && !isObjectId(value) && !(value instanceof Date);
+
+const clone = (value) => {
+  if (Array.isArray(value)) return value.map(clone);
+  if (value instanceof Date) return new Date(value);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, clone(entry)]));
+  }
+  return value;
+};
+
+const normalize = (value) => {
+  if (isObjectId(value)) return value.toString();
+  if (value instanceof Date) return value.getTime();
+  if (isPlainObject(value)) return JSON.stringify(value);
+  return value;
+};
+
+// Values at a dotted path; arrays along the way are searched element by element
+const getValues = (doc, path) => path.split('.').reduce((values, key) => values.flatMap(value => {
+  if (value === null || value === undefined) return [undefined];
+  if (Array.isArray(value) && !/^\d+$/.test(key)) return value.map(entry => entry?.[key]);
+  return [value[key]];
+}), [doc]);
+
+const getValue = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+
+const setValue = (doc, path, value) => {
+  if (path.split('.').some(key => key.startsWith('$'))) {
+    throw new Error(`memoryModel: positional updates are not supported (${path})`);
+  }
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => {
+    if (target[key] === undefined || target[key] === null) target[key] = {};
+    return target[key];
+  }, doc);
+  parent[last] = value;
+};
+
+// $set through 'list.$[name].field', on the elements its array filter matches
+const setFiltered = (doc, path, value, arrayFilters = []) => {
+  const [, listPath, name, rest] = path.match(/^(.+?)\.\$\[(\w+)\]\.(.+)$/) || [];
+  if (!listPath) {
+    setValue(doc, path, value);
+    return;
+  }
+  const filter = arrayFilters.find(entry => Object.keys(entry).every(key => key.startsWith(`${name}.`))) || {};
+  const elementFilter = Object.fromEntries(Object.entries(filter).map(([key, condition]) => [key.slice(name.length + 1), condition]));
+  (getValue(doc, listPath) || [])
+    .filter(entry => matches(entry, elementFilter))
+    .forEach(entry => setValue(entry, rest, clone(value)));
+};
+
+const unsetValue = (doc, path) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => target?.[key], doc);
+  if (parent) delete parent[last];
+};
+
+const equals = (value, expected) => {
+  if (Array.isArray(value) && !Array.isArray(expected)) {
+    return value.some(entry => equals(entry, expected));
+  }
+  if (Array.isArray(value) && Array.isArray(expected)) {
+    return value.length === expected.length && value.every((entry, i) => equals(entry, expected[i]));
+  }
+  if (expected === null) return value === null || value === undefined;
+  return normalize(value) === normalize(expected);
+};
+
+const compare = (value, expected, test) => {
+  if (value === undefined || value === null) return false;
+  return test(normalize(value), normalize(expected));
+};
+
+const OPERATORS = {
+  $eq: (values, expected) => values.some(value => equals(value, expected)),
+  $ne: (values, expected) => !values.some(value => equals(value, expected)),
+  $in: (values, expected) => values.some(value => expected.some(entry => equals(value, entry))),
+  $nin: (values, expected) => !values.some(value => expected.some(entry => equals(value, entry))),
+  $exists: (values, expected) => values.some(value => value !== undefined) === expected,
+  $gt: (values, expected) => values.some(value => compare(value, expected, (a, b) => a > b)),
+  $gte: (values, expected) => values.some(value => compare(value, expected, (a, b) => a >= b)),
+  $lt: (values, expected) => values.some(value => compare(value, expected, (a, b) => a < b)),
+  $lte: (values, expected) => values.some(value => compare(value, expected, (a, b) => a <= b)),
+  $size: (values, expected) => values.some(value => Array.isArray(value) && value.length === expected),
+  $elemMatch: (values, expected) => values.some(value => Array.isArray(value) && value.some(entry => matches(entry, expected))),
+  $not: (values, expected) => !Object.entries(expected).every(([op, argument]) => OPERATORS[op](values, argument))
+};
+
+// Enough of $expr for the comparisons used in conditional updates
+const evaluate = (doc, expression) => {
+  if (typeof expression === 'string' && expression.startsWith('$')) {
+    return getValue(doc, expression.slice(1));
+  }
+  if (!isPlainObject(expression)) return expression;
+
+  const [[operator, args]] = Object.entries(expression);
+  if (operator === '$cond') {
+    const [test, then, otherwise] = Array.isArray(args) ? args : [args.if, args.then, args.else];
+    return evaluate(doc, evaluate(doc, test) ? then : otherwise);
+  }
+
+  const values = Array.isArray(args) ? args.map(arg => evaluate(doc, arg)) : [evaluate(doc, args)];
+  switch (operator) {
+    case '$add': return values.reduce((sum, value) => sum + (value || 0), 0);
+    case '$subtract': return values[0] - values[1];
+    case '$size': return (values[0] || []).length;
+    case '$ifNull': return values[0] ?? values[1];
+    case '$min': return Math.min(...values);
+    case '$max': return Math.max(...values);
+    case '$lt': return values[0] < values[1];
+    case '$lte': return values[0] <= values[1];
+    case '$gt': return values[0] > values[1];
+    case '$gte': return values[0] >= values[1];
+    case '$eq': return normalize(values[0]) === normalize(values[1]);
+    case '$and': return values.every(Boolean);
+    case '$or': return values.some(Boolean);
+    default: throw new Error(`memoryModel: unsupported $expr operator ${operator}`);
+  }
+};
+
+const matches = (doc, filter = {}) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$or') return condition.some(branch => matches(doc, branch));
+  if (key === '$and') return condition.every(branch => matches(doc, branch));
+  if (key === '$expr') return !!evaluate(doc, condition);
+
+  const values = getValues(doc, key);
+  if (isPlainObject(condition) && Object.keys(condition).some(op => op.startsWith('$'))) {
+    return Object.entries(condition).every(([op, expected]) => {
+      if (!OPERATORS[op]) throw new Error(`memoryModel: unsupported operator ${op}`);
+      return OPERATORS[op](values, expected);
+    });
+  }
+  return values.some(value => equals(value, condition));
+});
+
+// Pipeline updates: each $set/$unset stage sees the document as the stage before left it
+const applyPipeline = (doc, stages) => stages.forEach(stage => {
+  Object.entries(stage).forEach(([operator, fields]) => {
+    switch (operator) {
+      case '$set':
+      case '$addFields': {
+        const values = Object.entries(fields).map(([path, expression]) => [path, evaluate(doc, expression)]);
+        values.forEach(([path, value]) => setValue(doc, path, clone(value)));
+        break;
+      }
+      case '$unset':
+        [].concat(fields).forEach(path => unsetValue(doc, path));
+        break;
+      default:
+        throw new Error(`memoryModel: unsupported pipeline stage ${operator}`);
+    }
+  });
+});
+
+const applyUpdate = (doc, update, { arrayFilters } = {}) => {
+  if (Array.isArray(update)) {
+    applyPipeline(doc, update);
+    return;
+  }
+
+  const operators = Object.keys(update).some(key => key.startsWith('$')) ? update : { $set: update };
+
+  Object.entries(operators).forEach(([operator, fields]) => {
+    Object.entries(fields).forEach(([path, value]) => {
+      const current = getValue(doc, path);
+      switch (operator) {
+        case '$set':
+          setFiltered(doc, path, clone(value), arrayFilters);
+          break;
+        case '$unset':
+          unsetValue(doc, path);
+          break;
+        case '$setOnInsert':
+          // Only updates are emulated, never upserts, so the document already exists
+          break;
+        case '$inc':
+          setValue(doc, path, (current || 0) + value);
+          break;
+        case '$push': {
+          const list = [...(current || [])];
+          const each = isPlainObject(value) && value.$each ? value.$each : [value];
+          list.push(...clone(each));
+          if (isPlainObject(value) && value.$sort) list.splice(0, list.length, ...sortDocs(list, value.$sort));
+          const slice = isPlainObject(value) ? value.$slice : undefined;
+          setValue(doc, path, slice === undefined ? list : (slice < 0 ? list.slice(slice) : list.slice(0, slice)));
+          break;
+        }
+        case '$addToSet':
+          if (!(current || []).some(entry => equals(entry, value))) {
+            setValue(doc, path, [...(current || []), clone(value)]);
+          }
+          break;
+        case '$pull':
+          setValue(doc, path, (current || []).filter(entry => (isPlainObject(value)
+            ? !matches(entry, value)
+            : !equals(entry, value))));
+          break;
+        default:
+          throw new Error(`memoryModel: unsupported update operator ${operator}`);
+      }
+    });
+  });
+};
+
+// Chainable stand-in for a Mongoose query
+const createQuery = (run, { single, delay }) => {
+  const state = { sort: null, skip: 0, limit: null, lean: false };
+  const query = {
+    select: () => query,
+    populate: () => query,
+    session: () => query,
+    sort: (spec) => { state.sort = spec; return query; },
+    skip: (count) => { state.skip = count; return query; },
+    limit: (count) => { state.limit = count; return query; },
+    lean: () => { state.lean = true; return query; },
+    countDocuments: () => { state.count = true; return query; },
+    exec: () => delay().then(() => run(state)),
+    then: (resolve, reject) => query.exec().then(resolve, reject),
+    catch: (reject) => query.exec().catch(reject)
+  };
+  query.single = single;
+  return query;
+};
+
+const sortDocs = (docs, spec) => {
+  if (!spec) return docs;
+  const entries = typeof spec === 'string'
+    ? spec.split(/\s+/).filter(Boolean).map(key => (key.startsWith('-') ? [key.slice(1), -1] : [key, 1]))
+    : Object.entries(spec);
+  return [...docs].sort((a, b) => {
+    for (const [path, direction] of entries) {
+      const left = normalize(getValue(a, path));
+      const right = normalize(getValue(b, path));
+      if (left < right) return -direction;
+      if (left > right) return direction;
+    }
+    return 0;
+  });
+};
+
+/**
+ * Back a model with an in-memory collection for the current test.
+ * Pass the paths with unique indexes so duplicates fail with code 11000.
+ * Pass latency (ms) to make every operation wait a timer before it runs, so parallel
+ * requests interleave between their reads and writes as they would against MongoDB;
+ * each single-document write still applies atomically.
+ * Returns helpers to seed and inspect the collection.
+ */
+const memoryModel = (Model, { unique = [], latency = 0 } = {}) => {
+  const docs = [];
+  const delay = () => (latency ? new Promise(resolve => setTimeout(resolve, latency)) : Promise.resolve());
+  // Run an operation after the delay
+  const later = (operation) => (...args) => delay().then(() => operation(...args));
+
+  const toPlain = (doc) => clone(doc.toObject({ virtuals: false, getters: false, transform: false, depopulate: true }));
+  const hydrate = (plain) => Model.hydrate(clone(plain));
+
+  const assertUnique = (plain, ignoreId) => {
+    unique.forEach(path => {
+      const value = getValue(plain, path);
+      if (value === undefined || value === null) return;
+      const clash = docs.find(existing => !equals(existing._id, ignoreId) && equals(getValue(existing, path), value));
+      if (clash) {
+        const error = new Error(`E11000 duplicate key error: ${path}`);
+        error.code = 11000;
+        throw error;
+      }
+    });
+  };
+
+  const insert = (data) => {
+    const doc = data instanceof Model ? data : new Model(data);
+    const plain = toPlain(doc);
+    const now = new Date();
+    plain.createdAt = plain.createdAt || now;
+    plain.updatedAt = plain.updatedAt || now;
+    assertUnique(plain);
+    docs.push(plain);
+    return hydrate(plain);
+  };
+
+  const find = (filter) => docs.filter(doc => matches(doc, filter));
+
+  const results = (filter, single) => (state) => {
+    if (state.count) return find(filter).length;
+    let found = sortDocs(find(filter), state.sort).slice(state.skip);
+    if (state.limit) found = found.slice(0, state.limit);
+    const output = found.map(doc => (state.lean ? clone(doc) : hydrate(doc)));
+    return single ? (output[0] || null) : output;
+  };
+
+  const findOneAndUpdate = (filter, update, options = {}) => {
+    const doc = docs.find(entry => matches(entry, filter));
+    if (!doc) return null;
+
+    const before = clone(doc);
+    const next = clone(doc);
+    applyUpdate(next, update, options);
+    next.updatedAt = new Date();
+    assertUnique(next, doc._id);
+    Object.keys(doc).forEach(key => delete doc[key]);
+    Object.assign(doc, next);
+
+    return options.new ? clone(doc) : before;
+  };
+
+  // Updates return queries too, so .select() and .lean() can be chained onto them
+  const updateQuery = (filter, update, options) => createQuery((state) => {
+    const plain = findOneAndUpdate(filter, update, options);
+    if (!plain) return null;
+    return state.lean ? plain : hydrate(plain);
+  }, { single: true, delay });
+
+  const updateMany = (limit) => (filter, update, options = {}) => {
+    let matched = find(filter);
+    if (limit) matched = matched.slice(0, 1);
+    matched.forEach(doc => findOneAndUpdate({ _id: doc._id }, update, { arrayFilters: options.arrayFilters }));
+    return { acknowledged: true, matchedCount: matched.length, modifiedCount: matched.length };
+  };
+
+  const deleteMatching = (limit) => (filter) => {
+    let matched = find(filter);
+    if (limit) matched = matched.slice(0, 1);
+    matched.forEach(doc => docs.splice(docs.indexOf(doc), 1));
+    return { acknowledged: true, deletedCount: matched.length };
+  };
+
+  jest.spyOn(Model, 'find').mockImplementation((filter = {}) => createQuery(results(filter, false), { single: false, delay }));
+  jest.spyOn(Model, 'findOne').mockImplementation((filter = {}) => createQuery(results(filter, true), { single: true, delay }));
+  jest.spyOn(Model, 'findById').mockImplementation((id) => createQuery(results({ _id: id }, true), { single: true, delay }));
+  jest.spyOn(Model, 'exists').mockImplementation(later((filter) => {
+    const doc = docs.find(entry => matches(entry, filter));
+    return doc ? { _id: doc._id } : null;
+  }));
+  jest.spyOn(Model, 'countDocuments').mockImplementation(later((filter = {}) => find(filter).length));
+  jest.spyOn(Model, 'estimatedDocumentCount').mockImplementation(later(() => docs.length));
+  jest.spyOn(Model, 'create').mockImplementation(later((data) => (Array.isArray(data) ? data.map(insert) : insert(data))));
+  jest.spyOn(Model, 'findOneAndUpdate').mockImplementation(updateQuery);
+  jest.spyOn(Model, 'findByIdAndUpdate').mockImplementation((id, update, options) => updateQuery({ _id: id }, update, options));
+  jest.spyOn(Model, 'updateOne').mockImplementation(later(updateMany(true)));
+  jest.spyOn(Model, 'updateMany').mockImplementation(later(updateMany(false)));
+  jest.spyOn(Model, 'deleteOne').mockImplementation(later(deleteMatching(true)));
+  jest.spyOn(Model, 'deleteMany').mockImplementation(later(deleteMatching(false)));
+
+  jest.spyOn(Model.prototype, 'save').mockImplementation(async function() {
+    await delay();
+    const plain = toPlain(this);
+    plain.updatedAt = new Date();
+    const index = docs.findIndex(doc => equals(doc._id, this._id));
+
+    if (index === -1) {
+      plain.createdAt = plain.createdAt || plain.updatedAt;
+      assertUnique(plain);
+      docs.push(plain);
+    } else {
+      // Conditions set through doc.$where must still hold, as in Mongoose
+      if (this.$where && !matches(docs[index], this.$where)) {
+        throw new mongoose.Error.DocumentNotFoundError({ _id: this._id, ...this.$where }, Model.modelName);
+      }
+      assertUnique(plain, this._id);
+      docs[index] = plain;
+    }
+
+    this.isNew = false;
+    return this;
+  });
+
+  return {
+    insert,
+    all: () => docs.map(clone),
+    get: (id) => clone(docs.find(doc => equals(doc._id, id)) || null),
+    // Change a stored document directly, e.g. to backdate it
+    patch: (id, changes) => Object.assign(docs.find(doc => equals(doc._id, id)), clone(changes))
+  };
+};
+
+module.exports = memoryModel;
@@ -0,0 +1,266 @@
+const mongoose = require('mongoose');
+const Stripe = require('stripe');
+const stripe = require('../utils/stripeClient');
+const Request = require('../models/request');
+const User = require('../models/User');
+const Payout = require('../models/Payout');
+const Notification = require('../models/notifiication');
+const memoryModel = require('./helpers/memoryModel');
+const { releaseJobPayment, retryPayout, reconcilePayouts, rollOverMonthlyEarnings } = require('../utils/jobPayments');
+
+describe('job payment release', () => {
+  let requests;
+  let users;
+  let payouts;
+  let transfers;
+  let provider;
+
+  beforeEach(async () => {
+    requests = memoryModel(Request, { latency: 1 });
+    users = memoryModel(User, { latency: 1 });
+    payouts = memoryModel(Payout, { unique: ['idempotencyKey'], latency: 1 });
+    jest.spyOn(Notification, 'createNotification').mockResolvedValue({});
+
+    // Stripe keeps transfers by idempotency key, so a replayed request returns the same one
+    transfers = [];
+    const byKey = new Map();
+    jest.spyOn(stripe.transfers, 'create').mockImplementation(async (params, { idempotencyKey }) => {
+      if (!byKey.has(idempotencyKey)) {
+        const transfer = { id: `tr_${transfers.length + 1}`, ...params };
+        transfers.push(transfer);
+        byKey.set(idempotencyKey, transfer);
+      }
+      return byKey.get(idempotencyKey);
+    });
+    jest.spyOn(stripe.transfers, 'list').mockImplementation(async ({ transfer_group: group }) => ({
+      data: transfers.filter(transfer => transfer.transfer_group === group)
+    }));
+
+    provider = await users.insert({
+      firstName: 'Sam',
+      lastName: 'Roe',
+      email: 'sam@example.com',
+      userType: 'service_provider',
+      stripeConnect: { accountId: 'acct_123', payoutsEnabled: true }
+    });
+  });
+
+  const createJob = (overrides = {}) => requests.insert({
+    title: 'Fit a kitchen',
+    customer: new mongoose.Types.ObjectId(),
+    selectedProvider: provider._id,
+    status: 'in_progress',
+    payment: {
+      status: 'held',
+      totalAmount: 100,
+      amountHeld: 100,
+      amountReleased: 0,
+      currency: 'gbp',
+      stripeChargeId: 'ch_123'
+    },
+    project: { milestones: [{ title: 'Units', amount: 40, status: 'approved' }] },
+    ...overrides
+  });
+
+  // Stripe outcomes the payout code has to tell apart
+  const connectionError = () => new Stripe.errors.StripeConnectionError({ message: 'socket hang up' });
+  const invalidRequest = () => new Stripe.errors.StripeInvalidRequestError({ message: 'Insufficient funds in the platform balance' });
+
+  it('pays the provider what is held, less commission', async () => {
+    const job = await createJob();
+
+    const result = await releaseJobPayment(job);
+
+    expect(result.payout).toEqual(expect.objectContaining({ status: 'paid', grossAmount: 100, commission: 10, netAmount: 90 }));
+    expect(transfers).toEqual([
+      expect.objectContaining({ amount: 9000, currency: 'gbp', destination: 'acct_123', source_transaction: 'ch_123' })
+    ]);
+    expect(requests.get(job._id).payment).toEqual(expect.objectContaining({ status: 'released', amountReleased: 100 }));
+    expect(users.get(provider._id).earnings).toEqual(expect.objectContaining({ total: 90, thisMonth: 90 }));
+  });
+
+  it('releases a milestone and then the remainder', async () => {
+    const job = await createJob();
+    const [milestone] = job.project.milestones;
+
+    const first = await releaseJobPayment(job, { milestone });
+    expect(first.payout.grossAmount).toBe(40);
+    expect(requests.get(job._id).payment.status).toBe('partially_released');
+
+    const rest = await releaseJobPayment(Request.hydrate(requests.get(job._id)));
+    expect(rest.payout.grossAmount).toBe(60);
+    expect(requests.get(job._id).payment).toEqual(expect.objectContaining({ status: 'released', amountReleased: 100 }));
+    expect(transfers.map(transfer => transfer.amount)).toEqual([3600, 5400]);
+  });
+
+  it('pays each release once, even when released twice in parallel', async () => {
+    const job = await createJob();
+
+    const results = await Promise.all([releaseJobPayment(job), releaseJobPayment(job)]);
+    const again = await releaseJobPayment(job);
+
+    expect(results.filter(result => result.payout?.status === 'paid')).toHaveLength(1);
+    expect(again).toEqual(expect.objectContaining({ duplicate: true }));
+    expect(transfers).toHaveLength(1);
+    expect(payouts.all()).toHaveLength(1);
+    expect(requests.get(job._id).payment.amountReleased).toBe(100);
+  });
+
+  it('returns the amount and can be retried when Stripe rejects the transfer', async () => {
+    const job = await createJob();
+    stripe.transfers.create.mockRejectedValueOnce(invalidRequest());
+
+    const failed = await releaseJobPayment(job);
+    expect(failed.failed).toBe(true);
+    expect(failed.payout.status).toBe('failed');
+    expect(requests.get(job._id).payment.amountReleased).toBe(0);
+
+    const retried = await retryPayout(await Payout.findById(failed.payout._id));
+    expect(retried.payout.status).toBe('paid');
+    expect(transfers).toHaveLength(1);
+    expect(requests.get(job._id).payment.amountReleased).toBe(100);
+
+    // Stripe stores the rejection against its key, so the retry had to use a new one
+    const keys = stripe.transfers.create.mock.calls.map(([, options]) => options.idempotencyKey);
+    expect(keys).toEqual([`release:${job._id}:final`, `release:${job._id}:final:1`]);
+  });
+
+  it('keeps the amount reserved and does not pay twice when the outcome is unknown', async () => {
+    const job = await createJob();
+    // The transfer goes through but the response is lost
+    stripe.transfers.create.mockImplementationOnce(async (params) => {
+      transfers.push({ id: 'tr_lost', ...params });
+      throw connectionError();
+    });
+
+    const unknown = await releaseJobPayment(job);
+    expect(unknown.reconciling).toBe(true);
+    expect(payouts.get(unknown.payout._id).status).toBe('reconciling');
+    expect(requests.get(job._id).payment.amountReleased).toBe(100);
+
+    const settled = await releaseJobPayment(job);
+    expect(settled.payout).toEqual(expect.objectContaining({ status: 'paid', stripeTransferId: 'tr_lost' }));
+    expect(transfers).toHaveLength(1);
+    expect(stripe.transfers.create).toHaveBeenCalledTimes(1);
+    expect(users.get(provider._id).earnings.total).toBe(90);
+  });
+
+  it('sends a transfer that never reached Stripe with the same idempotency key', async () => {
+    const job = await createJob();
+    stripe.transfers.create.mockRejectedValueOnce(connectionError());
+
+    const unknown = await releaseJobPayment(job);
+    expect(unknown.reconciling).toBe(true);
+
+    const settled = await retryPayout(await Payout.findById(unknown.payout._id));
+    expect(settled.payout.status).toBe('paid');
+    expect(transfers).toHaveLength(1);
+
+    const keys = stripe.transfers.create.mock.calls.map(([, options]) => options.idempotencyKey);
+    expect(keys).toEqual([`release:${job._id}:final`, `release:${job._id}:final`]);
+  });
+
+  it('fails without calling Stripe when the provider cannot be paid yet', async () => {
+    await User.updateOne({ _id: provider._id }, { $set: { 'stripeConnect.payoutsEnabled': false } });
+    const job = await createJob();
+
+    const result = await releaseJobPayment(job);
+
+    expect(result.failed).toBe(true);
+    expect(result.payout.failureReason).toMatch(/setting up payouts/);
+    expect(stripe.transfers.create).not.toHaveBeenCalled();
+    expect(requests.get(job._id).payment.amountReleased).toBe(0);
+  });
+
+  it('settles a lost transfer even if the provider has since turned payouts off', async () => {
+    const job = await createJob();
+    stripe.transfers.create.mockImplementationOnce(async (params) => {
+      transfers.push({ id: 'tr_lost', ...params });
+      throw connectionError();
+    });
+    const unknown = await releaseJobPayment(job);
+    await User.updateOne({ _id: provider._id }, { $set: { 'stripeConnect.payoutsEnabled': false } });
+
+    const settled = await retryPayout(await Payout.findById(unknown.payout._id));
+
+    expect(settled.payout).toEqual(expect.objectContaining({ status: 'paid', stripeTransferId: 'tr_lost' }));
+    expect(requests.get(job._id).payment.amountReleased).toBe(100);
+  });
+
+  it('keeps a resumed payout reserved while the provider cannot be paid', async () => {
+    const job = await createJob();
+    stripe.transfers.create.mockRejectedValueOnce(connectionError());
+    const unknown = await releaseJobPayment(job);
+    await User.updateOne({ _id: provider._id }, { $set: { 'stripeConnect.payoutsEnabled': false } });
+
+    const retried = await retryPayout(await Payout.findById(unknown.payout._id));
+
+    expect(retried.reconciling).toBe(true);
+    expect(payouts.get(unknown.payout._id).status).toBe('reconciling');
+    expect(requests.get(job._id).payment.amountReleased).toBe(100);
+
+    // A later final release cannot pay the reserved amount out again
+    expect(await releaseJobPayment(job)).toEqual(expect.objectContaining({ reconciling: true }));
+    expect(stripe.transfers.create).toHaveBeenCalledTimes(1);
+  });
+
+  it('settles payouts abandoned part-way through', async () => {
+    const job = await createJob();
+    const stale = await payouts.insert({
+      provider: provider._id,
+      request: job._id,
+      grossAmount: 100,
+      commission: 10,
+      netAmount: 90,
+      currency: 'gbp',
+      idempotencyKey: `release:${job._id}:final`,
+      attempts: 1,
+      status: 'pending'
+    });
+    payouts.patch(stale._id, { updatedAt: new Date(Date.now() - 60 * 60 * 1000) });
+    await Request.updateOne({ _id: job._id }, { $set: { 'payment.amountReleased': 100 } });
+    transfers.push({ id: 'tr_old', transfer_group: `request_${job._id}`, destination: 'acct_123', metadata: { payoutId: String(stale._id) } });
+
+    const summary = await reconcilePayouts();
+
+    expect(summary).toEqual({ checked: 1, paid: 1, failed: 0 });
+    expect(payouts.get(stale._id)).toEqual(expect.objectContaining({ status: 'paid', stripeTransferId: 'tr_old' }));
+    expect(stripe.transfers.create).not.toHaveBeenCalled();
+  });
+
+  it('skips jobs whose payment is not held', async () => {
+    const job = await createJob({ payment: { status: 'unpaid' } });
+
+    expect(await releaseJobPayment(job)).toEqual({ skipped: true });
+    expect(payouts.all()).toHaveLength(0);
+  });
+});
+
+describe('rollOverMonthlyEarnings', () => {
+  let users;
+
+  beforeEach(() => {
+    users = memoryModel(User);
+  });
+
+  const createProvider = (earnings) => users.insert({
+    firstName: 'Sam',
+    lastName: 'Roe',
+    email: `${Math.random()}@example.com`,
+    userType: 'service_provider',
+    earnings
+  });
+
+  it("moves this month's earnings to last month and starts the month at zero", async () => {
+    const busy = await createProvider({ total: 500, thisMonth: 120, lastMonth: 80 });
+    const quiet = await createProvider({ total: 80, thisMonth: 0, lastMonth: 80 });
+    const idle = await createProvider({ total: 0, thisMonth: 0, lastMonth: 0 });
+
+    const result = await rollOverMonthlyEarnings();
+
+    expect(result).toEqual({ updated: 2 });
+    expect(users.get(busy._id).earnings).toEqual(expect.objectContaining({ total: 500, thisMonth: 0, lastMonth: 120 }));
+    expect(users.get(quiet._id).earnings).toEqual(expect.objectContaining({ total: 80, thisMonth: 0, lastMonth: 0 }));
+    expect(users.get(idle._id).earnings).toEqual(expect.objectContaining({ thisMonth: 0, lastMonth: 0 }));
+  });
+});
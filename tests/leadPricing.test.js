@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const PricingConfig = require('../models/PricingConfig');
+const memoryModel = require('./helpers/memoryModel');
+const { priceLead, quoteLead, clearPricingCache } = require('../utils/leadPricing');
+
+describe('lead pricing', () => {
+  const defaults = () => new PricingConfig().toObject();
+  const experienced = { stats: { leadsContacted: 20 } };
+
+  it('applies the budget tier, urgency and city premium to the default base', () => {
+    const lead = { budget: { amount: 600 }, timeline: { urgency: 'high' }, location: { city: ' London ' } };
+
+    const { cost, isFree, breakdown } = priceLead(lead, experienced, defaults());
+
+    // 5 x 1.6 x 1.4 + 2 = 13.2
+    expect(cost).toBe(13);
+    expect(isFree).toBe(false);
+    expect(breakdown.map(step => step.rule)).toEqual(['default_base', 'budget_tier', 'urgency', 'city_premium']);
+  });
+
+  it('uses the category base cost and discounts a new provider', () => {
+    const category = new mongoose.Types.ObjectId();
+    const config = { ...defaults(), categoryBaseCosts: [{ category, baseCost: 10 }] };
+
+    const { cost, breakdown } = priceLead({ category: { _id: category } }, { stats: { leadsContacted: 1 } }, config);
+
+    expect(cost).toBe(7);
+    expect(breakdown).toEqual([
+      { rule: 'category_base', value: 10 },
+      { rule: 'new_provider_discount', multiplier: 0.7 }
+    ]);
+  });
+
+  it('keeps the cost within the configured limits and marks cheap leads free', () => {
+    const expensive = priceLead({ budget: { amount: 5000 }, timeline: { urgency: 'urgent' } }, experienced, defaults());
+    expect(expensive.cost).toBe(20);
+    expect(expensive.breakdown.at(-1)).toEqual({ rule: 'max_cost', value: 20 });
+
+    const cheap = priceLead({}, experienced, { ...defaults(), baseCost: 0 });
+    expect(cheap).toEqual(expect.objectContaining({ cost: 1, isFree: true }));
+  });
+
+  it('prices with the stored rules, reloaded once the cache is cleared', async () => {
+    const configs = memoryModel(PricingConfig);
+    const config = await configs.insert({ key: 'default', baseCost: 8 });
+    clearPricingCache();
+
+    expect((await quoteLead({}, experienced)).cost).toBe(8);
+
+    configs.patch(config._id, { baseCost: 12 });
+    expect((await quoteLead({}, experienced)).cost).toBe(8);
+
+    clearPricingCache();
+    expect((await quoteLead({}, experienced)).cost).toBe(12);
+  });
+});
@@ -0,0 +1,67 @@
+const User = require('../models/User');
+const memoryModel = require('./helpers/memoryModel');
+const { sendEmail } = require('../utils/email');
+const {
+  LOCKOUT_THRESHOLD,
+  recordFailedLogin,
+  clearFailedLogins,
+  allowResetRequest
+} = require('../utils/loginProtection');
+
+describe('login protection', () => {
+  let users;
+  let user;
+  const req = { ip: '10.0.0.1' };
+
+  beforeEach(async () => {
+    users = memoryModel(User, { latency: 1 });
+    user = await users.insert({ firstName: 'Pat', lastName: 'Lee', email: 'pat@example.com', isActive: true });
+  });
+
+  it('lets the first failures through and then backs off', async () => {
+    const results = [];
+    for (let attempt = 0; attempt < 5; attempt++) {
+      results.push(await recordFailedLogin(user, req));
+    }
+
+    expect(results.map(result => result.failedAttempts)).toEqual([1, 2, 3, 4, 5]);
+    expect(results.slice(0, 3).every(result => result.lockedUntil === null)).toBe(true);
+    expect(results[3].lockedUntil.getTime() - Date.now()).toBeGreaterThan(25 * 1000);
+    expect(results[4].lockedUntil.getTime() - Date.now()).toBeGreaterThan(55 * 1000);
+  });
+
+  it('counts every failure when they arrive in parallel', async () => {
+    const results = await Promise.all(Array.from({ length: LOCKOUT_THRESHOLD }, () => recordFailedLogin(user, req)));
+
+    expect(results.map(result => result.failedAttempts).sort((a, b) => a - b))
+      .toEqual(Array.from({ length: LOCKOUT_THRESHOLD }, (_, i) => i + 1));
+    expect(results.filter(result => result.lockedOut)).toHaveLength(1);
+    expect(users.get(user._id).loginSecurity).toEqual(expect.objectContaining({ failedAttempts: LOCKOUT_THRESHOLD, lockoutCount: 1 }));
+    expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({ template: 'accountLocked' }));
+  });
+
+  it('starts counting again after old failures or a successful login', async () => {
+    await recordFailedLogin(user, req);
+    await recordFailedLogin(user, req);
+    users.patch(user._id, { loginSecurity: { ...users.get(user._id).loginSecurity, lastFailedAt: new Date(Date.now() - 25 * 60 * 60 * 1000) } });
+
+    expect((await recordFailedLogin(user, req)).failedAttempts).toBe(1);
+
+    await clearFailedLogins(user._id);
+    expect((await recordFailedLogin(user, req)).failedAttempts).toBe(1);
+  });
+
+  it('allows three reset emails per hour, counted from the first', async () => {
+    const allowed = [];
+    for (let request = 0; request < 4; request++) {
+      allowed.push(await allowResetRequest(user._id));
+    }
+    expect(allowed).toEqual([true, true, true, false]);
+
+    const { lastResetRequestAt } = users.get(user._id).loginSecurity;
+    users.patch(user._id, {
+      loginSecurity: { ...users.get(user._id).loginSecurity, lastResetRequestAt: new Date(lastResetRequestAt.getTime() - 61 * 60 * 1000) }
+    });
+    expect(await allowResetRequest(user._id)).toBe(true);
+  });
+});
@@ -0,0 +1,87 @@
+const express = require('express');
+const request = require('supertest');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Notification = require('../models/notifiication');
+const memoryModel = require('./helpers/memoryModel');
+const notificationRoutes = require('../routes/notifications');
+
+const app = express();
+app.use(express.json());
+app.use('/api/notifications', notificationRoutes);
+
+describe('notifications API', () => {
+  let users;
+  let notifications;
+  let user;
+  let token;
+
+  beforeEach(async () => {
+    users = memoryModel(User);
+    notifications = memoryModel(Notification);
+    memoryModel(Session, { unique: ['refreshTokenHash'] });
+
+    user = await users.insert({ firstName: 'Pat', lastName: 'Lee', email: 'pat@example.com', isActive: true });
+    const { session } = await Session.start(user._id);
+    token = user.generateToken(session._id);
+  });
+
+  const api = (method, url) => request(app)[method](url).set('Authorization', `Bearer ${token}`);
+
+  // Oldest first, a minute apart
+  const createNotifications = (count, owner = user._id) => Promise.all(Array.from({ length: count }, (_, i) => notifications.insert({
+    user: owner,
+    type: 'message_received',
+    title: `Message ${i + 1}`,
+    message: 'You have a new message',
+    createdAt: new Date(Date.now() - (count - i) * 60 * 1000)
+  })));
+
+  it('pages through the feed newest first with a cursor', async () => {
+    await createNotifications(3);
+
+    const first = await api('get', '/api/notifications?limit=2');
+    expect(first.status).toBe(200);
+    expect(first.body.data.notifications.map(n => n.title)).toEqual(['Message 3', 'Message 2']);
+    expect(first.body.data.pagination.hasMore).toBe(true);
+    expect(first.body.data.unreadCount).toBe(3);
+
+    const second = await api('get', `/api/notifications?limit=2&cursor=${first.body.data.pagination.nextCursor}`);
+    expect(second.body.data.notifications.map(n => n.title)).toEqual(['Message 1']);
+    expect(second.body.data.pagination).toEqual(expect.objectContaining({ hasMore: false, nextCursor: null }));
+  });
+
+  it('marks notifications read and leaves archived ones out of the feed', async () => {
+    const [oldest, middle] = await createNotifications(3);
+
+    const read = await api('patch', '/api/notifications/read').send({ ids: [String(oldest._id)] });
+    expect(read.body.data.updated).toBe(1);
+
+    const archived = await api('patch', `/api/notifications/${middle._id}/archive`);
+    expect(archived.status).toBe(200);
+
+    const feed = await api('get', '/api/notifications');
+    expect(feed.body.data.notifications.map(n => n.title)).toEqual(['Message 3', 'Message 1']);
+    expect(feed.body.data.unreadCount).toBe(1);
+
+    const archive = await api('get', '/api/notifications?archived=true');
+    expect(archive.body.data.notifications.map(n => n.title)).toEqual(['Message 2']);
+  });
+
+  it("does not show or change another user's notifications", async () => {
+    const [other] = await createNotifications(1, (await users.insert({ firstName: 'Sam', lastName: 'Roe', email: 'sam@example.com' }))._id);
+
+    expect((await api('get', `/api/notifications/${other._id}`)).status).toBe(404);
+    expect((await api('patch', `/api/notifications/${other._id}/read`)).status).toBe(404);
+
+    const bulk = await api('patch', '/api/notifications/read').send({ all: true });
+    expect(bulk.body.data.updated).toBe(0);
+    expect(notifications.get(other._id).isRead).toBe(false);
+  });
+
+  it('rejects a malformed cursor', async () => {
+    const res = await api('get', '/api/notifications?cursor=not-a-cursor');
+
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,102 @@
+const express = require('express');
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const memoryModel = require('./helpers/memoryModel');
+const { registerOAuthProvider } = require('../utils/oauth');
+const oauthRoutes = require('../routes/oauth');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth/oauth', oauthRoutes);
+
+// Provider whose authorization codes map straight to profiles
+const profiles = new Map();
+registerOAuthProvider('test', {
+  displayName: 'Test',
+  isConfigured: () => true,
+  getAuthorizationUrl: async ({ state }) => `https://idp.example.com/authorize?state=${state}`,
+  getProfile: async ({ code }) => profiles.get(code)
+});
+
+describe('social sign-in', () => {
+  let users;
+
+  beforeEach(() => {
+    users = memoryModel(User);
+    memoryModel(Session, { unique: ['refreshTokenHash'] });
+    profiles.clear();
+
+    // Bookkeeping updates on array elements (last used, known devices) are not emulated
+    const updateOne = User.updateOne.getMockImplementation();
+    User.updateOne.mockImplementation((filter, update, ...rest) => (JSON.stringify(update).includes('.$.')
+      ? Promise.resolve({ acknowledged: true, matchedCount: 1, modifiedCount: 1 })
+      : updateOne(filter, update, ...rest)));
+  });
+
+  const start = async () => {
+    const res = await request(app).get('/api/auth/oauth/test/start');
+    expect(res.status).toBe(200);
+    return res.body.data;
+  };
+
+  const callback = (body) => request(app).post('/api/auth/oauth/test/callback').send(body);
+
+  const signIn = async (profile) => {
+    profiles.set('code_1', { providerId: 'idp_1', emailVerified: true, firstName: 'John', ...profile });
+    const { state, binding } = await start();
+    return callback({ code: 'code_1', state, binding });
+  };
+
+  it('links a verified provider address to the account registered with it', async () => {
+    // Registration stores normalizeEmail() output, without Gmail dots or +tags
+    const existing = await users.insert({
+      firstName: 'John',
+      lastName: 'Doe',
+      email: 'johndoe@gmail.com',
+      password: await bcrypt.hash('Correct-horse-42', 4),
+      emailVerified: true,
+      isActive: true
+    });
+
+    const res = await signIn({ email: 'john.doe+work@gmail.com' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.isNewUser).toBe(false);
+    expect(users.all()).toHaveLength(1);
+    expect(users.get(existing._id).oauthAccounts).toEqual([
+      expect.objectContaining({ provider: 'test', providerId: 'idp_1' })
+    ]);
+  });
+
+  it('still finds accounts that stored the address as the provider sent it', async () => {
+    await users.insert({ firstName: 'John', lastName: 'Doe', email: 'john.doe@gmail.com', emailVerified: true, isActive: true });
+
+    const res = await signIn({ email: 'john.doe@gmail.com' });
+
+    expect(res.status).toBe(200);
+    expect(users.all()).toHaveLength(1);
+  });
+
+  it('creates new accounts under the normalised address', async () => {
+    const res = await signIn({ email: 'jane.doe@gmail.com' });
+
+    expect(res.status).toBe(201);
+    expect(users.all()).toEqual([expect.objectContaining({ email: 'janedoe@gmail.com' })]);
+  });
+
+  it("refuses a code and state replayed in another person's browser", async () => {
+    profiles.set('attacker_code', { providerId: 'idp_attacker', email: 'mallory@example.com', emailVerified: true });
+    const attacker = await start();
+    const victim = await start();
+
+    const replayed = await callback({ code: 'attacker_code', state: attacker.state, binding: victim.binding });
+    const unbound = await callback({ code: 'attacker_code', state: attacker.state });
+
+    expect(replayed.status).toBe(400);
+    expect(replayed.body.message).toMatch(/invalid or has expired/);
+    expect(unbound.status).toBe(400);
+    expect(users.all()).toHaveLength(0);
+  });
+});
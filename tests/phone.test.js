@@ -0,0 +1,80 @@
+const express = require('express');
+const request = require('supertest');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const memoryModel = require('./helpers/memoryModel');
+const { sendSms } = require('../utils/sms');
+const phoneRoutes = require('../routes/phone');
+
+jest.mock('../utils/sms', () => ({
+  ...jest.requireActual('../utils/sms'),
+  sendSms: jest.fn().mockResolvedValue({ id: 'sms_1' })
+}));
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth/phone', phoneRoutes);
+
+describe('phone verification', () => {
+  let users;
+
+  beforeEach(() => {
+    users = memoryModel(User, { latency: 2 });
+    memoryModel(Session, { unique: ['refreshTokenHash'] });
+  });
+
+  const createUser = async (fields = {}) => {
+    const user = await users.insert({ firstName: 'Pat', lastName: 'Lee', email: `${Math.random()}@example.com`, isActive: true, ...fields });
+    const { session } = await Session.start(user._id);
+    return { user, token: user.generateToken(session._id) };
+  };
+
+  const sendCode = async (token, phone) => {
+    const res = await request(app)
+      .post('/api/auth/phone/send-code')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ phone });
+    expect(res.status).toBe(200);
+    return sendSms.mock.calls.at(-1)[0].body.match(/\d{6}/)[0];
+  };
+
+  const verifyCode = (token, code) => request(app)
+    .post('/api/auth/phone/verify-code')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ code });
+
+  it('verifies the number with the code sent to it', async () => {
+    const { user, token } = await createUser();
+    const code = await sendCode(token, '07700900123');
+
+    const res = await verifyCode(token, code);
+
+    expect(res.status).toBe(200);
+    expect(users.get(user._id)).toEqual(expect.objectContaining({ phone: '+447700900123', phoneVerified: true }));
+  });
+
+  it('does not let parallel guesses get past the attempt limit', async () => {
+    const { token } = await createUser();
+    const code = await sendCode(token, '07700900123');
+    const wrong = code === '000000' ? '111111' : '000000';
+
+    const guesses = await Promise.all(Array.from({ length: 10 }, () => verifyCode(token, wrong)));
+    expect(guesses.filter(res => res.status === 400)).toHaveLength(5);
+    expect(guesses.filter(res => res.status === 429)).toHaveLength(5);
+
+    const locked = await verifyCode(token, code);
+    expect(locked.status).toBe(429);
+  });
+
+  it('refuses a number already verified on another account', async () => {
+    await createUser({ phone: '+447700900123', phoneVerified: true });
+    const { user, token } = await createUser();
+    const code = await sendCode(token, '07700900123');
+
+    const res = await verifyCode(token, code);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/another account/);
+    expect(users.get(user._id).phoneVerified).not.toBe(true);
+  });
+});
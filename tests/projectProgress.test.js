@@ -0,0 +1,107 @@
+const User = require('../models/User');
+const Request = require('../models/request');
+const Notification = require('../models/notifiication');
+const memoryModel = require('./helpers/memoryModel');
+const { sendEmail } = require('../utils/email');
+
+jest.mock('../utils/jobPayments', () => ({
+  releaseJobPayment: jest.fn()
+}));
+const { releaseJobPayment } = require('../utils/jobPayments');
+const {
+  addMilestone,
+  submitMilestone,
+  reviewMilestone,
+  addProgressUpdate,
+  getProjectSummary
+} = require('../utils/projectProgress');
+
+describe('project progress', () => {
+  let requests;
+  let customer;
+  let provider;
+  let request;
+
+  beforeEach(async () => {
+    const users = memoryModel(User);
+    requests = memoryModel(Request);
+    jest.spyOn(Notification, 'createNotification').mockResolvedValue({});
+    releaseJobPayment.mockResolvedValue({});
+
+    customer = await users.insert({ firstName: 'Pat', lastName: 'Lee', email: 'pat@example.com' });
+    provider = await users.insert({ firstName: 'Sam', lastName: 'Roe', email: 'sam@example.com', userType: 'service_provider' });
+    request = await requests.insert({
+      title: 'Fit a kitchen',
+      customer: customer._id,
+      selectedProvider: provider._id,
+      status: 'in_progress',
+      payment: { totalAmount: 1000, currency: 'GBP' }
+    });
+  });
+
+  it('plans priced milestones up to the agreed price and pays in stages', async () => {
+    await addMilestone(request, provider, { title: 'Units', amount: 600 });
+
+    await expect(addMilestone(request, provider, { title: 'Worktops', amount: 500 }))
+      .rejects.toMatchObject({ code: 'AMOUNT_EXCEEDED' });
+    await expect(addMilestone(request, customer, { title: 'Tiling' })).rejects.toMatchObject({ code: 'NOT_ALLOWED' });
+
+    const stored = requests.get(request._id);
+    expect(stored.project.milestones.map(milestone => milestone.title)).toEqual(['Units']);
+    expect(stored.payment.schedule).toBe('milestones');
+    expect(Notification.createNotification).toHaveBeenCalledWith(expect.objectContaining({
+      user: customer._id,
+      title: 'New milestone'
+    }));
+  });
+
+  it('runs a milestone from submission through changes to approval and payout', async () => {
+    const milestone = await addMilestone(request, provider, { title: 'Units', amount: 600 });
+
+    await submitMilestone(request, provider, milestone._id, 'All fitted');
+    expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({ email: 'pat@example.com', template: 'projectUpdate' }));
+
+    await reviewMilestone(request, customer, milestone._id, { approve: false, feedback: 'One door sticks' });
+    expect(requests.get(request._id).project.milestones[0].status).toBe('changes_requested');
+    expect(releaseJobPayment).not.toHaveBeenCalled();
+
+    await submitMilestone(request, provider, milestone._id);
+    await reviewMilestone(request, customer, milestone._id, { approve: true });
+
+    const stored = requests.get(request._id).project.milestones[0];
+    expect(stored.status).toBe('approved');
+    expect(stored.approvedAt).toBeInstanceOf(Date);
+    expect(releaseJobPayment).toHaveBeenCalledWith(request, { milestone: expect.objectContaining({ title: 'Units' }) });
+    await expect(reviewMilestone(request, customer, milestone._id, { approve: true })).rejects.toMatchObject({ code: 'INVALID_STATE' });
+  });
+
+  it('records progress updates with photos and starts the milestone they belong to', async () => {
+    const milestone = await addMilestone(request, provider, { title: 'Units' });
+
+    await addProgressUpdate(request, provider, {
+      message: 'Carcasses are up',
+      progress: 40,
+      milestoneId: milestone._id,
+      photos: [{ url: '/Uploads/projects/carcasses.jpg', filename: 'carcasses.jpg', mimeType: 'image/jpeg' }]
+    });
+
+    const stored = requests.get(request._id).project;
+    expect(stored.progress).toBe(40);
+    expect(stored.milestones[0].status).toBe('in_progress');
+    expect(stored.updates).toEqual([expect.objectContaining({ message: 'Carcasses are up', milestone: milestone._id })]);
+    expect(stored.updates[0].photos).toEqual([expect.objectContaining({ url: '/Uploads/projects/carcasses.jpg', mimeType: 'image/jpeg' })]);
+  });
+
+  it('only allows completion once every milestone is approved', async () => {
+    const milestone = await addMilestone(request, provider, { title: 'Units', amount: 400 });
+    expect(getProjectSummary(request)).toEqual(expect.objectContaining({ canComplete: false }));
+
+    await submitMilestone(request, provider, milestone._id);
+    await reviewMilestone(request, customer, milestone._id, { approve: true });
+
+    expect(getProjectSummary(request)).toEqual(expect.objectContaining({
+      canComplete: true,
+      amounts: expect.objectContaining({ total: 1000, planned: 400, approved: 400 })
+    }));
+  });
+});
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Review = require('../models/Review');
+const VerificationRequest = require('../models/VerificationRequest');
+const memoryModel = require('./helpers/memoryModel');
+const { convert } = require('../utils/currency');
+const { compareQuotes } = require('../utils/quoteComparison');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('quote comparison', () => {
+  let users;
+  let createdAt;
+
+  beforeEach(() => {
+    users = memoryModel(User);
+    memoryModel(Review);
+    memoryModel(VerificationRequest);
+    createdAt = new Date(Date.now() - 48 * HOUR_MS);
+  });
+
+  const createProvider = (businessName, rating) => users.insert({
+    firstName: 'Sam',
+    lastName: 'Roe',
+    businessName,
+    email: `${businessName.toLowerCase()}@example.com`,
+    userType: 'service_provider',
+    rating
+  });
+
+  const quote = (provider, amount, currency, hoursAfter, fields = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    provider: provider._id,
+    status: 'submitted',
+    pricing: { amount, currency, type: 'fixed' },
+    submittedAt: new Date(createdAt.getTime() + hoursAfter * HOUR_MS),
+    ...fields
+  });
+
+  it('converts prices between currencies through GBP', () => {
+    expect(convert(100, 'gbp', 'USD')).toBe(127);
+    expect(convert(127, 'USD', 'GBP')).toBe(100);
+    expect(convert(100, 'GBP', 'XYZ')).toBeNull();
+  });
+
+  it("shows each quote in the request's currency and sorts by price", async () => {
+    const cheap = await createProvider('Cheap', { average: 3, count: 2 });
+    const dear = await createProvider('Dear', { average: 5, count: 20 });
+    const gone = await createProvider('Gone', { average: 5, count: 20 });
+    const request = {
+      createdAt,
+      budget: { currency: 'GBP' },
+      quotes: [
+        quote(dear, 254, 'USD', 2),
+        quote(cheap, 150, 'GBP', 10),
+        quote(gone, 1, 'GBP', 1, { status: 'withdrawn' })
+      ]
+    };
+
+    const { currency, quotes } = await compareQuotes(request, { sort: 'price' });
+
+    expect(currency).toBe('GBP');
+    expect(quotes.map(entry => entry.provider.name)).toEqual(['Cheap', 'Dear']);
+    expect(quotes[1].price).toEqual(expect.objectContaining({ amount: 254, currency: 'USD', converted: 200, convertedCurrency: 'GBP' }));
+    expect(quotes[1].responseTimeHours).toBe(2);
+  });
+
+  it('ranks by best value across price, rating and response time', async () => {
+    const cheap = await createProvider('Cheap', { average: 3, count: 2 });
+    const dear = await createProvider('Dear', { average: 5, count: 20 });
+    const request = {
+      createdAt,
+      budget: { currency: 'GBP' },
+      quotes: [quote(cheap, 150, 'GBP', 10), quote(dear, 160, 'GBP', 2)]
+    };
+
+    const { quotes } = await compareQuotes(request);
+
+    expect(quotes.map(entry => entry.provider.name)).toEqual(['Dear', 'Cheap']);
+    expect(quotes[1].scoreBreakdown).toEqual({ price: 40, rating: 7.2, responseTime: 3, verification: 0 });
+    expect(quotes[0].scoreBreakdown).toEqual({ price: 37.5, rating: 30, responseTime: 15, verification: 0 });
+    expect(quotes[0].bestValueScore).toBe(82.5);
+  });
+
+  it('puts quotes in an unknown currency last when sorting by price', async () => {
+    const known = await createProvider('Known', { average: 4, count: 5 });
+    const unknown = await createProvider('Unknown', { average: 4, count: 5 });
+    const request = {
+      createdAt,
+      budget: { currency: 'GBP' },
+      quotes: [quote(unknown, 10, 'XYZ', 1), quote(known, 500, 'GBP', 1)]
+    };
+
+    const { quotes } = await compareQuotes(request, { sort: 'price' });
+
+    expect(quotes.map(entry => [entry.provider.name, entry.price.converted])).toEqual([['Known', 500], ['Unknown', null]]);
+    expect(quotes[1].scoreBreakdown.price).toBe(0);
+  });
+});
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const Request = require('../models/request');
+const Notification = require('../models/notifiication');
+const memoryModel = require('./helpers/memoryModel');
+const { sendEmail } = require('../utils/email');
+const { processRequestExpiry, extendRequest, MAX_EXTENSIONS } = require('../utils/requestExpiry');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('request expiry', () => {
+  let requests;
+  let customer;
+
+  beforeEach(() => {
+    requests = memoryModel(Request);
+    jest.spyOn(Notification, 'createNotification').mockResolvedValue({});
+    customer = new mongoose.Types.ObjectId();
+  });
+
+  const createRequest = (fields = {}) => requests.insert({
+    title: 'Fit a kitchen',
+    customer,
+    status: 'published',
+    ...fields
+  });
+
+  const quote = (status, expiresAt) => ({
+    provider: new mongoose.Types.ObjectId(),
+    status,
+    message: 'Happy to help',
+    pricing: { amount: 500, currency: 'GBP', type: 'fixed' },
+    expiresAt
+  });
+
+  it('reminds the customer once before the request expires', async () => {
+    const request = await createRequest({ expiresAt: new Date(Date.now() + 2 * DAY_MS) });
+    await createRequest({ expiresAt: new Date(Date.now() + 10 * DAY_MS) });
+    await createRequest({ expiresAt: new Date(Date.now() + DAY_MS), leadSettings: { autoExpire: false } });
+
+    expect(await processRequestExpiry()).toEqual({ reminded: 1, quotesClosed: 0, expired: 0 });
+    expect(requests.get(request._id).expiry.remindedAt).toBeInstanceOf(Date);
+    expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({
+      template: 'requestExpiring',
+      data: expect.objectContaining({ requestTitle: 'Fit a kitchen', canExtend: true })
+    }));
+
+    expect((await processRequestExpiry()).reminded).toBe(0);
+  });
+
+  it('closes quotes past their own expiry date while the request stays open', async () => {
+    const request = await createRequest({
+      status: 'quotes_received',
+      quotes: [
+        quote('pending', new Date(Date.now() - 1000)),
+        quote('pending', new Date(Date.now() + DAY_MS)),
+        quote('accepted', new Date(Date.now() - 1000))
+      ]
+    });
+
+    expect((await processRequestExpiry()).quotesClosed).toBe(1);
+    expect(requests.get(request._id).quotes.map(entry => entry.status)).toEqual(['expired', 'pending', 'accepted']);
+    expect(requests.get(request._id).status).toBe('quotes_received');
+  });
+
+  it('expires lapsed requests and closes their open quotes', async () => {
+    const request = await createRequest({
+      status: 'quotes_received',
+      expiresAt: new Date(Date.now() - 1000),
+      quotes: [quote('viewed'), quote('withdrawn')]
+    });
+
+    expect((await processRequestExpiry()).expired).toBe(1);
+    const stored = requests.get(request._id);
+    expect(stored.status).toBe('expired');
+    expect(stored.quotes.map(entry => entry.status)).toEqual(['expired', 'withdrawn']);
+    expect(Notification.createNotification).toHaveBeenCalledWith(expect.objectContaining({
+      user: customer,
+      title: 'Request expired',
+      data: expect.objectContaining({ canRepublish: true })
+    }));
+  });
+
+  it('extends an open request a limited number of times', async () => {
+    const expiresAt = new Date(Date.now() + DAY_MS);
+    const request = await createRequest({ expiresAt, expiry: { remindedAt: new Date() } });
+
+    const extended = await extendRequest(request, 7);
+    expect(extended.expiresAt.getTime()).toBe(expiresAt.getTime() + 7 * DAY_MS);
+    expect(extended.expiry.remindedAt).toBeNull();
+
+    requests.patch(request._id, { expiry: { extensions: MAX_EXTENSIONS } });
+    await expect(extendRequest(request, 7)).rejects.toMatchObject({ code: 'CONFLICT' });
+    await expect(extendRequest(await Request.findById(request._id), 7)).rejects.toMatchObject({ code: 'LIMIT_REACHED' });
+  });
+});
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Request = require('../models/request');
+const Notification = require('../models/notifiication');
+const memoryModel = require('./helpers/memoryModel');
+const { transitionRequest, TRANSITIONS } = require('../utils/requestStateMachine');
+
+describe('request lifecycle', () => {
+  let requests;
+  let customer;
+  let providers;
+
+  beforeEach(() => {
+    memoryModel(User);
+    requests = memoryModel(Request);
+    jest.spyOn(Notification, 'createNotification').mockResolvedValue({});
+
+    customer = new mongoose.Types.ObjectId();
+    providers = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+  });
+
+  const createRequest = (overrides = {}) => requests.insert({
+    title: 'Fit a kitchen',
+    customer,
+    status: 'quotes_received',
+    budget: { currency: 'GBP' },
+    quotes: providers.map((provider, i) => ({
+      provider,
+      status: 'pending',
+      message: 'Happy to help',
+      pricing: { amount: 1000 + i * 100, currency: 'GBP', type: 'fixed' }
+    })),
+    ...overrides
+  });
+
+  it('accepts one quote, declines the rest and records the change', async () => {
+    const request = await createRequest();
+    const [chosen, other] = request.quotes;
+
+    const result = await transitionRequest(request, 'select_provider', { actor: customer, context: { quote: chosen } });
+
+    expect(result).toEqual({ from: 'quotes_received', to: 'provider_selected' });
+    const stored = requests.get(request._id);
+    expect(stored.selectedProvider).toEqual(chosen.provider);
+    expect(stored.quotes.map(quote => quote.status)).toEqual(['accepted', 'rejected']);
+    expect(stored.payment).toEqual(expect.objectContaining({ totalAmount: 1000, currency: 'GBP' }));
+    expect(stored.statusHistory).toEqual([
+      expect.objectContaining({ from: 'quotes_received', to: 'provider_selected', event: 'select_provider', actorRole: 'customer' })
+    ]);
+    expect(Notification.createNotification).toHaveBeenCalledWith(expect.objectContaining({ user: other.provider, type: 'quote_rejected' }));
+  });
+
+  it('refuses changes the lifecycle does not allow', async () => {
+    const request = await createRequest({ status: 'draft' });
+
+    await expect(transitionRequest(request, 'start', { actor: providers[0] }))
+      .rejects.toMatchObject({ code: 'INVALID_TRANSITION', details: { allowed: TRANSITIONS.draft } });
+    await expect(transitionRequest(request, 'publish', { actor: providers[0] }))
+      .rejects.toMatchObject({ code: 'NOT_ALLOWED' });
+    expect(requests.get(request._id).status).toBe('draft');
+  });
+
+  it('only lets the selected provider complete once every milestone is approved', async () => {
+    const request = await createRequest({
+      status: 'in_progress',
+      selectedProvider: providers[0],
+      project: { milestones: [{ title: 'Units', status: 'approved' }, { title: 'Worktops', status: 'submitted' }] }
+    });
+
+    await expect(transitionRequest(request, 'complete', { actor: providers[1] })).rejects.toMatchObject({ code: 'NOT_ALLOWED' });
+    await expect(transitionRequest(request, 'complete', { actor: providers[0] }))
+      .rejects.toMatchObject({ code: 'GUARD_FAILED', message: '1 milestone has not been approved by the customer yet' });
+  });
+
+  it('does not overwrite a status someone else changed first', async () => {
+    const request = await createRequest({ status: 'published' });
+    await Request.updateOne({ _id: request._id }, { $set: { status: 'cancelled' } });
+
+    await expect(transitionRequest(request, 'expire', { actorRole: 'system' })).rejects.toMatchObject({ code: 'CONFLICT' });
+    expect(requests.get(request._id).status).toBe('cancelled');
+  });
+});
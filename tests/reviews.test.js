@@ -0,0 +1,69 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Review = require('../models/Review');
+const memoryModel = require('./helpers/memoryModel');
+const reviewRoutes = require('../routes/reviews');
+
+const app = express();
+app.use(express.json());
+app.use('/api/reviews', reviewRoutes);
+
+describe('review votes', () => {
+  let users;
+  let reviews;
+
+  beforeEach(() => {
+    users = memoryModel(User);
+    reviews = memoryModel(Review, { latency: 2 });
+    memoryModel(Session, { unique: ['refreshTokenHash'] });
+  });
+
+  const createVoter = async (index) => {
+    const user = await users.insert({ firstName: 'Voter', lastName: String(index), email: `voter${index}@example.com`, isActive: true });
+    const { session } = await Session.start(user._id);
+    return user.generateToken(session._id);
+  };
+
+  const createReview = () => reviews.insert({
+    customer: new mongoose.Types.ObjectId(),
+    serviceProvider: new mongoose.Types.ObjectId(),
+    status: 'approved',
+    helpful: { count: 0, users: [] },
+    unhelpful: { count: 0, users: [] }
+  });
+
+  const vote = (reviewId, token, choice) => request(app)
+    .post(`/api/reviews/${reviewId}/vote`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({ vote: choice });
+
+  it('keeps every vote cast at the same time', async () => {
+    const review = await createReview();
+    const tokens = await Promise.all([1, 2, 3, 4, 5, 6].map(createVoter));
+
+    const results = await Promise.all(tokens.map((token, i) => vote(review._id, token, i < 4 ? 'helpful' : 'unhelpful')));
+
+    expect(results.every(res => res.status === 200)).toBe(true);
+    const stored = reviews.get(review._id);
+    expect(stored.helpful.users).toHaveLength(4);
+    expect(stored.unhelpful.users).toHaveLength(2);
+    expect(stored.helpful.count).toBe(4);
+    expect(stored.unhelpful.count).toBe(2);
+  });
+
+  it('moves and clears a voter without counting them twice', async () => {
+    const review = await createReview();
+    const token = await createVoter(1);
+
+    await vote(review._id, token, 'helpful');
+    const moved = await vote(review._id, token, 'unhelpful');
+    expect(moved.body.data).toEqual(expect.objectContaining({ helpful: 0, unhelpful: 1 }));
+
+    const cleared = await vote(review._id, token, 'none');
+    expect(cleared.body.data).toEqual(expect.objectContaining({ helpful: 0, unhelpful: 0 }));
+    expect(reviews.get(review._id).unhelpful.users).toHaveLength(0);
+  });
+});
@@ -0,0 +1,140 @@
+const express = require('express');
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const memoryModel = require('./helpers/memoryModel');
+const authRoutes = require('../routes/auth');
+const userRoutes = require('../routes/user');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+app.use('/api/users', userRoutes);
+
+describe('sessions and refresh tokens', () => {
+  let users;
+  let sessions;
+  let user;
+
+  beforeEach(async () => {
+    users = memoryModel(User);
+    sessions = memoryModel(Session, { unique: ['refreshTokenHash'] });
+    user = await users.insert({
+      firstName: 'Pat',
+      lastName: 'Lee',
+      email: 'pat@example.com',
+      password: await bcrypt.hash('Correct-horse-42', 4),
+      isActive: true
+    });
+  });
+
+  const login = async () => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'pat@example.com', password: 'Correct-horse-42' });
+    expect(res.status).toBe(200);
+    return res.body.data;
+  };
+
+  const refresh = (refreshToken) => request(app).post('/api/auth/refresh-token').send({ refreshToken });
+  const getMe = (token) => request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`);
+
+  it('opens a session on login and accepts its access token', async () => {
+    const { token, refreshToken, sessionId } = await login();
+
+    expect(refreshToken).toEqual(expect.any(String));
+    expect(jwt.decode(token).sid).toBe(String(sessionId));
+    expect(sessions.get(sessionId).refreshTokenHash).toBe(Session.hashToken(refreshToken));
+
+    const me = await getMe(token);
+    expect(me.status).toBe(200);
+    expect(me.body.data.user.email).toBe('pat@example.com');
+  });
+
+  it('rotates the refresh token on every use', async () => {
+    const tokens = await login();
+
+    const first = await refresh(tokens.refreshToken);
+    expect(first.status).toBe(200);
+    expect(first.body.data.refreshToken).not.toBe(tokens.refreshToken);
+    expect(first.body.data.sessionId).toBe(String(tokens.sessionId));
+
+    const second = await refresh(first.body.data.refreshToken);
+    expect(second.status).toBe(200);
+    expect((await getMe(second.body.data.token)).status).toBe(200);
+  });
+
+  it('revokes the session when a rotated refresh token is replayed', async () => {
+    const tokens = await login();
+    const rotated = await refresh(tokens.refreshToken);
+
+    const replay = await refresh(tokens.refreshToken);
+    expect(replay.status).toBe(401);
+    expect(replay.body.message).toMatch(/already been used/);
+    expect(sessions.get(tokens.sessionId)).toEqual(expect.objectContaining({ revokedReason: 'reuse_detected' }));
+
+    // Neither the current refresh token nor any access token from the session work any more
+    expect((await refresh(rotated.body.data.refreshToken)).status).toBe(401);
+    expect((await getMe(rotated.body.data.token)).status).toBe(401);
+    expect((await getMe(tokens.token)).status).toBe(401);
+  });
+
+  it('lets only one of two concurrent refreshes with the same token through', async () => {
+    const tokens = await login();
+
+    const responses = await Promise.all([refresh(tokens.refreshToken), refresh(tokens.refreshToken)]);
+
+    expect(responses.map(res => res.status).sort()).toEqual([200, 401]);
+  });
+
+  it('ends the session on logout', async () => {
+    const tokens = await login();
+
+    const logout = await request(app).post('/api/auth/logout').set('Authorization', `Bearer ${tokens.token}`);
+    expect(logout.status).toBe(200);
+
+    expect((await getMe(tokens.token)).status).toBe(401);
+    expect((await refresh(tokens.refreshToken)).status).toBe(401);
+  });
+
+  it('signs other devices out without touching the current one', async () => {
+    const phone = await login();
+    const laptop = await login();
+
+    const res = await request(app).delete('/api/auth/sessions').set('Authorization', `Bearer ${laptop.token}`);
+    expect(res.status).toBe(200);
+    expect(res.body.data.revoked).toBe(1);
+
+    expect((await getMe(phone.token)).status).toBe(401);
+    expect((await getMe(laptop.token)).status).toBe(200);
+  });
+
+  it('signs other devices out when the password is changed from account settings', async () => {
+    const phone = await login();
+    const laptop = await login();
+    const changePassword = (newPassword) => request(app)
+      .put('/api/users/change-password')
+      .set('Authorization', `Bearer ${laptop.token}`)
+      .send({ currentPassword: 'Correct-horse-42', newPassword, confirmPassword: newPassword });
+
+    const common = await changePassword('Password123');
+    expect(common.status).toBe(400);
+    expect(common.body.errors[0].msg).toMatch(/too common/);
+
+    const res = await changePassword('Battery-staple-97');
+    expect(res.status).toBe(200);
+    expect(res.body.data.revokedSessions).toBe(1);
+
+    expect((await getMe(phone.token)).status).toBe(401);
+    expect((await getMe(laptop.token)).status).toBe(200);
+  });
+
+  it('rejects access tokens that do not belong to a session', async () => {
+    const legacy = jwt.sign({ id: user._id, userType: 'customer' }, process.env.JWT_SECRET, { expiresIn: '15m' });
+
+    const res = await getMe(legacy);
+    expect(res.status).toBe(401);
+  });
+});
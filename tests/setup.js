@@ -0,0 +1,26 @@
+// Test environment: no MongoDB or Stripe account is needed. Models are backed by
+// tests/helpers/memoryModel.js, and anything left unstubbed fails instead of waiting
+// for a database connection.
+process.env.NODE_ENV = 'test';
+process.env.DOTENV_CONFIG_QUIET = 'true';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.JWT_EXPIRE = '15m';
+process.env.STRIPE_SECRET_KEY = 'sk_test_123';
+
+const mongoose = require('mongoose');
+mongoose.set('bufferCommands', false);
+mongoose.set('autoIndex', false);
+
+jest.mock('../utils/loggerutility', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn(),
+  http: jest.fn()
+}));
+
+jest.mock('../utils/email', () => ({
+  sendEmail: jest.fn().mockResolvedValue({ success: true }),
+  verifyEmailConfig: jest.fn().mockResolvedValue(true),
+  sendBulkEmails: jest.fn().mockResolvedValue([])
+}));
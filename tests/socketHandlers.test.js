@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Conversation = require('../models/Conversation');
+const memoryModel = require('./helpers/memoryModel');
+const { registerSocketHandlers, userRoom } = require('../utils/socketHandlers');
+
+describe('socket handlers', () => {
+  let handlers;
+  let socket;
+
+  beforeEach(() => {
+    memoryModel(User);
+    memoryModel(Conversation);
+
+    handlers = {};
+    socket = {
+      id: 'socket_1',
+      user: { _id: new mongoose.Types.ObjectId() },
+      join: jest.fn(),
+      leave: jest.fn(),
+      on: (event, handler) => { handlers[event] = handler; }
+    };
+    const io = {
+      use: jest.fn(),
+      on: (event, onConnection) => onConnection(socket)
+    };
+
+    registerSocketHandlers(io);
+  });
+
+  it.each([null, undefined, 'conversation', 42, { conversationId: { $ne: null } }])(
+    'answers a malformed payload (%p) without throwing',
+    async (payload) => {
+      for (const event of ['join-conversation', 'send-message', 'mark-read']) {
+        const ack = jest.fn();
+        await expect(handlers[event](payload, ack)).resolves.toBeUndefined();
+        expect(ack).toHaveBeenCalledWith(expect.objectContaining({ success: false }));
+      }
+
+      expect(() => handlers['leave-conversation'](payload)).not.toThrow();
+      expect(socket.leave).not.toHaveBeenCalled();
+    }
+  );
+});
+
+describe('socket authentication', () => {
+  let users;
+  let authenticate;
+  let onConnection;
+
+  beforeEach(() => {
+    users = memoryModel(User);
+    memoryModel(Session, { unique: ['refreshTokenHash'] });
+
+    const io = {
+      use: (middleware) => { authenticate = middleware; },
+      on: (event, handler) => { onConnection = handler; }
+    };
+    registerSocketHandlers(io);
+  });
+
+  const signIn = async () => {
+    const user = await users.insert({ firstName: 'Pat', lastName: 'Lee', email: 'pat@example.com', isActive: true });
+    const { session } = await Session.start(user._id);
+    return { user, session, token: user.generateToken(session._id) };
+  };
+
+  const connect = async (handshake) => {
+    const socket = { id: 'socket_1', handshake, join: jest.fn(), leave: jest.fn(), on: jest.fn() };
+    const next = jest.fn();
+    await authenticate(socket, next);
+    return { socket, error: next.mock.calls[0][0] };
+  };
+
+  it("accepts an access token and puts the socket in the user's room", async () => {
+    const { user, token } = await signIn();
+
+    const { socket, error } = await connect({ auth: { token } });
+    expect(error).toBeUndefined();
+    expect(socket.user._id).toEqual(user._id);
+
+    onConnection(socket);
+    expect(socket.join).toHaveBeenCalledWith(userRoom(user._id));
+
+    // Another user's room stays closed
+    const [, joinRoom] = socket.on.mock.calls.find(([event]) => event === 'join-room');
+    const ack = jest.fn();
+    await joinRoom(userRoom(new mongoose.Types.ObjectId()), ack);
+    expect(ack).toHaveBeenCalledWith(expect.objectContaining({ success: false }));
+  });
+
+  it('also reads the token from the Authorization header', async () => {
+    const { token } = await signIn();
+
+    const { error } = await connect({ headers: { authorization: `Bearer ${token}` } });
+
+    expect(error).toBeUndefined();
+  });
+
+  it('refuses connections without a token or with a revoked session', async () => {
+    const { user, token } = await signIn();
+    await Session.revokeAllForUser(user._id, 'logout');
+
+    expect((await connect({})).error.message).toMatch(/no token/);
+    expect((await connect({ auth: { token: 'not-a-token' } })).error.message).toMatch(/invalid token/);
+    expect((await connect({ auth: { token } })).error.message).toMatch(/revoked/);
+  });
+});
@@ -0,0 +1,211 @@
+const express = require('express');
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const memoryModel = require('./helpers/memoryModel');
+const { sendEmail } = require('../utils/email');
+const {
+  encryptSecret,
+  generateTotpSecret,
+  generateHotp,
+  generateBackupCodes
+} = require('../utils/twoFactor');
+const twoFactorRoutes = require('../routes/twoFactor');
+const authRoutes = require('../routes/auth');
+
+const app = express();
+// Each test is its own client, so the per-IP rate limits do not carry over between tests
+app.set('trust proxy', true);
+app.use(express.json());
+app.use('/api/auth/2fa', twoFactorRoutes);
+app.use('/api/auth', authRoutes);
+
+const PASSWORD = 'Correct-horse-42';
+
+describe('two-factor login', () => {
+  let users;
+  let sessions;
+  let totpSecret;
+  let backupCodes;
+  let clientIp = 0;
+
+  beforeEach(() => {
+    clientIp += 1;
+    users = memoryModel(User);
+    sessions = memoryModel(Session, { unique: ['refreshTokenHash'] });
+    totpSecret = generateTotpSecret();
+    backupCodes = generateBackupCodes();
+  });
+
+  const createUser = async (method) => users.insert({
+    firstName: 'Pat',
+    lastName: 'Lee',
+    email: 'pat@example.com',
+    password: await bcrypt.hash(PASSWORD, 4),
+    isActive: true,
+    twoFactor: {
+      enabled: true,
+      method,
+      totpSecret: method === 'totp' ? encryptSecret(totpSecret) : undefined,
+      backupCodes: backupCodes.hashed
+    }
+  });
+
+  const currentTotp = () => generateHotp(totpSecret, Math.floor(Date.now() / 1000 / 30));
+
+  const api = (method, url) => request(app)[method](url).set('X-Forwarded-For', `10.0.0.${clientIp}`);
+
+  const login = () => api('post', '/api/auth/login').send({ email: 'pat@example.com', password: PASSWORD });
+  const verify = (challengeToken, code) => api('post', '/api/auth/2fa/login/verify').send({ challengeToken, code });
+
+  it('answers a correct password with a challenge instead of tokens', async () => {
+    await createUser('totp');
+
+    const res = await login();
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual(expect.objectContaining({ twoFactorRequired: true, method: 'totp' }));
+    expect(res.body.data.token).toBeUndefined();
+    expect(res.body.data.refreshToken).toBeUndefined();
+    expect(sessions.all()).toHaveLength(0);
+  });
+
+  it('does not accept the challenge token as an access token', async () => {
+    await createUser('totp');
+    const { challengeToken } = (await login()).body.data;
+
+    const res = await api('get', '/api/auth/me').set('Authorization', `Bearer ${challengeToken}`);
+
+    expect(res.status).toBe(401);
+  });
+
+  it('completes the login with an authenticator code, once', async () => {
+    await createUser('totp');
+    const { challengeToken } = (await login()).body.data;
+    const code = currentTotp();
+
+    const res = await verify(challengeToken, code);
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual(expect.objectContaining({ verifiedWith: 'totp', token: expect.any(String) }));
+    expect(sessions.all()).toHaveLength(1);
+
+    const me = await api('get', '/api/auth/me').set('Authorization', `Bearer ${res.body.data.token}`);
+    expect(me.status).toBe(200);
+
+    // The same code cannot be used for a second login
+    const replay = await verify((await login()).body.data.challengeToken, code);
+    expect(replay.status).toBe(401);
+  });
+
+  it('completes the login with an emailed code', async () => {
+    await createUser('email');
+
+    const { challengeToken } = (await login()).body.data;
+    const { code } = sendEmail.mock.calls.at(-1)[0].data;
+
+    const res = await verify(challengeToken, code);
+    expect(res.status).toBe(200);
+    expect(res.body.data.verifiedWith).toBe('email');
+  });
+
+  it('accepts each backup code only once', async () => {
+    await createUser('totp');
+    const [backupCode] = backupCodes.codes;
+
+    const first = await verify((await login()).body.data.challengeToken, backupCode);
+    expect(first.status).toBe(200);
+    expect(first.body.data).toEqual(expect.objectContaining({ verifiedWith: 'backup', backupCodesRemaining: 9 }));
+
+    const second = await verify((await login()).body.data.challengeToken, backupCode);
+    expect(second.status).toBe(401);
+  });
+
+  it('locks verification after repeated wrong codes', async () => {
+    await createUser('totp');
+    const { challengeToken } = (await login()).body.data;
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      expect((await verify(challengeToken, '000000')).status).toBe(401);
+    }
+
+    const locked = await verify(challengeToken, currentTotp());
+    expect(locked.status).toBe(429);
+    expect(sessions.all()).toHaveLength(0);
+  });
+
+  it('does not let parallel guesses get past the attempt limit', async () => {
+    users = memoryModel(User, { latency: 2 });
+    await createUser('totp');
+    const { challengeToken } = (await login()).body.data;
+
+    const guesses = await Promise.all(Array.from({ length: 10 }, () => verify(challengeToken, '000000')));
+    expect(guesses.every(res => res.status >= 400)).toBe(true);
+
+    const locked = await verify(challengeToken, currentTotp());
+    expect(locked.status).toBe(429);
+  });
+
+  it('starts counting again after a successful code', async () => {
+    await createUser('totp');
+
+    for (const backupCode of backupCodes.codes.slice(0, 6)) {
+      const res = await verify((await login()).body.data.challengeToken, backupCode);
+      expect(res.status).toBe(200);
+    }
+  });
+
+  it('rejects an access token in place of a challenge token', async () => {
+    const user = await createUser('totp');
+    const { session } = await Session.start(user._id);
+
+    const res = await verify(user.generateToken(session._id), currentTotp());
+
+    expect(res.status).toBe(401);
+  });
+
+  describe('managing two-factor settings', () => {
+    const signIn = async (user) => {
+      const { session } = await Session.start(user._id);
+      return user.generateToken(session._id);
+    };
+
+    it('lets an account without a password disable 2FA with a code alone', async () => {
+      const user = await createUser('totp');
+      await User.updateOne({ _id: user._id }, { $unset: { password: 1 } });
+      const token = await signIn(user);
+
+      const res = await api('post', '/api/auth/2fa/disable')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ code: currentTotp() });
+
+      expect(res.status).toBe(200);
+      expect(users.get(user._id).twoFactor.enabled).toBe(false);
+    });
+
+    it('lets an account without a password replace its backup codes', async () => {
+      const user = await createUser('totp');
+      await User.updateOne({ _id: user._id }, { $unset: { password: 1 } });
+      const token = await signIn(user);
+
+      const res = await api('post', '/api/auth/2fa/backup-codes')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ code: currentTotp() });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.backupCodes).toHaveLength(10);
+    });
+
+    it('still asks for the password when the account has one', async () => {
+      const user = await createUser('totp');
+      const token = await signIn(user);
+
+      const res = await api('post', '/api/auth/2fa/disable')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ code: currentTotp() });
+
+      expect(res.status).toBe(401);
+      expect(users.get(user._id).twoFactor.enabled).toBe(true);
+    });
+  });
+});
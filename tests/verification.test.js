@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const VerificationRequest = require('../models/VerificationRequest');
+const Notification = require('../models/notifiication');
+const memoryModel = require('./helpers/memoryModel');
+const { getMissingLeadRequirements, processVerificationExpiry } = require('../utils/verification');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('provider verification', () => {
+  let users;
+  let verifications;
+  let provider;
+  const plumbing = { _id: new mongoose.Types.ObjectId(), name: 'Plumbing', requirements: { license: true } };
+
+  beforeEach(async () => {
+    users = memoryModel(User);
+    verifications = memoryModel(VerificationRequest);
+    jest.spyOn(Notification, 'createNotification').mockResolvedValue({});
+
+    provider = await users.insert({ firstName: 'Sam', lastName: 'Roe', email: 'sam@example.com', userType: 'service_provider' });
+  });
+
+  const createVerification = (fields) => verifications.insert({
+    provider: provider._id,
+    documents: [{ path: 'Uploads/verification/doc.pdf' }],
+    status: 'approved',
+    ...fields
+  });
+
+  it('requires a current licence for the category before leads can be contacted', async () => {
+    expect(await getMissingLeadRequirements(provider._id, plumbing)).toEqual([
+      expect.objectContaining({ requirement: 'license', verified: false, pending: false })
+    ]);
+
+    await createVerification({ type: 'license', category: new mongoose.Types.ObjectId() });
+    await createVerification({ type: 'license', category: plumbing._id, expiresAt: new Date(Date.now() - DAY_MS) });
+    await createVerification({ type: 'license', category: plumbing._id, status: 'pending' });
+    expect(await getMissingLeadRequirements(provider._id, plumbing)).toEqual([
+      expect.objectContaining({ requirement: 'license', pending: true })
+    ]);
+
+    await createVerification({ type: 'license', category: plumbing._id, expiresAt: new Date(Date.now() + 90 * DAY_MS) });
+    expect(await getMissingLeadRequirements(provider._id, plumbing)).toEqual([]);
+  });
+
+  it('shows one badge per current verification type', async () => {
+    await createVerification({ type: 'identity' });
+    await createVerification({ type: 'insurance', category: plumbing._id });
+    await createVerification({ type: 'insurance', expiresAt: new Date(Date.now() - DAY_MS) });
+    await createVerification({ type: 'background_check', status: 'rejected' });
+
+    const badges = await VerificationRequest.getBadges(provider._id);
+
+    expect(badges.map(badge => badge.badge).sort()).toEqual(['id_verified', 'insured']);
+  });
+
+  it('reminds once per threshold and expires lapsed verifications', async () => {
+    users.patch(provider._id, { idVerified: true });
+    const expiring = await createVerification({ type: 'insurance', expiresAt: new Date(Date.now() + 5 * DAY_MS) });
+    const lapsed = await createVerification({ type: 'identity', expiresAt: new Date(Date.now() - 1000) });
+
+    expect(await processVerificationExpiry()).toEqual({ reminded: 1, expired: 1 });
+    expect(verifications.get(expiring._id).remindersSent).toEqual([30, 7]);
+    expect(verifications.get(lapsed._id).status).toBe('expired');
+    expect(users.get(provider._id).idVerified).toBe(false);
+
+    // Nothing new is due on the next run
+    expect(await processVerificationExpiry()).toEqual({ reminded: 0, expired: 0 });
+    expect(Notification.createNotification).toHaveBeenCalledTimes(2);
+  });
+});
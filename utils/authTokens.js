@@ -0,0 +1,24 @@
+// utils/authTokens.js - issues the access/refresh token pair for a new session
+const Session = require('../models/Session');
+
+const getClientInfo = (req) => ({
+  userAgent: req.get('user-agent'),
+  ipAddress: req.ip
+});
+
+// Open a session for the user and return the tokens to hand to the client
+const issueAuthTokens = async (user, req) => {
+  const { session, refreshToken } = await Session.start(user._id, getClientInfo(req));
+
+  return {
+    token: user.generateToken(session._id),
+    refreshToken,
+    refreshTokenExpiresAt: session.expiresAt,
+    sessionId: session._id
+  };
+};
+
+module.exports = {
+  getClientInfo,
+  issueAuthTokens
+};
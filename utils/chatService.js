@@ -0,0 +1,100 @@
+// utils/chatService.js
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Notification = require('../models/notifiication');
+const logger = require('./loggerutility');
+
+const conversationRoom = (conversationId) => `conversation_${conversationId}`;
+
+// Persist a message, update the conversation and fan it out to participants
+const sendMessage = async ({ io, conversation, senderId, text, attachments = [] }) => {
+  const message = await Message.create({
+    conversation: conversation._id,
+    sender: senderId,
+    text,
+    attachments,
+    readBy: [{ user: senderId }]
+  });
+
+  const recipients = conversation.participants
+    .map(participant => (participant._id || participant).toString())
+    .filter(participantId => participantId !== senderId.toString());
+
+  const update = {
+    $set: {
+      lastMessage: {
+        text: text ? text.substring(0, 200) : '',
+        sender: senderId,
+        hasAttachments: attachments.length > 0,
+        sentAt: message.createdAt
+      }
+    },
+    $inc: {}
+  };
+  recipients.forEach(recipientId => {
+    update.$inc[`unreadCounts.${recipientId}`] = 1;
+  });
+
+  await Conversation.updateOne({ _id: conversation._id }, update);
+  await message.populate('sender', 'firstName lastName businessName avatar');
+
+  if (io) {
+    io.to(conversationRoom(conversation._id)).emit('receive-message', {
+      conversationId: conversation._id,
+      message
+    });
+  }
+
+  // Notify recipients outside the conversation room
+  const senderName = message.sender.businessName ||
+    `${message.sender.firstName} ${message.sender.lastName}`;
+
+  await Promise.all(recipients.map(async recipientId => {
+    try {
+      await Notification.createNotification({
+        user: recipientId,
+        type: 'message_received',
+        title: 'New message',
+        message: `${senderName}: ${text ? text.substring(0, 100) : 'sent an attachment'}`,
+        actionUrl: `/messages/${conversation._id}`,
+        actionLabel: 'View conversation',
+        data: {
+          conversationId: conversation._id,
+          requestId: conversation.request,
+          messageId: message._id
+        },
+        group: `conversation_${conversation._id}`
+      });
+    } catch (error) {
+      logger.error('Message notification error:', error);
+    }
+  }));
+
+  return message;
+};
+
+// Mark a conversation as read for a user and broadcast the read receipt
+const markConversationRead = async ({ io, conversation, userId }) => {
+  const { modifiedCount, readAt } = await Message.markConversationRead(conversation._id, userId);
+
+  await Conversation.updateOne(
+    { _id: conversation._id },
+    { $set: { [`unreadCounts.${userId}`]: 0 } }
+  );
+
+  if (io && modifiedCount > 0) {
+    io.to(conversationRoom(conversation._id)).emit('messages-read', {
+      conversationId: conversation._id,
+      userId,
+      readAt
+    });
+  }
+
+  return { modifiedCount, readAt };
+};
+
+module.exports = {
+  conversationRoom,
+  sendMessage,
+  markConversationRead
+};
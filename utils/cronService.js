@@ -1,6 +1,10 @@
 // services/cronService.js
 const cron = require('node-cron');
 const { checkAndProcessAutoTopUps } = require('./stripeUtils');
+const { processPendingExports, expireExports, processDueErasures } = require('./dataPrivacy');
+const { processVerificationExpiry } = require('./verification');
+const { processRequestExpiry } = require('./requestExpiry');
+const { rollOverMonthlyEarnings, reconcilePayouts } = require('./jobPayments');
 const User = require('../models/User');
 const CreditTransaction = require('../models/CreditTransaction');
 const logger = require('../utils/loggerutility');
@@ -8,18 +12,23 @@ const logger = require('../utils/loggerutility');
 class CronService {
   constructor() {
     this.jobs = new Map();
+    // Outcome of recent runs, for jobs that report through runTracked
+    this.stats = new Map();
   }
 
   /**
-   * Initialize all cron jobs
+   * Initialize the scheduled jobs. The auto top-up, low credits, cleanup and
+   * analytics jobs are not scheduled: they charge cards and deactivate accounts,
+   * and need reviewing before they are switched on.
    */
   init() {
-    this.setupAutoTopUpJob();
-    this.setupLowCreditsNotificationJob();
-    this.setupCleanupJob();
-    this.setupAnalyticsJob();
+    this.setupDataPrivacyJob();
+    this.setupVerificationExpiryJob();
+    this.setupRequestExpiryJob();
+    this.setupEarningsRolloverJob();
+    this.setupPayoutReconciliationJob();
     
-    logger.info('Cron service initialized with all jobs');
+    logger.info(`Cron service initialized with ${this.jobs.size} jobs`);
   }
 
   /**
@@ -94,14 +103,16 @@ class CronService {
       try {
         logger.info('Starting daily cleanup job...');
         
-        // Clean up old pending transactions (older than 24 hours)
+        // Clean up old pending transactions (older than 24 hours). Paid purchases,
+        // refunds and clawbacks stay pending until a retry finishes them, so they are kept.
         const oneDayAgo = new Date();
         oneDayAgo.setHours(oneDayAgo.getHours() - 24);
         
         const expiredTransactions = await CreditTransaction.updateMany(
           {
             status: 'pending',
-            createdAt: { $lt: oneDayAgo }
+            createdAt: { $lt: oneDayAgo },
+            idempotencyKey: { $not: /^(purchase|refund|clawback):/ }
           },
           {
             status: 'cancelled',
@@ -225,6 +236,152 @@ class CronService {
     logger.info('Analytics job scheduled (daily at 3 AM)');
   }
 
+  /**
+   * Data privacy job - runs every 15 minutes: builds queued exports, deletes expired
+   * export archives and erases accounts whose grace period has passed
+   */
+  setupDataPrivacyJob() {
+    const job = cron.schedule('*/15 * * * *', async () => {
+      try {
+        const built = await processPendingExports();
+        const expired = await expireExports();
+        const erased = await processDueErasures();
+
+        if (built || expired || erased) {
+          logger.info(`Data privacy job: ${built} exports built, ${expired} expired, ${erased} accounts erased`);
+        }
+      } catch (error) {
+        logger.error('Data privacy job error:', error);
+      }
+    }, {
+      scheduled: false,
+      timezone: 'Europe/London'
+    });
+
+    this.jobs.set('dataPrivacy', job);
+    logger.info('Data privacy job scheduled (every 15 minutes)');
+  }
+
+  /**
+   * Verification expiry job - runs daily at 8 AM: reminds providers before their
+   * documents expire and removes badges once they have
+   */
+  setupVerificationExpiryJob() {
+    const job = cron.schedule('0 8 * * *', async () => {
+      try {
+        const { reminded, expired } = await processVerificationExpiry();
+
+        if (reminded || expired) {
+          logger.info(`Verification expiry job: ${reminded} reminders sent, ${expired} verifications expired`);
+        }
+      } catch (error) {
+        logger.error('Verification expiry job error:', error);
+      }
+    }, {
+      scheduled: false,
+      timezone: 'Europe/London'
+    });
+
+    this.jobs.set('verificationExpiry', job);
+    logger.info('Verification expiry job scheduled (daily at 8 AM)');
+  }
+
+  /**
+   * Request expiry job - runs hourly: reminds customers before their request
+   * expires, closes stale quotes and expires requests past their date
+   */
+  setupRequestExpiryJob() {
+    const job = cron.schedule('15 * * * *', async () => {
+      const result = await this.runTracked('requestExpiry', processRequestExpiry);
+
+      if (result && (result.reminded || result.quotesClosed || result.expired)) {
+        logger.info(`Request expiry job: ${result.reminded} reminders sent, ${result.quotesClosed} requests with stale quotes closed, ${result.expired} requests expired`);
+      }
+    }, {
+      scheduled: false,
+      timezone: 'Europe/London'
+    });
+
+    this.jobs.set('requestExpiry', job);
+    logger.info('Request expiry job scheduled (hourly)');
+  }
+
+  /**
+   * Earnings rollover job - runs at midnight on the 1st of each month: moves
+   * providers' earnings for the month just ended into lastMonth
+   */
+  setupEarningsRolloverJob() {
+    const job = cron.schedule('0 0 1 * *', async () => {
+      const result = await this.runTracked('earningsRollover', rollOverMonthlyEarnings);
+
+      if (result) {
+        logger.info(`Earnings rollover job: ${result.updated} providers updated`);
+      }
+    }, {
+      scheduled: false,
+      timezone: 'Europe/London'
+    });
+
+    this.jobs.set('earningsRollover', job);
+    logger.info('Earnings rollover job scheduled (monthly on the 1st)');
+  }
+
+  /**
+   * Payout reconciliation job - runs every 30 minutes: settles payouts whose
+   * Stripe transfer may or may not have gone through
+   */
+  setupPayoutReconciliationJob() {
+    const job = cron.schedule('*/30 * * * *', async () => {
+      const result = await this.runTracked('payoutReconciliation', reconcilePayouts);
+
+      if (result && result.checked) {
+        logger.info(`Payout reconciliation job: ${result.checked} checked, ${result.paid} paid, ${result.failed} failed`);
+      }
+    }, {
+      scheduled: false,
+      timezone: 'Europe/London'
+    });
+
+    this.jobs.set('payoutReconciliation', job);
+    logger.info('Payout reconciliation job scheduled (every 30 minutes)');
+  }
+
+  /**
+   * Run a job's task and record how it went for getStatus(). Overlapping runs are skipped.
+   */
+  async runTracked(name, task) {
+    const stats = this.stats.get(name) || { runs: 0, failures: 0, skipped: 0, inProgress: false };
+    this.stats.set(name, stats);
+
+    if (stats.inProgress) {
+      stats.skipped += 1;
+      logger.warn(`Cron job ${name} is still running, skipping this run`);
+      return null;
+    }
+
+    const startedAt = new Date();
+    stats.inProgress = true;
+    stats.lastRunAt = startedAt;
+
+    try {
+      const result = await task();
+      stats.runs += 1;
+      stats.lastResult = result;
+      stats.lastSuccessAt = new Date();
+      stats.lastError = null;
+      return result;
+    } catch (error) {
+      stats.runs += 1;
+      stats.failures += 1;
+      stats.lastError = { message: error.message, at: new Date() };
+      logger.error(`Cron job ${name} error:`, error);
+      return null;
+    } finally {
+      stats.inProgress = false;
+      stats.lastDurationMs = Date.now() - startedAt.getTime();
+    }
+  }
+
   /**
    * Start all cron jobs
    */
@@ -253,7 +410,8 @@ class CronService {
     this.jobs.forEach((job, name) => {
       status[name] = {
         running: job.running || false,
-        scheduled: job.scheduled || false
+        scheduled: job.scheduled || false,
+        ...(this.stats.has(name) && { stats: { ...this.stats.get(name) } })
       };
     });
     return status;
@@ -0,0 +1,53 @@
+// utils/currency.js
+const logger = require('./loggerutility');
+
+// Units of each currency per 1 GBP. Override with FX_RATES, e.g. FX_RATES='{"USD":1.25}'
+const DEFAULT_RATES = {
+  GBP: 1,
+  USD: 1.27,
+  EUR: 1.17,
+  PKR: 355,
+  AED: 4.66,
+  INR: 106
+};
+
+let cachedRates = null;
+
+const getRates = () => {
+  if (cachedRates) return cachedRates;
+
+  let overrides = {};
+  if (process.env.FX_RATES) {
+    try {
+      overrides = JSON.parse(process.env.FX_RATES);
+    } catch (error) {
+      logger.error('Invalid FX_RATES, using default exchange rates:', error);
+    }
+  }
+
+  cachedRates = Object.fromEntries(
+    Object.entries({ ...DEFAULT_RATES, ...overrides }).map(([code, rate]) => [code.toUpperCase(), Number(rate)])
+  );
+  return cachedRates;
+};
+
+const isSupportedCurrency = (currency) => !!currency && getRates()[currency.toUpperCase()] > 0;
+
+// Convert an amount between currencies. Returns null when either currency is unknown.
+const convert = (amount, from, to) => {
+  if (amount === null || amount === undefined || !from || !to) return null;
+
+  const source = from.toUpperCase();
+  const target = to.toUpperCase();
+  if (source === target) return amount;
+
+  const rates = getRates();
+  if (!(rates[source] > 0) || !(rates[target] > 0)) return null;
+
+  return Math.round((amount / rates[source]) * rates[target] * 100) / 100;
+};
+
+module.exports = {
+  isSupportedCurrency,
+  convert
+};
@@ -0,0 +1,449 @@
+// utils/dataPrivacy.js - personal data export and right-to-erasure
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const mongoose = require('mongoose');
+
+const User = require('../models/User');
+const Request = require('../models/request');
+const Review = require('../models/Review');
+const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
+const Notification = require('../models/notifiication');
+const CreditTransaction = require('../models/CreditTransaction');
+const Payout = require('../models/Payout');
+const Service = require('../models/Service');
+const Session = require('../models/Session');
+const Business = require('../models/Business');
+const DataExport = require('../models/DataExport');
+const { OPEN_STATUSES, transitionRequest } = require('./requestStateMachine');
+const logger = require('./loggerutility');
+
+const EXPORT_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_EXPORT_ATTEMPTS = 3;
+const STALE_PROCESSING_MS = 60 * 60 * 1000;
+const DEFAULT_ERASURE_GRACE_DAYS = 30;
+
+const REMOVED_TEXT = '[removed at the user\'s request]';
+
+const getExportDir = () => process.env.DATA_EXPORT_DIR || path.join(__dirname, '..', 'exports');
+
+// Days between asking to delete an account and the data being anonymised (0 erases straight away)
+const getErasureGraceDays = () => {
+  const days = parseInt(process.env.ERASURE_GRACE_DAYS, 10);
+  return Number.isNaN(days) || days < 0 ? DEFAULT_ERASURE_GRACE_DAYS : days;
+};
+
+const getExportFilePath = (dataExport) => path.join(getExportDir(), path.basename(dataExport.fileName));
+
+// ---------------------------------------------------------------------------
+// Export
+// ---------------------------------------------------------------------------
+
+// Everything held about a user, one section per kind of record. Secrets (password hash,
+// 2FA secrets, verification codes) are never selected.
+const collectUserData = async (userId) => {
+  const id = new mongoose.Types.ObjectId(userId);
+
+  const profile = await User.findById(id)
+    .select('-emailVerificationToken -emailVerificationExpire -resetPasswordToken -resetPasswordExpire')
+    .lean();
+
+  const [requests, quotedRequests, reviewsWritten, reviewsReceived, notifications, messages, creditTransactions, payouts, services, sessions] = await Promise.all([
+    Request.find({ customer: id }).select('-quotes -analytics.contactedProviders').lean(),
+    Request.find({ 'quotes.provider': id }).select('title category status createdAt quotes').lean(),
+    Review.find({ customer: id }).lean(),
+    Review.find({ serviceProvider: id }).lean(),
+    Notification.find({ user: id }).lean(),
+    Message.find({ sender: id }).select('conversation text attachments createdAt').lean(),
+    CreditTransaction.find({ $or: [{ user: id }, { performedBy: id }] }).lean(),
+    Payout.find({ provider: id }).select('-idempotencyKey').lean(),
+    Service.find({ provider: id }).lean(),
+    Session.find({ user: id }).select('userAgent ipAddress device createdAt lastUsedAt revokedAt').lean()
+  ]);
+
+  // Only the user's own quotes, not other providers' on the same request
+  const quotes = quotedRequests.flatMap(request => request.quotes
+    .filter(quote => quote.provider.equals(id))
+    .map(quote => ({
+      requestId: request._id,
+      requestTitle: request.title,
+      requestStatus: request.status,
+      ...quote
+    })));
+
+  return {
+    profile,
+    requests,
+    quotes,
+    reviews: { written: reviewsWritten, received: reviewsReceived },
+    notifications,
+    messages,
+    creditTransactions,
+    payouts,
+    services,
+    sessions
+  };
+};
+
+const countSections = (data) => ({
+  requests: data.requests.length,
+  quotes: data.quotes.length,
+  reviewsWritten: data.reviews.written.length,
+  reviewsReceived: data.reviews.received.length,
+  notifications: data.notifications.length,
+  messages: data.messages.length,
+  creditTransactions: data.creditTransactions.length,
+  payouts: data.payouts.length,
+  services: data.services.length,
+  sessions: data.sessions.length
+});
+
+const writeZip = (filePath, data, exportedAt) => new Promise((resolve, reject) => {
+  const output = fs.createWriteStream(filePath);
+  const archive = archiver('zip', { zlib: { level: 9 } });
+
+  output.on('close', resolve);
+  output.on('error', reject);
+  archive.on('error', reject);
+  archive.pipe(output);
+
+  archive.append(
+    [
+      'Personal data export',
+      `Generated: ${exportedAt.toISOString()}`,
+      '',
+      'Each JSON file holds one kind of record linked to your account.',
+      'Messages include only those you sent; quotes include only your own.'
+    ].join('\n'),
+    { name: 'README.txt' }
+  );
+
+  Object.entries(data).forEach(([section, records]) => {
+    archive.append(JSON.stringify(records, null, 2), { name: `${section}.json` });
+  });
+
+  archive.finalize();
+});
+
+// Build the archive for a claimed export and mark it ready (or retry later)
+const buildExport = async (dataExport) => {
+  try {
+    const exportedAt = new Date();
+    const data = await collectUserData(dataExport.user);
+
+    if (!data.profile) {
+      throw new Error('User not found');
+    }
+
+    await fs.promises.mkdir(getExportDir(), { recursive: true });
+    const fileName = `${dataExport.user}-${dataExport._id}.${dataExport.format}`;
+    const filePath = path.join(getExportDir(), fileName);
+
+    if (dataExport.format === 'zip') {
+      await writeZip(filePath, data, exportedAt);
+    } else {
+      await fs.promises.writeFile(filePath, JSON.stringify({ exportedAt, ...data }, null, 2));
+    }
+
+    const { size } = await fs.promises.stat(filePath);
+
+    dataExport.set({
+      status: 'ready',
+      fileName,
+      fileSize: size,
+      counts: countSections(data),
+      completedAt: new Date(),
+      expiresAt: new Date(Date.now() + EXPORT_TTL_MS),
+      failureReason: undefined
+    });
+    await dataExport.save();
+
+    try {
+      await Notification.createNotification({
+        user: dataExport.user,
+        type: 'system_update',
+        title: 'Your data export is ready',
+        message: 'Your personal data export is ready to download for the next 7 days.',
+        data: { exportId: dataExport._id },
+        actionUrl: '/settings/privacy',
+        actionLabel: 'Download'
+      });
+    } catch (error) {
+      logger.error('Data export notification error:', error);
+    }
+
+    logger.info(`Data export ${dataExport._id} ready for user ${dataExport.user} (${size} bytes)`);
+    return dataExport;
+
+  } catch (error) {
+    logger.error(`Data export ${dataExport._id} failed:`, error);
+
+    dataExport.status = dataExport.attempts >= MAX_EXPORT_ATTEMPTS ? 'failed' : 'pending';
+    dataExport.failureReason = error.message;
+    await dataExport.save();
+    return dataExport;
+  }
+};
+
+// Build queued exports, oldest first. Safe to run from several places at once:
+// each export is claimed atomically.
+const processPendingExports = async (limit = 5) => {
+  // Exports left mid-build by a restart go back in the queue
+  await DataExport.updateMany(
+    { status: 'processing', startedAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) } },
+    { $set: { status: 'pending' } }
+  );
+
+  let processed = 0;
+  while (processed < limit) {
+    const dataExport = await DataExport.claimNext();
+    if (!dataExport) break;
+
+    await buildExport(dataExport);
+    processed += 1;
+  }
+
+  return processed;
+};
+
+const removeExportFile = async (dataExport) => {
+  if (!dataExport.fileName) return;
+
+  try {
+    await fs.promises.unlink(getExportFilePath(dataExport));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+};
+
+// Delete archives past their download window
+const expireExports = async () => {
+  const expired = await DataExport.find({ status: 'ready', expiresAt: { $lte: new Date() } }).select('+fileName');
+
+  for (const dataExport of expired) {
+    await removeExportFile(dataExport);
+    dataExport.status = 'expired';
+    dataExport.fileName = undefined;
+    await dataExport.save();
+  }
+
+  return expired.length;
+};
+
+// ---------------------------------------------------------------------------
+// Erasure
+// ---------------------------------------------------------------------------
+
+// Deactivate the account now and anonymise it once the grace period has passed
+const scheduleErasure = async (user, { reason } = {}) => {
+  const now = new Date();
+  const scheduledFor = new Date(now.getTime() + getErasureGraceDays() * 24 * 60 * 60 * 1000);
+
+  user.isActive = false;
+  user.isOnline = false;
+  user.deactivatedAt = now;
+  user.deactivationReason = reason;
+  user.erasure = { requestedAt: now, scheduledFor };
+  await user.save({ validateBeforeSave: false });
+
+  await Session.revokeAllForUser(user._id, 'account_deleted');
+  await Service.updateMany({ provider: user._id }, { isActive: false, isPaused: true });
+
+  return scheduledFor;
+};
+
+// Undo a scheduled erasure that has not run yet
+const cancelErasure = async (userId) => User.findOneAndUpdate(
+  {
+    _id: userId,
+    'erasure.scheduledFor': { $exists: true },
+    'erasure.completedAt': { $exists: false }
+  },
+  {
+    $set: { isActive: true, 'erasure.cancelledAt': new Date() },
+    $unset: { 'erasure.scheduledFor': 1, deactivatedAt: 1, deactivationReason: 1 }
+  },
+  { new: true }
+);
+
+// Anonymise a user's personal data everywhere it is held. Financial records (credit
+// transactions, Stripe references, amounts) are kept for accounting; they stay linked
+// to the anonymised account.
+const eraseUser = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user || user.erasure?.completedAt) {
+    return null;
+  }
+
+  const id = user._id;
+  const now = new Date();
+  const originalEmail = user.email;
+  const summary = {};
+
+  // Teams: an owner's team is disbanded, membership and invitations are removed
+  await Business.updateMany({ owner: id, isActive: true }, { $set: { isActive: false, disbandedAt: now } });
+  await Business.updateMany({ 'members.user': id }, { $pull: { members: { user: id } } });
+  await Business.updateMany({ 'invitations.email': originalEmail }, { $pull: { invitations: { email: originalEmail } } });
+
+  // Requests they posted: close open ones and strip what identifies them
+  const openRequests = await Request.find({ customer: id, status: { $in: ['draft', ...OPEN_STATUSES] } });
+  for (const request of openRequests) {
+    try {
+      await transitionRequest(request, 'cancel', { actorRole: 'system', reason: 'Customer account deleted' });
+    } catch (error) {
+      logger.error(`Failed to cancel request ${request._id} during erasure:`, error);
+    }
+  }
+  summary.requests = (await Request.updateMany(
+    { customer: id },
+    {
+      $set: {
+        description: REMOVED_TEXT,
+        attachments: [],
+        'location.address': REMOVED_TEXT,
+        'location.postcode': null
+      }
+    }
+  )).modifiedCount;
+
+  // Quotes they sent as a provider
+  summary.quotes = (await Request.updateMany(
+    { 'quotes.provider': id },
+    {
+      $set: {
+        'quotes.$[quote].message': REMOVED_TEXT,
+        'quotes.$[quote].contactPhone': null,
+        'quotes.$[quote].contactEmail': null
+      }
+    },
+    { arrayFilters: [{ 'quote.provider': id }] }
+  )).modifiedCount;
+
+  // Reviews they wrote stay (they describe the provider) but are no longer attributed
+  summary.reviews = (await Review.updateMany(
+    { customer: id },
+    { $set: { isAnonymous: true, images: [] } }
+  )).modifiedCount;
+  await Review.updateMany(
+    { serviceProvider: id, 'response.comment': { $exists: true } },
+    { $set: { 'response.comment': REMOVED_TEXT } }
+  );
+
+  // Messages they sent
+  summary.messages = (await Message.updateMany(
+    { sender: id },
+    { $set: { text: REMOVED_TEXT, attachments: [] } }
+  )).modifiedCount;
+  await Conversation.updateMany(
+    { 'lastMessage.sender': id },
+    { $set: { 'lastMessage.text': REMOVED_TEXT, 'lastMessage.hasAttachments': false } }
+  );
+
+  // Credit transactions are financial records: keep them, drop the saved card reference
+  summary.creditTransactions = (await CreditTransaction.updateMany(
+    { user: id },
+    {
+      $set: { 'metadata.accountErasedAt': now },
+      $unset: { stripePaymentMethodId: 1 }
+    }
+  )).modifiedCount;
+
+  summary.notifications = (await Notification.deleteMany({ user: id })).deletedCount;
+  await Session.deleteMany({ user: id });
+  await Service.updateMany({ provider: id }, { isActive: false, isPaused: true });
+
+  const exports = await DataExport.find({ user: id }).select('+fileName');
+  for (const dataExport of exports) {
+    await removeExportFile(dataExport);
+  }
+  await DataExport.deleteMany({ user: id });
+
+  // Finally the account itself. Written directly because the placeholder email is
+  // deliberately not a deliverable address.
+  await User.updateOne(
+    { _id: id },
+    {
+      $set: {
+        firstName: 'Deleted',
+        lastName: 'User',
+        email: `erased-${id}@erased.invalid`,
+        avatar: 'default-avatar.jpg',
+        isActive: false,
+        isOnline: false,
+        emailVerified: false,
+        phoneVerified: false,
+        role: 'user',
+        roles: [],
+        oauthAccounts: [],
+        serviceAreas: [],
+        portfolio: [],
+        certifications: [],
+        bookmarkedLeads: [],
+        blockedCustomers: [],
+        'location.coordinates': [0, 0],
+        'preferences.autoTopUp.enabled': false,
+        'erasure.completedAt': now
+      },
+      $unset: {
+        password: 1,
+        phone: 1,
+        phoneVerifiedAt: 1,
+        businessName: 1,
+        website: 1,
+        businessLicense: 1,
+        bio: 1,
+        'location.address': 1,
+        socialLinks: 1,
+        defaultPaymentMethodId: 1,
+        'preferences.autoTopUp.paymentMethodId': 1,
+        twoFactor: 1,
+        phoneVerification: 1,
+        loginSecurity: 1,
+        emailVerificationToken: 1,
+        emailVerificationExpire: 1,
+        resetPasswordToken: 1,
+        resetPasswordExpire: 1,
+        deactivationReason: 1
+      }
+    }
+  );
+
+  logger.info(`Erased personal data for user ${id}:`, summary);
+  return summary;
+};
+
+// Run every erasure whose grace period has passed
+const processDueErasures = async (limit = 50) => {
+  const due = await User.find({
+    'erasure.scheduledFor': { $lte: new Date() },
+    'erasure.completedAt': { $exists: false }
+  })
+    .select('_id')
+    .limit(limit)
+    .lean();
+
+  let erased = 0;
+  for (const { _id } of due) {
+    try {
+      if (await eraseUser(_id)) erased += 1;
+    } catch (error) {
+      logger.error(`Erasure failed for user ${_id}:`, error);
+    }
+  }
+
+  return erased;
+};
+
+module.exports = {
+  getErasureGraceDays,
+  getExportFilePath,
+  collectUserData,
+  buildExport,
+  processPendingExports,
+  expireExports,
+  scheduleErasure,
+  cancelErasure,
+  eraseUser,
+  processDueErasures
+};
@@ -64,6 +64,159 @@ const emailTemplates = {
     `
   },
 
+  twoFactorCode: {
+    subject: 'Your Sign-in Code',
+    html: (data) => `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">Your Sign-in Code</h2>
+        <p>Hi ${data.name},</p>
+        <p>Use the code below to finish signing in:</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <span style="font-size: 32px; letter-spacing: 8px; font-weight: bold; color: #333;">${data.code}</span>
+        </div>
+        <p>This code will expire in ${data.expiresInMinutes} minutes.</p>
+        <hr style="margin: 30px 0;">
+        <p style="color: #888; font-size: 12px;">
+          If you didn't try to sign in, someone may know your password. Please change it straight away.
+        </p>
+      </div>
+    `
+  },
+
+  accountLocked: {
+    subject: 'Your Account Has Been Temporarily Locked',
+    html: (data) => `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">Account Temporarily Locked</h2>
+        <p>Hi ${data.name},</p>
+        <p>We locked your account for ${data.lockDuration} after ${data.attempts} failed sign-in attempts. The last attempt came from IP address ${data.ipAddress}.</p>
+        <p>If this was you, you can wait and try again, or reset your password now to unlock it straight away:</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${data.resetUrl}"
+             style="background-color: #dc3545; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+            Reset Password
+          </a>
+        </div>
+        <hr style="margin: 30px 0;">
+        <p style="color: #888; font-size: 12px;">
+          If this wasn't you, someone may be trying to guess your password. We recommend resetting it and turning on two-factor authentication.
+        </p>
+      </div>
+    `
+  },
+
+  newDeviceLogin: {
+    subject: 'New Sign-in to Your Account',
+    html: (data) => `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">New Sign-in Detected</h2>
+        <p>Hi ${data.name},</p>
+        <p>Your account was just signed in to from a device we haven't seen before:</p>
+        <div style="background-color: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0;">
+          <p><strong>Device:</strong> ${data.browser} on ${data.os}</p>
+          <p><strong>IP address:</strong> ${data.ipAddress}</p>
+          <p><strong>Time:</strong> ${data.time}</p>
+        </div>
+        <p>If this was you, there's nothing you need to do.</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${data.securityUrl}"
+             style="background-color: #007bff; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+            Review Your Sessions
+          </a>
+        </div>
+        <hr style="margin: 30px 0;">
+        <p style="color: #888; font-size: 12px;">
+          If this wasn't you, change your password straight away and sign out of all other sessions.
+        </p>
+      </div>
+    `
+  },
+
+  accountErasureScheduled: {
+    subject: 'Your Account Is Scheduled for Deletion',
+    html: (data) => `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">Account Deletion Scheduled</h2>
+        <p>Hi ${data.name},</p>
+        <p>Your account has been deactivated. Your personal data will be permanently erased on <strong>${data.scheduledFor}</strong>.</p>
+        <p>Changed your mind? You have ${data.graceDays} days to restore your account:</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${data.restoreUrl}"
+             style="background-color: #007bff; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+            Restore My Account
+          </a>
+        </div>
+        <hr style="margin: 30px 0;">
+        <p style="color: #888; font-size: 12px;">
+          Records we must keep for accounting, such as payments, are retained without your personal details.
+        </p>
+      </div>
+    `
+  },
+
+  teamInvitation: {
+    subject: 'You\'ve Been Invited to Join a Team',
+    html: (data) => `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">Join ${data.businessName}</h2>
+        <p>Hi,</p>
+        <p>${data.inviterName} has invited you to join <strong>${data.businessName}</strong> as a ${data.role}.</p>
+        <p>Team members respond to leads on behalf of the business and share its credit balance.</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${data.inviteUrl}"
+             style="background-color: #007bff; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+            Accept Invitation
+          </a>
+        </div>
+        <p>This invitation will expire in ${data.expiresInDays} days.</p>
+        <hr style="margin: 30px 0;">
+        <p style="color: #888; font-size: 12px;">
+          If you weren't expecting this, you can ignore this email.
+        </p>
+      </div>
+    `
+  },
+
+  verificationExpiring: {
+    subject: 'Your Verification Is Expiring Soon',
+    html: (data) => `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">Verification Expiring</h2>
+        <p>Hi ${data.name},</p>
+        <p>Your ${data.description} expires on <strong>${data.expiresAt}</strong> (in ${data.daysLeft} day${data.daysLeft === 1 ? '' : 's'}).</p>
+        <p>Upload a renewed document before then to keep your badge and continue contacting leads that require it.</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${data.verificationUrl}"
+             style="background-color: #007bff; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+            Renew Verification
+          </a>
+        </div>
+      </div>
+    `
+  },
+
+  requestExpiring: {
+    subject: 'Your Request Is About to Expire',
+    html: (data) => `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">Your Request Expires Soon</h2>
+        <p>Hi ${data.customerName},</p>
+        <p>Your request <strong>${data.requestTitle}</strong> expires on <strong>${data.expiresAt}</strong>.</p>
+        <p>You have ${data.quoteCount} quote${data.quoteCount === 1 ? '' : 's'} waiting for a decision.${data.canExtend ? ' Need more time? You can extend the request to keep receiving quotes.' : ''}</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${data.requestUrl}"
+             style="background-color: #007bff; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+            ${data.canExtend ? 'Extend or Review Quotes' : 'Review Quotes'}
+          </a>
+        </div>
+        <hr style="margin: 30px 0;">
+        <p style="color: #888; font-size: 12px;">
+          Quotes you haven't accepted will close when the request expires.
+        </p>
+      </div>
+    `
+  },
+
   newRequest: {
     subject: 'New Service Request in Your Area',
     html: (data) => `
@@ -0,0 +1,673 @@
+// utils/jobPayments.js
+// Escrow-style job payments. The customer pays the platform for the accepted quote,
+// the money is held against the request, and it is transferred to the provider's
+// Stripe Connect account (less the platform commission) when the job or a
+// milestone is signed off. Each transfer is recorded as a Payout.
+const stripe = require('./stripeClient');
+const Request = require('../models/request');
+const User = require('../models/User');
+const Payout = require('../models/Payout');
+const Notification = require('../models/notifiication');
+const logger = require('./loggerutility');
+
+// Platform commission taken from every payout, as a fraction of the amount released
+const COMMISSION_RATE = parseFloat(process.env.PLATFORM_COMMISSION_PERCENT || '10') / 100;
+
+// The customer can pay once a provider is selected, including after the work is done
+const PAYABLE_STATUSES = ['provider_selected', 'in_progress', 'completed'];
+
+// Payment statuses with money still waiting to be released
+const HELD_STATUSES = ['held', 'partially_released'];
+
+// Allowance for floating point when comparing amounts
+const EPSILON = 0.005;
+
+class JobPaymentError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'JobPaymentError';
+    this.code = code;
+  }
+}
+
+const toMinorUnits = (amount) => Math.round(amount * 100);
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const formatAmount = (amount, currency = 'gbp') => new Intl.NumberFormat('en-GB', {
+  style: 'currency',
+  currency: currency.toUpperCase()
+}).format(amount);
+
+const notify = async (data) => {
+  try {
+    await Notification.createNotification(data);
+  } catch (error) {
+    logger.error('Job payment notification error:', error);
+  }
+};
+
+const canReceivePayouts = (user) => !!(user?.stripeConnect?.accountId && user.stripeConnect.payoutsEnabled);
+
+/**
+ * Get the provider's Connect account, creating an Express account the first time
+ */
+const ensureConnectAccount = async (user) => {
+  if (user.stripeConnect?.accountId) return user.stripeConnect.accountId;
+
+  const account = await stripe.accounts.create({
+    type: 'express',
+    country: process.env.STRIPE_CONNECT_COUNTRY || 'GB',
+    email: user.email,
+    capabilities: {
+      transfers: { requested: true }
+    },
+    metadata: {
+      userId: user._id.toString()
+    }
+  });
+
+  // Two onboarding clicks at once must not leave the provider with two accounts
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id, 'stripeConnect.accountId': null },
+    { $set: { 'stripeConnect.accountId': account.id } },
+    { new: true }
+  );
+
+  if (!updated) {
+    await stripe.accounts.del(account.id).catch(error => logger.warn(`Failed to remove duplicate Connect account ${account.id}:`, error));
+    const current = await User.findById(user._id).select('stripeConnect');
+    return current.stripeConnect.accountId;
+  }
+
+  user.stripeConnect = updated.stripeConnect;
+  return account.id;
+};
+
+/**
+ * Link to Stripe's hosted onboarding for the provider's Connect account
+ */
+const createOnboardingLink = async (user) => {
+  const accountId = await ensureConnectAccount(user);
+
+  const link = await stripe.accountLinks.create({
+    account: accountId,
+    refresh_url: `${process.env.CLIENT_URL}/settings/payouts?refresh=true`,
+    return_url: `${process.env.CLIENT_URL}/settings/payouts?onboarded=true`,
+    type: 'account_onboarding'
+  });
+
+  return { accountId, url: link.url, expiresAt: new Date(link.expires_at * 1000) };
+};
+
+/**
+ * Copy a Connect account's state onto its provider (account.updated webhook and status checks)
+ */
+const syncConnectAccount = async (account) => {
+  const user = await User.findOneAndUpdate(
+    { 'stripeConnect.accountId': account.id },
+    {
+      $set: {
+        'stripeConnect.detailsSubmitted': !!account.details_submitted,
+        'stripeConnect.chargesEnabled': !!account.charges_enabled,
+        'stripeConnect.payoutsEnabled': !!account.payouts_enabled
+      }
+    },
+    { new: true }
+  );
+
+  if (!user) {
+    return { skipped: true };
+  }
+
+  if (account.payouts_enabled && !user.stripeConnect.onboardedAt) {
+    await User.updateOne(
+      { _id: user._id, 'stripeConnect.onboardedAt': null },
+      { $set: { 'stripeConnect.onboardedAt': new Date() } }
+    );
+  }
+
+  return { userId: user._id, payoutsEnabled: user.stripeConnect.payoutsEnabled };
+};
+
+/**
+ * Start (or resume) the customer's payment for the accepted quote.
+ * The money stays on the platform account until it is released to the provider.
+ */
+const createJobPayment = async (request, stripeCustomerId) => {
+  if (!PAYABLE_STATUSES.includes(request.status)) {
+    throw new JobPaymentError('Payment can only be made once a provider has been selected', 'NOT_PAYABLE');
+  }
+
+  const payment = request.payment;
+  if (!['unpaid', 'awaiting_payment'].includes(payment.status)) {
+    throw new JobPaymentError('This job has already been paid for', 'ALREADY_PAID');
+  }
+
+  if (!(payment.totalAmount > 0)) {
+    throw new JobPaymentError('The accepted quote has no price to pay', 'NO_AMOUNT');
+  }
+
+  const provider = await User.findById(request.selectedProvider).select('stripeConnect');
+  if (!canReceivePayouts(provider)) {
+    throw new JobPaymentError('Your provider has not set up payouts yet. Please try again later.', 'PROVIDER_NOT_READY');
+  }
+
+  const amount = toMinorUnits(payment.totalAmount);
+  const currency = (payment.currency || 'gbp').toLowerCase();
+
+  // Carry on with an unfinished payment rather than starting another
+  const previousIntentId = payment.stripePaymentIntentId || null;
+  if (previousIntentId) {
+    const previous = await stripe.paymentIntents.retrieve(previousIntentId);
+    if (!['canceled', 'succeeded'].includes(previous.status) && previous.amount === amount && previous.currency === currency) {
+      return previous;
+    }
+  }
+
+  const paymentIntent = await stripe.paymentIntents.create({
+    amount,
+    currency,
+    customer: stripeCustomerId,
+    description: `Payment for "${request.title}"`,
+    transfer_group: `request_${request._id}`,
+    automatic_payment_methods: {
+      enabled: true
+    },
+    metadata: {
+      purpose: 'job_payment',
+      requestId: request._id.toString(),
+      customerId: request.customer.toString(),
+      providerId: request.selectedProvider.toString()
+    }
+  });
+
+  const claimed = await Request.updateOne(
+    {
+      _id: request._id,
+      'payment.stripePaymentIntentId': previousIntentId,
+      'payment.status': { $in: ['unpaid', 'awaiting_payment'] }
+    },
+    {
+      $set: {
+        'payment.stripePaymentIntentId': paymentIntent.id,
+        'payment.status': 'awaiting_payment'
+      }
+    }
+  );
+
+  if (claimed.modifiedCount === 0) {
+    await stripe.paymentIntents.cancel(paymentIntent.id).catch(error => logger.warn(`Failed to cancel duplicate payment intent ${paymentIntent.id}:`, error));
+    throw new JobPaymentError('A payment for this job is already in progress, please reload', 'CONFLICT');
+  }
+
+  request.payment.stripePaymentIntentId = paymentIntent.id;
+  request.payment.status = 'awaiting_payment';
+
+  return paymentIntent;
+};
+
+// Stripe errors that mean the transfer was definitely not made. Anything else
+// (timeouts, connection errors, 5xx) may have gone through on Stripe's side.
+const REJECTION_ERRORS = [
+  'StripeCardError',
+  'StripeInvalidRequestError',
+  'StripePermissionError',
+  'StripeAuthenticationError',
+  'StripeRateLimitError'
+];
+
+// Stripe rejecting the transfer settles it. Our own checks only do on a first attempt:
+// a resumed payout may already have a transfer from an attempt we did not hear back from.
+const isDefiniteRejection = (error, resumed) => REJECTION_ERRORS.includes(error.type) ||
+  (!resumed && error instanceof JobPaymentError);
+
+// Stripe keeps the outcome of a key, errors included, so a payout only moves to a new
+// key after Stripe has rejected the previous attempt; until then every retry reuses it
+const getTransferIdempotencyKey = (payout) => (payout.rejectedAttempts
+  ? `${payout.idempotencyKey}:${payout.rejectedAttempts}`
+  : payout.idempotencyKey);
+
+// A transfer already made for this payout by an earlier attempt whose outcome was lost
+const findExistingTransfer = async (payout) => {
+  const transfers = await stripe.transfers.list({ transfer_group: `request_${payout.request}`, limit: 100 });
+  return transfers.data.find(transfer => transfer.metadata?.payoutId === payout._id.toString()) || null;
+};
+
+// Record a transfer that went through: payout, earnings, request status and the provider
+const completePayout = async (request, payout, transfer, milestone) => {
+  const paid = await Payout.findOneAndUpdate(
+    { _id: payout._id, status: { $in: ['pending', 'reconciling'] } },
+    {
+      $set: { status: 'paid', stripeAccountId: transfer.destination, stripeTransferId: transfer.id, paidAt: new Date() },
+      $unset: { failureReason: 1 }
+    },
+    { new: true }
+  );
+  if (!paid) {
+    return { duplicate: true, payout: await Payout.findById(payout._id) };
+  }
+  payout = paid;
+
+  await User.updateOne(
+    { _id: payout.provider },
+    { $inc: { 'earnings.total': payout.netAmount, 'earnings.thisMonth': payout.netAmount } }
+  );
+
+  const current = await Request.findById(request._id).select('payment');
+  const fullyReleased = current.payment.amountReleased >= current.payment.amountHeld - EPSILON;
+  await Request.updateOne(
+    { _id: request._id, 'payment.status': { $in: fullyReleased ? HELD_STATUSES : ['held'] } },
+    {
+      $set: {
+        'payment.status': fullyReleased ? 'released' : 'partially_released',
+        ...(fullyReleased && { 'payment.releasedAt': new Date() })
+      }
+    }
+  );
+
+  request.payment.amountReleased = current.payment.amountReleased;
+  request.payment.status = fullyReleased ? 'released' : 'partially_released';
+
+  await notify({
+    user: payout.provider,
+    type: 'payment_received',
+    title: 'Payment released',
+    message: `${formatAmount(payout.netAmount, payout.currency)} has been paid out for ${milestone ? `"${milestone.title}" on ` : ''}"${request.title}"`,
+    data: { requestId: request._id, payoutId: payout._id }
+  });
+
+  logger.info(`Released ${payout.grossAmount} ${payout.currency} (${payout.netAmount} net) for request ${request._id} to provider ${payout.provider}`);
+
+  return { payout };
+};
+
+// Send (or find) the transfer for a payout whose amount is reserved on the request.
+// The reservation is only given back when Stripe definitely did not make the transfer.
+const sendPayout = async (request, payout, milestone) => {
+  const resumed = payout.attempts > 0;
+  let transfer;
+  try {
+    // An earlier attempt may have reached Stripe without us hearing back
+    if (resumed) {
+      transfer = await findExistingTransfer(payout);
+    }
+
+    if (!transfer) {
+      const provider = await User.findById(payout.provider).select('stripeConnect');
+      if (!canReceivePayouts(provider)) {
+        throw new JobPaymentError('Provider has not finished setting up payouts', 'PROVIDER_NOT_READY');
+      }
+
+      payout.attempts += 1;
+      await payout.save();
+
+      transfer = await stripe.transfers.create({
+        amount: toMinorUnits(payout.netAmount),
+        currency: payout.currency,
+        destination: provider.stripeConnect.accountId,
+        transfer_group: `request_${request._id}`,
+        source_transaction: request.payment.stripeChargeId,
+        description: milestone ? `Milestone "${milestone.title}" on "${request.title}"` : `Payment for "${request.title}"`,
+        metadata: {
+          payoutId: payout._id.toString(),
+          requestId: request._id.toString(),
+          milestoneId: milestone ? milestone._id.toString() : ''
+        }
+      }, {
+        idempotencyKey: getTransferIdempotencyKey(payout)
+      });
+    }
+  } catch (error) {
+    logger.error(`Payout ${payout._id} for request ${request._id} failed:`, error);
+
+    if (isDefiniteRejection(error, resumed)) {
+      await Request.updateOne({ _id: request._id }, { $inc: { 'payment.amountReleased': -payout.grossAmount } });
+      payout.status = 'failed';
+      if (error.type) payout.rejectedAttempts += 1;
+    } else {
+      // Keep the amount reserved until we know whether the transfer exists
+      payout.status = 'reconciling';
+    }
+    payout.failureReason = String(error.message).substring(0, 1000);
+    await payout.save();
+
+    return payout.status === 'failed' ? { failed: true, payout } : { reconciling: true, payout };
+  }
+
+  try {
+    return await completePayout(request, payout, transfer, milestone);
+  } catch (error) {
+    // The money has moved; leave the payout for reconciliation to finish recording it
+    logger.error(`Payout ${payout._id} was transferred (${transfer.id}) but could not be recorded:`, error);
+    await Payout.updateOne({ _id: payout._id, status: { $ne: 'paid' } }, { $set: { status: 'reconciling' } }).catch(() => {});
+    return { reconciling: true, payout };
+  }
+};
+
+/**
+ * Move money from the held payment to the provider's Connect account.
+ * Pass a milestone to release just that milestone's amount; otherwise everything
+ * still held is released. Each release has one Payout (see Payout.idempotencyKey):
+ * a failed one is retried with the same amounts, and one whose outcome is unknown is
+ * checked against Stripe before anything is sent again.
+ */
+const releaseJobPayment = async (request, { milestone = null } = {}) => {
+  const idempotencyKey = `release:${request._id}:${milestone ? milestone._id : 'final'}`;
+  let payout = await Payout.findOne({ idempotencyKey });
+
+  if (payout && ['paid', 'reversed', 'pending'].includes(payout.status)) {
+    return { duplicate: true, payout };
+  }
+
+  // The amount is still reserved from the attempt we did not hear back about
+  if (payout?.status === 'reconciling') {
+    const claimed = await Payout.findOneAndUpdate(
+      { _id: payout._id, status: 'reconciling' },
+      { $set: { status: 'pending' } },
+      { new: true }
+    );
+    return claimed ? sendPayout(request, claimed, milestone) : { duplicate: true, payout };
+  }
+
+  if (!HELD_STATUSES.includes(request.payment?.status)) {
+    return { skipped: true };
+  }
+
+  const remaining = roundAmount(request.payment.amountHeld - request.payment.amountReleased);
+  const grossAmount = payout
+    ? payout.grossAmount
+    : roundAmount(milestone ? Math.min(milestone.amount || 0, remaining) : remaining);
+  if (!(grossAmount > 0)) {
+    return { skipped: true };
+  }
+
+  // Reserve the amount first so concurrent releases can never pay out more than was held
+  const reserved = await Request.findOneAndUpdate(
+    {
+      _id: request._id,
+      'payment.status': { $in: HELD_STATUSES },
+      $expr: {
+        $lte: [
+          { $add: ['$payment.amountReleased', grossAmount] },
+          { $add: ['$payment.amountHeld', EPSILON] }
+        ]
+      }
+    },
+    { $inc: { 'payment.amountReleased': grossAmount } },
+    { new: true }
+  );
+
+  if (!reserved) {
+    return { skipped: true };
+  }
+
+  try {
+    if (payout) {
+      // Retry of a failed payout: same amounts, so a replayed Stripe request matches
+      const retried = await Payout.findOneAndUpdate(
+        { _id: payout._id, status: 'failed' },
+        { $set: { status: 'pending' } },
+        { new: true }
+      );
+      if (!retried) {
+        await Request.updateOne({ _id: request._id }, { $inc: { 'payment.amountReleased': -grossAmount } });
+        return { duplicate: true, payout: await Payout.findById(payout._id) };
+      }
+      payout = retried;
+    } else {
+      const commission = roundAmount(grossAmount * COMMISSION_RATE);
+      payout = await Payout.create({
+        provider: request.selectedProvider,
+        request: request._id,
+        milestone: milestone ? milestone._id : undefined,
+        grossAmount,
+        commission,
+        commissionRate: COMMISSION_RATE,
+        netAmount: roundAmount(grossAmount - commission),
+        currency: (request.payment.currency || 'gbp').toLowerCase(),
+        stripeChargeId: request.payment.stripeChargeId,
+        idempotencyKey
+      });
+    }
+  } catch (error) {
+    await Request.updateOne({ _id: request._id }, { $inc: { 'payment.amountReleased': -grossAmount } });
+    if (error.code === 11000) {
+      return { duplicate: true, payout: await Payout.findOne({ idempotencyKey }) };
+    }
+    throw error;
+  }
+
+  return sendPayout(request, payout, milestone);
+};
+
+/**
+ * Handle a succeeded job payment: hold the money and release anything already signed off
+ */
+const handleJobPaymentSucceeded = async (paymentIntent) => {
+  const { requestId } = paymentIntent.metadata || {};
+  if (!requestId) {
+    return { skipped: true };
+  }
+
+  const request = await Request.findOneAndUpdate(
+    {
+      _id: requestId,
+      'payment.stripePaymentIntentId': paymentIntent.id,
+      'payment.status': { $in: ['unpaid', 'awaiting_payment'] }
+    },
+    {
+      $set: {
+        'payment.status': 'held',
+        'payment.amountHeld': (paymentIntent.amount_received || paymentIntent.amount) / 100,
+        'payment.stripeChargeId': typeof paymentIntent.latest_charge === 'string' ? paymentIntent.latest_charge : paymentIntent.latest_charge?.id,
+        'payment.heldAt': new Date()
+      }
+    },
+    { new: true }
+  );
+
+  if (!request) {
+    return { duplicate: true };
+  }
+
+  const amount = formatAmount(request.payment.amountHeld, request.payment.currency);
+
+  await notify({
+    user: request.customer,
+    type: 'payment_received',
+    title: 'Payment received',
+    message: `We're holding your payment of ${amount} for "${request.title}" until you sign off the work`,
+    data: { requestId: request._id }
+  });
+
+  await notify({
+    user: request.selectedProvider,
+    type: 'payment_received',
+    title: 'Job paid for',
+    message: `The customer has paid ${amount} for "${request.title}". It will be released to you as the work is signed off.`,
+    priority: 'high',
+    data: { requestId: request._id }
+  });
+
+  // Work the customer has already approved is paid out straight away
+  const released = [];
+  if (request.status === 'completed') {
+    released.push(await releaseJobPayment(request));
+  } else {
+    for (const milestone of request.project.milestones.filter(entry => entry.status === 'approved')) {
+      released.push(await releaseJobPayment(request, { milestone }));
+    }
+  }
+
+  return { held: true, requestId: request._id, payouts: released.filter(result => result.payout).length };
+};
+
+/**
+ * Handle a failed job payment - the customer can try again with another card
+ */
+const handleJobPaymentFailed = async (paymentIntent) => {
+  const { requestId, customerId } = paymentIntent.metadata || {};
+  if (!requestId) {
+    return { skipped: true };
+  }
+
+  await notify({
+    user: customerId,
+    type: 'payment_pending',
+    title: 'Payment failed',
+    message: paymentIntent.last_payment_error?.message || 'Your payment could not be completed. Please try again.',
+    data: { requestId }
+  });
+
+  logger.warn(`Job payment failed: ${paymentIntent.id} for request ${requestId}`);
+  return { failed: true };
+};
+
+/**
+ * Handle a refunded job charge - refunded money is no longer held for the provider
+ */
+const handleJobChargeRefunded = async (charge) => {
+  const request = await Request.findOne({ 'payment.stripeChargeId': charge.id }).select('payment');
+  if (!request) {
+    return { skipped: true };
+  }
+
+  const fullyRefunded = charge.amount_refunded >= charge.amount;
+  const stillHeld = Math.max((charge.amount - charge.amount_refunded) / 100, request.payment.amountReleased);
+
+  await Request.updateOne(
+    { _id: request._id },
+    {
+      $set: {
+        'payment.amountHeld': stillHeld,
+        ...(fullyRefunded && { 'payment.status': 'refunded' })
+      }
+    }
+  );
+
+  return { requestId: request._id, refunded: charge.amount_refunded / 100 };
+};
+
+/**
+ * Handle a reversed transfer - the payout no longer counts towards earnings
+ */
+const handleTransferReversed = async (transfer) => {
+  const payout = await Payout.findOneAndUpdate(
+    { stripeTransferId: transfer.id, status: 'paid' },
+    { $set: { status: 'reversed', reversedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!payout) {
+    return { skipped: true };
+  }
+
+  const now = new Date();
+  const paidThisMonth = payout.paidAt.getMonth() === now.getMonth() && payout.paidAt.getFullYear() === now.getFullYear();
+
+  await User.updateOne(
+    { _id: payout.provider },
+    { $inc: { 'earnings.total': -payout.netAmount, ...(paidThisMonth && { 'earnings.thisMonth': -payout.netAmount }) } }
+  );
+
+  return { reversed: true, payoutId: payout._id };
+};
+
+// Payouts stuck in 'pending' this long are assumed to have lost their process
+const STALE_PAYOUT_MS = 15 * 60 * 1000;
+
+/**
+ * Retry a failed payout (e.g. once the provider has finished onboarding), or settle one
+ * whose outcome is unknown. A stale 'pending' payout is settled the same way.
+ */
+const retryPayout = async (payout) => {
+  const stalePending = payout.status === 'pending' && payout.updatedAt < new Date(Date.now() - STALE_PAYOUT_MS);
+  if (!['failed', 'reconciling'].includes(payout.status) && !stalePending) {
+    throw new JobPaymentError('Only failed or unsettled payouts can be retried', 'NOT_RETRYABLE');
+  }
+
+  const request = await Request.findById(payout.request);
+  if (!request) {
+    throw new JobPaymentError('Request not found', 'NOT_FOUND');
+  }
+
+  const milestone = payout.milestone ? request.project.milestones.id(payout.milestone) : null;
+  if (payout.milestone && !milestone) {
+    throw new JobPaymentError('The milestone for this payout no longer exists', 'NOT_FOUND');
+  }
+
+  if (stalePending) {
+    // Touching updatedAt claims it, so only one retry picks up the abandoned attempt
+    const claimed = await Payout.findOneAndUpdate(
+      { _id: payout._id, status: 'pending', updatedAt: payout.updatedAt },
+      { $set: { status: 'pending' } },
+      { new: true }
+    );
+    return claimed ? sendPayout(request, claimed, milestone) : { duplicate: true, payout };
+  }
+
+  return releaseJobPayment(request, { milestone });
+};
+
+/**
+ * Settle payouts whose outcome is unknown (run by the cron service)
+ */
+const reconcilePayouts = async () => {
+  const payouts = await Payout.find({
+    $or: [
+      { status: 'reconciling' },
+      { status: 'pending', updatedAt: { $lt: new Date(Date.now() - STALE_PAYOUT_MS) } }
+    ]
+  }).limit(50);
+
+  let paid = 0;
+  let failed = 0;
+
+  for (const payout of payouts) {
+    try {
+      const result = await retryPayout(payout);
+      if (result.payout?.status === 'paid') paid += 1;
+      if (result.failed) failed += 1;
+    } catch (error) {
+      logger.error(`Failed to reconcile payout ${payout._id}:`, error);
+    }
+  }
+
+  return { checked: payouts.length, paid, failed };
+};
+
+/**
+ * Start a new earnings month: thisMonth moves to lastMonth (run on the 1st by the cron service)
+ */
+const rollOverMonthlyEarnings = async () => {
+  const result = await User.updateMany(
+    { $or: [{ 'earnings.thisMonth': { $ne: 0 } }, { 'earnings.lastMonth': { $ne: 0 } }] },
+    [{ $set: { 'earnings.lastMonth': '$earnings.thisMonth', 'earnings.thisMonth': 0 } }]
+  );
+
+  return { updated: result.modifiedCount };
+};
+
+// HTTP status for a JobPaymentError
+const getJobPaymentErrorStatus = (error) => ({
+  NOT_FOUND: 404,
+  NO_AMOUNT: 400
+}[error.code] || 409);
+
+module.exports = {
+  COMMISSION_RATE,
+  JobPaymentError,
+  canReceivePayouts,
+  createOnboardingLink,
+  syncConnectAccount,
+  createJobPayment,
+  releaseJobPayment,
+  handleJobPaymentSucceeded,
+  handleJobPaymentFailed,
+  handleJobChargeRefunded,
+  handleTransferReversed,
+  retryPayout,
+  reconcilePayouts,
+  rollOverMonthlyEarnings,
+  getJobPaymentErrorStatus
+};
@@ -0,0 +1,176 @@
+// utils/leadContact.js
+const Request = require('../models/request');
+const User = require('../models/User');
+const Notification = require('../models/notifiication');
+const { getMissingLeadRequirements } = require('./verification');
+const logger = require('./loggerutility');
+
+class LeadContactError extends Error {
+  constructor(message, code, details) {
+    super(message);
+    this.name = 'LeadContactError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Charge the provider (when required) and record their contact and quote on the lead.
+// Team members are charged to the team wallet (see utils/teamWallet.js).
+// Each contact takes one of the lead's leadSettings.maxProviders slots.
+// The debit is rolled back if the contact cannot be recorded.
+const contactLead = async ({ provider, request, leadCost, chargeCredits, quote, wallet = provider, business = null }) => {
+  let spend = null;
+
+  // Categories that require a licence only accept providers with a verified one
+  const missing = await getMissingLeadRequirements(provider._id, request.category);
+  if (missing.length > 0) {
+    throw new LeadContactError(
+      'You must complete verification before contacting leads in this category',
+      'VERIFICATION_REQUIRED',
+      { missingRequirements: missing.map(entry => entry.requirement) }
+    );
+  }
+
+  // Don't charge for a lead that is already full; the slot itself is claimed below
+  if (request.getContactSlots().remaining === 0) {
+    throw new LeadContactError('This lead has reached its maximum number of providers', 'LEAD_FULL', {
+      maxProviders: request.getContactSlots().max
+    });
+  }
+
+  if (chargeCredits) {
+    try {
+      spend = await wallet.spendCredits(leadCost, request._id, `Contacted lead: ${request.title}`, {
+        performedBy: provider._id,
+        business: business ? business._id : null
+      });
+    } catch (error) {
+      if (error.message === 'Insufficient credits') {
+        throw new LeadContactError(error.message, 'INSUFFICIENT_CREDITS');
+      }
+      throw error;
+    }
+
+    if (spend.duplicate) {
+      throw new LeadContactError(
+        business ? 'Your team has already contacted this lead' : 'You have already contacted this lead',
+        'ALREADY_CONTACTED'
+      );
+    }
+  }
+
+  // Conditional update so concurrent contacts by the same provider (or team) cannot both
+  // succeed, and the lead never goes over its provider cap
+  const filter = {
+    _id: request._id,
+    'analytics.contactedProviders': { $ne: provider._id },
+    $expr: Request.hasOpenSlotCondition()
+  };
+  if (business) filter['quotes.business'] = { $ne: business._id };
+
+  let updatedRequest;
+  try {
+    updatedRequest = await Request.findOneAndUpdate(
+      filter,
+      {
+        $push: {
+          'analytics.contactedProviders': provider._id,
+          quotes: {
+            ...quote,
+            provider: provider._id,
+            ...(business && { business: business._id }),
+            contactedAt: new Date()
+          }
+        },
+        $pull: { waitlist: { provider: provider._id } },
+        $inc: {
+          'analytics.contactsInitiated': 1,
+          'analytics.quotesReceived': 1
+        }
+      },
+      { new: true, runValidators: true }
+    );
+  } catch (error) {
+    if (spend) await spend.transaction.rollback('Failed to record lead contact');
+    throw error;
+  }
+
+  if (!updatedRequest) {
+    // Work out which condition failed
+    const current = await Request.findById(request._id).select('analytics.contactedProviders leadSettings quotes.business');
+    const alreadyContacted = !current ||
+      current.analytics.contactedProviders.some(id => id.equals(provider._id)) ||
+      (business && current.quotes.some(entry => entry.business?.equals(business._id)));
+
+    if (spend) await spend.transaction.rollback(alreadyContacted ? 'Lead already contacted' : 'Lead full');
+
+    if (!alreadyContacted) {
+      throw new LeadContactError('This lead has reached its maximum number of providers', 'LEAD_FULL', {
+        maxProviders: current.getContactSlots().max
+      });
+    }
+    throw new LeadContactError(
+      business ? 'Your team has already contacted this lead' : 'You have already contacted this lead',
+      'ALREADY_CONTACTED'
+    );
+  }
+
+  if (!updatedRequest.analytics.firstResponseTime) {
+    await Request.updateOne(
+      { _id: request._id, 'analytics.firstResponseTime': null },
+      { $set: { 'analytics.firstResponseTime': new Date() } }
+    );
+  }
+
+  await User.updateOne({ _id: provider._id }, { $inc: { 'stats.leadsContacted': 1 } });
+
+  return {
+    request: updatedRequest,
+    transaction: spend ? spend.transaction : null,
+    creditsUsed: spend ? leadCost : 0,
+    remainingCredits: spend ? spend.balance : wallet.credits
+  };
+};
+
+// Tell waitlisted providers, first come first served, about slots that have opened
+const notifyWaitlist = async (request) => {
+  const { remaining } = request.getContactSlots();
+  const waiting = (request.waitlist || [])
+    .filter(entry => !entry.notifiedAt)
+    .sort((a, b) => a.joinedAt - b.joinedAt)
+    .slice(0, remaining);
+
+  if (waiting.length === 0) return 0;
+
+  const now = new Date();
+  await Request.updateOne(
+    { _id: request._id },
+    { $set: { 'waitlist.$[entry].notifiedAt': now } },
+    { arrayFilters: [{ 'entry.provider': { $in: waiting.map(entry => entry.provider) }, 'entry.notifiedAt': null }] }
+  );
+
+  for (const entry of waiting) {
+    try {
+      await Notification.createNotification({
+        user: entry.provider,
+        type: 'new_request',
+        title: 'A lead you were waiting for has opened up',
+        message: `A slot is free on "${request.title}". Contact the customer before it is taken.`,
+        priority: 'high',
+        data: { requestId: request._id },
+        actionUrl: `/leads/${request._id}`,
+        actionLabel: 'View lead'
+      });
+    } catch (error) {
+      logger.error('Waitlist notification error:', error);
+    }
+  }
+
+  return waiting.length;
+};
+
+module.exports = {
+  LeadContactError,
+  contactLead,
+  notifyWaitlist
+};
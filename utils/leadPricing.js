@@ -0,0 +1,119 @@
+// utils/leadPricing.js - single source of truth for lead credit costs
+const PricingConfig = require('../models/PricingConfig');
+
+// Rules change rarely, so keep them in memory for a short while
+const CACHE_TTL_MS = 60 * 1000;
+let cache = { config: null, loadedAt: 0 };
+
+const getPricingConfig = async () => {
+  if (cache.config && Date.now() - cache.loadedAt < CACHE_TTL_MS) {
+    return cache.config;
+  }
+
+  const config = await PricingConfig.getConfig();
+  cache = { config: config.toObject(), loadedAt: Date.now() };
+  return cache.config;
+};
+
+const clearPricingCache = () => {
+  cache = { config: null, loadedAt: 0 };
+};
+
+const getUrgencyMultiplier = (config, urgency) => {
+  const multipliers = config.urgencyMultipliers instanceof Map
+    ? Object.fromEntries(config.urgencyMultipliers)
+    : config.urgencyMultipliers || {};
+  return multipliers[urgency] ?? 1;
+};
+
+// Price a lead for a provider against a loaded config. Returns the cost and how it was reached.
+const priceLead = (request, provider, config) => {
+  const breakdown = [];
+
+  // Base: category rule, then default
+  const categoryId = (request.category?._id || request.category)?.toString();
+  const categoryRule = (config.categoryBaseCosts || [])
+    .find(rule => rule.category.toString() === categoryId);
+
+  let cost;
+  if (categoryRule) {
+    cost = categoryRule.baseCost;
+    breakdown.push({ rule: 'category_base', value: cost });
+  } else {
+    cost = config.baseCost;
+    breakdown.push({ rule: 'default_base', value: cost });
+  }
+
+  // Budget tier
+  const budget = request.budget?.amount;
+  if (budget) {
+    const tier = [...(config.budgetTiers || [])]
+      .sort((a, b) => b.minAmount - a.minAmount)
+      .find(t => budget >= t.minAmount);
+    if (tier) {
+      cost *= tier.multiplier;
+      breakdown.push({ rule: 'budget_tier', minAmount: tier.minAmount, multiplier: tier.multiplier });
+    }
+  }
+
+  // Urgency
+  const urgency = request.timeline?.urgency;
+  if (urgency) {
+    const multiplier = getUrgencyMultiplier(config, urgency);
+    if (multiplier !== 1) {
+      cost *= multiplier;
+      breakdown.push({ rule: 'urgency', urgency, multiplier });
+    }
+  }
+
+  // City premium
+  const city = request.location?.city?.toLowerCase().trim();
+  if (city) {
+    const premium = (config.cityPremiums || []).find(p => city.includes(p.city));
+    if (premium) {
+      cost += premium.premium;
+      breakdown.push({ rule: 'city_premium', city: premium.city, premium: premium.premium });
+    }
+  }
+
+  // New provider discount
+  const discount = config.newProviderDiscount;
+  if (provider && discount?.enabled && (provider.stats?.leadsContacted || 0) < discount.maxLeadsContacted) {
+    cost *= discount.multiplier;
+    breakdown.push({ rule: 'new_provider_discount', multiplier: discount.multiplier });
+  }
+
+  // Promotional leads
+  if (request.promotionalLead) {
+    cost *= config.promotionalMultiplier;
+    breakdown.push({ rule: 'promotional', multiplier: config.promotionalMultiplier });
+  }
+
+  const uncapped = Math.round(cost);
+  cost = Math.min(Math.max(uncapped, config.minCost), config.maxCost);
+  if (cost !== uncapped) {
+    breakdown.push({ rule: cost > uncapped ? 'min_cost' : 'max_cost', value: cost });
+  }
+
+  const isFree = cost <= config.freeThreshold || !!request.promotionalLead;
+
+  return {
+    cost,
+    isFree,
+    isPremium: cost >= config.baseCost * 1.6,
+    breakdown
+  };
+};
+
+// Convenience wrapper that loads the current config
+const quoteLead = async (request, provider) => {
+  const config = await getPricingConfig();
+  return priceLead(request, provider, config);
+};
+
+module.exports = {
+  getPricingConfig,
+  clearPricingCache,
+  priceLead,
+  quoteLead
+};
@@ -0,0 +1,232 @@
+// utils/loginProtection.js - per-account failed login tracking, lockout and new device alerts
+const crypto = require('crypto');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { sendEmail } = require('./email');
+const logger = require('./loggerutility');
+
+// Failures older than this no longer count towards a lockout
+const FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Attempts allowed before each further failure adds a doubling delay
+const FREE_ATTEMPTS = 3;
+const BACKOFF_BASE_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 15 * 60 * 1000;
+
+// Failures at which the account is locked outright and the owner is emailed
+const LOCKOUT_THRESHOLD = 10;
+const LOCKOUT_DURATION_MS = 60 * 60 * 1000;
+
+// Password reset emails allowed per account per window
+const RESET_REQUEST_LIMIT = 3;
+const RESET_REQUEST_WINDOW_MS = 60 * 60 * 1000;
+
+const MAX_KNOWN_DEVICES = 20;
+
+const formatDuration = (ms) => {
+  const minutes = Math.ceil(ms / 60000);
+  return minutes === 1 ? '1 minute' : `${minutes} minutes`;
+};
+
+// How long a failure locks the account for, given the failure count including it
+const getLockDuration = (failedAttempts) => {
+  if (failedAttempts >= LOCKOUT_THRESHOLD) return LOCKOUT_DURATION_MS;
+  if (failedAttempts <= FREE_ATTEMPTS) return 0;
+  return Math.min(BACKOFF_BASE_MS * 2 ** (failedAttempts - FREE_ATTEMPTS - 1), MAX_BACKOFF_MS);
+};
+
+// Milliseconds until the account accepts password attempts again (0 when not locked)
+const getLockRemaining = async (userId) => {
+  const user = await User.findById(userId).select('+loginSecurity.lockedUntil').lean();
+  const lockedUntil = user?.loginSecurity?.lockedUntil;
+  return lockedUntil ? Math.max(0, new Date(lockedUntil).getTime() - Date.now()) : 0;
+};
+
+// Record a wrong password. Returns { failedAttempts, lockedUntil, lockedOut }.
+const recordFailedLogin = async (user, req) => {
+  const now = new Date();
+
+  // Count atomically so parallel guesses cannot slip under the threshold
+  const updated = await User.findByIdAndUpdate(user._id, [
+    {
+      $set: {
+        'loginSecurity.failedAttempts': {
+          $cond: [
+            { $gt: ['$loginSecurity.lastFailedAt', new Date(now.getTime() - FAILURE_WINDOW_MS)] },
+            { $add: [{ $ifNull: ['$loginSecurity.failedAttempts', 0] }, 1] },
+            1
+          ]
+        },
+        'loginSecurity.lastFailedAt': now
+      }
+    }
+  ], { new: true }).select('+loginSecurity.failedAttempts').lean();
+
+  const failedAttempts = updated?.loginSecurity?.failedAttempts || 1;
+  const lockDuration = getLockDuration(failedAttempts);
+  const lockedOut = failedAttempts >= LOCKOUT_THRESHOLD;
+
+  if (!lockDuration) {
+    return { failedAttempts, lockedUntil: null, lockedOut: false };
+  }
+
+  const lockedUntil = new Date(now.getTime() + lockDuration);
+  await User.updateOne({ _id: user._id }, {
+    $set: { 'loginSecurity.lockedUntil': lockedUntil },
+    ...(lockedOut && { $inc: { 'loginSecurity.lockoutCount': 1 } })
+  });
+
+  if (lockedOut) {
+    logger.warn(`Account ${user._id} locked after ${failedAttempts} failed logins from ${req.ip}`);
+
+    // Only email on the failure that crosses the threshold, not on every later one
+    if (failedAttempts === LOCKOUT_THRESHOLD) {
+      try {
+        await sendEmail({
+          email: user.email,
+          template: 'accountLocked',
+          data: {
+            name: user.fullName,
+            attempts: failedAttempts,
+            lockDuration: formatDuration(lockDuration),
+            ipAddress: req.ip,
+            resetUrl: `${process.env.CLIENT_URL}/forgot-password`
+          }
+        });
+      } catch (error) {
+        logger.error('Account locked email error:', error);
+      }
+    }
+  }
+
+  return { failedAttempts, lockedUntil, lockedOut };
+};
+
+// Forget earlier failures once the correct password is given
+const clearFailedLogins = (userId) => User.updateOne(
+  { _id: userId },
+  {
+    $set: { 'loginSecurity.failedAttempts': 0 },
+    $unset: { 'loginSecurity.lastFailedAt': 1, 'loginSecurity.lockedUntil': 1 }
+  }
+);
+
+// Lift a lockout and reset the counters (admin unlock)
+const unlockAccount = (userId) => User.updateOne(
+  { _id: userId },
+  {
+    $set: { 'loginSecurity.failedAttempts': 0 },
+    $unset: {
+      'loginSecurity.lastFailedAt': 1,
+      'loginSecurity.lockedUntil': 1,
+      'twoFactor.lockedUntil': 1
+    }
+  }
+);
+
+// Remember the device a login came from and email the owner the first time a new one is seen.
+// The very first device recorded for an account is trusted silently.
+const registerLoginDevice = async (user, req) => {
+  try {
+    const userAgent = req.get('user-agent') || '';
+    const device = Session.parseUserAgent(userAgent);
+    const fingerprint = crypto
+      .createHash('sha256')
+      .update(`${device.browser}|${device.os}|${device.isMobile}`)
+      .digest('hex');
+    const now = new Date();
+
+    const known = await User.updateOne(
+      { _id: user._id, 'loginSecurity.knownDevices.fingerprint': fingerprint },
+      {
+        $set: {
+          'loginSecurity.knownDevices.$.lastSeenAt': now,
+          'loginSecurity.knownDevices.$.ipAddress': req.ip
+        }
+      }
+    );
+    if (known.matchedCount) return { newDevice: false };
+
+    const existing = await User.findById(user._id).select('+loginSecurity.knownDevices').lean();
+    const isFirstDevice = !existing?.loginSecurity?.knownDevices?.length;
+
+    await User.updateOne({ _id: user._id }, {
+      $push: {
+        'loginSecurity.knownDevices': {
+          $each: [{
+            fingerprint,
+            browser: device.browser,
+            os: device.os,
+            ipAddress: req.ip,
+            firstSeenAt: now,
+            lastSeenAt: now
+          }],
+          $sort: { lastSeenAt: 1 },
+          $slice: -MAX_KNOWN_DEVICES
+        }
+      }
+    });
+
+    if (!isFirstDevice) {
+      await sendEmail({
+        email: user.email,
+        template: 'newDeviceLogin',
+        data: {
+          name: user.fullName,
+          browser: device.browser,
+          os: device.os,
+          ipAddress: req.ip,
+          time: now.toUTCString(),
+          securityUrl: `${process.env.CLIENT_URL}/settings/security`
+        }
+      });
+    }
+
+    return { newDevice: !isFirstDevice };
+  } catch (error) {
+    // Alerts are best effort and must never block a login
+    logger.error('New device check error:', error);
+    return { newDevice: false };
+  }
+};
+
+// Whether another password reset email may be sent for this account right now
+const allowResetRequest = async (userId) => {
+  const now = new Date();
+
+  const updated = await User.findByIdAndUpdate(userId, [
+    {
+      $set: {
+        'loginSecurity.resetRequestCount': {
+          $cond: [
+            { $gt: ['$loginSecurity.lastResetRequestAt', new Date(now.getTime() - RESET_REQUEST_WINDOW_MS)] },
+            { $add: [{ $ifNull: ['$loginSecurity.resetRequestCount', 0] }, 1] },
+            1
+          ]
+        }
+      }
+    },
+    {
+      $set: {
+        // Keep the window anchored to the first request in it
+        'loginSecurity.lastResetRequestAt': {
+          $cond: [{ $eq: ['$loginSecurity.resetRequestCount', 1] }, now, '$loginSecurity.lastResetRequestAt']
+        }
+      }
+    }
+  ], { new: true }).select('+loginSecurity.resetRequestCount').lean();
+
+  return (updated?.loginSecurity?.resetRequestCount || 1) <= RESET_REQUEST_LIMIT;
+};
+
+module.exports = {
+  LOCKOUT_THRESHOLD,
+  formatDuration,
+  getLockDuration,
+  getLockRemaining,
+  recordFailedLogin,
+  clearFailedLogins,
+  unlockAccount,
+  registerLoginDevice,
+  allowResetRequest
+};
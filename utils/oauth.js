@@ -0,0 +1,330 @@
+// utils/oauth.js - OAuth 2.0 / OpenID Connect providers for social sign-in
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+
+const STATE_TTL = '10m';
+const HTTP_TIMEOUT = 10000;
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+// Where the provider sends the user back to. The client app receives the code and
+// posts it to /api/auth/oauth/:provider/callback.
+const getRedirectUri = (providerName) => {
+  const base = process.env.OAUTH_REDIRECT_BASE_URL || `${process.env.CLIENT_URL}/oauth`;
+  return `${base}/${providerName}/callback`;
+};
+
+const exchangeCode = async ({ tokenUrl, code, codeVerifier, redirectUri, clientId, clientSecret }) => {
+  const response = await axios.post(
+    tokenUrl,
+    new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri,
+      client_id: clientId,
+      client_secret: clientSecret,
+      code_verifier: codeVerifier
+    }).toString(),
+    {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+      timeout: HTTP_TIMEOUT
+    }
+  );
+  return response.data;
+};
+
+// Standard OIDC provider. Endpoints are given directly or discovered from the issuer.
+const createOidcProvider = ({ name, displayName, issuer, endpoints, clientId, clientSecret, scope = 'openid email profile' }) => {
+  let discovered = endpoints || null;
+
+  const getEndpoints = async () => {
+    if (discovered) return discovered;
+
+    const { data } = await axios.get(`${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`, {
+      timeout: HTTP_TIMEOUT
+    });
+    discovered = {
+      authorizationUrl: data.authorization_endpoint,
+      tokenUrl: data.token_endpoint,
+      userInfoUrl: data.userinfo_endpoint
+    };
+    return discovered;
+  };
+
+  return {
+    name,
+    displayName,
+    isConfigured: () => !!(clientId() && clientSecret() && (endpoints || issuer)),
+
+    getAuthorizationUrl: async ({ state, codeChallenge }) => {
+      const { authorizationUrl } = await getEndpoints();
+      const params = new URLSearchParams({
+        response_type: 'code',
+        client_id: clientId(),
+        redirect_uri: getRedirectUri(name),
+        scope,
+        state,
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256'
+      });
+      return `${authorizationUrl}?${params.toString()}`;
+    },
+
+    getProfile: async ({ code, codeVerifier }) => {
+      const { tokenUrl, userInfoUrl } = await getEndpoints();
+      const tokens = await exchangeCode({
+        tokenUrl,
+        code,
+        codeVerifier,
+        redirectUri: getRedirectUri(name),
+        clientId: clientId(),
+        clientSecret: clientSecret()
+      });
+
+      const { data } = await axios.get(userInfoUrl, {
+        headers: { Authorization: `Bearer ${tokens.access_token}` },
+        timeout: HTTP_TIMEOUT
+      });
+
+      return {
+        providerId: String(data.sub),
+        email: data.email ? data.email.toLowerCase() : null,
+        emailVerified: data.email_verified === true || data.email_verified === 'true',
+        firstName: data.given_name || (data.name ? data.name.split(' ')[0] : null),
+        lastName: data.family_name || (data.name ? data.name.split(' ').slice(1).join(' ') : null),
+        avatar: data.picture || null
+      };
+    }
+  };
+};
+
+const FACEBOOK_GRAPH_URL = 'https://graph.facebook.com/v18.0';
+
+const facebookProvider = {
+  name: 'facebook',
+  displayName: 'Facebook',
+  isConfigured: () => !!(process.env.FACEBOOK_CLIENT_ID && process.env.FACEBOOK_CLIENT_SECRET),
+
+  getAuthorizationUrl: async ({ state, codeChallenge }) => {
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: process.env.FACEBOOK_CLIENT_ID,
+      redirect_uri: getRedirectUri('facebook'),
+      scope: 'email,public_profile',
+      state,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    });
+    return `https://www.facebook.com/v18.0/dialog/oauth?${params.toString()}`;
+  },
+
+  getProfile: async ({ code, codeVerifier }) => {
+    const tokens = await exchangeCode({
+      tokenUrl: `${FACEBOOK_GRAPH_URL}/oauth/access_token`,
+      code,
+      codeVerifier,
+      redirectUri: getRedirectUri('facebook'),
+      clientId: process.env.FACEBOOK_CLIENT_ID,
+      clientSecret: process.env.FACEBOOK_CLIENT_SECRET
+    });
+
+    const { data } = await axios.get(`${FACEBOOK_GRAPH_URL}/me`, {
+      params: {
+        fields: 'id,email,first_name,last_name,picture.type(large)',
+        access_token: tokens.access_token
+      },
+      timeout: HTTP_TIMEOUT
+    });
+
+    return {
+      providerId: String(data.id),
+      email: data.email ? data.email.toLowerCase() : null,
+      // Facebook only returns addresses the user has confirmed
+      emailVerified: !!data.email,
+      firstName: data.first_name || null,
+      lastName: data.last_name || null,
+      avatar: data.picture?.data?.url || null
+    };
+  }
+};
+
+const APPLE_ISSUER = 'https://appleid.apple.com';
+
+// Apple's client secret is a short-lived JWT signed with the team's private key
+const createAppleClientSecret = () => jwt.sign(
+  {
+    iss: process.env.APPLE_TEAM_ID,
+    aud: APPLE_ISSUER,
+    sub: process.env.APPLE_CLIENT_ID
+  },
+  (process.env.APPLE_PRIVATE_KEY || '').replace(/\\n/g, '\n'),
+  { algorithm: 'ES256', keyid: process.env.APPLE_KEY_ID, expiresIn: '5m' }
+);
+
+// Apple posts the result to the API (form_post), which bounces it to the client app
+const getAppleRedirectUri = () => process.env.APPLE_REDIRECT_URI;
+
+const appleProvider = {
+  name: 'apple',
+  displayName: 'Apple',
+  isConfigured: () => !!(
+    process.env.APPLE_CLIENT_ID &&
+    process.env.APPLE_TEAM_ID &&
+    process.env.APPLE_KEY_ID &&
+    process.env.APPLE_PRIVATE_KEY &&
+    getAppleRedirectUri()
+  ),
+
+  getAuthorizationUrl: async ({ state, codeChallenge }) => {
+    const params = new URLSearchParams({
+      response_type: 'code',
+      response_mode: 'form_post',
+      client_id: process.env.APPLE_CLIENT_ID,
+      redirect_uri: getAppleRedirectUri(),
+      scope: 'name email',
+      state,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    });
+    return `${APPLE_ISSUER}/auth/authorize?${params.toString()}`;
+  },
+
+  // Apple only sends the user's name on the first authorisation, as a separate "user" field
+  getProfile: async ({ code, codeVerifier, extra = {} }) => {
+    const tokens = await exchangeCode({
+      tokenUrl: `${APPLE_ISSUER}/auth/token`,
+      code,
+      codeVerifier,
+      redirectUri: getAppleRedirectUri(),
+      clientId: process.env.APPLE_CLIENT_ID,
+      clientSecret: createAppleClientSecret()
+    });
+
+    // The ID token came straight from Apple's token endpoint over TLS, so its claims are
+    // trusted without fetching Apple's signing keys (OIDC Core 3.1.3.7)
+    const claims = jwt.decode(tokens.id_token);
+    if (!claims || claims.iss !== APPLE_ISSUER || claims.aud !== process.env.APPLE_CLIENT_ID ||
+        claims.exp * 1000 < Date.now()) {
+      throw new Error('Invalid Apple ID token');
+    }
+
+    let appleUser = {};
+    try {
+      appleUser = typeof extra.user === 'string' ? JSON.parse(extra.user) : (extra.user || {});
+    } catch (error) {
+      appleUser = {};
+    }
+
+    return {
+      providerId: String(claims.sub),
+      email: claims.email ? claims.email.toLowerCase() : null,
+      emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+      firstName: appleUser.name?.firstName || null,
+      lastName: appleUser.name?.lastName || null,
+      avatar: null
+    };
+  }
+};
+
+const providers = {
+  google: createOidcProvider({
+    name: 'google',
+    displayName: 'Google',
+    endpoints: {
+      authorizationUrl: 'https://accounts.google.com/o/oauth2/v2/auth',
+      tokenUrl: 'https://oauth2.googleapis.com/token',
+      userInfoUrl: 'https://openidconnect.googleapis.com/v1/userinfo'
+    },
+    clientId: () => process.env.GOOGLE_CLIENT_ID,
+    clientSecret: () => process.env.GOOGLE_CLIENT_SECRET
+  }),
+  facebook: facebookProvider,
+  apple: appleProvider,
+  // Any standards-compliant OIDC issuer, e.g. a local mock IdP during development
+  oidc: createOidcProvider({
+    name: 'oidc',
+    displayName: process.env.OAUTH_OIDC_NAME || 'Single sign-on',
+    issuer: process.env.OAUTH_OIDC_ISSUER,
+    clientId: () => process.env.OAUTH_OIDC_CLIENT_ID,
+    clientSecret: () => process.env.OAUTH_OIDC_CLIENT_SECRET
+  })
+};
+
+// Add or replace a provider. It must implement isConfigured(), getAuthorizationUrl() and getProfile().
+const registerOAuthProvider = (name, provider) => {
+  if (!provider || ['isConfigured', 'getAuthorizationUrl', 'getProfile'].some(method => typeof provider[method] !== 'function')) {
+    throw new Error('An OAuth provider must implement isConfigured, getAuthorizationUrl and getProfile');
+  }
+  providers[name] = { name, displayName: provider.displayName || name, ...provider };
+};
+
+const getProvider = (name) => {
+  const provider = Object.prototype.hasOwnProperty.call(providers, name) ? providers[name] : null;
+  return provider && provider.isConfigured() ? provider : null;
+};
+
+const getEnabledProviders = () => Object.values(providers)
+  .filter(provider => provider.isConfigured())
+  .map(provider => ({ name: provider.name, displayName: provider.displayName }));
+
+// The PKCE verifier is derived from the state's nonce so nothing has to be stored between
+// the redirect and the callback, and it cannot be recomputed without the server secret
+const getCodeVerifier = (nonce) => base64url(
+  crypto.createHmac('sha256', process.env.JWT_SECRET).update(`oauth_pkce:${nonce}`).digest()
+);
+
+const hashBinding = (binding) => crypto.createHash('sha256').update(String(binding)).digest('base64url');
+
+// Build the provider URL to send the user to. mode is 'login' or 'link' (with userId).
+// The returned binding stays with the client that started the flow and must come back
+// with the callback, so a code and state replayed in someone else's browser are refused.
+const createAuthorizationRequest = async (provider, { mode = 'login', userId } = {}) => {
+  const nonce = base64url(crypto.randomBytes(16));
+  const binding = base64url(crypto.randomBytes(32));
+  const state = jwt.sign(
+    {
+      purpose: 'oauth_state',
+      provider: provider.name,
+      mode,
+      nonce,
+      bindingHash: hashBinding(binding),
+      ...(userId && { userId: String(userId) })
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: STATE_TTL }
+  );
+  const codeChallenge = base64url(crypto.createHash('sha256').update(getCodeVerifier(nonce)).digest());
+
+  return {
+    authorizationUrl: await provider.getAuthorizationUrl({ state, codeChallenge }),
+    state,
+    binding
+  };
+};
+
+// Check the state returned by the provider against the binding held by the client,
+// and return its claims with the PKCE verifier
+const verifyState = (state, providerName, binding) => {
+  const decoded = jwt.verify(state, process.env.JWT_SECRET);
+  if (decoded.purpose !== 'oauth_state' || decoded.provider !== providerName) {
+    throw new jwt.JsonWebTokenError('Invalid OAuth state');
+  }
+
+  const expected = Buffer.from(String(decoded.bindingHash || ''));
+  const actual = Buffer.from(hashBinding(binding || ''));
+  if (!binding || expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new jwt.JsonWebTokenError('Sign-in was started in a different browser');
+  }
+
+  return { ...decoded, codeVerifier: getCodeVerifier(decoded.nonce) };
+};
+
+module.exports = {
+  getRedirectUri,
+  registerOAuthProvider,
+  getProvider,
+  getEnabledProviders,
+  createAuthorizationRequest,
+  verifyState
+};
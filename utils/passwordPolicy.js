@@ -0,0 +1,49 @@
+// utils/passwordPolicy.js - rejects passwords found on the local common/breached password list
+const fs = require('fs');
+const path = require('path');
+const logger = require('./loggerutility');
+
+const DEFAULT_LIST_PATH = path.join(__dirname, '..', 'config', 'common-passwords.txt');
+
+let commonPasswords = null;
+
+// Loaded once on first use; a missing or unreadable list disables the check rather than blocking sign-ups
+const loadCommonPasswords = () => {
+  if (commonPasswords) return commonPasswords;
+
+  const listPath = process.env.COMMON_PASSWORDS_FILE || DEFAULT_LIST_PATH;
+  try {
+    commonPasswords = new Set(
+      fs.readFileSync(listPath, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#'))
+    );
+  } catch (error) {
+    logger.error(`Could not load common password list from ${listPath}:`, error);
+    commonPasswords = new Set();
+  }
+  return commonPasswords;
+};
+
+// Matches the password itself and its base word, so "Password123!" is caught as well as "password"
+const isCommonPassword = (password) => {
+  const list = loadCommonPasswords();
+  const normalized = String(password || '').trim().toLowerCase();
+  const base = normalized.replace(/[\d\W_]+$/, '');
+
+  return list.has(normalized) || (base.length > 0 && list.has(base));
+};
+
+// express-validator custom check
+const notCommonPassword = (value) => {
+  if (isCommonPassword(value)) {
+    throw new Error('This password is too common or has appeared in a data breach. Please choose another.');
+  }
+  return true;
+};
+
+module.exports = {
+  isCommonPassword,
+  notCommonPassword
+};
@@ -0,0 +1,337 @@
+// utils/projectProgress.js
+// Milestones and progress updates on accepted jobs. Starting and completing the
+// project itself goes through utils/requestStateMachine.js.
+const User = require('../models/User');
+const Notification = require('../models/notifiication');
+const { sendEmail } = require('./email');
+const { releaseJobPayment } = require('./jobPayments');
+const logger = require('./loggerutility');
+
+// Milestones can be planned once a provider is selected and until the job is done
+const PLANNING_STATUSES = ['provider_selected', 'in_progress'];
+
+// Milestones the provider is still working on
+const WORKABLE_MILESTONE_STATUSES = ['pending', 'in_progress', 'changes_requested'];
+
+class ProjectError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'ProjectError';
+    this.code = code;
+  }
+}
+
+// 'customer', 'provider' (the selected one) or null
+const getProjectRole = (request, userId) => {
+  if (!userId) return null;
+  const id = userId.toString();
+  if (request.customer.toString() === id) return 'customer';
+  if (request.selectedProvider && request.selectedProvider.toString() === id) return 'provider';
+  return null;
+};
+
+const assertRole = (request, userId, role) => {
+  if (getProjectRole(request, userId) !== role) {
+    throw new ProjectError(
+      role === 'provider' ? 'Only the selected provider can do this' : 'Only the customer can do this',
+      'NOT_ALLOWED'
+    );
+  }
+};
+
+const assertStatus = (request, statuses, message) => {
+  if (!statuses.includes(request.status)) {
+    throw new ProjectError(message, 'INVALID_STATE');
+  }
+};
+
+const findMilestone = (request, milestoneId) => {
+  const milestone = request.project?.milestones?.id(milestoneId);
+  if (!milestone) {
+    throw new ProjectError('Milestone not found', 'NOT_FOUND');
+  }
+  return milestone;
+};
+
+// Milestone amounts cannot add up to more than the agreed price
+const assertWithinTotal = (request) => {
+  const total = request.payment?.totalAmount;
+  if (total === undefined || total === null) return;
+
+  const planned = request.project.milestones.reduce((sum, milestone) => sum + (milestone.amount || 0), 0);
+  if (planned > total) {
+    throw new ProjectError(
+      `Milestone amounts (${planned}) cannot exceed the agreed price of ${total}`,
+      'AMOUNT_EXCEEDED'
+    );
+  }
+};
+
+// Priced milestones mean the job is paid in stages
+const syncPaymentSchedule = (request) => {
+  if (!request.payment) return;
+  const priced = request.project.milestones.some(milestone => milestone.amount > 0);
+  if (priced) {
+    request.payment.schedule = 'milestones';
+  } else if (request.payment.schedule === 'milestones') {
+    request.payment.schedule = 'on_completion';
+  }
+};
+
+// In-app notification, plus an email for the steps that need a response
+const notifyParty = async ({ recipientId, senderName, request, title, message, email = false, data = {} }) => {
+  try {
+    await Notification.createNotification({
+      user: recipientId,
+      type: 'project_update',
+      title,
+      message,
+      data: { requestId: request._id, ...data },
+      actionUrl: `/requests/${request._id}/project`,
+      actionLabel: 'View project'
+    });
+  } catch (error) {
+    logger.error('Project notification error:', error);
+  }
+
+  if (!email) return;
+
+  try {
+    const recipient = await User.findById(recipientId).select('firstName email');
+    if (!recipient?.email) return;
+
+    await sendEmail({
+      email: recipient.email,
+      subject: `Update on "${request.title}"`,
+      template: 'projectUpdate',
+      data: {
+        recipientName: recipient.firstName,
+        projectTitle: request.title,
+        senderName,
+        updateMessage: message,
+        projectUrl: `${process.env.CLIENT_URL}/requests/${request._id}/project`
+      }
+    });
+  } catch (error) {
+    logger.error('Project email error:', error);
+  }
+};
+
+const addMilestone = async (request, actor, { title, description, amount, dueDate }) => {
+  assertRole(request, actor._id, 'provider');
+  assertStatus(request, PLANNING_STATUSES, 'Milestones can only be added to an active project');
+
+  request.project.milestones.push({ title, description, amount, dueDate });
+  assertWithinTotal(request);
+  syncPaymentSchedule(request);
+  await request.save();
+
+  const milestone = request.project.milestones[request.project.milestones.length - 1];
+
+  await notifyParty({
+    recipientId: request.customer,
+    senderName: actor.fullName,
+    request,
+    title: 'New milestone',
+    message: `${actor.fullName} added the milestone "${milestone.title}" to "${request.title}"`,
+    data: { milestoneId: milestone._id }
+  });
+
+  return milestone;
+};
+
+// Only milestones the customer has not yet been asked to sign off can change
+const updateMilestone = async (request, actor, milestoneId, changes) => {
+  assertRole(request, actor._id, 'provider');
+  assertStatus(request, PLANNING_STATUSES, 'Milestones can only be changed on an active project');
+
+  const milestone = findMilestone(request, milestoneId);
+  if (!WORKABLE_MILESTONE_STATUSES.includes(milestone.status)) {
+    throw new ProjectError('Submitted or approved milestones cannot be changed', 'INVALID_STATE');
+  }
+
+  ['title', 'description', 'amount', 'dueDate'].forEach(field => {
+    if (changes[field] !== undefined) milestone[field] = changes[field];
+  });
+
+  assertWithinTotal(request);
+  syncPaymentSchedule(request);
+  await request.save();
+
+  return milestone;
+};
+
+const removeMilestone = async (request, actor, milestoneId) => {
+  assertRole(request, actor._id, 'provider');
+  assertStatus(request, PLANNING_STATUSES, 'Milestones can only be removed from an active project');
+
+  const milestone = findMilestone(request, milestoneId);
+  if (milestone.status !== 'pending') {
+    throw new ProjectError('Only milestones that have not been started can be removed', 'INVALID_STATE');
+  }
+
+  milestone.deleteOne();
+  syncPaymentSchedule(request);
+  await request.save();
+};
+
+// Provider marks a milestone as done and asks the customer to approve it
+const submitMilestone = async (request, actor, milestoneId, note) => {
+  assertRole(request, actor._id, 'provider');
+  assertStatus(request, ['in_progress'], 'The project must be started before milestones can be submitted');
+
+  const milestone = findMilestone(request, milestoneId);
+  if (!WORKABLE_MILESTONE_STATUSES.includes(milestone.status)) {
+    throw new ProjectError('This milestone has already been submitted', 'INVALID_STATE');
+  }
+
+  milestone.status = 'submitted';
+  milestone.startedAt = milestone.startedAt || new Date();
+  milestone.submittedAt = new Date();
+  await request.save();
+
+  await notifyParty({
+    recipientId: request.customer,
+    senderName: actor.fullName,
+    request,
+    title: 'Milestone ready for approval',
+    message: `${actor.fullName} has finished "${milestone.title}"${note ? `: ${note}` : ''}. Please review and approve it.`,
+    email: true,
+    data: { milestoneId: milestone._id }
+  });
+
+  return milestone;
+};
+
+// Customer signs off a submitted milestone, or sends it back with feedback
+const reviewMilestone = async (request, actor, milestoneId, { approve, feedback }) => {
+  assertRole(request, actor._id, 'customer');
+  assertStatus(request, ['in_progress'], 'Milestones can only be reviewed while the project is in progress');
+
+  const milestone = findMilestone(request, milestoneId);
+  if (milestone.status !== 'submitted') {
+    throw new ProjectError('Only submitted milestones can be reviewed', 'INVALID_STATE');
+  }
+
+  if (approve) {
+    milestone.status = 'approved';
+    milestone.approvedAt = new Date();
+    milestone.feedback = feedback;
+  } else {
+    milestone.status = 'changes_requested';
+    milestone.feedback = feedback;
+  }
+  await request.save();
+
+  await notifyParty({
+    recipientId: request.selectedProvider,
+    senderName: 'the customer',
+    request,
+    title: approve ? 'Milestone approved' : 'Changes requested',
+    message: approve
+      ? `The customer approved "${milestone.title}" on "${request.title}"`
+      : `The customer asked for changes to "${milestone.title}": ${feedback}`,
+    email: true,
+    data: { milestoneId: milestone._id }
+  });
+
+  // A priced milestone is paid out from the held payment once approved
+  if (approve) {
+    try {
+      await releaseJobPayment(request, { milestone });
+    } catch (error) {
+      logger.error(`Milestone ${milestone._id} payout error:`, error);
+    }
+  }
+
+  return milestone;
+};
+
+// Provider posts a progress update, optionally against a milestone and with photos
+const addProgressUpdate = async (request, actor, { message, progress, milestoneId, photos = [] }) => {
+  assertRole(request, actor._id, 'provider');
+  assertStatus(request, ['in_progress'], 'Progress can only be posted while the project is in progress');
+
+  let milestone = null;
+  if (milestoneId) {
+    milestone = findMilestone(request, milestoneId);
+    if (milestone.status === 'pending') {
+      milestone.status = 'in_progress';
+      milestone.startedAt = new Date();
+    }
+  }
+
+  request.project.updates.push({
+    author: actor._id,
+    message,
+    progress,
+    milestone: milestone ? milestone._id : undefined,
+    photos
+  });
+  if (progress !== undefined) request.project.progress = progress;
+  await request.save();
+
+  const update = request.project.updates[request.project.updates.length - 1];
+
+  await notifyParty({
+    recipientId: request.customer,
+    senderName: actor.fullName,
+    request,
+    title: 'Project update',
+    message: progress !== undefined ? `${message} (${progress}% complete)` : message,
+    email: true,
+    data: { updateId: update._id, milestoneId: update.milestone }
+  });
+
+  return update;
+};
+
+// Totals for the project page
+const getProjectSummary = (request) => {
+  const milestones = request.project?.milestones || [];
+  const count = status => milestones.filter(milestone => milestone.status === status).length;
+  const sumAmounts = list => list.reduce((sum, milestone) => sum + (milestone.amount || 0), 0);
+
+  const approved = milestones.filter(milestone => milestone.status === 'approved');
+
+  return {
+    progress: request.project?.progress ?? (request.status === 'completed' ? 100 : 0),
+    milestones: {
+      total: milestones.length,
+      pending: count('pending'),
+      inProgress: count('in_progress'),
+      submitted: count('submitted'),
+      changesRequested: count('changes_requested'),
+      approved: approved.length
+    },
+    amounts: {
+      currency: request.payment?.currency,
+      total: request.payment?.totalAmount,
+      planned: sumAmounts(milestones),
+      approved: sumAmounts(approved)
+    },
+    nextMilestone: milestones.find(milestone => milestone.status !== 'approved') || null,
+    canComplete: request.status === 'in_progress' && approved.length === milestones.length
+  };
+};
+
+// HTTP status for a ProjectError
+const getProjectErrorStatus = (error) => ({
+  NOT_ALLOWED: 403,
+  NOT_FOUND: 404,
+  AMOUNT_EXCEEDED: 400
+}[error.code] || 409);
+
+module.exports = {
+  PLANNING_STATUSES,
+  ProjectError,
+  getProjectRole,
+  addMilestone,
+  updateMilestone,
+  removeMilestone,
+  submitMilestone,
+  reviewMilestone,
+  addProgressUpdate,
+  getProjectSummary,
+  getProjectErrorStatus
+};
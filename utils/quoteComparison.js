@@ -0,0 +1,180 @@
+// utils/quoteComparison.js
+const User = require('../models/User');
+const Review = require('../models/Review');
+const VerificationRequest = require('../models/VerificationRequest');
+const { convert } = require('./currency');
+
+// Share of the best value score (out of 100) given to each factor
+const SCORE_WEIGHTS = {
+  price: 40,
+  rating: 30,
+  responseTime: 15,
+  verification: 15
+};
+
+// Reviews needed before a provider's rating counts in full
+const RATING_CONFIDENCE_REVIEWS = 5;
+
+// Badges needed for the full verification score
+const VERIFICATION_FULL_BADGES = 3;
+
+const REVIEW_SNIPPETS = 2;
+const SNIPPET_LENGTH = 200;
+
+// Ascending, with missing values at the end
+const nullsLast = (a, b) => {
+  if (a === null && b === null) return 0;
+  if (a === null) return 1;
+  if (b === null) return -1;
+  return a - b;
+};
+
+const SORTS = {
+  best_value: (a, b) => b.bestValueScore - a.bestValueScore,
+  price: (a, b) => nullsLast(a.price.converted, b.price.converted),
+  rating: (a, b) => b.provider.rating.average - a.provider.rating.average,
+  distance: (a, b) => nullsLast(a.distanceKm, b.distanceKm),
+  response_time: (a, b) => nullsLast(a.responseTimeHours, b.responseTimeHours)
+};
+
+const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+
+const hasLocation = (location) =>
+  Array.isArray(location?.coordinates) &&
+  location.coordinates.length === 2 &&
+  !(location.coordinates[0] === 0 && location.coordinates[1] === 0);
+
+const getReviewSnippets = async (providerIds) => {
+  const reviews = await Review.find({
+    serviceProvider: { $in: providerIds },
+    status: 'approved',
+    comment: { $exists: true, $ne: '' }
+  })
+    .select('serviceProvider rating title comment createdAt')
+    .sort({ createdAt: -1 })
+    .limit(providerIds.length * 10)
+    .lean();
+
+  const snippets = {};
+  reviews.forEach(review => {
+    const key = review.serviceProvider.toString();
+    snippets[key] = snippets[key] || [];
+    if (snippets[key].length < REVIEW_SNIPPETS) {
+      snippets[key].push({
+        rating: review.rating,
+        title: review.title,
+        comment: review.comment.length > SNIPPET_LENGTH
+          ? `${review.comment.substring(0, SNIPPET_LENGTH)}...`
+          : review.comment,
+        createdAt: review.createdAt
+      });
+    }
+  });
+  return snippets;
+};
+
+// Score each quote against the others, so the best on every factor would score 100
+const scoreQuotes = (entries) => {
+  const prices = entries.map(entry => entry.price.converted).filter(price => price > 0);
+  const responseTimes = entries.map(entry => entry.responseTimeHours).filter(hours => hours !== null);
+  const lowestPrice = prices.length ? Math.min(...prices) : null;
+  const fastestResponse = responseTimes.length ? Math.max(Math.min(...responseTimes), 1) : null;
+
+  entries.forEach(entry => {
+    const { rating } = entry.provider;
+    const breakdown = {
+      price: entry.price.converted > 0 && lowestPrice
+        ? SCORE_WEIGHTS.price * (lowestPrice / entry.price.converted)
+        : 0,
+      rating: SCORE_WEIGHTS.rating * (rating.average / 5) * Math.min(rating.count / RATING_CONFIDENCE_REVIEWS, 1),
+      responseTime: entry.responseTimeHours !== null && fastestResponse
+        ? SCORE_WEIGHTS.responseTime * (fastestResponse / Math.max(entry.responseTimeHours, 1))
+        : 0,
+      verification: SCORE_WEIGHTS.verification * Math.min(entry.badges.length / VERIFICATION_FULL_BADGES, 1)
+    };
+
+    entry.scoreBreakdown = Object.fromEntries(Object.entries(breakdown).map(([key, value]) => [key, round(value)]));
+    entry.bestValueScore = round(Object.values(breakdown).reduce((sum, value) => sum + value, 0));
+  });
+};
+
+// Normalise a request's quotes for side-by-side comparison by the customer
+const compareQuotes = async (request, { sort = 'best_value', status } = {}) => {
+  const currency = request.budget?.currency || 'PKR';
+
+  const quotes = request.quotes.filter(quote =>
+    status ? quote.status === status : quote.status !== 'withdrawn'
+  );
+
+  const providerIds = [...new Set(quotes.map(quote => quote.provider.toString()))];
+
+  const [providers, snippets, badgeEntries] = await Promise.all([
+    User.find({ _id: { $in: providerIds } })
+      .select('firstName lastName businessName avatar rating totalJobs location responseTime idVerified backgroundCheckVerified'),
+    getReviewSnippets(providerIds),
+    Promise.all(providerIds.map(async providerId => [providerId, await VerificationRequest.getBadges(providerId)]))
+  ]);
+
+  const providersById = Object.fromEntries(providers.map(provider => [provider._id.toString(), provider]));
+  const badgesById = Object.fromEntries(badgeEntries);
+
+  const entries = quotes.map(quote => {
+    const providerId = quote.provider.toString();
+    const provider = providersById[providerId];
+    const amount = quote.pricing?.amount ?? quote.amount ?? null;
+    const quoteCurrency = quote.pricing?.currency || currency;
+    const respondedAt = quote.submittedAt || quote.contactedAt;
+
+    return {
+      quoteId: quote._id,
+      status: quote.status,
+      shortlisted: quote.shortlisted,
+      message: quote.message,
+      price: {
+        amount,
+        currency: quoteCurrency,
+        type: quote.pricing?.type || null,
+        converted: amount !== null ? convert(amount, quoteCurrency, currency) : null,
+        convertedCurrency: currency
+      },
+      timeline: quote.timeline,
+      submittedAt: quote.submittedAt,
+      expiresAt: quote.expiresAt,
+      viewedAt: quote.viewedAt,
+      rejectionReason: quote.rejectionReason,
+      responseTimeHours: respondedAt && request.createdAt
+        ? round(Math.max(respondedAt - request.createdAt, 0) / (60 * 60 * 1000))
+        : null,
+      distanceKm: provider && hasLocation(provider.location) && hasLocation(request.location)
+        ? round(provider.calculateDistance(request.location))
+        : null,
+      provider: {
+        _id: quote.provider,
+        name: provider ? provider.businessName || `${provider.firstName} ${provider.lastName}` : null,
+        avatar: provider?.avatar,
+        rating: {
+          average: provider?.rating?.average || 0,
+          count: provider?.rating?.count || 0
+        },
+        totalJobs: provider?.totalJobs || 0,
+        averageResponseHours: provider?.responseTime?.average ?? null
+      },
+      badges: badgesById[providerId] || [],
+      reviewSnippets: snippets[providerId] || []
+    };
+  });
+
+  scoreQuotes(entries);
+  entries.sort(SORTS[sort] || SORTS.best_value);
+
+  return {
+    currency,
+    quotes: entries
+  };
+};
+
+module.exports = {
+  COMPARE_SORTS: Object.keys(SORTS),
+  SCORE_WEIGHTS,
+  compareQuotes
+};
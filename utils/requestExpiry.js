@@ -0,0 +1,182 @@
+// utils/requestExpiry.js
+// Scheduled expiry of requests and the quotes on them (run by utils/cronService.js)
+const Request = require('../models/request');
+const Notification = require('../models/notifiication');
+const { sendEmail } = require('./email');
+const { OPEN_STATUSES, MAX_REPUBLISHES, transitionRequest } = require('./requestStateMachine');
+const logger = require('./loggerutility');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Customers are reminded this many days before their request expires
+const REMINDER_DAYS_BEFORE = 3;
+
+// How far a customer can push the expiry date back, and how often
+const MAX_EXTENSION_DAYS = 30;
+const MAX_EXTENSIONS = 2;
+
+class RequestExpiryError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'RequestExpiryError';
+    this.code = code;
+  }
+}
+
+// Requests handled per run, so one slow run cannot pile up behind the next
+const BATCH_SIZE = 200;
+
+// Open requests that expire on their own (leadSettings.autoExpire defaults to true)
+const autoExpiring = { status: { $in: OPEN_STATUSES }, 'leadSettings.autoExpire': { $ne: false } };
+
+// Remind customers whose request is about to expire, once per expiry date
+const sendExpiryReminders = async () => {
+  const now = new Date();
+  const requests = await Request.find({
+    ...autoExpiring,
+    expiresAt: { $gt: now, $lte: new Date(now.getTime() + REMINDER_DAYS_BEFORE * DAY_MS) },
+    'expiry.remindedAt': null
+  })
+    .populate('customer', 'firstName email')
+    .limit(BATCH_SIZE);
+
+  let reminded = 0;
+
+  for (const request of requests) {
+    // Claim the reminder so overlapping runs cannot send it twice
+    const claimed = await Request.updateOne(
+      { _id: request._id, 'expiry.remindedAt': null },
+      { $set: { 'expiry.remindedAt': now } }
+    );
+    if (claimed.modifiedCount === 0) continue;
+
+    const daysLeft = Math.max(Math.ceil((request.expiresAt - now) / DAY_MS), 1);
+    const canExtend = (request.expiry?.extensions || 0) < MAX_EXTENSIONS;
+    const quoteCount = request.quotes.filter(quote => request.isQuoteOpen(quote)).length;
+
+    try {
+      await Notification.createNotification({
+        user: request.customer._id,
+        type: 'reminder',
+        title: 'Your request is about to expire',
+        message: `"${request.title}" expires in ${daysLeft} day${daysLeft === 1 ? '' : 's'}.${canExtend ? ' Extend it to keep receiving quotes.' : ''}`,
+        data: { requestId: request._id, expiresAt: request.expiresAt, canExtend },
+        actionUrl: `/requests/${request._id}`,
+        actionLabel: canExtend ? 'Extend' : 'View quotes'
+      });
+    } catch (error) {
+      logger.error('Request expiry reminder notification error:', error);
+    }
+
+    try {
+      await sendEmail({
+        email: request.customer.email,
+        template: 'requestExpiring',
+        data: {
+          customerName: request.customer.firstName,
+          requestTitle: request.title,
+          expiresAt: request.expiresAt.toDateString(),
+          quoteCount,
+          canExtend,
+          requestUrl: `${process.env.CLIENT_URL}/requests/${request._id}`
+        }
+      });
+    } catch (error) {
+      logger.error('Request expiry reminder email error:', error);
+    }
+
+    reminded += 1;
+  }
+
+  return reminded;
+};
+
+// Close quotes that passed their own expiry date while the request stayed open
+const closeStaleQuotes = async () => {
+  const now = new Date();
+  const stale = { 'q.status': { $in: ['pending', 'viewed'] }, 'q.expiresAt': { $lte: now } };
+
+  const result = await Request.updateMany(
+    {
+      status: { $in: OPEN_STATUSES },
+      quotes: { $elemMatch: { status: { $in: ['pending', 'viewed'] }, expiresAt: { $lte: now } } }
+    },
+    { $set: { 'quotes.$[q].status': 'expired' } },
+    { arrayFilters: [stale] }
+  );
+
+  return result.modifiedCount;
+};
+
+// Move requests past their expiry date to expired
+const expireRequests = async () => {
+  const requests = await Request.find({ ...autoExpiring, expiresAt: { $lte: new Date() } })
+    .sort({ expiresAt: 1 })
+    .limit(BATCH_SIZE);
+
+  let expired = 0;
+
+  for (const request of requests) {
+    try {
+      await transitionRequest(request, 'expire', { actorRole: 'system', reason: 'Expiry date passed' });
+      expired += 1;
+    } catch (error) {
+      // Another run or the customer got there first
+      if (error.name !== 'RequestTransitionError') {
+        logger.error(`Failed to expire request ${request._id}:`, error);
+      }
+    }
+  }
+
+  return expired;
+};
+
+const processRequestExpiry = async () => {
+  const reminded = await sendExpiryReminders();
+  const quotesClosed = await closeStaleQuotes();
+  const expired = await expireRequests();
+
+  return { reminded, quotesClosed, expired };
+};
+
+// Push an open request's expiry date back
+const extendRequest = async (request, days) => {
+  if (!OPEN_STATUSES.includes(request.status)) {
+    throw new RequestExpiryError('Only open requests can be extended', 'NOT_OPEN');
+  }
+
+  if ((request.expiry?.extensions || 0) >= MAX_EXTENSIONS) {
+    throw new RequestExpiryError(`A request can only be extended ${MAX_EXTENSIONS} times`, 'LIMIT_REACHED');
+  }
+
+  const from = Math.max(request.expiresAt.getTime(), Date.now());
+
+  const updated = await Request.findOneAndUpdate(
+    { _id: request._id, status: { $in: OPEN_STATUSES }, 'expiry.extensions': { $not: { $gte: MAX_EXTENSIONS } } },
+    {
+      $set: {
+        expiresAt: new Date(from + days * DAY_MS),
+        'expiry.lastExtendedAt': new Date(),
+        'expiry.remindedAt': null
+      },
+      $inc: { 'expiry.extensions': 1 }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw new RequestExpiryError('The request could not be extended, please reload it', 'CONFLICT');
+  }
+
+  return updated;
+};
+
+module.exports = {
+  REMINDER_DAYS_BEFORE,
+  MAX_EXTENSION_DAYS,
+  MAX_EXTENSIONS,
+  MAX_REPUBLISHES,
+  RequestExpiryError,
+  processRequestExpiry,
+  extendRequest
+};
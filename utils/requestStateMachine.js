@@ -0,0 +1,412 @@
+// utils/requestStateMachine.js
+// Request lifecycle: which status changes are allowed, who may make them and what
+// happens afterwards. Every change of Request.status goes through transitionRequest.
+const User = require('../models/User');
+const Notification = require('../models/notifiication');
+const { sendEmail } = require('./email');
+const { releaseJobPayment } = require('./jobPayments');
+const logger = require('./loggerutility');
+
+const OPEN_STATUSES = ['published', 'receiving_quotes', 'quotes_received'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// An expired request can be re-published this many times, for this many days
+const MAX_REPUBLISHES = 1;
+const REPUBLISH_DAYS = 30;
+
+class RequestTransitionError extends Error {
+  constructor(message, code, details) {
+    super(message);
+    this.name = 'RequestTransitionError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const isSelectedProvider = (request, actor) =>
+  !!actor && !!request.selectedProvider && request.selectedProvider.toString() === actor.toString();
+
+const isCustomer = (request, actor) => !!actor && request.customer.toString() === actor.toString();
+
+const notify = async (data) => {
+  try {
+    await Notification.createNotification(data);
+  } catch (error) {
+    logger.error('Request lifecycle notification error:', error);
+  }
+};
+
+// Email the other party about a change on a job they are part of
+const emailUpdate = async ({ recipientId, senderName, request, message }) => {
+  try {
+    const recipient = await User.findById(recipientId).select('firstName email');
+    if (!recipient?.email) return;
+
+    await sendEmail({
+      email: recipient.email,
+      subject: `Update on "${request.title}"`,
+      template: 'projectUpdate',
+      data: {
+        recipientName: recipient.firstName,
+        projectTitle: request.title,
+        senderName,
+        updateMessage: message,
+        projectUrl: `${process.env.CLIENT_URL}/requests/${request._id}`
+      }
+    });
+  } catch (error) {
+    logger.error('Request lifecycle email error:', error);
+  }
+};
+
+/**
+ * Events that move a request between statuses.
+ *  from    - statuses the event is allowed from
+ *  to      - resulting status
+ *  actors  - roles that may trigger it
+ *  guard   - returns a message when the event cannot happen right now
+ *  apply   - changes made to the request in the same save as the status
+ *  effects - notifications, emails and stats once the change is saved
+ */
+const EVENTS = {
+  publish: {
+    from: ['draft'],
+    to: 'published',
+    actors: ['customer', 'admin']
+  },
+
+  receive_quote: {
+    from: ['published', 'receiving_quotes'],
+    to: 'quotes_received',
+    actors: ['provider', 'system']
+  },
+
+  select_provider: {
+    from: OPEN_STATUSES,
+    to: 'provider_selected',
+    actors: ['customer'],
+    guard: (request, { quote }) => {
+      if (!quote || !request.isQuoteOpen(quote)) return 'Quote is not available for acceptance';
+      return null;
+    },
+    apply: (request, { quote }) => {
+      request.selectedProvider = quote.provider;
+      request.selectedQuote = quote._id;
+      quote.status = 'accepted';
+
+      // Every other open quote is declined
+      const rejectedProviders = [];
+      request.quotes.forEach(other => {
+        if (!other._id.equals(quote._id) && request.isQuoteOpen(other)) {
+          other.status = 'rejected';
+          other.rejectedAt = new Date();
+          rejectedProviders.push(other.provider);
+        }
+      });
+
+      request.project = {
+        startDate: quote.timeline?.startDate || new Date(),
+        expectedEndDate: quote.timeline?.completionDate
+      };
+
+      request.payment = {
+        totalAmount: quote.pricing?.amount ?? quote.amount,
+        currency: quote.pricing?.currency || request.budget?.currency,
+        method: 'card',
+        schedule: 'on_completion'
+      };
+
+      return { rejectedProviders };
+    },
+    effects: async (request, { quote, rejectedProviders }) => {
+      await User.updateOne({ _id: quote.provider }, { $inc: { 'stats.leadsHired': 1 } });
+
+      await notify({
+        user: quote.provider,
+        type: 'quote_accepted',
+        title: 'Quote Accepted!',
+        message: `Your quote for "${request.title}" has been accepted`,
+        priority: 'high',
+        data: {
+          requestId: request._id,
+          quoteAmount: request.payment.totalAmount
+        }
+      });
+
+      await emailUpdate({
+        recipientId: quote.provider,
+        senderName: 'the customer',
+        request,
+        message: 'Your quote has been accepted. Get in touch with the customer to arrange the work.'
+      });
+
+      for (const providerId of rejectedProviders) {
+        await notify({
+          user: providerId,
+          type: 'quote_rejected',
+          title: 'Quote Not Selected',
+          message: `Your quote for "${request.title}" was not selected`,
+          data: { requestId: request._id }
+        });
+      }
+    }
+  },
+
+  start: {
+    from: ['provider_selected'],
+    to: 'in_progress',
+    actors: ['provider'],
+    apply: (request) => {
+      request.project.startDate = new Date();
+
+      // Work begins on the first planned milestone
+      const first = request.project.milestones.find(milestone => milestone.status === 'pending');
+      if (first) {
+        first.status = 'in_progress';
+        first.startedAt = new Date();
+      }
+    },
+    effects: async (request, { actorName }) => {
+      await notify({
+        user: request.customer,
+        type: 'project_started',
+        title: 'Project Started',
+        message: `${actorName} has started working on "${request.title}"`,
+        data: { requestId: request._id }
+      });
+
+      await emailUpdate({
+        recipientId: request.customer,
+        senderName: actorName,
+        request,
+        message: 'Work on your project has started.'
+      });
+    }
+  },
+
+  complete: {
+    from: ['in_progress'],
+    to: 'completed',
+    actors: ['provider'],
+    guard: (request) => {
+      const open = request.project.milestones.filter(milestone => milestone.status !== 'approved');
+      if (open.length > 0) return `${open.length} milestone${open.length === 1 ? ' has' : 's have'} not been approved by the customer yet`;
+      return null;
+    },
+    apply: (request) => {
+      request.project.actualEndDate = new Date();
+      request.project.progress = 100;
+    },
+    effects: async (request, { actorName }) => {
+      await User.updateOne({ _id: request.selectedProvider }, { $inc: { totalJobs: 1 } });
+
+      // Anything still held for the job goes to the provider
+      await releaseJobPayment(request);
+
+      await notify({
+        user: request.customer,
+        type: 'project_completed',
+        title: 'Project Completed',
+        message: `${actorName} has completed "${request.title}"`,
+        data: { requestId: request._id }
+      });
+
+      await emailUpdate({
+        recipientId: request.customer,
+        senderName: actorName,
+        request,
+        message: 'Your project has been marked as complete. Let others know how it went by leaving a review.'
+      });
+    }
+  },
+
+  cancel: {
+    from: ['draft', ...OPEN_STATUSES],
+    to: 'cancelled',
+    actors: ['customer', 'admin', 'system'],
+    effects: async (request) => {
+      // Providers who responded hear that the job is off
+      const providerIds = [...new Set(request.quotes
+        .filter(quote => quote.status !== 'withdrawn')
+        .map(quote => quote.provider.toString()))];
+
+      for (const providerId of providerIds) {
+        await notify({
+          user: providerId,
+          type: 'request_cancelled',
+          title: 'Request Cancelled',
+          message: `The request "${request.title}" has been cancelled by the customer`,
+          data: { requestId: request._id }
+        });
+      }
+    }
+  },
+
+  expire: {
+    from: OPEN_STATUSES,
+    to: 'expired',
+    actors: ['system'],
+    apply: (request) => {
+      // Quotes still waiting on the customer close with the request
+      const closedProviders = [];
+      request.quotes.forEach(quote => {
+        if (request.isQuoteOpen(quote)) {
+          quote.status = 'expired';
+          closedProviders.push(quote.provider);
+        }
+      });
+      return { closedProviders };
+    },
+    effects: async (request, { closedProviders }) => {
+      const canRepublish = (request.expiry?.republishCount || 0) < MAX_REPUBLISHES;
+
+      await notify({
+        user: request.customer,
+        type: 'reminder',
+        title: 'Request expired',
+        message: canRepublish
+          ? `"${request.title}" has expired. You can re-publish it once to receive more quotes.`
+          : `"${request.title}" has expired.`,
+        data: { requestId: request._id, canRepublish },
+        actionUrl: `/requests/${request._id}`,
+        actionLabel: canRepublish ? 'Re-publish' : undefined
+      });
+
+      for (const providerId of closedProviders) {
+        await notify({
+          user: providerId,
+          type: 'quote_rejected',
+          title: 'Quote closed',
+          message: `The request "${request.title}" expired before the customer chose a provider`,
+          data: { requestId: request._id }
+        });
+      }
+    }
+  },
+
+  republish: {
+    from: ['expired'],
+    to: 'published',
+    actors: ['customer'],
+    guard: (request) => {
+      if ((request.expiry?.republishCount || 0) >= MAX_REPUBLISHES) return 'This request has already been re-published';
+      return null;
+    },
+    apply: (request, { days = REPUBLISH_DAYS }) => {
+      const now = new Date();
+      request.expiresAt = new Date(now.getTime() + days * DAY_MS);
+      request.expiry.republishCount = (request.expiry.republishCount || 0) + 1;
+      request.expiry.republishedAt = now;
+      request.expiry.remindedAt = undefined;
+    }
+  }
+};
+
+// Statuses reachable from each status, for clients and docs
+const TRANSITIONS = Object.values(EVENTS).reduce((map, event) => {
+  event.from.forEach(status => {
+    map[status] = map[status] || [];
+    if (!map[status].includes(event.to)) map[status].push(event.to);
+  });
+  return map;
+}, {});
+
+const canTransition = (request, eventName) => {
+  const event = EVENTS[eventName];
+  return !!event && event.from.includes(request.status);
+};
+
+// Work out the role an actor plays on this request
+// (admins and background jobs pass actorRole explicitly)
+const getActorRole = (request, actor) => {
+  if (!actor) return 'system';
+  if (isCustomer(request, actor)) return 'customer';
+  if (isSelectedProvider(request, actor) || request.quotes.some(quote => quote.provider.toString() === actor.toString())) {
+    return 'provider';
+  }
+  return null;
+};
+
+/**
+ * Move a request through its lifecycle. Saves the request (with any other pending
+ * changes), records the change in statusHistory and then runs the event's side effects.
+ * Throws RequestTransitionError when the change is not allowed.
+ */
+const transitionRequest = async (request, eventName, { actor = null, actorRole, actorName, reason, context = {} } = {}) => {
+  const event = EVENTS[eventName];
+  if (!event) {
+    throw new RequestTransitionError(`Unknown request event: ${eventName}`, 'UNKNOWN_EVENT');
+  }
+
+  const from = request.status;
+  if (!event.from.includes(from)) {
+    throw new RequestTransitionError(
+      `Cannot move a request from ${from} to ${event.to}`,
+      'INVALID_TRANSITION',
+      { from, to: event.to, allowed: TRANSITIONS[from] || [] }
+    );
+  }
+
+  const role = actorRole || getActorRole(request, actor);
+  if (!event.actors.includes(role)) {
+    throw new RequestTransitionError('Not authorized to change this request', 'NOT_ALLOWED', { event: eventName });
+  }
+  if (role === 'provider' && ['start', 'complete'].includes(eventName) && !isSelectedProvider(request, actor)) {
+    throw new RequestTransitionError('Only the selected provider can do this', 'NOT_ALLOWED', { event: eventName });
+  }
+
+  const problem = event.guard ? event.guard(request, context) : null;
+  if (problem) {
+    throw new RequestTransitionError(problem, 'GUARD_FAILED', { from, to: event.to });
+  }
+
+  const applied = event.apply ? event.apply(request, context) : {};
+
+  request.status = event.to;
+  request.statusHistory.push({
+    from,
+    to: event.to,
+    event: eventName,
+    actor: actor || undefined,
+    actorRole: role,
+    reason
+  });
+
+  // Only save if nobody else changed the status in the meantime
+  request.$where = { ...(request.$where || {}), status: from };
+  try {
+    await request.save();
+  } catch (error) {
+    if (error.name === 'DocumentNotFoundError') {
+      throw new RequestTransitionError('The request was changed by someone else, please reload it', 'CONFLICT', { from, to: event.to });
+    }
+    throw error;
+  } finally {
+    delete request.$where.status;
+  }
+
+  if (event.effects) {
+    try {
+      await event.effects(request, { ...context, ...applied, actor, actorName: actorName || 'Your provider' });
+    } catch (error) {
+      logger.error(`Request ${eventName} side effects error:`, error);
+    }
+  }
+
+  return { from, to: event.to };
+};
+
+// HTTP status for a RequestTransitionError
+const getTransitionErrorStatus = (error) => (error.code === 'NOT_ALLOWED' ? 403 : 409);
+
+module.exports = {
+  OPEN_STATUSES,
+  MAX_REPUBLISHES,
+  TRANSITIONS,
+  RequestTransitionError,
+  canTransition,
+  getActorRole,
+  transitionRequest,
+  getTransitionErrorStatus
+};
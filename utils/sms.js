@@ -0,0 +1,108 @@
+// utils/sms.js - sends SMS through a configurable provider (SMS_PROVIDER)
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const logger = require('./loggerutility');
+
+// A transport is an object with an async send({ to, body }) returning { id }.
+// Built-in transports: 'console' and 'file' for local development, 'twilio' for real delivery.
+const transports = {
+  console: {
+    send: async ({ to, body }) => {
+      logger.info(`[SMS to ${to}] ${body}`);
+      return { id: `console_${Date.now()}` };
+    }
+  },
+
+  file: {
+    send: async ({ to, body }) => {
+      const filePath = process.env.SMS_FILE_PATH || path.join(__dirname, '../logs/sms.log');
+      const id = `file_${Date.now()}`;
+      await fs.promises.appendFile(
+        filePath,
+        JSON.stringify({ id, to, body, sentAt: new Date().toISOString() }) + '\n'
+      );
+      return { id };
+    }
+  },
+
+  twilio: {
+    send: async ({ to, body }) => {
+      const { TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM_NUMBER } = process.env;
+      if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN || !TWILIO_FROM_NUMBER) {
+        throw new Error('Twilio is not configured');
+      }
+
+      const response = await axios.post(
+        `https://api.twilio.com/2010-04-01/Accounts/${TWILIO_ACCOUNT_SID}/Messages.json`,
+        new URLSearchParams({ To: to, From: TWILIO_FROM_NUMBER, Body: body }).toString(),
+        {
+          auth: { username: TWILIO_ACCOUNT_SID, password: TWILIO_AUTH_TOKEN },
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+          timeout: 10000
+        }
+      );
+      return { id: response.data.sid };
+    }
+  }
+};
+
+// Add or replace a transport, e.g. for another provider
+const registerSmsTransport = (name, transport) => {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error('An SMS transport must implement send({ to, body })');
+  }
+  transports[name] = transport;
+};
+
+// Development falls back to the console; production must choose a provider explicitly
+const getTransportName = () =>
+  process.env.SMS_PROVIDER || (process.env.NODE_ENV === 'production' ? null : 'console');
+
+const isSmsConfigured = () => {
+  const name = getTransportName();
+  return !!(name && transports[name]);
+};
+
+// Convert a stored phone number to E.164. Numbers without a country code use SMS_DEFAULT_COUNTRY_CODE.
+const normalizePhoneNumber = (phone) => {
+  if (!phone) return null;
+
+  let digits = String(phone).trim().replace(/[\s()-]/g, '');
+  if (digits.startsWith('00')) digits = `+${digits.slice(2)}`;
+  if (!digits.startsWith('+')) {
+    const countryCode = (process.env.SMS_DEFAULT_COUNTRY_CODE || '44').replace('+', '');
+    digits = `+${countryCode}${digits.replace(/^0/, '')}`;
+  }
+
+  return /^\+\d{8,15}$/.test(digits) ? digits : null;
+};
+
+const sendSms = async ({ to, body }) => {
+  const name = getTransportName();
+  const transport = name && transports[name];
+  if (!transport) {
+    throw new Error(name ? `Unknown SMS provider: ${name}` : 'SMS provider not configured');
+  }
+
+  const number = normalizePhoneNumber(to);
+  if (!number) {
+    throw new Error('Invalid phone number');
+  }
+
+  try {
+    const result = await transport.send({ to: number, body });
+    logger.info(`SMS sent via ${name} to ${number.slice(0, -4).replace(/\d/g, '*')}${number.slice(-4)}`);
+    return result;
+  } catch (error) {
+    logger.error(`SMS send via ${name} failed:`, error);
+    throw error;
+  }
+};
+
+module.exports = {
+  sendSms,
+  registerSmsTransport,
+  isSmsConfigured,
+  normalizePhoneNumber
+};
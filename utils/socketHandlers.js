@@ -0,0 +1,173 @@
+// utils/socketHandlers.js
+const User = require('../models/User');
+const Conversation = require('../models/Conversation');
+const { conversationRoom, sendMessage, markConversationRead } = require('./chatService');
+const { verifyAccessToken, getAuthErrorMessage } = require('../middleware/auth');
+const logger = require('./loggerutility');
+
+const userRoom = (userId) => `user_${userId}`;
+
+// Reject connections without a valid access token (same check as `protect`)
+const authenticateSocket = async (socket, next) => {
+  const header = socket.handshake.headers?.authorization;
+  const token = socket.handshake.auth?.token ||
+    (header && header.startsWith('Bearer') ? header.split(' ')[1] : null);
+
+  if (!token) {
+    return next(new Error('Not authorized, no token provided'));
+  }
+
+  try {
+    socket.user = await verifyAccessToken(token);
+    next();
+  } catch (error) {
+    next(new Error(getAuthErrorMessage(error)));
+  }
+};
+
+const setPresence = (userId, isOnline) => User.updateOne(
+  { _id: userId },
+  { $set: { isOnline, lastSeen: new Date() } }
+);
+
+// Load a conversation the socket user takes part in, or null
+const findConversationForSocket = async (socket, conversationId) => {
+  if (!conversationId || typeof conversationId !== 'string') return null;
+
+  const conversation = await Conversation.findById(conversationId).catch(() => null);
+  if (!conversation || !conversation.isParticipant(socket.user._id)) return null;
+
+  return conversation;
+};
+
+const respond = (ack, payload) => {
+  if (typeof ack === 'function') ack(payload);
+};
+
+// The server's Socket.IO instance, for code that runs outside a request (models, jobs)
+let registeredIo = null;
+
+const getIo = () => registeredIo;
+
+const registerSocketHandlers = (io) => {
+  registeredIo = io;
+  io.use(authenticateSocket);
+
+  io.on('connection', (socket) => {
+    const userId = socket.user._id.toString();
+    logger.info(`User ${userId} connected: ${socket.id}`);
+
+    socket.join(userRoom(userId));
+    setPresence(userId, true).catch(error => logger.error('Presence update error:', error));
+
+    // Only the user's own room or conversations they take part in may be joined
+    socket.on('join-room', async (roomId, ack) => {
+      try {
+        let allowed = roomId === userRoom(userId);
+
+        if (!allowed && typeof roomId === 'string' && roomId.startsWith('conversation_')) {
+          allowed = !!(await findConversationForSocket(socket, roomId.replace('conversation_', '')));
+        }
+
+        if (!allowed) {
+          logger.warn(`User ${userId} denied access to room ${roomId}`);
+          return respond(ack, { success: false, message: 'Not authorized to join this room' });
+        }
+
+        socket.join(roomId);
+        logger.info(`User ${socket.id} joined room ${roomId}`);
+        respond(ack, { success: true });
+      } catch (error) {
+        logger.error('Join room error:', error);
+        respond(ack, { success: false, message: 'Failed to join room' });
+      }
+    });
+
+    socket.on('leave-room', (roomId) => {
+      socket.leave(roomId);
+      logger.info(`User ${socket.id} left room ${roomId}`);
+    });
+
+    // Payloads come straight from the client and may be anything, including null
+    socket.on('join-conversation', async (payload, ack) => {
+      try {
+        const conversation = await findConversationForSocket(socket, payload?.conversationId);
+        if (!conversation) {
+          return respond(ack, { success: false, message: 'Not authorized to join this conversation' });
+        }
+
+        socket.join(conversationRoom(conversation._id));
+        respond(ack, { success: true });
+      } catch (error) {
+        logger.error('Join conversation error:', error);
+        respond(ack, { success: false, message: 'Failed to join conversation' });
+      }
+    });
+
+    socket.on('leave-conversation', (payload) => {
+      const conversationId = payload?.conversationId;
+      if (conversationId && typeof conversationId === 'string') {
+        socket.leave(conversationRoom(conversationId));
+      }
+    });
+
+    socket.on('send-message', async (payload, ack) => {
+      try {
+        const text = payload?.text;
+        const conversation = await findConversationForSocket(socket, payload?.conversationId);
+        if (!conversation) {
+          return respond(ack, { success: false, message: 'Not authorized to send to this conversation' });
+        }
+        if (conversation.status !== 'active') {
+          return respond(ack, { success: false, message: 'This conversation is closed' });
+        }
+        if (typeof text !== 'string' || !text.trim() || text.length > 2000) {
+          return respond(ack, { success: false, message: 'Message must be between 1 and 2000 characters' });
+        }
+
+        const message = await sendMessage({
+          io,
+          conversation,
+          senderId: socket.user._id,
+          text: text.trim()
+        });
+
+        respond(ack, { success: true, message });
+      } catch (error) {
+        logger.error('Socket send message error:', error);
+        respond(ack, { success: false, message: 'Failed to send message' });
+      }
+    });
+
+    socket.on('mark-read', async (payload, ack) => {
+      try {
+        const conversation = await findConversationForSocket(socket, payload?.conversationId);
+        if (!conversation) {
+          return respond(ack, { success: false, message: 'Not authorized to access this conversation' });
+        }
+
+        const result = await markConversationRead({ io, conversation, userId: socket.user._id });
+        respond(ack, { success: true, ...result });
+      } catch (error) {
+        logger.error('Socket mark read error:', error);
+        respond(ack, { success: false, message: 'Failed to mark conversation as read' });
+      }
+    });
+
+    socket.on('disconnect', async () => {
+      logger.info(`User ${userId} disconnected: ${socket.id}`);
+
+      try {
+        // Stay online while the user has other open connections
+        const remaining = await io.in(userRoom(userId)).fetchSockets();
+        if (remaining.length === 0) {
+          await setPresence(userId, false);
+        }
+      } catch (error) {
+        logger.error('Presence update error:', error);
+      }
+    });
+  });
+};
+
+module.exports = { registerSocketHandlers, getIo, userRoom };
@@ -0,0 +1,14 @@
+// utils/stripeClient.js
+// Shared Stripe client. Set STRIPE_API_HOST (and optionally STRIPE_API_PORT and
+// STRIPE_API_PROTOCOL) to send requests to stripe-mock instead of Stripe.
+require('dotenv').config();
+const Stripe = require('stripe');
+
+const config = {};
+if (process.env.STRIPE_API_HOST) {
+  config.host = process.env.STRIPE_API_HOST;
+  config.port = process.env.STRIPE_API_PORT || 12111;
+  config.protocol = process.env.STRIPE_API_PROTOCOL || 'http';
+}
+
+module.exports = Stripe(process.env.STRIPE_SECRET_KEY, config);
@@ -1,90 +1,18 @@
 // utils/stripeUtils.js
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const stripe = require('./stripeClient');
 const User = require('../models/User');
 const CreditTransaction = require('../models/CreditTransaction');
-const logger = require('./logger');
-
-// Package pricing configuration
-const PACKAGE_PRICING = {
-  starter: {
-    credits: 280,
-    price: 392.00, // £392.00 inc VAT
-    originalPrice: 490.00,
-    pricePerCredit: 1.40,
-    enoughForLeads: 10 // approximate
-  },
-  professional: {
-    credits: 560,
-    price: 700.00,
-    originalPrice: 875.00,
-    pricePerCredit: 1.25,
-    enoughForLeads: 20
-  },
-  business: {
-    credits: 1120,
-    price: 1200.00,
-    originalPrice: 1500.00,
-    pricePerCredit: 1.07,
-    enoughForLeads: 40
-  }
-};
-
-/**
- * Calculate lead cost based on various factors (same as Bark.com)
- */
-const calculateLeadCost = (request, provider) => {
-  let baseCost = 5;
-  let cost = baseCost;
-
-  // Adjust based on budget
-  if (request.budget?.amount) {
-    if (request.budget.amount >= 2000) cost += 8;
-    else if (request.budget.amount >= 1000) cost += 5;
-    else if (request.budget.amount >= 500) cost += 3;
-    else if (request.budget.amount >= 200) cost += 2;
-    else if (request.budget.amount >= 100) cost += 1;
-  }
-
-  // Adjust based on urgency
-  switch (request.timeline?.urgency) {
-    case 'urgent':
-      cost += 4;
-      break;
-    case 'high':
-      cost += 2;
-      break;
-    case 'medium':
-      cost += 1;
-      break;
-    default:
-      break;
-  }
-
-  // Adjust based on category complexity
-  const complexCategories = ['legal', 'financial', 'medical', 'engineering'];
-  if (complexCategories.includes(request.category?.slug)) {
-    cost += 3;
-  }
-
-  // Location premium for major cities
-  const premiumCities = ['london', 'manchester', 'birmingham', 'leeds', 'glasgow'];
-  if (premiumCities.includes(request.location?.city?.toLowerCase())) {
-    cost += 2;
-  }
-
-  // Discount for new providers (first 5 leads)
-  if (provider.stats?.leadsContacted < 5) {
-    cost = Math.max(1, Math.floor(cost * 0.7));
-  }
-
-  // Promotional leads are cheaper
-  if (request.promotionalLead) {
-    cost = Math.max(1, Math.floor(cost * 0.5));
-  }
-
-  // Ensure minimum and maximum bounds
-  return Math.max(1, Math.min(cost, 20));
-};
+const CreditPackage = require('../models/CreditPackage');
+const StripeEvent = require('../models/StripeEvent');
+const Notification = require('../models/notifiication');
+const logger = require('./loggerutility');
+const {
+  syncConnectAccount,
+  handleJobPaymentSucceeded,
+  handleJobPaymentFailed,
+  handleJobChargeRefunded,
+  handleTransferReversed
+} = require('./jobPayments');
 
 /**
  * Calculate match score for lead recommendations
@@ -181,7 +109,8 @@ const processAutoTopUp = async (userId) => {
     }
 
     const autoTopUpSettings = user.preferences.autoTopUp;
-    const packageData = PACKAGE_PRICING[autoTopUpSettings.packageType];
+    const creditPackage = await CreditPackage.findPurchasable(autoTopUpSettings.packageType);
+    const packageData = creditPackage?.getPrice('gbp');
 
     if (!packageData) {
       logger.error(`Invalid package type for auto top-up: ${autoTopUpSettings.packageType}`);
@@ -190,8 +119,8 @@ const processAutoTopUp = async (userId) => {
 
     // Create payment intent for auto top-up
     const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(packageData.price * 100), // Convert to pence
-      currency: 'gbp',
+      amount: packageData.amountInMinorUnits,
+      currency: packageData.currency,
       customer: user.stripeCustomerId,
       payment_method: autoTopUpSettings.paymentMethodId,
       confirmation_method: 'automatic',
@@ -199,34 +128,24 @@ const processAutoTopUp = async (userId) => {
       off_session: true, // This indicates the payment is happening without user presence
       metadata: {
         userId: user._id.toString(),
-        packageType: autoTopUpSettings.packageType,
-        credits: packageData.credits.toString(),
+        packageType: creditPackage.slug,
+        packageId: creditPackage._id.toString(),
+        credits: packageData.totalCredits.toString(),
         purpose: 'auto_topup'
       },
-      description: `Auto top-up: ${packageData.credits} credits`
+      description: `Auto top-up: ${packageData.totalCredits} credits`
     });
 
     if (paymentIntent.status === 'succeeded') {
-      // Add credits to user account
-      await user.addCredits(packageData.credits, {
-        type: 'purchase',
-        cost: packageData.price,
-        currency: 'gbp',
-        stripePaymentIntentId: paymentIntent.id,
-        stripePaymentMethodId: autoTopUpSettings.paymentMethodId,
-        packageType: autoTopUpSettings.packageType,
-        metadata: {
-          autoTopUp: true,
-          triggered: true
-        }
-      });
+      // Shared with the webhook so the credits are only granted once
+      const { user: updatedUser } = await fulfilCreditPurchase(paymentIntent, { source: 'auto_topup' });
 
-      logger.info(`Auto top-up successful for user ${userId}: ${packageData.credits} credits`);
+      logger.info(`Auto top-up successful for user ${userId}: ${packageData.totalCredits} credits`);
       return {
         success: true,
-        creditsPurchased: packageData.credits,
-        amountCharged: packageData.price,
-        newBalance: user.credits + packageData.credits
+        creditsPurchased: packageData.totalCredits,
+        amountCharged: packageData.amount,
+        newBalance: updatedUser ? updatedUser.credits : user.credits
       };
     } else {
       logger.error(`Auto top-up payment failed for user ${userId}: ${paymentIntent.status}`);
@@ -304,70 +223,470 @@ const validateWebhookSignature = (payload, signature, secret) => {
 };
 
 /**
- * Handle successful payment webhook
+ * Grant the credits bought with a succeeded payment intent.
+ * Safe to call from the webhook, confirm-payment and auto top-up: the unique
+ * stripePaymentIntentId on the purchase transaction means credits are granted once.
+ * A purchase left pending by an earlier call that failed part-way is finished here.
  */
-const handlePaymentSuccess = async (paymentIntent) => {
+const fulfilCreditPurchase = async (paymentIntent, { source = 'webhook', leadId } = {}) => {
+  const metadata = paymentIntent.metadata || {};
+
+  if (!['credit_purchase', 'auto_topup'].includes(metadata.purpose)) {
+    return { skipped: true };
+  }
+
+  if (paymentIntent.status !== 'succeeded') {
+    throw new Error(`Payment intent ${paymentIntent.id} has not succeeded`);
+  }
+
+  const credits = parseInt(metadata.credits);
+  if (!metadata.userId || !(credits > 0)) {
+    throw new Error(`Payment intent ${paymentIntent.id} is missing credit purchase metadata`);
+  }
+
+  const autoTopUp = metadata.autoTopUp === 'true';
+  const paymentMethodId = typeof paymentIntent.payment_method === 'string'
+    ? paymentIntent.payment_method
+    : paymentIntent.payment_method?.id;
+
+  // Record the purchase first; the unique payment intent ID is the exactly-once guard
+  let transaction;
   try {
-    const transaction = await CreditTransaction.findOne({
-      stripePaymentIntentId: paymentIntent.id
+    transaction = await CreditTransaction.create({
+      user: metadata.userId,
+      type: 'purchase',
+      amount: credits,
+      cost: paymentIntent.amount / 100,
+      currency: paymentIntent.currency,
+      stripePaymentIntentId: paymentIntent.id,
+      stripePaymentMethodId: paymentMethodId,
+      stripeChargeId: typeof paymentIntent.latest_charge === 'string' ? paymentIntent.latest_charge : undefined,
+      packageType: metadata.packageType,
+      creditPackage: metadata.packageId || undefined,
+      idempotencyKey: `purchase:${paymentIntent.id}`,
+      business: metadata.businessId || undefined,
+      performedBy: metadata.purchasedBy || metadata.userId,
+      status: 'pending',
+      metadata: {
+        source,
+        autoTopUp: autoTopUp || metadata.purpose === 'auto_topup',
+        triggered: metadata.purpose === 'auto_topup',
+        leadId: leadId || metadata.leadId || null
+      }
     });
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+    const existing = await CreditTransaction.findOne({ stripePaymentIntentId: paymentIntent.id });
+    if (existing?.status !== 'pending') {
+      return { transaction: existing, duplicate: true };
+    }
+    transaction = existing;
+  }
+
+  const update = {
+    $inc: {
+      credits,
+      'stats.totalCreditsPurchased': credits,
+      'stats.totalSpent': paymentIntent.amount / 100
+    }
+  };
+
+  // Remember the card for auto top-up when the buyer opted in
+  if (autoTopUp && paymentMethodId) {
+    update.$set = {
+      'preferences.autoTopUp.enabled': true,
+      'preferences.autoTopUp.paymentMethodId': paymentMethodId,
+      'preferences.autoTopUp.packageType': metadata.packageType
+    };
+  }
 
-    if (transaction) {
-      transaction.status = 'completed';
-      transaction.completedAt = new Date();
-      await transaction.save();
+  // A no-op when an earlier call already granted the credits. If it fails the
+  // purchase stays pending for a retry.
+  let user = await User.applyCreditGrant(metadata.userId, transaction._id, update);
 
-      logger.info(`Payment completed: ${paymentIntent.id} for ${paymentIntent.metadata.credits} credits`);
+  if (!user) {
+    user = await User.findById(metadata.userId);
+    if (!user) {
+      await CreditTransaction.deleteOne({ _id: transaction._id, status: 'pending' });
+      throw new Error(`User ${metadata.userId} not found for payment intent ${paymentIntent.id}`);
     }
+  }
+
+  const completed = await CreditTransaction.findOneAndUpdate(
+    { _id: transaction._id, status: 'pending' },
+    { $set: { status: 'completed', completedAt: new Date(), balanceAfter: user.credits } },
+    { new: true }
+  );
+
+  // Another call finished this purchase first
+  if (!completed) {
+    return { transaction: await CreditTransaction.findById(transaction._id), duplicate: true };
+  }
+  transaction = completed;
+
+  logger.info(`Credited ${credits} credits to user ${user._id} for payment ${paymentIntent.id} (${source})`);
+
+  return { transaction, user, duplicate: false };
+};
+
+// Times the clawback re-reads the balance when it changes under it
+const CLAWBACK_ATTEMPTS = 5;
+
+/**
+ * Debit a pending clawback adjustment from the user at most once.
+ * The amount is fixed on the adjustment from the balance just read, and the debit only
+ * lands if the balance is still the same, so the adjustment always records what was
+ * taken. Returns the adjustment, or null if it was finished elsewhere.
+ */
+const applyClawback = async (purchase, adjustment) => {
+  const requested = adjustment.metadata?.requestedCredits || 0;
 
-    // If this was an auto top-up, log it
-    if (paymentIntent.metadata.purpose === 'auto_topup') {
-      logger.info(`Auto top-up completed for user ${paymentIntent.metadata.userId}: ${paymentIntent.metadata.credits} credits`);
+  for (let attempt = 0; attempt < CLAWBACK_ATTEMPTS; attempt++) {
+    // An earlier call already took the credits; its amounts are on the adjustment
+    if (await User.hasCreditGrant(purchase.user, adjustment._id)) {
+      return adjustment;
     }
 
-  } catch (error) {
-    logger.error('Error handling payment success webhook:', error);
+    const user = await User.findById(purchase.user).select('credits');
+    if (!user) {
+      await CreditTransaction.updateOne(
+        { _id: adjustment._id, status: 'pending' },
+        { $set: { status: 'cancelled', failureReason: 'User not found' } }
+      );
+      return null;
+    }
+
+    const balance = user.credits || 0;
+    const reclaimed = Math.min(balance, requested);
+
+    adjustment = await CreditTransaction.findOneAndUpdate(
+      { _id: adjustment._id, status: 'pending' },
+      {
+        $set: {
+          amount: -reclaimed,
+          balanceAfter: balance - reclaimed,
+          'metadata.shortfall': requested - reclaimed
+        }
+      },
+      { new: true }
+    );
+    if (!adjustment) {
+      return null;
+    }
+
+    const applied = await User.applyCreditGrant(
+      purchase.user,
+      adjustment._id,
+      { $inc: { credits: -reclaimed } },
+      { filter: { credits: user.credits }, projection: { credits: 1 } }
+    );
+    if (applied) {
+      return adjustment;
+    }
   }
+
+  throw new Error(`Balance kept changing while reclaiming credits for purchase ${purchase._id}`);
 };
 
 /**
- * Handle failed payment webhook
+ * Take back credits granted by a purchase after a refund or dispute.
+ * targetCredits is the total that should have been reclaimed from the purchase so far;
+ * anything already reclaimed is subtracted. Balances never go below zero - any
+ * shortfall is recorded on the adjustment for follow-up. A clawback that stopped
+ * part-way is finished by calling again with the same idempotencyKey.
  */
-const handlePaymentFailure = async (paymentIntent) => {
-  try {
-    const transaction = await CreditTransaction.findOne({
-      stripePaymentIntentId: paymentIntent.id
-    });
+const clawbackPurchase = async ({ paymentIntentId, targetCredits, idempotencyKey, reason, chargeId, metadata = {} }) => {
+  const purchase = await CreditTransaction.findOne({ stripePaymentIntentId: paymentIntentId, type: 'purchase' });
+
+  if (!purchase) {
+    logger.warn(`No credit purchase found to claw back for payment ${paymentIntentId}`);
+    return null;
+  }
+
+  let adjustment = await CreditTransaction.findOne({ idempotencyKey });
+
+  if (!adjustment) {
+    const previous = await CreditTransaction.find({
+      relatedTransaction: purchase._id,
+      type: 'adjustment',
+      status: { $in: ['pending', 'completed'] },
+      'metadata.clawback': true
+    }).select('metadata.requestedCredits');
+    const alreadyReclaimed = previous.reduce((sum, tx) => sum + (tx.metadata?.requestedCredits || 0), 0);
 
-    if (transaction) {
-      transaction.status = 'failed';
-      transaction.failureReason = paymentIntent.last_payment_error?.message;
-      await transaction.save();
+    const requested = Math.min(targetCredits, purchase.amount) - alreadyReclaimed;
+    if (requested <= 0) {
+      return null;
     }
 
-    // If this was an auto top-up that failed, disable it
-    if (paymentIntent.metadata.purpose === 'auto_topup') {
-      await User.findByIdAndUpdate(paymentIntent.metadata.userId, {
-        'preferences.autoTopUp.enabled': false
+    try {
+      adjustment = await CreditTransaction.create({
+        user: purchase.user,
+        type: 'adjustment',
+        amount: -requested,
+        relatedTransaction: purchase._id,
+        stripeChargeId: chargeId,
+        idempotencyKey,
+        reason,
+        status: 'pending',
+        metadata: { ...metadata, clawback: true, requestedCredits: requested }
       });
-      logger.warn(`Disabled auto top-up for user ${paymentIntent.metadata.userId} due to payment failure`);
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+      adjustment = await CreditTransaction.findOne({ idempotencyKey });
     }
+  }
+
+  if (!adjustment || adjustment.status !== 'pending') {
+    return null;
+  }
+
+  adjustment = await applyClawback(purchase, adjustment);
+  if (!adjustment) {
+    return null;
+  }
+
+  // Only the call that completes the adjustment reports it
+  const completed = await CreditTransaction.findOneAndUpdate(
+    { _id: adjustment._id, status: 'pending' },
+    { $set: { status: 'completed', completedAt: new Date() } },
+    { new: true }
+  );
+  if (!completed) {
+    return null;
+  }
 
-    logger.error(`Payment failed: ${paymentIntent.id} - ${paymentIntent.last_payment_error?.message}`);
+  const requested = completed.metadata?.requestedCredits || 0;
+  const reclaimed = -completed.amount;
+
+  if (requested > reclaimed) {
+    logger.warn(`Clawback for payment ${paymentIntentId} was short by ${requested - reclaimed} credits for user ${purchase.user}`);
+  }
 
+  try {
+    await Notification.createNotification({
+      user: purchase.user,
+      type: 'system_update',
+      title: 'Credits removed',
+      message: `${reclaimed} credits were removed from your balance. ${reason}`.substring(0, 500),
+      data: { transactionId: completed._id, purchaseId: purchase._id }
+    });
+  } catch (notificationError) {
+    logger.error('Clawback notification error:', notificationError);
+  }
+
+  return { purchase, adjustment: completed, requested, reclaimed };
+};
+
+/**
+ * Handle successful payment webhook
+ */
+const handlePaymentSuccess = async (paymentIntent) => {
+  if (paymentIntent.metadata?.purpose === 'job_payment') {
+    return handleJobPaymentSucceeded(paymentIntent);
+  }
+
+  const result = await fulfilCreditPurchase(paymentIntent, { source: 'webhook' });
+
+  if (result.skipped || result.duplicate) {
+    return { fulfilled: false, duplicate: !!result.duplicate };
+  }
+
+  try {
+    await Notification.createNotification({
+      user: result.user._id,
+      type: 'payment_received',
+      title: 'Credits added',
+      message: `${result.transaction.amount} credits have been added to your account.`,
+      data: { transactionId: result.transaction._id }
+    });
+  } catch (notificationError) {
+    logger.error('Payment notification error:', notificationError);
+  }
+
+  return { fulfilled: true, transactionId: result.transaction._id };
+};
+
+/**
+ * Handle failed payment webhook
+ */
+const handlePaymentFailure = async (paymentIntent) => {
+  if (paymentIntent.metadata?.purpose === 'job_payment') {
+    return handleJobPaymentFailed(paymentIntent);
+  }
+
+  await CreditTransaction.findOneAndUpdate(
+    { stripePaymentIntentId: paymentIntent.id, status: 'pending' },
+    {
+      status: 'failed',
+      failureReason: paymentIntent.last_payment_error?.message
+    }
+  );
+
+  // If this was an auto top-up that failed, disable it
+  if (paymentIntent.metadata?.purpose === 'auto_topup') {
+    await User.findByIdAndUpdate(paymentIntent.metadata.userId, {
+      'preferences.autoTopUp.enabled': false
+    });
+    logger.warn(`Disabled auto top-up for user ${paymentIntent.metadata.userId} due to payment failure`);
+  }
+
+  logger.error(`Payment failed: ${paymentIntent.id} - ${paymentIntent.last_payment_error?.message}`);
+  return { failed: true };
+};
+
+/**
+ * Handle refunded charge webhook - reclaims credits in proportion to the amount refunded
+ */
+const handleChargeRefunded = async (charge) => {
+  if (!charge.payment_intent || !charge.amount) {
+    return { skipped: true };
+  }
+
+  const purchase = await CreditTransaction.findOne({ stripePaymentIntentId: charge.payment_intent, type: 'purchase' });
+  if (!purchase) {
+    // Not a credit purchase - it may be a job payment held for a provider
+    return handleJobChargeRefunded(charge);
+  }
+
+  const fullyRefunded = charge.amount_refunded >= charge.amount;
+  const targetCredits = fullyRefunded
+    ? purchase.amount
+    : Math.ceil(purchase.amount * (charge.amount_refunded / charge.amount));
+
+  const result = await clawbackPurchase({
+    paymentIntentId: charge.payment_intent,
+    targetCredits,
+    idempotencyKey: `clawback:refund:${charge.id}:${charge.amount_refunded}`,
+    reason: fullyRefunded ? 'Your credit purchase was refunded.' : 'Part of your credit purchase was refunded.',
+    chargeId: charge.id,
+    metadata: { event: 'charge.refunded', amountRefunded: charge.amount_refunded / 100 }
+  });
+
+  if (fullyRefunded) {
+    await CreditTransaction.updateOne(
+      { _id: purchase._id, status: 'completed' },
+      { $set: { status: 'refunded', refundedAt: new Date() } }
+    );
+  }
+
+  return { reclaimed: result?.reclaimed || 0 };
+};
+
+/**
+ * Handle a new chargeback - reclaims the whole purchase and stops auto top-up
+ */
+const handleDisputeCreated = async (dispute) => {
+  let paymentIntentId = typeof dispute.payment_intent === 'string' ? dispute.payment_intent : dispute.payment_intent?.id;
+
+  if (!paymentIntentId && dispute.charge) {
+    const charge = await stripe.charges.retrieve(typeof dispute.charge === 'string' ? dispute.charge : dispute.charge.id);
+    paymentIntentId = charge.payment_intent;
+  }
+
+  if (!paymentIntentId) {
+    return { skipped: true };
+  }
+
+  const result = await clawbackPurchase({
+    paymentIntentId,
+    targetCredits: Infinity,
+    idempotencyKey: `clawback:dispute:${dispute.id}`,
+    reason: 'A chargeback was opened for your credit purchase.',
+    chargeId: typeof dispute.charge === 'string' ? dispute.charge : dispute.charge?.id,
+    metadata: { event: 'charge.dispute.created', disputeId: dispute.id, disputeReason: dispute.reason }
+  });
+
+  if (result) {
+    await User.findByIdAndUpdate(result.purchase.user, {
+      'preferences.autoTopUp.enabled': false
+    });
+  }
+
+  return { reclaimed: result?.reclaimed || 0 };
+};
+
+/**
+ * Handle saved card webhook - stores the payment method for auto top-up
+ */
+const handleSetupIntentSucceeded = async (setupIntent) => {
+  const { userId, purpose } = setupIntent.metadata || {};
+  const paymentMethodId = typeof setupIntent.payment_method === 'string'
+    ? setupIntent.payment_method
+    : setupIntent.payment_method?.id;
+
+  if (purpose !== 'auto_topup' || !userId || !paymentMethodId) {
+    return { skipped: true };
+  }
+
+  const user = await User.findOneAndUpdate(
+    { _id: userId, stripeCustomerId: setupIntent.customer },
+    {
+      $set: {
+        'preferences.autoTopUp.enabled': true,
+        'preferences.autoTopUp.paymentMethodId': paymentMethodId
+      }
+    },
+    { new: true }
+  );
+
+  if (!user) {
+    logger.warn(`Setup intent ${setupIntent.id} does not match a user with customer ${setupIntent.customer}`);
+    return { skipped: true };
+  }
+
+  return { paymentMethodId };
+};
+
+const WEBHOOK_HANDLERS = {
+  'payment_intent.succeeded': handlePaymentSuccess,
+  'payment_intent.payment_failed': handlePaymentFailure,
+  'charge.refunded': handleChargeRefunded,
+  'charge.dispute.created': handleDisputeCreated,
+  'setup_intent.succeeded': handleSetupIntentSucceeded,
+  'account.updated': syncConnectAccount,
+  'transfer.reversed': handleTransferReversed
+};
+
+/**
+ * Process a verified webhook event once. Failed events are released so Stripe's retry runs them again.
+ */
+const processWebhookEvent = async (event) => {
+  const handler = WEBHOOK_HANDLERS[event.type];
+  if (!handler) {
+    logger.info(`Unhandled event type: ${event.type}`);
+    return { handled: false };
+  }
+
+  const record = await StripeEvent.claim(event);
+  if (!record) {
+    logger.info(`Skipping duplicate Stripe event ${event.id}`);
+    return { handled: true, duplicate: true };
+  }
+
+  try {
+    const result = await handler(event.data.object);
+    await record.markProcessed(result);
+    return { handled: true, result };
   } catch (error) {
-    logger.error('Error handling payment failure webhook:', error);
+    await record.markFailed(error);
+    throw error;
   }
 };
 
 /**
- * Get package pricing
+ * Get package pricing from the credit package catalog
  */
-const getPackagePricing = (packageType = null) => {
+const getPackagePricing = async (packageType = null, currency = 'gbp') => {
   if (packageType) {
-    return PACKAGE_PRICING[packageType] || null;
+    const creditPackage = await CreditPackage.findPurchasable(packageType);
+    return creditPackage ? creditPackage.toCatalogEntry(currency) : null;
   }
-  return PACKAGE_PRICING;
+  return CreditPackage.getCatalog(currency);
 };
 
 /**
@@ -383,15 +702,19 @@ const formatCurrency = (amount, currency = 'GBP') => {
 };
 
 module.exports = {
-  calculateLeadCost,
   calculateMatchScore,
   calculateDistance,
   processAutoTopUp,
   checkAndProcessAutoTopUps,
   validateWebhookSignature,
+  fulfilCreditPurchase,
+  clawbackPurchase,
   handlePaymentSuccess,
   handlePaymentFailure,
+  handleChargeRefunded,
+  handleDisputeCreated,
+  handleSetupIntentSucceeded,
+  processWebhookEvent,
   getPackagePricing,
-  formatCurrency,
-  PACKAGE_PRICING
+  formatCurrency
 };
\ No newline at end of file
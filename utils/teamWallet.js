@@ -0,0 +1,53 @@
+// utils/teamWallet.js
+const Business = require('../models/Business');
+const User = require('../models/User');
+
+// Work out whose credits a provider spends and buys into. Team members share the
+// owner's balance; providers outside a team use their own.
+// Returns { wallet, business, role } where wallet is a User document.
+const resolveWallet = async (user) => {
+  const business = await Business.findActiveForMember(user._id);
+
+  if (!business) {
+    return { wallet: user, business: null, role: null };
+  }
+
+  const role = business.getMember(user._id).role;
+  if (business.owner.equals(user._id)) {
+    return { wallet: user, business, role };
+  }
+
+  const wallet = await User.findById(business.owner);
+  if (!wallet) {
+    return { wallet: user, business: null, role: null };
+  }
+
+  return { wallet, business, role };
+};
+
+// Filter for the credit transactions a provider may see. Owners and managers see the
+// whole team wallet (optionally one member's activity); responders see their own.
+const getLedgerFilter = ({ user, business, role, member }) => {
+  if (!business) {
+    return { user: user._id };
+  }
+
+  if (Business.roleCan(role, 'activity:view')) {
+    return {
+      user: business.owner,
+      ...(member && { performedBy: member })
+    };
+  }
+
+  return {
+    $or: [
+      { user: user._id },
+      { business: business._id, performedBy: user._id }
+    ]
+  };
+};
+
+module.exports = {
+  resolveWallet,
+  getLedgerFilter
+};
@@ -0,0 +1,272 @@
+// utils/twoFactor.js - TOTP (RFC 6238), email one-time codes, backup codes and login challenges
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { sendEmail } = require('./email');
+
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Accept the previous and next code to allow for clock drift
+const TOTP_WINDOW = 1;
+
+const EMAIL_OTP_TTL_MS = 10 * 60 * 1000;
+const BACKUP_CODE_COUNT = 10;
+const CHALLENGE_TTL = '5m';
+
+// Wrong codes allowed before verification is locked for a while
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCK_DURATION_MS = 15 * 60 * 1000;
+
+// Fields that are select: false and needed to verify a second factor
+const TWO_FACTOR_SECRET_FIELDS = [
+  '+twoFactor.totpSecret',
+  '+twoFactor.pendingTotpSecret',
+  '+twoFactor.lastTotpStep',
+  '+twoFactor.backupCodes',
+  '+twoFactor.emailOtp.codeHash',
+  '+twoFactor.emailOtp.expiresAt',
+  '+twoFactor.failedAttempts',
+  '+twoFactor.lockedUntil'
+].join(' ');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = '';
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    bits += index.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+// Secrets are encrypted with AES-256-GCM using a key derived from the configured secret
+const getEncryptionKey = () => crypto
+  .createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || '')
+  .digest();
+
+const encryptSecret = (plain) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(plain, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const hashCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).replace(/[\s-]/g, '').toUpperCase())
+  .digest('hex');
+
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+const generateHotp = (secret, counter) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+// Returns the matching time step, or null when the code is wrong or was already used
+const verifyTotp = (secret, code, lastUsedStep = -1) => {
+  if (!/^\d{6}$/.test(String(code))) return null;
+
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+  for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset++) {
+    const step = currentStep + offset;
+    if (step <= lastUsedStep) continue;
+
+    const expected = generateHotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(String(code)))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+const buildOtpauthUrl = (secret, accountName) => {
+  const issuer = process.env.TWO_FACTOR_ISSUER || process.env.EMAIL_FROM_NAME || 'Bark Clone';
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// Returns the plain codes to show once and the hashes to store
+const generateBackupCodes = () => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex').toUpperCase();
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return {
+    codes,
+    hashed: codes.map(code => ({ codeHash: hashCode(code) }))
+  };
+};
+
+// Generate, store and email a one-time code. The user must be loaded with TWO_FACTOR_SECRET_FIELDS.
+const sendEmailOtp = async (user) => {
+  const code = String(crypto.randomInt(0, 10 ** TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+
+  user.set('twoFactor.emailOtp', {
+    codeHash: hashCode(code),
+    expiresAt: new Date(Date.now() + EMAIL_OTP_TTL_MS)
+  });
+  await user.save({ validateBeforeSave: false });
+
+  await sendEmail({
+    email: user.email,
+    template: 'twoFactorCode',
+    data: {
+      name: user.fullName,
+      code,
+      expiresInMinutes: EMAIL_OTP_TTL_MS / 60000
+    }
+  });
+};
+
+const isLocked = (user) => !!(user.twoFactor?.lockedUntil && user.twoFactor.lockedUntil > new Date());
+
+// Take one of the user's attempts before a code is checked, so parallel requests cannot
+// try more codes than the limit allows. Returns the attempt count, or null when locked.
+const reserveAttempt = async (user) => {
+  const now = new Date();
+  const reserved = await user.constructor.findOneAndUpdate(
+    {
+      _id: user._id,
+      $and: [
+        { $or: [{ 'twoFactor.failedAttempts': { $exists: false } }, { 'twoFactor.failedAttempts': { $lt: MAX_FAILED_ATTEMPTS } }] },
+        { $or: [{ 'twoFactor.lockedUntil': null }, { 'twoFactor.lockedUntil': { $lte: now } }] }
+      ]
+    },
+    { $inc: { 'twoFactor.failedAttempts': 1 } },
+    { new: true, projection: { 'twoFactor.failedAttempts': 1 } }
+  );
+  return reserved ? reserved.twoFactor.failedAttempts : null;
+};
+
+// Check a TOTP, emailed or backup code against a user loaded with TWO_FACTOR_SECRET_FIELDS.
+// Consumes the code on success and counts failures, locking after MAX_FAILED_ATTEMPTS.
+// Returns the method used, or null for a wrong code or a locked user.
+const verifySecondFactor = async (user, code, { allowPending = false } = {}) => {
+  const attempts = await reserveAttempt(user);
+  if (attempts === null) {
+    return null;
+  }
+
+  const twoFactor = user.twoFactor || {};
+  const input = String(code || '').trim();
+  let method = null;
+
+  const totpSecret = allowPending && twoFactor.pendingTotpSecret ? twoFactor.pendingTotpSecret : twoFactor.totpSecret;
+  if (totpSecret && /^\d{6}$/.test(input)) {
+    const step = verifyTotp(decryptSecret(totpSecret), input, twoFactor.lastTotpStep ?? -1);
+    if (step !== null) {
+      user.set('twoFactor.lastTotpStep', step);
+      method = 'totp';
+    }
+  }
+
+  if (!method && twoFactor.emailOtp?.codeHash && twoFactor.emailOtp.expiresAt > new Date()) {
+    if (crypto.timingSafeEqual(Buffer.from(hashCode(input)), Buffer.from(twoFactor.emailOtp.codeHash))) {
+      user.set('twoFactor.emailOtp', { codeHash: undefined, expiresAt: undefined });
+      method = 'email';
+    }
+  }
+
+  if (!method && twoFactor.backupCodes?.length) {
+    const backup = twoFactor.backupCodes.find(entry => !entry.usedAt && entry.codeHash === hashCode(input));
+    if (backup) {
+      backup.usedAt = new Date();
+      method = 'backup';
+    }
+  }
+
+  if (!method) {
+    // The failure that used the last attempt locks the user and starts a new count
+    if (attempts >= MAX_FAILED_ATTEMPTS) {
+      await user.constructor.updateOne(
+        { _id: user._id },
+        { $set: { 'twoFactor.lockedUntil': new Date(Date.now() + LOCK_DURATION_MS), 'twoFactor.failedAttempts': 0 } }
+      );
+    }
+    return null;
+  }
+
+  await user.save({ validateBeforeSave: false });
+  await user.constructor.updateOne(
+    { _id: user._id },
+    { $set: { 'twoFactor.failedAttempts': 0 }, $unset: { 'twoFactor.lockedUntil': 1 } }
+  );
+  return method;
+};
+
+// Short-lived token proving the password step of a login succeeded. Its audience keeps
+// it from being accepted anywhere an access token is expected.
+const CHALLENGE_AUDIENCE = '2fa_login';
+
+const createChallengeToken = (user) => jwt.sign(
+  { id: user._id, purpose: '2fa_login' },
+  process.env.JWT_SECRET,
+  { expiresIn: CHALLENGE_TTL, audience: CHALLENGE_AUDIENCE }
+);
+
+const verifyChallengeToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET, { audience: CHALLENGE_AUDIENCE });
+  if (decoded.purpose !== '2fa_login') {
+    throw new jwt.JsonWebTokenError('Invalid challenge token');
+  }
+  return decoded;
+};
+
+const getRemainingBackupCodes = (user) =>
+  (user.twoFactor?.backupCodes || []).filter(entry => !entry.usedAt).length;
+
+module.exports = {
+  TWO_FACTOR_SECRET_FIELDS,
+  encryptSecret,
+  decryptSecret,
+  generateTotpSecret,
+  generateHotp,
+  verifyTotp,
+  buildOtpauthUrl,
+  generateBackupCodes,
+  sendEmailOtp,
+  isLocked,
+  verifySecondFactor,
+  createChallengeToken,
+  verifyChallengeToken,
+  getRemainingBackupCodes
+};
@@ -0,0 +1,256 @@
+// utils/verification.js
+const Category = require('../models/Category');
+const Service = require('../models/Service');
+const User = require('../models/User');
+const Notification = require('../models/notifiication');
+const VerificationRequest = require('../models/VerificationRequest');
+const { sendEmail } = require('./email');
+const logger = require('./loggerutility');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Category.requirements flags and the verification type that satisfies each
+const REQUIREMENT_TYPES = {
+  license: 'license',
+  insurance: 'insurance',
+  certification: 'certification',
+  backgroundCheck: 'background_check'
+};
+
+// Requirements a provider must have verified before contacting a lead in the category
+const LEAD_CONTACT_REQUIREMENTS = ['license'];
+
+// User flags kept in step with approved verifications
+const USER_FLAGS = {
+  identity: 'idVerified',
+  background_check: 'backgroundCheckVerified'
+};
+
+const getCategoryId = (category) => (category && category._id ? category._id : category);
+
+// Licences, insurance and certifications count for their own category, or every
+// category when none was given
+const satisfiesCategory = (verification, categoryId) =>
+  !verification.category || !categoryId || verification.category.equals(categoryId);
+
+// Each requirement the category sets, and whether the provider meets it
+const getRequirementStatus = async (providerId, category) => {
+  const categoryId = getCategoryId(category);
+  const categoryDoc = category && category.requirements
+    ? category
+    : await Category.findById(categoryId).select('name requirements').lean();
+
+  if (!categoryDoc || !categoryDoc.requirements) return [];
+
+  const required = Object.keys(REQUIREMENT_TYPES).filter(key => categoryDoc.requirements[key] === true);
+  if (required.length === 0) return [];
+
+  const current = await VerificationRequest.findCurrent(providerId, {
+    type: { $in: required.map(key => REQUIREMENT_TYPES[key]) }
+  }).select('type category expiresAt').lean();
+
+  const pending = await VerificationRequest.find({
+    provider: providerId,
+    status: 'pending',
+    type: { $in: required.map(key => REQUIREMENT_TYPES[key]) }
+  }).select('type category').lean();
+
+  return required.map(key => {
+    const type = REQUIREMENT_TYPES[key];
+    const verification = current.find(entry => entry.type === type && satisfiesCategory(entry, categoryId));
+
+    return {
+      requirement: key,
+      type,
+      verified: !!verification,
+      expiresAt: verification?.expiresAt || null,
+      pending: pending.some(entry => entry.type === type && satisfiesCategory(entry, categoryId)),
+      blocksLeadContact: LEAD_CONTACT_REQUIREMENTS.includes(key)
+    };
+  });
+};
+
+// Requirements stopping the provider from contacting leads in the category
+const getMissingLeadRequirements = async (providerId, category) => {
+  const status = await getRequirementStatus(providerId, category);
+  return status.filter(entry => entry.blocksLeadContact && !entry.verified);
+};
+
+// Keep User.idVerified / backgroundCheckVerified in step with the verification records
+const syncUserFlag = async (providerId, type) => {
+  const flag = USER_FLAGS[type];
+  if (!flag) return;
+
+  const current = await VerificationRequest.findCurrent(providerId, { type }).countDocuments();
+  await User.updateOne({ _id: providerId }, { $set: { [flag]: current > 0 } });
+};
+
+// Copy an approved licence or insurance onto the service it was submitted for
+const applyToService = async (verification) => {
+  if (!verification.service) return;
+
+  const { details } = verification;
+
+  if (verification.type === 'license') {
+    const updated = await Service.updateOne(
+      { _id: verification.service, 'licenses.number': details.number },
+      {
+        $set: {
+          'licenses.$.name': details.name,
+          'licenses.$.issuer': details.issuer,
+          'licenses.$.expiryDate': verification.expiresAt,
+          'licenses.$.verified': verification.isCurrent
+        }
+      }
+    );
+
+    if (updated.matchedCount === 0 && verification.isCurrent) {
+      await Service.updateOne(
+        { _id: verification.service },
+        {
+          $push: {
+            licenses: {
+              name: details.name,
+              number: details.number,
+              issuer: details.issuer,
+              expiryDate: verification.expiresAt,
+              verified: true
+            }
+          }
+        }
+      );
+    }
+  }
+
+  if (verification.type === 'insurance') {
+    await Service.updateOne(
+      { _id: verification.service },
+      {
+        $set: {
+          insurance: {
+            hasInsurance: verification.isCurrent,
+            provider: details.issuer,
+            policyNumber: details.number,
+            coverage: details.coverage,
+            expiryDate: verification.expiresAt
+          }
+        }
+      }
+    );
+  }
+};
+
+// Apply a review decision (or expiry) to the provider's flags and services
+const applyVerificationOutcome = async (verification) => {
+  await syncUserFlag(verification.provider, verification.type);
+  await applyToService(verification);
+};
+
+const TYPE_LABELS = {
+  identity: 'identity verification',
+  background_check: 'background check',
+  license: 'licence',
+  insurance: 'insurance',
+  certification: 'certification'
+};
+
+const describeVerification = (verification) => {
+  const label = TYPE_LABELS[verification.type];
+  return verification.details?.name ? `${label} (${verification.details.name})` : label;
+};
+
+const notifyProvider = async (data) => {
+  try {
+    await Notification.createNotification(data);
+  } catch (error) {
+    logger.error('Verification notification error:', error);
+  }
+};
+
+// Send expiry reminders and expire verifications whose date has passed
+const processVerificationExpiry = async () => {
+  const now = new Date();
+  const maxReminderDays = Math.max(...VerificationRequest.REMINDER_DAYS);
+  let reminded = 0;
+  let expired = 0;
+
+  const expiring = await VerificationRequest.find({
+    status: 'approved',
+    expiresAt: { $gt: now, $lte: new Date(now.getTime() + maxReminderDays * DAY_MS) }
+  }).populate('provider', 'firstName email');
+
+  for (const verification of expiring) {
+    const daysLeft = Math.ceil((verification.expiresAt - now) / DAY_MS);
+    const due = VerificationRequest.REMINDER_DAYS.filter(days => days >= daysLeft && !verification.remindersSent.includes(days));
+    if (due.length === 0) continue;
+
+    // One reminder covers every threshold already passed
+    verification.remindersSent.push(...due);
+    await verification.save();
+
+    const description = describeVerification(verification);
+
+    await notifyProvider({
+      user: verification.provider._id,
+      type: 'reminder',
+      title: 'Verification expiring soon',
+      message: `Your ${description} expires in ${daysLeft} day${daysLeft === 1 ? '' : 's'}. Upload a renewed document to keep your badge.`,
+      priority: daysLeft <= 7 ? 'high' : 'normal',
+      data: { verificationId: verification._id, expiresAt: verification.expiresAt },
+      actionUrl: '/settings/verification',
+      actionLabel: 'Renew'
+    });
+
+    try {
+      await sendEmail({
+        email: verification.provider.email,
+        template: 'verificationExpiring',
+        data: {
+          name: verification.provider.firstName,
+          description,
+          daysLeft,
+          expiresAt: verification.expiresAt.toDateString(),
+          verificationUrl: `${process.env.CLIENT_URL}/settings/verification`
+        }
+      });
+    } catch (emailError) {
+      logger.error('Verification expiry email failed:', emailError);
+    }
+
+    reminded += 1;
+  }
+
+  const lapsed = await VerificationRequest.find({ status: 'approved', expiresAt: { $lte: now } });
+
+  for (const verification of lapsed) {
+    verification.status = 'expired';
+    verification.expiredAt = now;
+    await verification.save();
+    await applyVerificationOutcome(verification);
+
+    await notifyProvider({
+      user: verification.provider,
+      type: 'reminder',
+      title: 'Verification expired',
+      message: `Your ${describeVerification(verification)} has expired. Submit a renewed document to verify again.`,
+      priority: 'high',
+      data: { verificationId: verification._id },
+      actionUrl: '/settings/verification',
+      actionLabel: 'Renew'
+    });
+
+    expired += 1;
+  }
+
+  return { reminded, expired };
+};
+
+module.exports = {
+  REQUIREMENT_TYPES,
+  LEAD_CONTACT_REQUIREMENTS,
+  getRequirementStatus,
+  getMissingLeadRequirements,
+  applyVerificationOutcome,
+  describeVerification,
+  processVerificationExpiry
+};